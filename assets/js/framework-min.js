@@ -1,127 +1,921 @@
 
-if(window.jQuery===undefined){throw new Error('The jQuery library is not loaded. The Winter CMS framework cannot be initialized.');}
++function(window,document){"use strict";if(window.wnRequest!==undefined){return}
+var Request=function(handler,options){if(handler===undefined){throw new Error('The request handler name is not specified.')}
+if(!handler.match(/^(?:\w+\:{2})?on*/)){throw new Error('Invalid handler name. The correct handler name format is: "onEvent".')}
+this.handler=handler
+this.options=extend({},Request.DEFAULTS,options)
+this.element=this.options.element||document
+this.form=resolveForm(this.options.form,this.element)
+this.triggerElement=this.form||this.element
+this.context=this.options.context||{handler:handler,options:this.options}
+this.redirectUrl=isEnabled(this.options.redirect)&&this.options.redirect.length?this.options.redirect:null
+this.isRedirect=!!this.redirectUrl
+this.useFlash=isEnabled(this.options.flash)
+this.useFiles=isEnabled(this.options.files)
+this.isAborted=false
+this.isTimedOut=false
+this.fromCache=false
+this.snapshot=null
+this.controller=typeof AbortController!=='undefined'?new AbortController:null
+this.response=null
+this.status=0
+this.statusText=''
+this.responseText=''
+this.responseJSON=undefined
+if(this.useFiles&&typeof FormData==='undefined'){console.warn('This browser does not support file uploads via FormData')
+this.useFiles=false}
+if(this.options.body!==null){this.useFiles=typeof FormData!=='undefined'&&this.options.body instanceof FormData}}
+Request.DEFAULTS={url:null,method:'POST',element:null,form:null,data:{},update:{},headers:{},redirect:null,updateMode:null,stream:false,flash:false,files:false,filesMaxSize:null,filesAccept:null,filesChunkSize:null,body:null,keepalive:false,cache:null,cacheTags:null,validate:true,optimistic:null,offline:false,policy:'parallel',signal:null,retry:0,idempotent:false,retryStatuses:[0,502,503,504],retryDelay:500,retryMaxDelay:10000,timeout:0,transport:null,context:null,beforeUpdate:null,success:null,error:null,complete:null,renderPartial:null,emit:null}
+Request.prototype.send=function(){var self=this,policy=this.options.policy,pending=getPendingRequests(this.element),previous=pending[pending.length-1]
+if(previous&&policy=='ignore-while-pending'){return Promise.reject(this.createError('ignored'))}
+if(previous&&policy=='abort-previous'){pending.slice().forEach(function(request){self.inheritSnapshot(request)
+request.abort()})}
+this.bindSignal(this.options.signal)
+pending.push(this)
+var start=function(){return self.start()},release=function(){var index=pending.indexOf(self)
+if(index!==-1)pending.splice(index,1)}
+this.promise=(previous&&policy=='queue'?previous.promise.then(start,start):start()).then(function(data){release()
+return data},function(error){release()
+throw error})
+return this.promise}
+Request.prototype.start=function(){if(this.isAborted){return Promise.reject(this.createError('abort'))}
+var self=this,url=this.getUrl(),init=this.getInit()
+if(isEnabled(this.options.validate)&&!this.validate()){return this.reject('invalid')}
+var fileErrors=this.validateFiles(init.body)
+if(fileErrors){this.call('handleValidationMessage',[fileErrors[Object.keys(fileErrors)[0]][0],fileErrors])
+return this.reject('invalid')}
+this.emit(window,'beforeSend')
+this.emit(this.element,'promise')
+this.applyOptimistic()
+var cacheKey=this.getCacheKey(url,init)
+if(cacheKey){return responseCache.wait(cacheKey).then(function(){var entry=responseCache.get(cacheKey)
+if(entry){self.useCachedResponse(entry)
+return self.resolve()}
+return self.dispatch(url,init,cacheKey)})}
+return this.dispatch(url,init,null)}
+Request.prototype.dispatch=function(url,init,cacheKey){var self=this
+if(isEnabled(this.options.offline)&&window.navigator.onLine===false){return this.enqueue(url,init)}
+this.trackUploadProgress(init)
+var timer=this.options.timeout>0?setTimeout(function(){self.isTimedOut=true
+self.abort()},this.options.timeout):null
+return this.uploadChunks(url,init).then(function(){self.attempts=0
+return self.attempt(url,init)}).then(function(){clearTimeout(timer)
+self.cacheResponse(cacheKey)
+return self.isSuccessful()?self.resolve():self.reject(self.textStatus||'error',self.statusText)},function(error){clearTimeout(timer)
+if(!self.isAborted&&isEnabled(self.options.offline)&&self.status===0){return self.enqueue(url,init)}
+return self.reject(self.isTimedOut?'timeout':(self.isAborted?'abort':'error'),error)})}
+Request.prototype.prefetch=function(){var self=this,url=this.getUrl(),init=this.getInit(),cacheKey=this.getCacheKey(url,init)
+if(!cacheKey||responseCache.get(cacheKey)||responseCache.isPending(cacheKey)){return Promise.resolve()}
+return responseCache.track(cacheKey,this.transport(url,init).then(function(){self.cacheResponse(cacheKey)},function(){}))}
+Request.prototype.getCacheKey=function(url,init){if(!(parseFloat(this.options.cache)>0)||typeof init.body!=='string'){return null}
+return[init.method,url,this.handler,init.headers['X-WINTER-REQUEST-PARTIALS'],init.body].join('|')}
+Request.prototype.cacheResponse=function(cacheKey){var data=this.responseJSON
+if(!isObject(data)){return}
+if(data['X_WINTER_CACHE_INVALIDATE']){responseCache.invalidate(data['X_WINTER_CACHE_INVALIDATE'])}
+if(!cacheKey||!this.isSuccessful()||data['X_WINTER_REDIRECT']||data['X_WINTER_ERROR_FIELDS']){return}
+responseCache.set(cacheKey,{text:this.responseText,contentType:this.getResponseHeader('Content-Type'),tags:[this.handler].concat(splitTags(this.options.cacheTags),splitTags(data['X_WINTER_CACHE_TAGS'])),expires:Date.now()+parseFloat(this.options.cache)*1000})}
+Request.prototype.useCachedResponse=function(entry){this.fromCache=true
+this.status=200
+this.statusText='OK'
+this.response={headers:{get:function(name){return name.toLowerCase()=='content-type'?entry.contentType:null}}}
+this.parseResponse(entry.text)}
+Request.prototype.enqueue=function(url,init){var self=this
+return offlineQueue.push({handler:this.handler,url:url,method:init.method,headers:this.options.headers,update:this.options.update,flash:this.useFlash,body:init.body}).then(function(entry){self.emit(self.element,'queued',{entry:entry})
+return self.reject('queued')},function(error){return self.reject('error',error)})}
+Request.prototype.abort=function(){this.isAborted=true
+if(this.controller){this.controller.abort()}}
+Request.prototype.bindSignal=function(signal){var self=this
+if(!signal){return}
+if(signal.aborted){this.abort()}
+else{signal.addEventListener('abort',function(){self.abort()})}}
+Request.prototype.getResponseHeader=function(name){return this.response?this.response.headers.get(name):null}
+Request.prototype.getAllResponseHeaders=function(){var lines=[]
+if(this.response&&typeof this.response.headers.forEach=='function'){this.response.headers.forEach(function(value,name){lines.push(name+': '+value)})}
+return lines.join('\r\n')}
+Request.prototype.transport=function(url,init){if(this.options.transport){return this.options.transport(this,url,init)}
+return this.fetch(url,init)}
+Request.prototype.fetch=function(url,init){var self=this
+if(init.onUploadProgress&&typeof XMLHttpRequest!=='undefined'){return this.sendXhr(url,init).then(function(text){self.parseResponse(text)})}
+return window.fetch(url,init).then(function(response){self.response=response
+self.status=response.status
+self.statusText=response.statusText
+if(self.isStreamed(response)){return self.readStream(response)}
+return response.text().then(function(text){self.parseResponse(text)})})}
+Request.prototype.sendXhr=function(url,init){var self=this
+return new Promise(function(resolve,reject){var xhr=new XMLHttpRequest()
+xhr.open(init.method,url)
+for(var name in init.headers){xhr.setRequestHeader(name,init.headers[name])}
+xhr.upload.addEventListener('progress',function(event){if(event.lengthComputable){init.onUploadProgress(event.loaded,event.total)}})
+xhr.addEventListener('load',function(){self.response={headers:{get:function(name){return xhr.getResponseHeader(name)},forEach:function(callback){xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(function(line){var index=line.indexOf(':')
+if(index>0)callback(line.substring(index+1).trim(),line.substring(0,index).toLowerCase())})}}}
+self.status=xhr.status
+self.statusText=xhr.statusText
+resolve(xhr.responseText)})
+xhr.addEventListener('error',function(){reject(new TypeError('Network request failed'))})
+xhr.addEventListener('abort',function(){var error=new Error('The request was aborted')
+error.name='AbortError'
+reject(error)})
+if(init.signal){init.signal.addEventListener('abort',function(){xhr.abort()})}
+xhr.send(init.body)})}
+Request.prototype.parseResponse=function(text){this.responseText=text
+if((this.getResponseHeader('Content-Type')||'').indexOf('json')===-1){return}
+try{this.responseJSON=JSON.parse(text)}
+catch(e){this.textStatus='parsererror'
+this.statusText=e.message}}
+Request.prototype.attempt=function(url,init){var self=this
+this.attempts=(this.attempts||0)+1
+this.response=null
+this.status=0
+this.statusText=''
+this.responseText=''
+this.responseJSON=undefined
+this.textStatus=undefined
+return this.transport(url,init).then(function(){if(!self.isSuccessful()&&self.isRetryable()){return self.retry(url,init)}},function(error){if(!self.isAborted&&self.isRetryable()){return self.retry(url,init,error)}
+throw error})}
+Request.prototype.isRetryable=function(){var statuses=this.options.retryStatuses
+if(typeof statuses=='string'){statuses=statuses.split(',').map(function(status){return parseInt(status,10)})}
+else if(!Array.isArray(statuses)){statuses=[statuses]}
+return isEnabled(this.options.idempotent)&&this.attempts<=parseInt(this.options.retry||0,10)&&this.textStatus!=='parsererror'&&statuses.indexOf(this.status)!==-1}
+Request.prototype.retry=function(url,init,error){var self=this,backoff=this.options.retryDelay*Math.pow(2,this.attempts-1),delay=Math.round(Math.min(backoff,this.options.retryMaxDelay)*(0.5+Math.random()/2))
+if(!this.emit(this.element,'retry',{attempt:this.attempts,delay:delay,status:this.status})){if(error)throw error
+return}
+return new Promise(function(resolve,reject){var signal=self.controller?self.controller.signal:null,timer=setTimeout(function(){if(signal)signal.removeEventListener('abort',onAbort)
+resolve()},delay)
+function onAbort(){clearTimeout(timer)
+reject(new Error('The request was aborted.'))}
+if(signal){signal.addEventListener('abort',onAbort,{once:true})}}).then(function(){return self.attempt(url,init)})}
+Request.prototype.isStreamed=function(response){var contentType=response.headers.get('Content-Type')||''
+return!!response.body&&typeof TextDecoder!=='undefined'&&(contentType.indexOf('application/x-ndjson')!==-1||contentType.indexOf('text/event-stream')!==-1)}
+Request.prototype.readStream=function(response){var self=this,reader=response.body.getReader(),decoder=new TextDecoder(),isEventStream=(response.headers.get('Content-Type')||'').indexOf('text/event-stream')!==-1,separator=isEventStream?/\r?\n\r?\n/:/\r?\n/,buffer='',applied=Promise.resolve()
+this.responseJSON={}
+function receive(text){var data,eventName=null
+if(isEventStream){var lines=[]
+text.split(/\r?\n/).forEach(function(line){if(line.indexOf('data:')===0){lines.push(line.substring(5).replace(/^ /,''))}
+else if(line.indexOf('event:')===0){eventName=line.substring(6).trim()}})
+text=lines.join('\n')}
+if(!text.trim()){return}
+try{data=JSON.parse(text)}
+catch(e){self.textStatus='parsererror'
+self.statusText=e.message
+return}
+if(isObject(data)&&(data['X_WINTER_PROGRESS']!==undefined||eventName=='progress')){applied=applied.then(function(){return self.applyChunk(data)})}
+else{self.responseJSON=data}}
+function read(){return reader.read().then(function(result){buffer+=decoder.decode(result.value||new Uint8Array(),{stream:!result.done})
+var parts=buffer.split(separator)
+buffer=result.done?'':parts.pop()
+parts.forEach(receive)
+self.responseText+=parts.join('\n')
+return result.done?applied:applied.then(read)})}
+return read().then(function(){if(isObject(self.responseJSON)&&(self.responseJSON['X_WINTER_ERROR_MESSAGE']||self.responseJSON['X_WINTER_ERROR_FIELDS'])){self.status=406}})}
+Request.prototype.applyChunk=function(data){if(!this.emit(this.triggerElement,'progress',{data:data,progress:data['X_WINTER_PROGRESS']})){return}
+if(this.useFlash&&data['X_WINTER_FLASH_MESSAGES']){for(var type in data['X_WINTER_FLASH_MESSAGES']){this.call('handleFlashMessage',[data['X_WINTER_FLASH_MESSAGES'][type],type])}}
+return this.call('handleUpdateResponse',[data,'progress'])}
+Request.prototype.getUrl=function(){return this.options.url?this.options.url:window.location.href}
+Request.prototype.getInit=function(){var init={method:this.options.method,headers:this.getHeaders(),body:this.getBody(),credentials:'same-origin'}
+if(this.controller){init.signal=this.controller.signal}
+if(this.options.keepalive){init.keepalive=true}
+if(!this.useFiles){init.headers['Content-Type']='application/x-www-form-urlencoded; charset=UTF-8'}
+return init}
+Request.prototype.isSuccessful=function(){return this.textStatus!=='parsererror'&&((this.status>=200&&this.status<300)||this.status===304)}
+Request.prototype.getHeaders=function(){var headers={'X-Requested-With':'XMLHttpRequest','X-WINTER-REQUEST-HANDLER':this.handler,'X-WINTER-REQUEST-PARTIALS':this.extractPartials(this.options.update)}
+if(this.useFlash){headers['X-WINTER-REQUEST-FLASH']=1}
+if(isEnabled(this.options.stream)){headers['X-WINTER-REQUEST-STREAM']=1}
+var csrfToken=getXSRFToken()
+if(csrfToken){headers['X-XSRF-TOKEN']=csrfToken}
+return extend(headers,this.options.headers)}
+Request.prototype.getBody=function(){if(this.options.body!==null){return this.options.body}
+var data=extend({},this.options.data),element=this.element,inputName=isInput(element)?element.name:null
+if(inputName&&!this.form&&data[inputName]===undefined){data[inputName]=getInputValue(element)}
+if(!this.useFiles){return[serializeForm(this.form),serializeParams(data)].filter(Boolean).join('&')}
+var formData=new FormData(this.form||undefined)
+if(inputName&&element.type==='file'){Array.prototype.forEach.call(element.files,function(file){formData.append(inputName,file)})
+delete data[inputName]}
+eachParam(data,function(key,value){if(typeof Blob!=='undefined'&&value instanceof Blob&&value.filename){formData.append(key,value,value.filename)}
+else{formData.append(key,value)}})
+return formData}
+Request.prototype.getPendingData=function(){var data={},element=this.element
+if(this.form){new FormData(this.form).forEach(function(value,key){if(typeof value!=='string')return
+if(data[key]===undefined){data[key]=value}
+else{data[key]=[].concat(data[key],value)}})}
+if(isInput(element)&&element.name&&!this.form){data[element.name]=getInputValue(element)}
+return extend(data,this.options.data)}
+Request.prototype.applyOptimistic=function(){var update=this.options.optimistic
+if(!isObject(update)){return}
+var data=this.getPendingData(),elements=update.target?queryAll(document,update.target):(this.element!==document?[this.element]:[])
+if(!elements.length){return}
+var snapshot=this.snapshot||new Snapshot(elements)
+if(!this.emit(this.element,'optimistic',{elements:elements,data:data})){return}
+this.snapshot=snapshot
+elements.forEach(function(element){applyOptimisticUpdate(element,update,data)})}
+Request.prototype.inheritSnapshot=function(request){if(request.snapshot&&!this.snapshot){this.snapshot=request.snapshot}
+request.snapshot=null}
+Request.prototype.rollback=function(textStatus){if(!this.snapshot){return}
+var elements=this.snapshot.restore()
+this.snapshot=null
+this.emit(this.element,'rollback',{elements:elements,textStatus:textStatus})}
+Request.prototype.validate=function(fields){if(fields===undefined){fields=validateFields(this.form||this.element)}
+if(!fields){return true}
+this.call('handleValidationMessage',[fields[Object.keys(fields)[0]][0],fields])
+return false}
+Request.prototype.validateFiles=function(body){var maxSize=parseSize(this.options.filesMaxSize),accepts={},errors=null,self=this
+if(!this.useFiles||!(body instanceof FormData)){return null}
+queryAll(this.form||document.createDocumentFragment(),'input[type=file]').concat(this.element.type==='file'?[this.element]:[]).forEach(function(input){accepts[input.name]=input.getAttribute('accept')})
+body.forEach(function(value,name){if(!isFile(value)){return}
+var accept=accepts[name]||self.options.filesAccept,fileName=value.name||value.filename||name,message=null
+if(maxSize&&value.size>maxSize){message=getLang('request.file_too_large','The file :name may not be greater than :size.').replace(':name',fileName).replace(':size',formatSize(maxSize))}
+else if(accept&&!isAcceptedFile(value,fileName,accept)){message=getLang('request.file_type_invalid','The file :name must be of type: :types.').replace(':name',fileName).replace(':types',accept)}
+if(message){errors=errors||{}
+name=name.replace(/\[\]$/,'')
+errors[name]=(errors[name]||[]).concat(message)}})
+return errors}
+Request.prototype.trackUploadProgress=function(init){var self=this
+this.uploadFiles=[]
+if(!this.useFiles||!(init.body instanceof FormData)){return}
+init.body.forEach(function(value,name){if(isFile(value)){self.uploadFiles.push({name:name,file:value,loaded:0,isChunked:false})}})
+if(!this.uploadFiles.length){return}
+init.onUploadProgress=function(loaded,total){var files=self.uploadFiles.filter(function(upload){return!upload.isChunked}),remaining=loaded/total*files.reduce(function(sum,upload){return sum+upload.file.size},0)
+files.forEach(function(upload){upload.loaded=Math.min(upload.file.size,Math.round(remaining))
+remaining=Math.max(0,remaining-upload.file.size)})
+self.emitUploadProgress()}}
+Request.prototype.emitUploadProgress=function(){var files=this.uploadFiles.map(function(upload){return{name:upload.name,file:upload.file,loaded:upload.loaded,total:upload.file.size}})
+this.emit(this.triggerElement,'uploadProgress',{loaded:files.reduce(function(sum,file){return sum+file.loaded},0),total:files.reduce(function(sum,file){return sum+file.total},0),files:files})}
+Request.prototype.uploadChunks=function(url,init){var self=this,chunkSize=parseSize(this.options.filesChunkSize),uploads=(this.uploadFiles||[]).filter(function(upload){return chunkSize&&upload.file.size>chunkSize})
+if(!uploads.length){return Promise.resolve()}
+return uploads.reduce(function(promise,upload){return promise.then(function(){upload.isChunked=true
+return self.uploadFile(url,init,upload,chunkSize)})},Promise.resolve()).then(function(){var body=new FormData
+init.body.forEach(function(value,name){var upload=uploads.filter(function(upload){return upload.file===value})[0]
+if(upload){body.append(name,upload.id)}
+else{isFile(value)?body.append(name,value,value.name||value.filename):body.append(name,value)}})
+init.body=body})}
+Request.prototype.uploadFile=function(url,init,upload,chunkSize){var self=this,file=upload.file,storageKey='wn.upload:'+this.handler+':'+upload.name+':'+(file.name||'')+':'+file.size+':'+(file.lastModified||''),state=readStorage(storageKey)||{id:generateId(),offset:0}
+upload.id=state.id
+function next(offset){upload.loaded=Math.min(offset,file.size)
+self.emitUploadProgress()
+if(offset>=file.size){writeStorage(storageKey,null)
+return Promise.resolve()}
+var chunk=file.slice(offset,offset+chunkSize),body=new FormData
+body.append(upload.name,chunk,file.name||file.filename||'blob')
+var chunkInit=extend({},init,{headers:extend({},init.headers,{'X-WINTER-UPLOAD-ID':state.id,'X-WINTER-UPLOAD-OFFSET':offset,'X-WINTER-UPLOAD-SIZE':file.size}),body:body,onUploadProgress:function(loaded,total){upload.loaded=Math.min(file.size,offset+Math.round(loaded/total*chunk.size))
+self.emitUploadProgress()}})
+self.attempts=0
+return self.attempt(url,chunkInit).then(function(){if(!self.isSuccessful()){throw self.createError(self.textStatus||'error',self.statusText)}
+var nextOffset=isObject(self.responseJSON)&&self.responseJSON['X_WINTER_UPLOAD_OFFSET']!==undefined?parseInt(self.responseJSON['X_WINTER_UPLOAD_OFFSET'],10):offset+chunk.size
+state.offset=nextOffset
+writeStorage(storageKey,state)
+return next(nextOffset)})}
+return next(state.offset)}
+Request.prototype.extractPartials=function(update){var result=[]
+for(var partial in update)
+result.push(partial)
+return result.join('&')}
+Request.prototype.resolve=function(){var self=this,data=this.responseJSON!==undefined?this.responseJSON:this.responseText
+this.snapshot=null
+return this.settle(function(){return self.options.success?self.options.success.call(self.context,data,'success',self):self.success(data,'success')},function(){if(!self.isRedirect){self.emit(self.element,'done',{data:data,textStatus:'success'})}
+self.finish('success',{data:data})
+return data})}
+Request.prototype.reject=function(textStatus,errorThrown){var self=this
+if(textStatus!='queued'){this.rollback(textStatus)}
+return this.settle(function(){return self.options.error?self.options.error.call(self.context,self,textStatus,errorThrown):self.error(textStatus,errorThrown)},function(){if(!self.isRedirect){self.emit(self.element,'fail',{textStatus:textStatus,errorThrown:errorThrown})}
+self.finish(textStatus,{errorThrown:errorThrown})
+throw self.createError(textStatus,errorThrown)})}
+Request.prototype.createError=function(textStatus,errorThrown){var error=new Error(this.errorMessage||this.statusText||textStatus)
+error.request=this
+error.textStatus=textStatus
+error.errorThrown=errorThrown
+return error}
+Request.prototype.settle=function(callback,finalize){return new Promise(function(resolve){resolve(callback())}).then(finalize,function(error){finalize()
+throw error})}
+Request.prototype.finish=function(textStatus,detail){this.emit(this.element,'always',extend({textStatus:textStatus},detail))
+this.options.complete?this.options.complete.call(this.context,this,textStatus):this.complete(textStatus)}
+Request.prototype.success=function(data,textStatus){var self=this,response=isObject(data)?data:{}
+if(this.options.beforeUpdate&&this.options.beforeUpdate.call(this.context,data,textStatus,this)===false){return Promise.resolve()}
+if(!this.emit(this.triggerElement,'beforeUpdate',{data:data,textStatus:textStatus})){return Promise.resolve()}
+if(this.useFlash&&response['X_WINTER_FLASH_MESSAGES']){for(var type in response['X_WINTER_FLASH_MESSAGES']){this.call('handleFlashMessage',[response['X_WINTER_FLASH_MESSAGES'][type],type])}}
+return Promise.resolve(this.call('handleUpdateResponse',[response,textStatus])).then(function(){self.emit(self.triggerElement,'success',{data:data,textStatus:textStatus})})}
+Request.prototype.error=function(textStatus,errorThrown){var self=this,updatePromise=Promise.resolve()
+if(window.ocUnloading||textStatus=='abort'||textStatus=='queued'||textStatus=='invalid'){return updatePromise}
+this.isRedirect=false
+this.redirectUrl=null
+if(this.status==406&&isObject(this.responseJSON)){this.errorMessage=this.responseJSON['X_WINTER_ERROR_MESSAGE']
+updatePromise=Promise.resolve(this.call('handleUpdateResponse',[this.responseJSON,textStatus]))}
+else{this.errorMessage=this.responseText?this.responseText:this.statusText}
+return updatePromise.then(function(){if(!self.emit(self.triggerElement,'error',{message:self.errorMessage,textStatus:textStatus})){return}
+self.call('handleErrorMessage',[self.errorMessage])})}
+Request.prototype.complete=function(textStatus){this.emit(this.triggerElement,'complete',{textStatus:textStatus})}
+Request.prototype.handleErrorMessage=function(message){if(!this.emit(window,'errorMessage',{message:message}))return
+if(message)window.alert(message)}
+Request.prototype.handleValidationMessage=function(message,fields){var self=this,isFirstInvalidField=true
+this.emit(this.triggerElement,'validation',{message:message,fields:fields})
+if(!this.form){return}
+for(var fieldName in fields){var name=fieldName.replace(/\.(\w+)/g,'[$1]'),fieldElement=queryAll(this.form,'[name="'+name+'"], [name="'+name+'[]"], [name$="['+name+']"], [name$="['+name+'][]"]').filter(function(element){return!element.disabled})[0]
+if(!fieldElement){continue}
+var isAllowed=self.emit(window,'invalidField',{element:fieldElement,fieldName:name,messages:fields[fieldName],isFirst:isFirstInvalidField})
+if(isFirstInvalidField){if(isAllowed)fieldElement.focus()
+isFirstInvalidField=false}}}
+Request.prototype.handleFlashMessage=function(message,type){}
+Request.prototype.handleRedirectResponse=function(url){var self=this
+window.addEventListener('popstate',function onPopState(){window.removeEventListener('popstate',onPopState)
+self.emit(self.element,'redirected')})
+window.location.assign(url)}
+Request.prototype.handleUpdateResponse=function(data,textStatus){var self=this
+if(data['X_WINTER_REDIRECT']){this.redirectUrl=data['X_WINTER_REDIRECT']
+this.isRedirect=true}
+if(this.isRedirect){this.call('handleRedirectResponse',[this.redirectUrl])}
+if(data['X_WINTER_ERROR_FIELDS']){this.call('handleValidationMessage',[data['X_WINTER_ERROR_MESSAGE'],data['X_WINTER_ERROR_FIELDS']])}
+return this.loadAssets(data['X_WINTER_ASSETS']).then(function(){self.updatePartials(data,textStatus)})}
+Request.prototype.loadAssets=function(assets){var self=this
+if(!assets){return Promise.resolve()}
+return assetLoader.load(assets).catch(function(error){console.error(error.message)
+self.emit(self.triggerElement,'assetError',{message:error.message,url:error.url})})}
+Request.prototype.updatePartials=function(data,textStatus){var self=this,detail={data:data,textStatus:textStatus}
+for(var partial in data){var selector=this.options.update[partial]?this.options.update[partial]:partial,mode='replace'
+if(typeof selector=='string'&&selector.charAt(0)=='@'){mode='append'
+selector=selector.substring(1)}
+else if(typeof selector=='string'&&selector.charAt(0)=='^'){mode='prepend'
+selector=selector.substring(1)}
+else if(typeof selector=='string'&&selector.charAt(0)=='~'){mode='morph'
+selector=selector.substring(1)}
+else if(this.options.updateMode=='morph'){mode='morph'}
+queryAll(document,selector).forEach(function(element){if(mode=='replace'){self.emit(element,'beforeReplace')}
+self.renderPartial(element,data[partial],mode)
+self.emit(element,'update',detail)})}
+setTimeout(function(){self.emit(window,'updateComplete',detail)
+window.dispatchEvent(new Event('resize'))},0)}
+Request.prototype.renderPartial=function(element,html,mode){var self=this
+if(this.options.renderPartial){return this.options.renderPartial.call(this,element,html,mode)}
+if(mode=='morph'){return morph(element,html,{beforeRemove:function(node){self.emit(node,'beforeReplace')}})}
+var template=document.createElement('template')
+template.innerHTML=html
+activateScripts(template.content)
+if(mode=='append'){element.appendChild(template.content)}
+else if(mode=='prepend'){element.insertBefore(template.content,element.firstChild)}
+else{element.innerHTML=''
+element.appendChild(template.content)}}
+Request.prototype.emit=function(target,name,detail){detail=extend({request:this,context:this.context},detail)
+var event=new CustomEvent('ajax:'+name,{bubbles:true,cancelable:true,detail:detail}),isAllowed=target.dispatchEvent(event)
+if(this.options.emit&&this.options.emit.call(this,target,name,detail)===false){isAllowed=false}
+return isAllowed}
+Request.prototype.call=function(name,args){var handler=this.options[name]?this.options[name]:this[name]
+return handler.apply(this,args)}
+var OfflineQueue=function(){this.db=null
+this.isReplaying=false}
+OfflineQueue.prototype.open=function(){if(this.db){return this.db}
+return this.db=new Promise(function(resolve,reject){if(!window.indexedDB){reject(new Error('This browser does not support IndexedDB'))
+return}
+var request=window.indexedDB.open('winter-request-queue',1)
+request.onupgradeneeded=function(){request.result.createObjectStore('requests',{keyPath:'id',autoIncrement:true})}
+request.onsuccess=function(){resolve(request.result)}
+request.onerror=function(){reject(request.error)}})}
+OfflineQueue.prototype.transaction=function(mode,callback){return this.open().then(function(db){return new Promise(function(resolve,reject){var transaction=db.transaction('requests',mode),request=callback(transaction.objectStore('requests'))
+transaction.oncomplete=function(){resolve(request.result)}
+transaction.onerror=transaction.onabort=function(){reject(transaction.error)}})})}
+OfflineQueue.prototype.push=function(entry){entry=extend({},entry,{body:packBody(entry.body),createdAt:Date.now()})
+return this.transaction('readwrite',function(store){return store.add(entry)}).then(function(id){entry.id=id
+return entry})}
+OfflineQueue.prototype.all=function(){return this.transaction('readonly',function(store){return store.getAll()})}
+OfflineQueue.prototype.count=function(){return this.transaction('readonly',function(store){return store.count()})}
+OfflineQueue.prototype.remove=function(id){return this.transaction('readwrite',function(store){return store.delete(id)})}
+OfflineQueue.prototype.replay=function(){var self=this
+if(this.isReplaying||window.navigator.onLine===false){return Promise.resolve()}
+this.isReplaying=true
+var finish=function(){self.isReplaying=false}
+return this.all().then(function(entries){return entries.reduce(function(chain,entry){return chain.then(function(proceed){return proceed===false?false:self.replayEntry(entry)})},Promise.resolve())}).then(finish,finish)}
+OfflineQueue.prototype.replayEntry=function(entry){var self=this,request=new Request(entry.handler,{url:entry.url,method:entry.method,headers:entry.headers,update:entry.update,flash:entry.flash,body:unpackBody(entry.body)})
+return request.send().then(function(data){return self.remove(entry.id).then(function(){self.emit('replayed',{entry:entry,data:data})})},function(error){if(request.status===0){return false}
+return self.remove(entry.id).then(function(){self.emit('replayed',{entry:entry,error:error})})})}
+OfflineQueue.prototype.emit=function(name,detail){window.dispatchEvent(new CustomEvent('ajax:'+name,{detail:detail}))}
+function packBody(body){if(typeof FormData==='undefined'||!(body instanceof FormData)){return{type:'params',value:body}}
+var entries=[]
+body.forEach(function(value,key){entries.push([key,value,typeof File!=='undefined'&&value instanceof File?value.name:null])})
+return{type:'form',value:entries}}
+function unpackBody(body){if(body.type!=='form'){return body.value}
+var formData=new FormData
+body.value.forEach(function(entry){entry[2]!==null?formData.append(entry[0],entry[1],entry[2]):formData.append(entry[0],entry[1])})
+return formData}
+var offlineQueue=new OfflineQueue
+window.addEventListener('online',function(){offlineQueue.replay()})
+document.addEventListener('DOMContentLoaded',function(){if(document.querySelector('[data-request-offline]')){offlineQueue.replay()}})
+var ResponseCache=function(){this.entries={}
+this.pending={}}
+ResponseCache.STORAGE_PREFIX='wn.requestCache.'
+ResponseCache.prototype.get=function(key){var entry=this.entries[key]||readStorage(this.getStorageKey(key),window.sessionStorage)
+if(!entry||entry.key!==key){return null}
+if(entry.expires<Date.now()){this.remove(key)
+return null}
+return this.entries[key]=entry}
+ResponseCache.prototype.set=function(key,entry){entry=extend({key:key},entry)
+this.entries[key]=entry
+writeStorage(this.getStorageKey(key),entry,window.sessionStorage)}
+ResponseCache.prototype.remove=function(key){delete this.entries[key]
+writeStorage(this.getStorageKey(key),null,window.sessionStorage)}
+ResponseCache.prototype.invalidate=function(tags){var self=this
+tags=tags===true?null:splitTags(tags)
+this.all().forEach(function(entry){var isTagged=!tags||entry.tags.some(function(tag){return tags.indexOf(tag)!==-1})
+if(isTagged){self.remove(entry.key)}})}
+ResponseCache.prototype.clear=function(){this.invalidate(true)}
+ResponseCache.prototype.all=function(){var entries=extend({},this.entries)
+try{for(var i=0;i<window.sessionStorage.length;i++){var storageKey=window.sessionStorage.key(i),entry=storageKey.indexOf(ResponseCache.STORAGE_PREFIX)===0?readStorage(storageKey,window.sessionStorage):null
+if(entry&&entry.key){entries[entry.key]=entry}}}
+catch(e){}
+return Object.keys(entries).map(function(key){return entries[key]})}
+ResponseCache.prototype.track=function(key,promise){var self=this
+return this.pending[key]=promise.then(function(){delete self.pending[key]})}
+ResponseCache.prototype.isPending=function(key){return!!this.pending[key]}
+ResponseCache.prototype.wait=function(key){return this.pending[key]||Promise.resolve()}
+ResponseCache.prototype.getStorageKey=function(key){var hash=0
+for(var i=0;i<key.length;i++){hash=((hash<<5)-hash+key.charCodeAt(i))|0}
+return ResponseCache.STORAGE_PREFIX+(hash>>>0).toString(36)}
+function splitTags(tags){if(!tags){return[]}
+return(Array.isArray(tags)?tags:String(tags).split(/[\s,]+/)).filter(Boolean).map(String)}
+var responseCache=new ResponseCache
+var AssetLoader=function(){this.assets={}}
+AssetLoader.prototype.load=function(assets){var self=this
+if(typeof assets==='string'||Array.isArray(assets)){assets=groupAssets([].concat(assets))}
+var scripts=(assets.js||[]).map(normalizeAsset),styles=(assets.css||[]).map(normalizeAsset),images=(assets.img||[]).map(normalizeAsset)
+var scriptsLoaded=scripts.reduce(function(promise,asset){return promise.then(function(){return self.loadAsset('js',asset)})},Promise.resolve())
+return Promise.all([scriptsLoaded].concat(styles.map(function(asset){return self.loadAsset('css',asset)})).concat(images.map(function(asset){return self.loadAsset('img',asset)}))).then(function(){})}
+AssetLoader.prototype.isLoaded=function(url){url=resolveUrl(url)
+return!!this.assets[url]||queryAll(document,'script[src], link[rel="stylesheet"][href]').some(function(element){return resolveUrl(element.getAttribute('src')||element.getAttribute('href'))===url})}
+AssetLoader.prototype.loadAsset=function(type,asset){var self=this,url=resolveUrl(asset.url)
+if(this.assets[url]){return this.assets[url]}
+if(type!=='img'&&this.isLoaded(url)){return this.assets[url]=Promise.resolve()}
+return this.assets[url]=new Promise(function(resolve,reject){var element
+if(type=='js'){element=document.createElement('script')
+element.src=url}
+else if(type=='css'){element=document.createElement('link')
+element.rel='stylesheet'
+element.href=url}
+else{element=new Image}
+if(type!='img'){var nonce=getNonce()
+if(nonce){element.nonce=nonce
+element.setAttribute('nonce',nonce)}
+if(asset.integrity){element.integrity=asset.integrity
+element.crossOrigin=asset.crossOrigin||'anonymous'}}
+element.onload=function(){resolve()}
+element.onerror=function(){var error=new Error('Unable to load the asset '+url)
+error.url=url
+delete self.assets[url]
+if(type!='img'&&element.parentNode){element.parentNode.removeChild(element)}
+reject(error)}
+if(type=='img'){element.src=url}
+else{document.head.appendChild(element)}})}
+function normalizeAsset(asset){return typeof asset==='string'?{url:asset}:asset}
+function groupAssets(urls){var assets={js:[],css:[],img:[]}
+urls.forEach(function(asset){var path=normalizeAsset(asset).url.split(/[?#]/)[0]
+if(/\.css$/i.test(path)){assets.css.push(asset)}
+else if(/\.(png|gif|jpe?g|svg|webp)$/i.test(path)){assets.img.push(asset)}
+else{assets.js.push(asset)}})
+return assets}
+function resolveUrl(url){var anchor=document.createElement('a')
+anchor.href=url
+return anchor.href}
+function getNonce(){var meta=document.querySelector('meta[name="csp-nonce"]'),script=document.querySelector('script[nonce]')
+if(meta){return meta.getAttribute('content')}
+return script?(script.nonce||script.getAttribute('nonce')):null}
+var assetLoader=new AssetLoader
+var letterPatterns=createLetterPatterns()
+var validationRules={required:function(value){return!isEmptyValue(value)},required_with:function(value,params,field){return!params.some(function(name){return!isEmptyValue(field.getValue(name))})||!isEmptyValue(value)},required_without:function(value,params,field){return!params.some(function(name){return isEmptyValue(field.getValue(name))})||!isEmptyValue(value)},accepted:function(value){return['yes','on','1','true'].indexOf(String(value).toLowerCase())!==-1},email:function(value){return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)},url:function(value){return /^https?:\/\/[^\s\/$.?#].[^\s]*$/i.test(value)},numeric:function(value){return value!==''&&!isNaN(value)&&isFinite(value)},integer:function(value){return /^-?\d+$/.test(value)},digits:function(value,params){return /^\d+$/.test(value)&&String(value).length==params[0]},alpha:function(value){return letterPatterns.alpha.test(value)},alpha_num:function(value){return letterPatterns.alpha_num.test(value)},alpha_dash:function(value){return letterPatterns.alpha_dash.test(value)},min:function(value,params,field){return getValueSize(value,field)>=parseFloat(params[0])},max:function(value,params,field){return getValueSize(value,field)<=parseFloat(params[0])},between:function(value,params,field){var size=getValueSize(value,field)
+return size>=parseFloat(params[0])&&size<=parseFloat(params[1])},in:function(value,params){return[].concat(value).every(function(item){return params.indexOf(String(item))!==-1})},not_in:function(value,params){return[].concat(value).every(function(item){return params.indexOf(String(item))===-1})},regex:function(value,params){var pattern=params.join(','),matches=pattern.match(/^\/(.*)\/([a-z]*)$/)
+return(matches?new RegExp(matches[1],matches[2]):new RegExp(pattern)).test(value)},same:function(value,params,field){return value===field.getValue(params[0])},different:function(value,params,field){return value!==field.getValue(params[0])},confirmed:function(value,params,field){return value===field.getValue(field.name+'_confirmation')}}
+var validationMessages={required:'The :attribute field is required.',required_with:'The :attribute field is required when :values is present.',required_without:'The :attribute field is required when :values is not present.',accepted:'The :attribute must be accepted.',email:'The :attribute must be a valid email address.',url:'The :attribute format is invalid.',numeric:'The :attribute must be a number.',integer:'The :attribute must be an integer.',digits:'The :attribute must be :digits digits.',alpha:'The :attribute may only contain letters.',alpha_num:'The :attribute may only contain letters and numbers.',alpha_dash:'The :attribute may only contain letters, numbers, dashes and underscores.',min_numeric:'The :attribute must be at least :min.',min_string:'The :attribute must be at least :min characters.',min_array:'The :attribute must have at least :min items.',max_numeric:'The :attribute may not be greater than :max.',max_string:'The :attribute may not be greater than :max characters.',max_array:'The :attribute may not have more than :max items.',between_numeric:'The :attribute must be between :min and :max.',between_string:'The :attribute must be between :min and :max characters.',between_array:'The :attribute must have between :min and :max items.',in:'The selected :attribute is invalid.',not_in:'The selected :attribute is invalid.',regex:'The :attribute format is invalid.',same:'The :attribute and :other must match.',different:'The :attribute and :other must be different.',confirmed:'The :attribute confirmation does not match.'}
+function validateFields(root){var errors=null,form=root.nodeName==='FORM'?root:(root.form||root),elements=queryAll(root,'[data-validate-rules]')
+if(root.hasAttribute&&root.hasAttribute('data-validate-rules')){elements.unshift(root)}
+elements.forEach(function(element){if(element.disabled||!element.name){return}
+var name=element.name.replace(/\[\]$/,'').replace(/\[(\w+)\]/g,'.$1'),rules=parseValidationRules(element.getAttribute('data-validate-rules')),types=rules.map(function(rule){return rule.name}),field={name:element.name,element:element,type:types.indexOf('numeric')!==-1||types.indexOf('integer')!==-1?'numeric':'string',getValue:function(name){return getFieldValue(form,name)}},value=getFieldValue(form,element.name,element),isEmpty=isEmptyValue(value)
+if(Array.isArray(value)){field.type='array'}
+rules.forEach(function(rule){var validate=validationRules[rule.name]
+if(!validate){return console.warn('Unknown validation rule "'+rule.name+'"')}
+if(isEmpty&&rule.name.indexOf('required')!==0||validate(value,rule.params,field)){return}
+errors=errors||{}
+errors[name]=(errors[name]||[]).concat(getValidationMessage(rule,field))})})
+return errors}
+function parseValidationRules(value){return(value||'').split('|').filter(Boolean).map(function(rule){var index=rule.indexOf(':')
+return index===-1?{name:rule.trim(),params:[]}:{name:rule.substring(0,index).trim(),params:rule.substring(index+1).split(',')}})}
+function getValidationMessage(rule,field){var key=['min','max','between'].indexOf(rule.name)!==-1?rule.name+'_'+field.type:rule.name,label=field.element.getAttribute('data-validate-label')||field.name.replace(/\[\]$/,'').replace(/.*\[(\w+)\]$/,'$1').replace(/_/g,' '),replacements={attribute:label,min:rule.params[0],max:rule.name=='between'?rule.params[1]:rule.params[0],digits:rule.params[0],other:(rule.params[0]||'').replace(/_/g,' '),values:rule.params.join(', ')}
+return getLang('validation.'+key,validationMessages[key]||'The :attribute is invalid.').replace(/:(attribute|min|max|digits|other|values)\b/g,function(match,name){return replacements[name]})}
+function getFieldValue(container,name,element){var elements=queryAll(container,'[name="'+name+'"]')
+if(!elements.length&&element){elements=[element]}
+var values=[]
+elements.forEach(function(input){if(input.disabled){return}
+if(/^(checkbox|radio)$/i.test(input.type)){if(input.checked)values.push(input.value)}
+else{values=values.concat(getInputValue(input))}})
+return /\[\]$/.test(name)||(elements[0]&&elements[0].multiple)||(elements.length>1&&elements[0].type==='checkbox')?values:(values.length?values[0]:'')}
+function getValueSize(value,field){if(field.type==='array')return value.length
+if(field.type==='numeric')return parseFloat(value)
+return String(value).length}
+function createLetterPatterns(){try{return{alpha:new RegExp('^[\\p{L}\\p{M}]+$','u'),alpha_num:new RegExp('^[\\p{L}\\p{M}\\p{N}]+$','u'),alpha_dash:new RegExp('^[\\p{L}\\p{M}\\p{N}_-]+$','u')}}
+catch(e){return{alpha:/^[a-zA-Z]+$/,alpha_num:/^[a-zA-Z0-9]+$/,alpha_dash:/^[a-zA-Z0-9_-]+$/}}}
+function isEmptyValue(value){return Array.isArray(value)?value.length===0:String(value).trim()===''}
+function morph(element,html,callbacks){var template=document.createElement('template')
+template.innerHTML=html
+morphChildren(element,template.content,extend({beforeRemove:function(node){},remove:function(node){node.parentNode.removeChild(node)}},callbacks))}
+morph.preserveClasses=['open','in','show','wn-loading','oc-loading']
+function morphChildren(fromParent,toParent,callbacks){var fromChild=fromParent.firstChild,toChild=toParent.firstChild,nextChild
+while(toChild){var nextToChild=toChild.nextSibling,match=findMorphMatch(fromChild,toChild)
+if(match){if(match===fromChild){fromChild=match.nextSibling}
+else{fromParent.insertBefore(match,fromChild)}
+morphNode(match,toChild,callbacks)}
+else{fromParent.insertBefore(prepareMorphNode(toChild),fromChild)}
+toChild=nextToChild}
+while(fromChild){nextChild=fromChild.nextSibling
+removeMorphNode(fromChild,callbacks)
+fromChild=nextChild}}
+function findMorphMatch(fromChild,toChild){var id=toChild.nodeType===1?toChild.id:''
+if(id){for(var node=fromChild;node;node=node.nextSibling){if(node.nodeType===1&&node.id===id){return node}}
+return null}
+for(var node=fromChild;node;node=node.nextSibling){if(node.nodeType===toChild.nodeType&&node.nodeName===toChild.nodeName&&!node.id){return node}}
+return null}
+function morphNode(from,to,callbacks){if(from.nodeType!==1){if(from.nodeValue!==to.nodeValue){from.nodeValue=to.nodeValue}
+return}
+if(from.hasAttribute('data-morph-preserve')||from.isEqualNode(to)){return}
+if(from.hasAttribute('data-control')){if(!isSameControl(from,to)){from.parentNode.insertBefore(prepareMorphNode(to),from)
+removeMorphNode(from,callbacks)}
+return}
+morphAttributes(from,to)
+if(from.nodeName==='TEXTAREA'){from.defaultValue=to.defaultValue}
+else{morphChildren(from,to,callbacks)}}
+function morphAttributes(from,to){var attributes=Array.prototype.slice.call(from.attributes)
+attributes.forEach(function(attribute){if(!to.hasAttribute(attribute.name)){attribute.name==='class'?from.setAttribute('class',mergePreservedClasses(from,'')):from.removeAttribute(attribute.name)}})
+Array.prototype.forEach.call(to.attributes,function(attribute){var value=attribute.name==='class'?mergePreservedClasses(from,attribute.value):attribute.value
+if(from.getAttribute(attribute.name)!==value){from.setAttribute(attribute.name,value)}})}
+function mergePreservedClasses(element,value){var classes=value.split(/\s+/).filter(Boolean)
+morph.preserveClasses.forEach(function(className){if(element.classList.contains(className)&&classes.indexOf(className)===-1){classes.push(className)}})
+return classes.join(' ')}
+function isSameControl(from,to){var source=to.outerHTML,isSame=from.wnMorphSource!==undefined?from.wnMorphSource===source:Array.prototype.every.call(to.attributes,function(attribute){return attribute.name==='class'||attribute.name==='style'||from.getAttribute(attribute.name)===attribute.value})
+if(isSame){from.wnMorphSource=source}
+return isSame}
+function prepareMorphNode(node){if(node.nodeType!==1){return node}
+var controls=queryAll(node,'[data-control]')
+if(node.hasAttribute('data-control')){controls.push(node)}
+controls.forEach(function(control){control.wnMorphSource=control.outerHTML})
+return activateScripts(node)}
+function removeMorphNode(node,callbacks){if(node.nodeType===1){callbacks.beforeRemove(node)}
+callbacks.remove(node)}
+var Snapshot=function(elements){this.entries=elements.map(function(element){return{element:element,className:element.getAttribute('class'),nodes:Array.prototype.slice.call(element.childNodes)}})}
+Snapshot.prototype.restore=function(){return this.entries.map(function(entry){var element=entry.element
+while(element.firstChild){element.removeChild(element.firstChild)}
+entry.nodes.forEach(function(node){element.appendChild(node)})
+if(entry.className===null){element.removeAttribute('class')}
+else{element.setAttribute('class',entry.className)}
+return element})}
+function applyOptimisticUpdate(element,update,data){splitClassNames(update.toggleClass).forEach(function(className){element.classList.toggle(className)})
+splitClassNames(update.addClass).forEach(function(className){element.classList.add(className)})
+splitClassNames(update.removeClass).forEach(function(className){element.classList.remove(className)})
+if(update.text!==undefined&&update.text!==null){element.textContent=update.text}
+if(update.template){element.innerHTML=renderTemplate(update.template,data)}}
+function renderTemplate(template,data){var source=/^#[\w-]+$/.test(template)?document.querySelector(template):null
+if(source){template=source.innerHTML}
+if(window.Mustache!==undefined){return window.Mustache.render(template,data)}
+return template.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g,function(match,name){return escapeHtml(data[name]===undefined||data[name]===null?'':data[name])})}
+function splitClassNames(value){return value?String(value).split(/\s+/).filter(Boolean):[]}
+function escapeHtml(value){return String(value).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;')}
+var pendingRequests=new WeakMap
+function getPendingRequests(element){if(!pendingRequests.has(element)){pendingRequests.set(element,[])}
+return pendingRequests.get(element)}
+function extend(target){for(var i=1;i<arguments.length;i++){for(var key in arguments[i]){if(Object.prototype.hasOwnProperty.call(arguments[i],key)&&arguments[i][key]!==undefined){target[key]=arguments[i][key]}}}
+return target}
+function isEnabled(value){return value!==undefined&&value!==null&&value!==false}
+function isObject(value){return value!==null&&typeof value==='object'}
+function isInput(element){return element&&/^(input|select|textarea)$/i.test(element.nodeName)}
+function getInputValue(element){if(element.nodeName.toLowerCase()==='select'&&element.multiple){return Array.prototype.filter.call(element.options,function(option){return option.selected}).map(function(option){return option.value})}
+return element.value}
+function resolveForm(form,element){if(typeof form==='string'){return document.querySelector(form)}
+if(form){return form}
+return element&&element.closest?element.closest('form'):null}
+function activateScripts(node){var scripts=queryAll(node,'script'),result=node
+if(node.nodeName==='SCRIPT'){scripts.push(node)}
+scripts.forEach(function(script){var executable=document.createElement('script')
+Array.prototype.forEach.call(script.attributes,function(attribute){executable.setAttribute(attribute.name,attribute.value)})
+executable.text=script.text
+if(script===node){result=executable}
+else{script.parentNode.replaceChild(executable,script)}})
+return result}
+function isFile(value){return typeof Blob!=='undefined'&&value instanceof Blob&&(value.size>0||!!value.name)}
+function isAcceptedFile(file,fileName,accept){var extension=fileName.indexOf('.')!==-1?fileName.substring(fileName.lastIndexOf('.')).toLowerCase():'',type=(file.type||'').toLowerCase()
+return accept.split(',').some(function(rule){rule=rule.trim().toLowerCase()
+if(rule.charAt(0)==='.'){return rule===extension}
+if(rule.substring(rule.length-2)==='/*'){return type.indexOf(rule.substring(0,rule.length-1))===0}
+return rule===type})}
+function parseSize(value){var matches=String(value||'').trim().match(/^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i),units={'':1,K:1024,M:1048576,G:1073741824}
+return matches?Math.round(parseFloat(matches[1])*units[matches[2].toUpperCase()]):0}
+function formatSize(bytes){var units=['B','KB','MB','GB'],index=0
+while(bytes>=1024&&index<units.length-1){bytes/=1024
+index++}
+return(Math.round(bytes*10)/10)+' '+units[index]}
+function generateId(){return Date.now().toString(36)+Math.random().toString(36).substring(2,10)}
+function readStorage(key,storage){try{return JSON.parse((storage||window.localStorage).getItem(key))}
+catch(e){return null}}
+function writeStorage(key,value,storage){try{value===null?(storage||window.localStorage).removeItem(key):(storage||window.localStorage).setItem(key,JSON.stringify(value))}
+catch(e){}}
+function getLang(name,defaultValue){var $=window.jQuery
+if(!$||!$.wn||!$.wn.lang){return defaultValue}
+return $.wn.lang.get(name,defaultValue)}
+function queryAll(root,selector){if(typeof selector!=='string'){return selector&&selector.nodeType?[selector]:Array.prototype.slice.call(selector||[])}
+try{return Array.prototype.slice.call(root.querySelectorAll(selector))}
+catch(e){return[]}}
+function eachParam(params,callback){function build(prefix,value){if(Array.isArray(value)){value.forEach(function(item,index){build(prefix+'['+(isObject(item)?index:'')+']',item)})}
+else if(isObject(value)&&!(typeof Blob!=='undefined'&&value instanceof Blob)){for(var key in value){build(prefix+'['+key+']',value[key])}}
+else{value=typeof value==='function'?value():value
+callback(prefix,value===null||value===undefined?'':value)}}
+for(var key in params){build(key,params[key])}}
+function serializeParams(params){var result=[]
+eachParam(params,function(key,value){result.push(encodeURIComponent(key)+'='+encodeURIComponent(value))})
+return result.join('&').replace(/%20/g,'+')}
+function serializeForm(form){if(!form){return''}
+var params=new URLSearchParams
+new FormData(form).forEach(function(value,key){if(typeof value==='string'){params.append(key,value)}})
+return params.toString()}
+function getXSRFToken(){var cookieValue=null
+if(document.cookie&&document.cookie!=''){var cookies=document.cookie.split(';')
+for(var i=0;i<cookies.length;i++){var cookie=cookies[i].trim()
+if(cookie.substring(0,11)==('XSRF-TOKEN'+'=')){cookieValue=decodeURIComponent(cookie.substring(11))
+break}}}
+return cookieValue}
+window.addEventListener('beforeunload',function documentOnBeforeUnload(){window.ocUnloading=true})
+window.wnRequest=function(handler,options){return new Request(handler,options).send()}
+window.wnRequest.Request=Request
+window.wnRequest.offlineQueue=offlineQueue
+window.wnRequest.morph=morph
+window.wnRequest.validate=validateFields
+window.wnRequest.validationRules=validationRules
+window.wnRequest.validationMessages=validationMessages
+window.wnRequest.assets=assetLoader
+window.wnRequest.cache=responseCache}(window,document);if(window.jQuery===undefined){throw new Error('The jQuery library is not loaded. The Winter CMS framework cannot be initialized.');}
 if(window.jQuery.request!==undefined){throw new Error('The Winter CMS framework is already loaded.');}
 +function($){"use strict";var Request=function(element,handler,options){var $el=this.$el=$(element);this.options=options||{};if(handler===undefined){throw new Error('The request handler name is not specified.')}
 if(!handler.match(/^(?:\w+\:{2})?on*/)){throw new Error('Invalid handler name. The correct handler name format is: "onEvent".')}
 var $form=options.form?$(options.form):$el.closest('form'),$triggerEl=!!$form.length?$form:$el,context={handler:handler,options:options}
 if((options.browserValidate!==undefined)&&typeof document.createElement('input').reportValidity=='function'&&$form&&$form[0]&&!$form[0].checkValidity()){$form[0].reportValidity();return false;}
 $el.trigger('ajaxSetup',[context])
-var _event=jQuery.Event('oc.beforeRequest')
+var validationErrors=options.validate!==false&&!options.prefetch?wnRequest.validate($form.get(0)||$el.get(0)):null
+if(!validationErrors&&!options.prefetch){var _event=jQuery.Event('oc.beforeRequest')
 $triggerEl.trigger(_event,context)
-if(_event.isDefaultPrevented())return
-var loading=options.loading!==undefined?options.loading:null,url=options.url!==undefined?options.url:window.location.href,isRedirect=options.redirect!==undefined&&options.redirect.length,useFlash=options.flash!==undefined,useFiles=options.files!==undefined
-if(useFiles&&typeof FormData==='undefined'){console.warn('This browser does not support file uploads via FormData')
-useFiles=false}
+if(_event.isDefaultPrevented())return}
+var loading=options.loading!==undefined?options.loading:null
 if($.type(loading)=='string'){loading=$(loading)}
-var requestHeaders={'X-WINTER-REQUEST-HANDLER':handler,'X-WINTER-REQUEST-PARTIALS':this.extractPartials(options.update)}
-if(useFlash){requestHeaders['X-WINTER-REQUEST-FLASH']=1}
-var csrfToken=getXSRFToken()
-if(csrfToken){requestHeaders['X-XSRF-TOKEN']=csrfToken}
-var requestData,inputName,data={}
-$.each($el.parents('[data-request-data]').toArray().reverse(),function extendRequest(){$.extend(data,paramToObj('data-request-data',$(this).data('request-data')))})
-if($el.is(':input')&&!$form.length){inputName=$el.attr('name')
-if(inputName!==undefined&&options.data[inputName]===undefined){options.data[inputName]=$el.val()}}
+var data={}
+$.each($el.parents('[data-request-data]').toArray().reverse(),function extendRequest(){$.extend(data,paramToObj('data-request-data',$(this).data('request-data'),this))})
 if(options.data!==undefined&&!$.isEmptyObject(options.data)){$.extend(data,options.data)}
-if(useFiles){requestData=new FormData($form.length?$form.get(0):undefined)
-if($el.is(':file')&&inputName){$.each($el.prop('files'),function(){requestData.append(inputName,this)})
-delete data[inputName]}
-$.each(data,function(key){if(typeof Blob!=="undefined"&&this instanceof Blob&&this.filename){requestData.append(key,this,this.filename)}else{requestData.append(key,this)}})}
-else{requestData=[$form.serialize(),$.param(data)].filter(Boolean).join('&')}
-var requestOptions={url:url,crossDomain:false,global:options.ajaxGlobal,context:context,headers:requestHeaders,success:function(data,textStatus,jqXHR){if(this.options.beforeUpdate.apply(this,[data,textStatus,jqXHR])===false)return
-if(options.evalBeforeUpdate&&eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalBeforeUpdate+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))')===false)return
-var _event=jQuery.Event('ajaxBeforeUpdate')
-$triggerEl.trigger(_event,[context,data,textStatus,jqXHR])
-if(_event.isDefaultPrevented())return
-if(useFlash&&data['X_WINTER_FLASH_MESSAGES']){$.each(data['X_WINTER_FLASH_MESSAGES'],function(type,message){requestOptions.handleFlashMessage(message,type)})}
-var updatePromise=requestOptions.handleUpdateResponse(data,textStatus,jqXHR)
-updatePromise.done(function(){$triggerEl.trigger('ajaxSuccess',[context,data,textStatus,jqXHR])
-options.evalSuccess&&eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalSuccess+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))')})
-return updatePromise},error:function(jqXHR,textStatus,errorThrown){var errorMsg,updatePromise=$.Deferred()
-if((window.ocUnloading!==undefined&&window.ocUnloading)||errorThrown=='abort')
-return
-isRedirect=false
-options.redirect=null
-if(jqXHR.status==406&&jqXHR.responseJSON){errorMsg=jqXHR.responseJSON['X_WINTER_ERROR_MESSAGE']
-updatePromise=requestOptions.handleUpdateResponse(jqXHR.responseJSON,textStatus,jqXHR)}
-else{errorMsg=jqXHR.responseText?jqXHR.responseText:jqXHR.statusText
-updatePromise.resolve()}
-updatePromise.done(function(){$el.data('error-message',errorMsg)
-var _event=jQuery.Event('ajaxError')
-$triggerEl.trigger(_event,[context,errorMsg,textStatus,jqXHR])
-if(_event.isDefaultPrevented())return
-if(options.evalError&&eval('(function($el, context, errorMsg, textStatus, jqXHR) {'+options.evalError+'}.call($el.get(0), $el, context, errorMsg, textStatus, jqXHR))')===false)
-return
-requestOptions.handleErrorMessage(errorMsg)})
-return updatePromise},complete:function(data,textStatus,jqXHR){$triggerEl.trigger('ajaxComplete',[context,data,textStatus,jqXHR])
-options.evalComplete&&eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalComplete+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))')},handleConfirmMessage:function(message){var _event=jQuery.Event('ajaxConfirmMessage')
+var request=new wnRequest.Request(handler,{url:options.url,method:options.type,element:$el.get(0),form:$form.get(0),data:data,update:options.update,updateMode:options.updateMode,headers:options.headers,redirect:options.redirect,flash:options.flash,stream:options.stream,files:options.files,filesMaxSize:options.filesMaxSize,filesAccept:options.filesAccept,filesChunkSize:options.filesChunkSize,offline:options.offline,policy:options.policy,signal:options.signal,retry:options.retry,idempotent:options.idempotent,retryStatuses:options.retryStatuses,retryDelay:options.retryDelay,timeout:options.timeout,cache:options.cache,cacheTags:options.cacheTags,optimistic:options.optimistic,validate:false,context:context,transport:function(request,url,init){return sendAjax(request,url,init,{global:options.ajaxGlobal,context:context})},beforeUpdate:function(data,textStatus,request){var jqXHR=createXhr(request)
+if(this.options.beforeUpdate.apply(this,[data,textStatus,jqXHR])===false)return false
+if(options.evalBeforeUpdate&&requestCallbacks.run(options.evalBeforeUpdate,$el,context,{data:data,textStatus:textStatus,jqXHR:jqXHR})===false)return false},success:function(data,textStatus,request){return requestOptions.success.call(context,data,textStatus,createXhr(request))},error:function(request,textStatus,errorThrown){return requestOptions.error.call(context,createXhr(request),textStatus,errorThrown)},complete:function(request,textStatus){if(loading)loading.hide()
+return requestOptions.complete.call(context,createXhr(request),textStatus)},handleErrorMessage:proxyHandler('handleErrorMessage'),handleValidationMessage:proxyHandler('handleValidationMessage'),handleFlashMessage:proxyHandler('handleFlashMessage'),handleRedirectResponse:proxyHandler('handleRedirectResponse'),handleUpdateResponse:proxyHandler('handleUpdateResponse'),renderPartial:function(element,html,mode){if(mode=='morph'){wnRequest.morph(element,html,{beforeRemove:function(node){request.emit(node,'beforeReplace')},remove:function(node){$(node).remove()}})}
+else if(mode=='append'){$(element).append(html)}
+else if(mode=='prepend'){$(element).prepend(html)}
+else{$(element).html(html)}},emit:function(target,name,detail){var jqXHR=createXhr(this),data=detail.data,textStatus=detail.textStatus,errorMsg=detail.message
+if(name=='error'){$el.data('error-message',errorMsg)}
+var _event=jQuery.Event('ajax'+name.charAt(0).toUpperCase()+name.substring(1))
+$(target).trigger(_event,getEventParams(name,detail,jqXHR))
+if(_event.isDefaultPrevented())return false
+if(name=='success'){options.evalSuccess&&requestCallbacks.run(options.evalSuccess,$el,context,{data:data,textStatus:textStatus,jqXHR:jqXHR})}
+else if(name=='error'){if(options.evalError&&requestCallbacks.run(options.evalError,$el,context,{errorMsg:errorMsg,textStatus:textStatus,jqXHR:jqXHR})===false)
+return false}
+else if(name=='complete'){options.evalComplete&&requestCallbacks.run(options.evalComplete,$el,context,{data:jqXHR,textStatus:textStatus,jqXHR:jqXHR})}
+else if(name=='promise'){if(loading)loading.show()}}})
+function proxyHandler(name){if(!options[name]){return null}
+return function(){var args=$.makeArray(arguments)
+if(name=='handleUpdateResponse'){args=[args[0],args[1],createXhr(this)]}
+return options[name].apply(requestOptions,args)}}
+if(options.prefetch){var prefetched=$.Deferred()
+request.prefetch().then(function(){prefetched.resolve(request.responseJSON,'success',createXhr(request))})
+return prefetched.promise(createXhr(request))}
+var requestOptions={success:function(data,textStatus,jqXHR){return toDeferred(request.success(data,textStatus))},error:function(jqXHR,textStatus,errorThrown){return toDeferred(request.error(textStatus,errorThrown))},complete:function(jqXHR,textStatus){request.complete(textStatus)},handleErrorMessage:function(message){request.handleErrorMessage(message)},handleValidationMessage:function(message,fields){request.handleValidationMessage(message,fields)},handleFlashMessage:function(message,type){request.handleFlashMessage(message,type)},handleRedirectResponse:function(url){request.handleRedirectResponse(url)},handleUpdateResponse:function(data,textStatus,jqXHR){return toDeferred(request.handleUpdateResponse(data,textStatus))},handleConfirmMessage:function(message){var _event=jQuery.Event('ajaxConfirmMessage'),confirmOptions={title:options.confirmTitle,confirmButton:options.confirmButton,cancelButton:options.confirmCancel,danger:options.confirmDanger!==undefined&&options.confirmDanger!==false,input:options.confirmInput}
+function resend(){options.confirm=null
+new Request(element,handler,options)}
 _event.promise=$.Deferred()
-if($(window).triggerHandler(_event,[message])!==undefined){_event.promise.done(function(){options.confirm=null
-new Request(element,handler,options)})
+if($(window).triggerHandler(_event,[message,confirmOptions])!==undefined){_event.promise.done(resend)
 return false}
 if(_event.isDefaultPrevented())return
-if(message)return confirm(message)},handleErrorMessage:function(message){var _event=jQuery.Event('ajaxErrorMessage')
-$(window).trigger(_event,[message])
-if(_event.isDefaultPrevented())return
-if(message)alert(message)},handleValidationMessage:function(message,fields){$triggerEl.trigger('ajaxValidation',[context,message,fields])
-var isFirstInvalidField=true
-$.each(fields,function focusErrorField(fieldName,fieldMessages){fieldName=fieldName.replace(/\.(\w+)/g,'[$1]')
-var fieldElement=$form.find('[name="'+fieldName+'"], [name="'+fieldName+'[]"], [name$="['+fieldName+']"], [name$="['+fieldName+'][]"]').filter(':enabled').first()
-if(fieldElement.length>0){var _event=jQuery.Event('ajaxInvalidField')
-$(window).trigger(_event,[fieldElement.get(0),fieldName,fieldMessages,isFirstInvalidField])
-if(isFirstInvalidField){if(!_event.isDefaultPrevented())fieldElement.focus()
-isFirstInvalidField=false}}})},handleFlashMessage:function(message,type){},handleRedirectResponse:function(url){$(window).one('popstate',function(){$el.trigger('ajaxRedirected')})
-window.location.assign(url)},handleUpdateResponse:function(data,textStatus,jqXHR){var updatePromise=$.Deferred().done(function(){for(var partial in data){var selector=(options.update[partial])?options.update[partial]:partial
-if($.type(selector)=='string'&&selector.charAt(0)=='@'){$(selector.substring(1)).append(data[partial]).trigger('ajaxUpdate',[context,data,textStatus,jqXHR])}
-else if($.type(selector)=='string'&&selector.charAt(0)=='^'){$(selector.substring(1)).prepend(data[partial]).trigger('ajaxUpdate',[context,data,textStatus,jqXHR])}
-else{$(selector).trigger('ajaxBeforeReplace')
-$(selector).html(data[partial]).trigger('ajaxUpdate',[context,data,textStatus,jqXHR])}}
-setTimeout(function(){$(window).trigger('ajaxUpdateComplete',[context,data,textStatus,jqXHR]).trigger('resize')},0)})
-if(data['X_WINTER_REDIRECT']){options.redirect=data['X_WINTER_REDIRECT']
-isRedirect=true}
-if(isRedirect){requestOptions.handleRedirectResponse(options.redirect)}
-if(data['X_WINTER_ERROR_FIELDS']){requestOptions.handleValidationMessage(data['X_WINTER_ERROR_MESSAGE'],data['X_WINTER_ERROR_FIELDS'])}
-if(data['X_WINTER_ASSETS']){assetManager.load(data['X_WINTER_ASSETS'],$.proxy(updatePromise.resolve,updatePromise))}
-else{updatePromise.resolve()}
-return updatePromise}}
-if(useFiles){requestOptions.processData=requestOptions.contentType=false}
+if(!message)return
+if($.wn!==undefined&&$.wn.confirm!==undefined){$.wn.confirm(message,confirmOptions).done(resend)
+return false}
+if(confirmOptions.input){var prompted=prompt(message+'\n\n'+getLang('confirm.input','Type :value to confirm.').replace(':value',confirmOptions.input))
+return prompted!==null&&$.trim(prompted)===String(confirmOptions.input)}
+return confirm(message)}}
 context.success=requestOptions.success
 context.error=requestOptions.error
 context.complete=requestOptions.complete
 requestOptions=$.extend(requestOptions,options)
-requestOptions.data=requestData
+if(validationErrors){request.validate(validationErrors)
+return false}
 if(options.confirm&&!requestOptions.handleConfirmMessage(options.confirm)){return}
-if(loading)loading.show()
-$(window).trigger('ajaxBeforeSend',[context])
-$el.trigger('ajaxPromise',[context])
-return $.ajax(requestOptions).fail(function(jqXHR,textStatus,errorThrown){if(!isRedirect){$el.trigger('ajaxFail',[context,textStatus,jqXHR])}
-if(loading)loading.hide()}).done(function(data,textStatus,jqXHR){if(!isRedirect){$el.trigger('ajaxDone',[context,data,textStatus,jqXHR])}
-if(loading)loading.hide()}).always(function(dataOrXhr,textStatus,xhrOrError){$el.trigger('ajaxAlways',[context,dataOrXhr,textStatus,xhrOrError])})}
-Request.DEFAULTS={update:{},type:'POST',beforeUpdate:function(data,textStatus,jqXHR){},evalBeforeUpdate:null,evalSuccess:null,evalError:null,evalComplete:null,ajaxGlobal:false}
-Request.prototype.extractPartials=function(update){var result=[]
-for(var partial in update)
-result.push(partial)
-return result.join('&')}
+var deferred=$.Deferred(),cancelUndo=null
+if(options.pushState!==undefined&&options.pushState!==null&&options.pushState!==false){var historyEntry=createHistoryEntry(handler,options,request.getPendingData())
+captureHistorySnapshot(options.update)
+deferred.done(function(){if(!request.isRedirect){pushHistoryState(historyEntry,getHistoryUrl(options.pushState,data))}})}
+function send(){if(options.beforeSend&&options.beforeSend.call(context,createXhr(request),requestOptions)===false){deferred.reject(createXhr(request),'canceled')
+return Promise.resolve()}
+var promise=request.send()
+promise.then(function(data){deferred.resolve(data,'success',createXhr(request))},function(error){deferred.reject(createXhr(request),error.textStatus,error.errorThrown)})
+return promise}
+if(options.undo!==undefined&&options.undo!==false){cancelUndo=deferUndoable($el,context,options,request,send,function(){deferred.reject(createXhr(request),'undo')})}
+else{send()}
+var jqXHR=deferred.promise(createXhr(request))
+jqXHR.abort=function(){cancelUndo&&cancelUndo()
+request.abort()
+return this}
+return jqXHR}
+Request.DEFAULTS={update:{},type:'POST',beforeUpdate:function(data,textStatus,jqXHR){},evalBeforeUpdate:null,evalSuccess:null,evalError:null,evalComplete:null,ajaxGlobal:false,policy:'parallel',updateMode:null}
+Request.prototype.extractPartials=function(update){return wnRequest.Request.prototype.extractPartials(update)}
+var HISTORY_SNAPSHOT_MAX_SIZE=1048576
+var historyId=null,historySnapshot=null
+function createHistoryEntry(handler,options,pendingData){var data={}
+$.each(pendingData,function(name,value){data[$.isArray(value)?name.replace(/\[\]$/,''):name]=value})
+return{id:Date.now().toString(36)+Math.random().toString(36).slice(2,6),handler:handler,url:options.url,data:data,update:options.update,updateMode:options.updateMode,cache:options.cache}}
+function getHistoryUrl(value,data){if(typeof value=='string'&&value.length){return new URL(value,window.location.href).href}
+var url=new URL(window.location.href),params=new URLSearchParams($.param(data))
+params.forEach(function(value,name){url.searchParams.delete(name)})
+params.forEach(function(value,name){url.searchParams.append(name,value)})
+return url.href}
+function captureHistorySnapshot(update){var state=window.history.state
+if(historySnapshot!==null||(state&&state.wnRequest)){return}
+var size=0
+historySnapshot=$.map(update||{},function(selector){selector=String(selector).replace(/^[@^~]/,'')
+var contents=$(selector).map(function(){return this.innerHTML}).get()
+$.each(contents,function(index,html){size+=html.length})
+return{selector:selector,contents:contents}})
+if(size>HISTORY_SNAPSHOT_MAX_SIZE){historySnapshot=false}}
+function pushHistoryState(entry,url){var history=window.history,state=history.state||{}
+if(!state.wnRequest){history.replaceState($.extend({},state,{wnRequest:$.extend({},entry,{id:'initial',data:null})}),'')}
+historyId=entry.id
+history.pushState({wnRequest:entry},'',url)}
+function restoreHistoryState(entry){if(entry.id===historyId){return}
+historyId=entry.id
+if(entry.id=='initial'&&historySnapshot){$.each(historySnapshot,function(index,partial){$(partial.selector).each(function(index){if(partial.contents[index]!==undefined){$(this).html(partial.contents[index])}})})
+$(document).trigger('render')
+return}
+if(entry.id=='initial'){if(!entry.handler){window.location.replace(window.location.href)
+return}
+entry=$.extend({},entry,{data:getUrlData(window.location.href)})}
+$.request(entry.handler,{url:entry.url,data:entry.data,update:entry.update,updateMode:entry.updateMode,cache:entry.cache,pushState:false})}
+function getUrlData(url){var data={}
+new URL(url).searchParams.forEach(function(value,name){var key=name.replace(/\[\]$/,'')
+if(key!==name){data[key]=(data[key]||[]).concat(value)}
+else{data[name]=value}})
+return data}
+$(window).on('popstate',function(event){var state=event.originalEvent.state
+if(state&&state.wnRequest){restoreHistoryState(state.wnRequest)}})
+var UNDO_INTERVAL=5,pendingUndoRequests=[]
+function deferUndoable($el,context,options,request,send,undone){var seconds=parseFloat(options.undo)||UNDO_INTERVAL,$hidden=$(options.undoHide||[]).filter(function(){return $(this).css('display')!='none'}),$flash=$(),isSettled=false,timer
+if($.wn===undefined||$.wn.flashMsg===undefined){send()
+return null}
+$hidden.hide()
+var pending={flush:function(){request.options.keepalive=true
+sendNow()}}
+function sendNow(){cleanUp()
+send().catch(function(){$hidden.show()})}
+function cleanUp(){isSettled=true
+window.clearTimeout(timer)
+pendingUndoRequests.splice($.inArray(pending,pendingUndoRequests),1)
+$flash.data('flash-remove')&&$flash.data('flash-remove')()}
+function cancel(){if(isSettled){return}
+cleanUp()
+$hidden.show()
+undone()}
+$flash=$($.wn.flashMsg({text:options.undoMessage||getLang('request.undo_message','The action will be applied in a few seconds.'),class:'info',interval:seconds,actions:[{label:getLang('request.undo','Undo'),handler:function(){cancel()
+$el.trigger('ajaxUndo',[context])}}]}))
+timer=window.setTimeout(sendNow,seconds*1000)
+pendingUndoRequests.push(pending)
+return cancel}
+$(window).on('pagehide',function(){$.each(pendingUndoRequests.slice(),function(index,pending){pending.flush()})})
+var POLL_MAX_DELAY=300
+var RequestPoll=function(element){this.$el=$(element)
+this.$container=this.$el.data('request-poll-container')?$(this.$el.data('request-poll-container')):this.$el
+this.interval=parsePollInterval(this.$el.data('request-poll'))
+this.pauseSelector=this.$el.data('request-poll-pause')||null
+this.failures=0
+this.lastResponse=null
+this.timer=null
+this.isDue=false
+this.isHovered=false
+this.isStopped=false
+this.init()}
+RequestPoll.prototype.init=function(){var self=this
+this.onStateChange=function(){self.resume()}
+document.addEventListener('visibilitychange',this.onStateChange)
+this.$el.attr('data-disposable','').on('dispose-control.oc.requestPoll',function(){self.stop()})
+this.$container.on('change.oc.requestPoll',this.onStateChange).on('mouseenter.oc.requestPoll',function(){self.isHovered=true}).on('mouseleave.oc.requestPoll',function(){self.isHovered=false
+self.resume()}).on('focusout.oc.requestPoll',function(){window.setTimeout(function(){self.resume()},0)})
+this.schedule()}
+RequestPoll.prototype.schedule=function(){var self=this,delay=Math.min(this.interval*Math.pow(2,this.failures),Math.max(this.interval,POLL_MAX_DELAY*1000))
+this.timer=window.setTimeout(function(){self.timer=null
+self.isDue=true
+self.resume()},delay)}
+RequestPoll.prototype.resume=function(){if(!this.isDue||this.isStopped||this.isPaused()){return}
+this.isDue=false
+this.poll()}
+RequestPoll.prototype.isPaused=function(){return document.hidden||this.isHovered||this.$container.has(document.activeElement).length>0||(this.pauseSelector!==null&&$(this.pauseSelector).length>0)}
+RequestPoll.prototype.poll=function(){var self=this
+if(!$.contains(document.documentElement,this.$el.get(0))){this.stop()
+return}
+var request=this.$el.request(null,{policy:'ignore-while-pending',beforeUpdate:function(data,textStatus,jqXHR){if(jqXHR.responseText===self.lastResponse)return false},handleErrorMessage:function(){}})
+if(!request){this.schedule()
+return}
+request.done(function(data,textStatus,jqXHR){self.failures=0
+self.lastResponse=jqXHR.responseText}).fail(function(jqXHR,textStatus){if(textStatus!='ignored'){self.failures++}}).always(function(){if(!self.isStopped){self.schedule()}})}
+RequestPoll.prototype.stop=function(){this.isStopped=true
+window.clearTimeout(this.timer)
+document.removeEventListener('visibilitychange',this.onStateChange)
+this.$container.off('.oc.requestPoll')
+this.$el.off('.oc.requestPoll').removeData('oc.requestPoll')}
+function parsePollInterval(value){var matches=String(value).match(/^\s*(\d*\.?\d+)\s*(ms|s|m|h)?\s*$/),units={ms:1,s:1000,m:60000,h:3600000}
+if(!matches){throw new Error('Invalid data-request-poll interval: '+value)}
+return Math.max(parseFloat(matches[1])*units[matches[2]||'s'],1000)}
+var RequestCallbacks=function(){this.callbacks={}
+this.strict=true
+this.register('redirect',function(params){window.location.assign(params.argument)})
+this.register('reload',function(){window.location.reload()})
+this.register('trigger',function(params){params.$el.trigger(params.argument,[params.context,params.data,params.textStatus,params.jqXHR])})
+this.register('hide',function(params){$(params.argument).hide()})
+this.register('show',function(params){$(params.argument).show()})
+this.register('disable',function(params){(params.argument?$(params.argument):params.$el).prop('disabled',true)})
+this.register('remove',function(params){$(params.argument).remove()})
+this.register('reset-form',function(params){var $form=params.argument?$(params.argument):params.$el.closest('form')
+$form.each(function(){this.reset()})})}
+RequestCallbacks.prototype.register=function(name,callback){this.callbacks[name]=callback}
+RequestCallbacks.prototype.unregister=function(name){delete this.callbacks[name]}
+RequestCallbacks.prototype.has=function(name){return this.callbacks.hasOwnProperty(name)}
+RequestCallbacks.prototype.isStrict=function(){var meta=document.querySelector('meta[name="request-strict-mode"]')
+if(meta){return meta.getAttribute('content')!=='false'}
+return!!this.strict}
+RequestCallbacks.prototype.run=function(value,$el,context,params){var self=this,callbacks=this.parse(value),result
+if(!callbacks){if(this.isStrict()){console.error('The request callback "'+value+'" is not registered, JavaScript callbacks are disabled in strict mode.')
+return}
+return eval('(function($el, context, data, textStatus, jqXHR, errorMsg) {'+value+'}.call($el.get(0), $el, context, params.data, params.textStatus, params.jqXHR, params.errorMsg))')}
+$.each(callbacks,function(index,callback){if(self.callbacks[callback.name].call($el.get(0),$.extend({$el:$el,context:context,argument:callback.argument},params))===false){result=false}})
+return result}
+RequestCallbacks.prototype.parse=function(value){var self=this,callbacks=[]
+var isDeclarative=$.trim(value).split(';').every(function(part){var matches=$.trim(part).match(/^([\w-]+)(?::([\s\S]*))?$/)
+if(!$.trim(part).length){return true}
+if(!matches||!self.has(matches[1])){return false}
+callbacks.push({name:matches[1],argument:matches[2]!==undefined?$.trim(matches[2]):null})
+return true})
+return isDeclarative&&callbacks.length?callbacks:null}
+var requestCallbacks=new RequestCallbacks
+if($.wn===undefined)
+$.wn={}
+if($.oc===undefined)
+$.oc=$.wn
+$.wn.requestCallbacks=requestCallbacks
+$.wn.assets=wnRequest.assets
 var old=$.fn.request
 $.fn.request=function(handler,option){var args=arguments
 var $this=$(this).first()
-var data={evalBeforeUpdate:$this.data('request-before-update'),evalSuccess:$this.data('request-success'),evalError:$this.data('request-error'),evalComplete:$this.data('request-complete'),ajaxGlobal:$this.data('request-ajax-global'),confirm:$this.data('request-confirm'),redirect:$this.data('request-redirect'),loading:$this.data('request-loading'),flash:$this.data('request-flash'),files:$this.data('request-files'),browserValidate:$this.data('browser-validate'),form:$this.data('request-form'),url:$this.data('request-url'),update:paramToObj('data-request-update',$this.data('request-update')),data:paramToObj('data-request-data',$this.data('request-data'))}
+var data={evalBeforeUpdate:$this.data('request-before-update'),evalSuccess:$this.data('request-success'),evalError:$this.data('request-error'),evalComplete:$this.data('request-complete'),ajaxGlobal:$this.data('request-ajax-global'),confirm:$this.data('request-confirm'),confirmTitle:$this.data('request-confirm-title'),confirmButton:$this.data('request-confirm-button'),confirmCancel:$this.data('request-confirm-cancel'),confirmDanger:$this.data('request-confirm-danger'),confirmInput:$this.data('request-confirm-input'),redirect:$this.data('request-redirect'),loading:$this.data('request-loading'),flash:$this.data('request-flash'),stream:$this.data('request-stream'),files:$this.data('request-files'),filesMaxSize:$this.data('request-files-max-size'),filesAccept:$this.data('request-files-accept'),filesChunkSize:$this.data('request-files-chunk-size'),offline:$this.data('request-offline'),policy:$this.data('request-policy'),cache:$this.data('request-cache'),cacheTags:$this.data('request-cache-tags'),retry:$this.data('request-retry'),idempotent:$this.data('request-idempotent'),retryStatuses:$this.data('request-retry-statuses'),retryDelay:$this.data('request-retry-delay'),optimistic:$this.data('request-optimistic')!==undefined?paramToObj('data-request-optimistic',$this.data('request-optimistic'),$this.get(0)):null,undo:$this.data('request-undo'),undoHide:$this.data('request-undo-hide'),undoMessage:$this.data('request-undo-message'),browserValidate:$this.data('browser-validate'),form:$this.data('request-form'),url:$this.data('request-url'),update:paramToObj('data-request-update',$this.data('request-update'),$this.get(0)),updateMode:$this.data('request-update-mode'),pushState:$this.data('request-push-state'),data:paramToObj('data-request-data',$this.data('request-data'),$this.get(0))}
 if(!handler)handler=$this.data('request')
 var options=$.extend(true,{},Request.DEFAULTS,data,typeof option=='object'&&option)
 return new Request($this,handler,options)}
 $.fn.request.Constructor=Request
 $.request=function(handler,option){return $(document).request(handler,option)}
+$.ajaxTransport('+*',function(settings){if(!settings.wnRequest){return}
+var request=settings.wnRequest.request
+return{send:function(headers,complete){var init=$.extend({},settings.wnRequest.init,{headers:headers,body:settings.hasContent?settings.data:undefined})
+if(settings.xhrFields&&settings.xhrFields.withCredentials){init.credentials='include'}
+settings.wnRequest.send(request.fetch(settings.url,init).then(function(){var responses={text:request.responseText}
+if(request.responseJSON!==undefined){responses.json=request.responseJSON}
+complete(request.status,request.statusText,responses,request.getAllResponseHeaders())},function(error){complete(0,error&&error.name=='AbortError'?'abort':'error')
+throw error}))},abort:function(statusText){if(statusText=='timeout'){request.isTimedOut=true}
+request.abort()}}})
 $.fn.request.noConflict=function(){$.fn.request=old
 return this}
-function paramToObj(name,value){if(value===undefined)value=''
+function createXhr(request){if(request.jqXHR){return request.jqXHR}
+var jqXHR=request.jqXHR={getResponseHeader:function(name){return request.getResponseHeader(name)},getAllResponseHeaders:function(){return request.getAllResponseHeaders()},setRequestHeader:function(name,value){request.options.headers=$.extend({},request.options.headers)
+request.options.headers[name]=value
+return this},abort:function(){request.abort()
+return this}}
+$.each({readyState:function(){return request.response?4:0},status:function(){return request.status},statusText:function(){return request.statusText},responseText:function(){return request.responseText},responseJSON:function(){return request.responseJSON}},function(name,getter){Object.defineProperty(jqXHR,name,{get:getter,enumerable:true})})
+return jqXHR}
+function sendAjax(request,url,init,settings){return new Promise(function(resolve,reject){var isSent=false
+$.ajax($.extend({url:url,type:init.method,data:init.body,headers:init.headers,processData:false,contentType:false,crossDomain:false,wnRequest:{request:request,init:init,send:function(promise){isSent=true
+promise.then(resolve,reject)}}},settings)).fail(function(jqXHR,textStatus){if(!isSent){request.abort()
+reject(new Error('The request was '+textStatus))}})})}
+function getEventParams(name,detail,jqXHR){var context=detail.context
+switch(name){case'beforeSend':case'promise':return[context]
+case'beforeReplace':case'redirected':return[]
+case'error':return[context,detail.message,detail.textStatus,jqXHR]
+case'fail':return[context,detail.textStatus,jqXHR]
+case'complete':return[context,jqXHR,detail.textStatus]
+case'always':return detail.textStatus=='success'?[context,detail.data,detail.textStatus,jqXHR]:[context,jqXHR,detail.textStatus,detail.errorThrown]
+case'validation':return[context,detail.message,detail.fields]
+case'invalidField':return[detail.element,detail.fieldName,detail.messages,detail.isFirst]
+case'errorMessage':return[detail.message]
+case'retry':return[context,detail.attempt,detail.delay,jqXHR]
+case'queued':return[context,detail.entry]
+case'progress':return[context,detail.progress,detail.data,jqXHR]
+case'assetError':return[context,detail.message,detail.url]
+case'uploadProgress':return[context,detail.loaded,detail.total,detail.files,jqXHR]
+case'optimistic':return[context,detail.elements,detail.data]
+case'rollback':return[context,detail.elements,detail.textStatus]
+default:return[context,detail.data,detail.textStatus,jqXHR]}}
+function toDeferred(promise){var deferred=$.Deferred()
+Promise.resolve(promise).then(function(result){deferred.resolve(result)},function(error){deferred.reject(error)})
+return deferred.promise()}
+function getLang(name,defaultValue){if($.wn===undefined||$.wn.lang===undefined){return defaultValue}
+return $.wn.lang.get(name,defaultValue)}
+function paramToObj(name,value,element){if(value===undefined)value=''
 if(typeof value=='object')return value
-try{return ocJSON("{"+value+"}")}
-catch(e){throw new Error('Error parsing the '+name+' attribute value. '+e)}}
-function getXSRFToken(){var cookieValue=null
-if(document.cookie&&document.cookie!=''){var cookies=document.cookie.split(';')
-for(var i=0;i<cookies.length;i++){var cookie=jQuery.trim(cookies[i])
-if(cookie.substring(0,11)==('XSRF-TOKEN'+'=')){cookieValue=decodeURIComponent(cookie.substring(11))
-break}}}
-return cookieValue}
+try{return ocJSON(value,{members:true,source:name,element:element})}
+catch(e){throw new Error('Error parsing the '+name+' attribute value. '+e.message)}}
 $(document).on('change','select[data-request], input[type=radio][data-request], input[type=checkbox][data-request], input[type=file][data-request]',function documentOnChange(){$(this).request()})
 $(document).on('click','a[data-request], button[data-request], input[type=button][data-request], input[type=submit][data-request]',function documentOnClick(e){e.preventDefault()
 $(this).request()
@@ -144,48 +938,213 @@ var interval=$(this).data('track-input')
 if(!interval)
 interval=300
 var self=this
-this.dataTrackInputTimer=window.setTimeout(function(){if(self.lastDataTrackInputRequest){self.lastDataTrackInputRequest.abort();}
-self.lastDataTrackInputRequest=$(self).request();},interval)})
+this.dataTrackInputTimer=window.setTimeout(function(){$(self).request(null,{policy:$el.data('request-policy')||'abort-previous'})},interval)})
 $(document).on('submit','[data-request]',function documentOnSubmit(){$(this).request()
 return false})
-$(window).on('beforeunload',function documentOnBeforeUnload(){window.ocUnloading=true})
+var PREFETCH_DELAY=100
+$(document).on('mouseenter focusin','[data-request][data-request-prefetch=hover]',function documentOnHover(){var self=this
+if(this.dataPrefetchTimer!==undefined)
+return
+this.dataPrefetchTimer=window.setTimeout(function(){self.dataPrefetchTimer=undefined
+$(self).request(null,{prefetch:true})},PREFETCH_DELAY)})
+$(document).on('mouseleave focusout','[data-request][data-request-prefetch=hover]',function documentOnLeave(){window.clearTimeout(this.dataPrefetchTimer)
+this.dataPrefetchTimer=undefined})
+$(document).on('render',function startRequestPolls(){$('[data-request][data-request-poll]').each(function(){if(!$(this).data('oc.requestPoll')){$(this).data('oc.requestPoll',new RequestPoll(this))}})})
+window.addEventListener('ajax:replayed',function relayOfflineReplay(event){$(window).trigger('ajaxReplayed',[event.detail.entry,event.detail.data,event.detail.error])})
 $(document).ready(function triggerRenderOnReady(){$(document).trigger('render')})
 $(window).on('ajaxUpdateComplete',function triggerRenderOnAjaxUpdateComplete(){$(document).trigger('render')})
-$.fn.render=function(callback){$(document).on('render',callback)}}(window.jQuery);+function(window){"use strict";function parseKey(str,pos,quote){var key="";for(var i=pos;i<str.length;i++){if(quote&&quote===str[i]){return key;}else if(!quote&&(str[i]===" "||str[i]===":")){return key;}
-key+=str[i];if(str[i]==="\\"&&i+1<str.length){key+=str[i+1];i++;}}
-throw new Error("Broken JSON syntax near "+key);}
-function getBody(str,pos){if(str[pos]==="\""||str[pos]==="'"){var body=str[pos];for(var i=pos+1;i<str.length;i++){if(str[i]==="\\"){body+=str[i];if(i+1<str.length)body+=str[i+1];i++;}else if(str[i]===str[pos]){body+=str[pos];return{originLength:body.length,body:body};}else body+=str[i];}
-throw new Error("Broken JSON string body near "+body);}
-if(str[pos]==="t"){if(str.indexOf("true",pos)===pos){return{originLength:"true".length,body:"true"};}
-throw new Error("Broken JSON boolean body near "+str.substr(0,pos+10));}
-if(str[pos]==="f"){if(str.indexOf("f",pos)===pos){return{originLength:"false".length,body:"false"};}
-throw new Error("Broken JSON boolean body near "+str.substr(0,pos+10));}
-if(str[pos]==="n"){if(str.indexOf("null",pos)===pos){return{originLength:"null".length,body:"null"};}
-throw new Error("Broken JSON boolean body near "+str.substr(0,pos+10));}
-if(str[pos]==="-"||str[pos]==="+"||str[pos]==="."||(str[pos]>="0"&&str[pos]<="9")){var body="";for(var i=pos;i<str.length;i++){if(str[i]==="-"||str[i]==="+"||str[i]==="."||(str[i]>="0"&&str[i]<="9")){body+=str[i];}else{return{originLength:body.length,body:body};}}
-throw new Error("Broken JSON number body near "+body);}
-if(str[pos]==="{"||str[pos]==="["){var stack=[str[pos]];var body=str[pos];for(var i=pos+1;i<str.length;i++){body+=str[i];if(str[i]==="\\"){if(i+1<str.length)body+=str[i+1];i++;}else if(str[i]==="\""){if(stack[stack.length-1]==="\""){stack.pop();}else if(stack[stack.length-1]!=="'"){stack.push(str[i]);}}else if(str[i]==="'"){if(stack[stack.length-1]==="'"){stack.pop();}else if(stack[stack.length-1]!=="\""){stack.push(str[i]);}}else if(stack[stack.length-1]!=="\""&&stack[stack.length-1]!=="'"){if(str[i]==="{"){stack.push("{");}else if(str[i]==="}"){if(stack[stack.length-1]==="{"){stack.pop();}else{throw new Error("Broken JSON "+(str[pos]==="{"?"object":"array")+" body near "+body);}}else if(str[i]==="["){stack.push("[");}else if(str[i]==="]"){if(stack[stack.length-1]==="["){stack.pop();}else{throw new Error("Broken JSON "+(str[pos]==="{"?"object":"array")+" body near "+body);}}}
-if(!stack.length){return{originLength:i-pos,body:body};}}
-throw new Error("Broken JSON "+(str[pos]==="{"?"object":"array")+" body near "+body);}
-throw new Error("Broken JSON body near "+str.substr((pos-5>=0)?pos-5:0,50));}
-function canBeKeyHead(ch){if(ch[0]==="\\")return false;if((ch[0]>='a'&&ch[0]<='z')||(ch[0]>='A'&&ch[0]<='Z')||ch[0]==='_')return true;if(ch[0]>='0'&&ch[0]<='9')return true;if(ch[0]==='$')return true;if(ch.charCodeAt(0)>255)return true;return false;}
-function isBlankChar(ch){return ch===" "||ch==="\n"||ch==="\t";}
-function parse(str){str=str.trim();if(!str.length)throw new Error("Broken JSON object.");var result="";while(str&&str[0]===","){str=str.substr(1);}
-if(str[0]==="\""||str[0]==="'"){if(str[str.length-1]!==str[0]){throw new Error("Invalid string JSON object.");}
-var body="\"";for(var i=1;i<str.length;i++){if(str[i]==="\\"){if(str[i+1]==="'"){body+=str[i+1]}else{body+=str[i];body+=str[i+1];}
-i++;}else if(str[i]===str[0]){body+="\"";return body}else if(str[i]==="\""){body+="\\\""}else body+=str[i];}
-throw new Error("Invalid string JSON object.");}
-if(str==="true"||str==="false"){return str;}
-if(str==="null"){return"null";}
-var num=parseFloat(str);if(!isNaN(num)){return num.toString();}
-if(str[0]==="{"){var type="needKey";var result="{";for(var i=1;i<str.length;i++){if(isBlankChar(str[i])){continue;}else if(type==="needKey"&&(str[i]==="\""||str[i]==="'")){var key=parseKey(str,i+1,str[i]);result+="\""+key+"\"";i+=key.length;i+=1;type="afterKey";}else if(type==="needKey"&&canBeKeyHead(str[i])){var key=parseKey(str,i);result+="\"";result+=key;result+="\"";i+=key.length-1;type="afterKey";}else if(type==="afterKey"&&str[i]===":"){result+=":";type=":";}else if(type===":"){var body=getBody(str,i);i=i+body.originLength-1;result+=parse(body.body);type="afterBody";}else if(type==="afterBody"||type==="needKey"){var last=i;while(str[last]===","||isBlankChar(str[last])){last++;}
-if(str[last]==="}"&&last===str.length-1){while(result[result.length-1]===","){result=result.substr(0,result.length-1);}
-result+="}";return result;}else if(last!==i&&result!=="{"){result+=",";type="needKey";i=last-1;}}}
-throw new Error("Broken JSON object near "+result);}
-if(str[0]==="["){var result="[";var type="needBody";for(var i=1;i<str.length;i++){if(" "===str[i]||"\n"===str[i]||"\t"===str[i]){continue;}else if(type==="needBody"){if(str[i]===","){result+="null,";continue;}
-if(str[i]==="]"&&i===str.length-1){if(result[result.length-1]===",")result=result.substr(0,result.length-1);result+="]";return result;}
-var body=getBody(str,i);i=i+body.originLength-1;result+=parse(body.body);type="afterBody";}else if(type==="afterBody"){if(str[i]===","){result+=",";type="needBody";while(str[i+1]===","||isBlankChar(str[i+1])){if(str[i+1]===",")result+="null,";i++;}}else if(str[i]==="]"&&i===str.length-1){result+="]";return result;}}}
-throw new Error("Broken JSON array near "+result);}}
-window.ocJSON=function(json){var jsonString=parse(json);return JSON.parse(jsonString);};}(window);+function(window){"use strict";function trimAttributes(node){$.each(node.attributes,function(){var attrName=this.name;var attrValue=this.value;if(attrName.indexOf('on')==0||attrValue.indexOf('javascript:')==0){$(node).removeAttr(attrName);}});}
-function sanitize(html){var output=$($.parseHTML('<div>'+html+'</div>',null,false));output.find('*').each(function(){trimAttributes(this);});return output.html();}
-window.ocSanitize=function(html){return sanitize(html)};}(window);
\ No newline at end of file
+$.fn.render=function(callback){$(document).on('render',callback)}}(window.jQuery);+function(window){"use strict";var Parser=function(text,options){this.text=String(text)
+this.pos=0
+this.options=options||{}
+this.strict=this.options.strict!==undefined?!!this.options.strict:!!window.ocJSON.strict}
+Parser.prototype.parse=function(){var value
+if(this.options.members){value=this.parseMembers(null)}
+else{this.skipSeparators(true)
+if(this.pos>=this.text.length){this.error('Unexpected end of input')}
+value=this.parseValue()
+this.skipSeparators(false)}
+if(this.pos<this.text.length){this.error('Unexpected '+this.describe(this.pos))}
+return value}
+Parser.prototype.parseValue=function(){var char=this.text.charAt(this.pos)
+if(char==='{'){this.pos++
+return this.parseMembers('}')}
+if(char==='['){this.pos++
+return this.parseElements()}
+if(char==='"'||char==="'"||char==='`'){return this.parseString()}
+if(/[-+.\d]/.test(char)){return this.parseNumber()}
+var word=this.readWhile(/[\w$]/)
+if(word==='true')return true
+if(word==='false')return false
+if(word==='null')return null
+this.pos-=word.length
+this.error('Unexpected '+this.describe(this.pos))}
+Parser.prototype.parseMembers=function(closing){var result={},isFirst=true
+while(true){this.skipSeparators(isFirst)
+if(closing===null?this.pos>=this.text.length:this.text.charAt(this.pos)===closing){this.pos++
+return result}
+if(this.pos>=this.text.length){this.error('Unexpected end of input, expected "'+closing+'"')}
+if(!isFirst){this.expect(',')
+this.skipSeparators(true)
+if(closing===null?this.pos>=this.text.length:this.text.charAt(this.pos)===closing){this.pos++
+return result}}
+var keyPosition=this.pos,key=this.parseKey()
+if(this.strict&&Object.prototype.hasOwnProperty.call(result,key)){this.error('Duplicate key "'+key+'"',keyPosition)}
+this.skipWhitespace()
+this.expect(':')
+this.skipWhitespace()
+result[key]=this.parseValue()
+isFirst=false}}
+Parser.prototype.parseElements=function(){var result=[],isFirst=true
+while(true){this.skipWhitespace()
+if(this.text.charAt(this.pos)===']'){this.pos++
+return result}
+if(this.pos>=this.text.length){this.error('Unexpected end of input, expected "]"')}
+if(!isFirst){this.expect(',')
+this.skipWhitespace()}
+while(this.text.charAt(this.pos)===','){if(this.strict){this.error('Unexpected ","')}
+result.push(null)
+this.pos++
+this.skipWhitespace()}
+if(this.text.charAt(this.pos)===']'){continue}
+result.push(this.parseValue())
+isFirst=false}}
+Parser.prototype.parseKey=function(){var char=this.text.charAt(this.pos)
+if(char==='"'||char==="'"||char==='`'){return this.parseString()}
+var key=this.readWhile(/[^\s:,{}\[\]"'`]/)
+if(!key.length){this.error('Expected a key but found '+this.describe(this.pos))}
+return key}
+Parser.prototype.parseString=function(){var quote=this.text.charAt(this.pos),start=this.pos,result=''
+this.pos++
+while(this.pos<this.text.length){var char=this.text.charAt(this.pos)
+if(char===quote){this.pos++
+return result}
+if(char==='\\'){result+=this.parseEscape()
+continue}
+if(quote==='`'&&char==='$'&&this.text.charAt(this.pos+1)==='{'){result+=this.readPlaceholder()
+continue}
+if(char==='\n'&&quote!=='`'&&this.strict){this.error('Unterminated string')}
+result+=char
+this.pos++}
+this.error('Unterminated string',start)}
+Parser.prototype.parseEscape=function(){var char=this.text.charAt(this.pos+1),escapes={b:'\b',f:'\f',n:'\n',r:'\r',t:'\t',v:'\v','0':'\0'}
+this.pos+=2
+if(escapes.hasOwnProperty(char)){return escapes[char]}
+if(char==='u'){var matches=this.text.substring(this.pos).match(/^(?:([0-9a-fA-F]{4})|\{([0-9a-fA-F]{1,6})\})/)
+if(!matches||parseInt(matches[2]||matches[1],16)>0x10FFFF){this.error('Invalid unicode escape sequence',this.pos-2)}
+this.pos+=matches[0].length
+return matches[1]?String.fromCharCode(parseInt(matches[1],16)):String.fromCodePoint(parseInt(matches[2],16))}
+if(char==='\n'){return''}
+if(this.strict&&'"\'`\\/$'.indexOf(char)===-1){this.error('Invalid escape sequence "\\'+char+'"',this.pos-2)}
+return char}
+Parser.prototype.readPlaceholder=function(){var start=this.pos,depth=0
+while(this.pos<this.text.length){var char=this.text.charAt(this.pos)
+if(char==='{'){depth++}
+else if(char==='}'&&--depth===0){this.pos++
+return this.text.substring(start,this.pos)}
+else if(char==='"'||char==="'"||char==='`'){this.parseString()
+continue}
+this.pos++}
+this.error('Unterminated template literal placeholder',start)}
+Parser.prototype.parseNumber=function(){var start=this.pos,number=this.readWhile(/[-+.\deE]/),isValid=/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(number)
+if(this.strict){if(!isValid||/[\w$]/.test(this.text.charAt(this.pos))){this.error('Invalid number "'+number+this.readWhile(/[\w$.]/)+'"',start)}}
+else{this.readWhile(/[\w$.]/)}
+var value=parseFloat(number)
+if(isNaN(value)){this.error('Invalid number "'+number+'"',start)}
+return value}
+Parser.prototype.skipSeparators=function(allowCommas){this.skipWhitespace()
+while(allowCommas&&this.text.charAt(this.pos)===','){if(this.strict){this.error('Unexpected ","')}
+this.pos++
+this.skipWhitespace()}}
+Parser.prototype.skipWhitespace=function(){this.readWhile(/\s/)}
+Parser.prototype.readWhile=function(pattern){var start=this.pos
+while(this.pos<this.text.length&&pattern.test(this.text.charAt(this.pos))){this.pos++}
+return this.text.substring(start,this.pos)}
+Parser.prototype.expect=function(char){if(this.text.charAt(this.pos)!==char){this.error('Expected "'+char+'" but found '+this.describe(this.pos))}
+this.pos++}
+Parser.prototype.describe=function(pos){return pos<this.text.length?'"'+this.text.charAt(pos)+'"':'the end of input'}
+Parser.prototype.error=function(message,pos){var lines=this.text.substring(0,pos!==undefined?pos:this.pos).split('\n'),line=lines.length,column=lines[lines.length-1].length+1,source=describeSource(this.options),error=new SyntaxError(message+' at line '+line+', column '+column+(source?' of '+source:''))
+error.line=line
+error.column=column
+error.source=source
+throw error}
+function describeSource(options){var element=options.element,description=options.source||''
+if(element&&element.nodeType===1){description+=(description?' on ':'')+'<'+element.nodeName.toLowerCase()
++(element.id?' id="'+element.id+'"':'')
++(element.name?' name="'+element.name+'"':'')
++'>'}
+return description}
+function stringify(value,options){options=options||{}
+var result=serialize(value)
+if(options.members&&result.charAt(0)==='{'){result=result.substring(1,result.length-1)}
+return result}
+function serialize(value){if(value&&typeof value.toJSON==='function'){value=value.toJSON()}
+if(value===null||typeof value==='number'&&!isFinite(value)){return'null'}
+if(typeof value==='boolean'||typeof value==='number'){return String(value)}
+if(typeof value==='string'){return quote(value)}
+if(Array.isArray(value)){return'['+value.map(function(item){var result=serialize(item)
+return result===undefined?'null':result}).join(', ')+']'}
+if(typeof value==='object'){var members=[]
+Object.keys(value).forEach(function(key){var result=serialize(value[key])
+if(result!==undefined){members.push((/^[A-Za-z_$][\w$-]*$/.test(key)?key:quote(key))+': '+result)}})
+return'{'+members.join(', ')+'}'}}
+function quote(string){return"'"+string.replace(/[\\'"&<>\u0000-\u001f\u2028\u2029]/g,function(char){var escapes={'\\':'\\\\',"'":"\\'",'\n':'\\n','\r':'\\r','\t':'\\t'}
+return escapes[char]||'\\u'+('0000'+char.charCodeAt(0).toString(16)).slice(-4)})+"'"}
+window.ocJSON=function(json,options){return new Parser(json,options).parse()}
+window.ocJSON.strict=false
+window.ocJSON.stringify=stringify}(window);+function(window,document){"use strict";var DEFAULT_TAGS=['a','abbr','b','blockquote','br','caption','cite','code','col','colgroup','dd','del','details','div','dl','dt','em','figcaption','figure','h1','h2','h3','h4','h5','h6','hr','i','img','ins','kbd','li','mark','ol','p','pre','q','s','small','span','strong','sub','summary','sup','table','tbody','td','tfoot','th','thead','time','tr','u','ul'],TAG_ATTRIBUTES={a:['href','target','rel','name'],img:['src','alt','width','height'],td:['colspan','rowspan'],th:['colspan','rowspan','scope'],col:['span'],colgroup:['span'],ol:['start','type','reversed'],li:['value'],q:['cite'],blockquote:['cite'],del:['cite','datetime'],ins:['cite','datetime'],time:['datetime'],details:['open']},FORM_TAGS=['button','fieldset','form','input','label','legend','optgroup','option','select','textarea'],FORM_ATTRIBUTES={form:['action','method','name'],input:['type','name','value','checked','disabled','readonly','required','placeholder','min','max','step','maxlength','autocomplete'],button:['type','name','value','disabled','formaction'],label:['for'],select:['name','multiple','disabled','required'],option:['value','selected','disabled','label'],optgroup:['label','disabled'],textarea:['name','rows','cols','disabled','readonly','required','placeholder','maxlength'],fieldset:['name','disabled']}
+var REMOVE_CONTENT_TAGS=['script','style','template','iframe','frame','frameset','object','embed','applet','noscript','noembed','noframes','textarea','title','select','option','xmp','plaintext','math','svg','head']
+var URL_ATTRIBUTES=['href','src','cite','action','formaction','poster','background','xlink:href','longdesc','usemap']
+var DENIED_ATTRIBUTES=['on*','data-request*','data-control','data-track-input','data-handler']
+var DEFAULT_STYLES=['color','background-color','font-weight','font-style','text-decoration','text-align','vertical-align','width','height','margin','margin-top','margin-right','margin-bottom','margin-left','padding','padding-top','padding-right','padding-bottom','padding-left','border','white-space']
+var presets={default:{tags:DEFAULT_TAGS.concat(FORM_TAGS),attributes:extendAttributes(extendAttributes(TAG_ATTRIBUTES,FORM_ATTRIBUTES),{'*':['class','id','title','lang','dir','role','aria-*','data-*','style']}),schemes:['http','https','mailto','tel'],styles:DEFAULT_STYLES},strict:{tags:DEFAULT_TAGS,attributes:extendAttributes(TAG_ATTRIBUTES,{'*':['class','title','lang','dir','role','aria-*','style']}),schemes:['http','https','mailto','tel'],styles:DEFAULT_STYLES},flash:{tags:['a','b','br','code','em','i','small','span','strong','u'],attributes:{'*':['class'],a:['href','target','rel']},schemes:['http','https','mailto'],styles:[]},ugc:{tags:DEFAULT_TAGS,attributes:extendAttributes(TAG_ATTRIBUTES,{'*':['title','lang','dir']}),schemes:['http','https','mailto'],styles:[]}}
+var RAW_HTML={},policy=null
+if(window.trustedTypes&&window.trustedTypes.createPolicy){try{policy=window.trustedTypes.createPolicy('winter-sanitizer',{createHTML:function(html,config){return config===RAW_HTML?html:sanitize(html,config)}})}
+catch(e){}}
+function sanitize(html,config){config=resolveConfig(config)
+var template=document.createElement('template')
+template.innerHTML=policy?policy.createHTML(String(html),RAW_HTML):String(html)
+sanitizeChildren(template.content,config)
+return template.innerHTML}
+function resolveConfig(config){if(!config){return presets.default}
+if(typeof config==='string'){if(!presets[config]){throw new Error('Unknown sanitizer preset "'+config+'"')}
+return presets[config]}
+var base=config.preset?resolveConfig(config.preset):presets.default,result={}
+for(var key in base){result[key]=config[key]!==undefined?config[key]:base[key]}
+return result}
+function sanitizeChildren(parent,config){var node=parent.firstChild
+while(node){var next=node.nextSibling
+if(node.nodeType===1){sanitizeElement(node,config)}
+else if(node.nodeType!==3){parent.removeChild(node)}
+node=next}}
+function sanitizeElement(element,config){var tagName=element.localName.toLowerCase()
+if(config.tags.indexOf(tagName)===-1){if(REMOVE_CONTENT_TAGS.indexOf(tagName)!==-1||element.namespaceURI!=='http://www.w3.org/1999/xhtml'){element.parentNode.removeChild(element)
+return}
+var content=element.ownerDocument.createDocumentFragment()
+while(element.firstChild){content.appendChild(element.firstChild)}
+sanitizeChildren(content,config)
+element.parentNode.replaceChild(content,element)
+return}
+Array.prototype.slice.call(element.attributes).forEach(function(attribute){var name=attribute.name.toLowerCase()
+if(!isAllowedAttribute(tagName,name,config)){element.removeAttribute(attribute.name)}
+else if(URL_ATTRIBUTES.indexOf(name)!==-1&&!isAllowedUrl(attribute.value,config.schemes)){element.removeAttribute(attribute.name)}
+else if(name==='style'){sanitizeStyle(element,config.styles||[])}})
+if(element.hasAttribute('target')){element.setAttribute('rel','noopener noreferrer')}
+sanitizeChildren(element,config)}
+function isAllowedAttribute(tagName,name,config){var allowed=(config.attributes['*']||[]).concat(config.attributes[tagName]||[])
+if(matchesAttribute(name,DENIED_ATTRIBUTES)){return false}
+return matchesAttribute(name,allowed)}
+function matchesAttribute(name,patterns){return patterns.some(function(pattern){return pattern.charAt(pattern.length-1)==='*'?name.indexOf(pattern.substring(0,pattern.length-1))===0:name===pattern})}
+function isAllowedUrl(value,schemes){var url=value.replace(/[\u0000- \u007f-\u009f]/g,'').toLowerCase(),matches=url.match(/^([a-z][a-z0-9+.\-]*):/)
+return!matches||schemes.indexOf(matches[1])!==-1}
+function sanitizeStyle(element,styles){var style=element.style,declarations=[]
+for(var i=0;i<style.length;i++){var property=style[i],value=style.getPropertyValue(property)
+if(isAllowedStyle(property,styles)&&!/url\s*\(|expression\s*\(|javascript:|@import/i.test(value)){declarations.push(property+': '+value)}}
+declarations.length?element.setAttribute('style',declarations.join('; ')):element.removeAttribute('style')}
+function isAllowedStyle(property,styles){return styles.some(function(allowed){return property===allowed||property.indexOf(allowed+'-')===0})}
+function extendAttributes(attributes,extra){var result={}
+for(var tagName in attributes){result[tagName]=attributes[tagName]}
+for(var key in extra){result[key]=(result[key]||[]).concat(extra[key])}
+return result}
+window.ocSanitize=function(html,config){return sanitize(html,config)}
+window.ocSanitize.presets=presets
+window.ocSanitize.trusted=function(html,config){return policy?policy.createHTML(html,config):sanitize(html,config)}}(window,document);
\ No newline at end of file
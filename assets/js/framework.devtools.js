@@ -0,0 +1,572 @@
+/* ========================================================================
+ * Winter CMS: front-end JavaScript devtools
+ * http://wintercms.com
+ * ========================================================================
+ * Copyright 2016-2020 Alexey Bobkov, Samuel Georges
+ * ======================================================================== */
+
+/*
+ * Request devtools
+ *
+ * An in-page inspector that records the AJAX requests made by the framework. The script
+ * and its stylesheet are not part of the framework bundles, include the framework.devtools
+ * assets on the pages being developed only. It is enabled by visiting a page with the
+ * "wn-devtools" query parameter, which is then remembered in localStorage. Use
+ * "?wn-devtools=0" or the panel to disable it again.
+ *
+ * The values of password fields, of fields marked with data-devtools-mask and of the
+ * fields named in $.wn.Devtools.MASKED_FIELDS are masked in the recorded payload.
+ *
+ * It can also be toggled from the console, the recorded requests are available as well:
+ *
+ *   $.wn.enableDevtools().entries
+ */
++function ($) { "use strict";
+    if ($.wn === undefined)
+        $.wn = {}
+    if ($.oc === undefined)
+        $.oc = $.wn
+
+    var STORAGE_KEY = 'wn.devtools',
+        QUERY_PARAM = 'wn-devtools'
+
+    // DEVTOOLS CLASS DEFINITION
+    // ============================
+
+    var Devtools = function() {
+        this.entries = []
+        this.records = new WeakMap
+        this.originals = {}
+        this.selected = null
+        this.filter = ''
+        this.$el = null
+        this.renderTimer = null
+
+        this.instrument()
+        $($.proxy(this.render, this))
+    }
+
+    Devtools.MAX_ENTRIES = 100
+
+    Devtools.MASKED_FIELDS = ['password', 'password_confirmation']
+
+    Devtools.MASK = '********'
+
+    /*
+     * Wraps the request client to observe the lifecycle of every request, the emit
+     * function tells which events were prevented by their listeners.
+     */
+    Devtools.prototype.instrument = function() {
+        var self = this,
+            proto = window.wnRequest.Request.prototype
+
+        $.each(['emit', 'resolve', 'reject'], function(index, method) {
+            self.originals[method] = proto[method]
+        })
+
+        proto.emit = function(target, name, detail) {
+            var isAllowed = self.originals.emit.apply(this, arguments)
+            self.record(this, name, detail || {}, isAllowed)
+            return isAllowed
+        }
+
+        proto.resolve = function() {
+            self.receive(this)
+            return self.originals.resolve.apply(this, arguments)
+        }
+
+        proto.reject = function() {
+            self.receive(this)
+            return self.originals.reject.apply(this, arguments)
+        }
+    }
+
+    Devtools.prototype.dispose = function() {
+        $.extend(window.wnRequest.Request.prototype, this.originals)
+
+        this.$el && this.$el.remove()
+        this.$el = null
+        this.entries = []
+    }
+
+    Devtools.prototype.getEntry = function(request) {
+        var entry = this.records.get(request)
+
+        if (entry) {
+            return entry
+        }
+
+        entry = {
+            request: request,
+            handler: request.handler,
+            element: request.element,
+            description: describeElement(request.element),
+            url: request.options.url || window.location.href,
+            method: request.options.method,
+            partials: Object.keys(request.options.update || {}),
+            headers: {},
+            body: null,
+            payload: [],
+            hasFiles: false,
+            status: null,
+            textStatus: null,
+            fromCache: false,
+            returnedPartials: [],
+            redirect: null,
+            fields: null,
+            assets: null,
+            prevented: [],
+            events: [],
+            created: now(),
+            sent: null,
+            received: null,
+            completed: null
+        }
+
+        this.records.set(request, entry)
+        this.entries.unshift(entry)
+        this.entries.splice(Devtools.MAX_ENTRIES)
+
+        return entry
+    }
+
+    Devtools.prototype.record = function(request, name, detail, isAllowed) {
+        var entry = this.getEntry(request)
+
+        entry.events.push({ name: name, time: now() - entry.created, prevented: !isAllowed })
+
+        if (!isAllowed) {
+            entry.prevented.push(name)
+        }
+
+        if (name == 'beforeSend') {
+            entry.sent = now()
+            entry.headers = request.getHeaders()
+            this.readPayload(entry, request.getBody(), getMaskedNames(request))
+        }
+        else if (name == 'validation') {
+            entry.fields = detail.fields
+        }
+        else if (name == 'always') {
+            entry.completed = now()
+            entry.textStatus = detail.textStatus
+            this.readResponse(entry, request)
+        }
+
+        this.scheduleRender()
+    }
+
+    Devtools.prototype.receive = function(request) {
+        var entry = this.getEntry(request)
+
+        if (entry.sent && !entry.received) {
+            entry.received = now()
+        }
+    }
+
+    /*
+     * Masked values are replaced in the payload and in the body used for the cURL command
+     */
+    Devtools.prototype.readPayload = function(entry, body, maskedNames) {
+        entry.payload = []
+
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            entry.hasFiles = true
+            body.forEach(function(value, name) {
+                entry.payload.push(typeof value === 'string'
+                    ? { name: name, value: isMasked(name, maskedNames) ? Devtools.MASK : value }
+                    : { name: name, file: value.name })
+            })
+            return
+        }
+
+        var params = new URLSearchParams(body || ''),
+            hasMasked = false
+
+        params.forEach(function(value, name) {
+            if (isMasked(name, maskedNames)) {
+                value = Devtools.MASK
+                hasMasked = true
+            }
+
+            entry.payload.push({ name: name, value: value })
+        })
+
+        if (hasMasked) {
+            params = new URLSearchParams
+            $.each(entry.payload, function(index, param) {
+                params.append(param.name, param.value)
+            })
+        }
+
+        entry.body = hasMasked ? params.toString() : body || ''
+    }
+
+    Devtools.prototype.readResponse = function(entry, request) {
+        var data = $.isPlainObject(request.responseJSON) ? request.responseJSON : {}
+
+        entry.status = request.status
+        entry.fromCache = request.fromCache
+        entry.returnedPartials = $.grep(Object.keys(data), function(key) { return key.indexOf('X_WINTER_') !== 0 })
+        entry.redirect = data['X_WINTER_REDIRECT'] || request.redirectUrl || null
+        entry.fields = data['X_WINTER_ERROR_FIELDS'] || entry.fields
+        entry.assets = data['X_WINTER_ASSETS'] || null
+    }
+
+    /*
+     * Sends the request again, requests made with data-request are triggered from their
+     * element without the confirmation and the undo period.
+     */
+    Devtools.prototype.replay = function(entry) {
+        var request = entry.request
+
+        if (request.options.emit && document.documentElement.contains(entry.element)) {
+            return $(entry.element).request(entry.handler, { confirm: null, undo: false })
+        }
+
+        return new window.wnRequest.Request(entry.handler, $.extend({}, request.options, { signal: null }))
+            .send()
+            .catch(function() {})
+    }
+
+    Devtools.prototype.getTiming = function(entry) {
+        var timing = {}
+
+        if (entry.sent) timing.wait = entry.sent - entry.created
+        if (entry.sent && entry.received) timing.network = entry.received - entry.sent
+        if (entry.received && entry.completed) timing.update = entry.completed - entry.received
+        if (entry.completed) timing.total = entry.completed - entry.created
+
+        return timing
+    }
+
+    Devtools.prototype.getFilteredEntries = function() {
+        var filter = this.filter.toLowerCase()
+
+        if (!filter) {
+            return this.entries
+        }
+
+        return $.grep(this.entries, function(entry) {
+            return [entry.handler, entry.description, entry.status, entry.textStatus].join(' ').toLowerCase().indexOf(filter) !== -1
+        })
+    }
+
+    // DEVTOOLS PANEL
+    // ============================
+
+    Devtools.prototype.render = function() {
+        var self = this
+
+        this.$el = $(
+            '<div class="wn-devtools" role="region" aria-label="AJAX requests">' +
+                '<button type="button" class="wn-devtools-toggle" aria-expanded="false">AJAX <span class="wn-devtools-count">0</span></button>' +
+                '<div class="wn-devtools-panel" hidden>' +
+                    '<div class="wn-devtools-toolbar">' +
+                        '<input type="search" class="wn-devtools-filter" placeholder="Filter by handler, element or status" aria-label="Filter">' +
+                        '<button type="button" data-devtools-clear>Clear</button>' +
+                        '<button type="button" data-devtools-disable>Disable</button>' +
+                    '</div>' +
+                    '<ul class="wn-devtools-list"></ul>' +
+                    '<div class="wn-devtools-detail"></div>' +
+                '</div>' +
+            '</div>'
+        ).appendTo(document.body)
+
+        this.$el
+            .on('click', '.wn-devtools-toggle', function() {
+                var $panel = self.$el.find('.wn-devtools-panel'),
+                    isOpening = $panel.prop('hidden')
+
+                $panel.prop('hidden', !isOpening)
+                $(this).attr('aria-expanded', String(isOpening))
+                self.renderEntries()
+            })
+            .on('input', '.wn-devtools-filter', function() {
+                self.filter = $(this).val()
+                self.renderEntries()
+            })
+            .on('click', '[data-devtools-clear]', function() {
+                self.entries = []
+                self.selected = null
+                self.renderEntries()
+            })
+            .on('click', '[data-devtools-disable]', function() {
+                disable()
+            })
+            .on('click', '.wn-devtools-list li', function() {
+                self.selected = self.entries[$(this).data('index')]
+                self.renderEntries()
+            })
+            .on('click', '[data-devtools-curl]', function() {
+                copyText(toCurl(self.selected))
+            })
+            .on('click', '[data-devtools-replay]', function() {
+                self.replay(self.selected)
+            })
+
+        this.renderEntries()
+    }
+
+    Devtools.prototype.scheduleRender = function() {
+        var self = this
+
+        if (!this.$el || this.renderTimer) {
+            return
+        }
+
+        this.renderTimer = window.setTimeout(function() {
+            self.renderTimer = null
+            self.renderEntries()
+        }, 100)
+    }
+
+    Devtools.prototype.renderEntries = function() {
+        var self = this
+
+        if (!this.$el) {
+            return
+        }
+
+        this.$el.find('.wn-devtools-count').text(this.entries.length)
+
+        if (this.$el.find('.wn-devtools-panel').prop('hidden')) {
+            return
+        }
+
+        var $list = this.$el.find('.wn-devtools-list').empty()
+
+        $.each(this.getFilteredEntries(), function(index, entry) {
+            var timing = self.getTiming(entry)
+
+            $('<li />')
+                .data('index', $.inArray(entry, self.entries))
+                .addClass('is-' + getState(entry))
+                .toggleClass('is-selected', entry === self.selected)
+                .append($('<span class="wn-devtools-status" />').text(entry.status || entry.textStatus || '...'))
+                .append($('<span class="wn-devtools-handler" />').text(entry.handler))
+                .append($('<span class="wn-devtools-element" />').text(entry.description))
+                .append($('<span class="wn-devtools-time" />').text(timing.total !== undefined ? formatTime(timing.total) : ''))
+                .appendTo($list)
+        })
+
+        this.renderDetail()
+    }
+
+    Devtools.prototype.renderDetail = function() {
+        var entry = this.selected,
+            $detail = this.$el.find('.wn-devtools-detail').empty()
+
+        if (!entry) {
+            return
+        }
+
+        var payload = {},
+            timing = this.getTiming(entry)
+
+        $.each(entry.payload, function(index, param) {
+            payload[param.name] = param.file !== undefined ? '(file) ' + param.file : param.value
+        })
+
+        $('<div class="wn-devtools-actions" />')
+            .append('<button type="button" data-devtools-curl>Copy as cURL</button>')
+            .append('<button type="button" data-devtools-replay>Replay</button>')
+            .appendTo($detail)
+
+        var $list = $('<dl />').appendTo($detail)
+
+        $.each([
+            ['Handler', entry.handler],
+            ['URL', entry.method + ' ' + entry.url],
+            ['Element', entry.description],
+            ['Status', entry.status ? entry.status + ' (' + entry.textStatus + ')' + (entry.fromCache ? ' from cache' : '') : entry.textStatus],
+            ['Partials requested', entry.partials.join(', ')],
+            ['Payload', payload],
+            ['Timing', $.map(timing, function(value, name) { return name + ': ' + formatTime(value) }).join(', ')],
+            ['Partials returned', entry.returnedPartials.join(', ')],
+            ['Redirect', entry.redirect],
+            ['Validation', entry.fields],
+            ['Assets', entry.assets],
+            ['Prevented events', entry.prevented.join(', ')],
+            ['Events', $.map(entry.events, function(event) {
+                return formatTime(event.time) + ' ' + event.name + (event.prevented ? ' (prevented)' : '')
+            }).join('\n')]
+        ], function(index, row) {
+            var value = row[1]
+
+            if (value === null || value === undefined || value === '' || ($.isPlainObject(value) && $.isEmptyObject(value))) {
+                return
+            }
+
+            $('<dt />').text(row[0]).appendTo($list)
+            $('<dd />').append($('<pre />').text(typeof value === 'string' ? value : JSON.stringify(value, null, 2))).appendTo($list)
+        })
+    }
+
+    // HELPERS
+    // ============================
+
+    function getState(entry) {
+        if (!entry.completed) return 'pending'
+        if (entry.textStatus == 'success') return 'success'
+        if (entry.textStatus == 'abort' || entry.textStatus == 'queued' || entry.textStatus == 'undo') return 'cancelled'
+        return 'error'
+    }
+
+    function describeElement(element) {
+        if (!element || !element.nodeName || element === document) {
+            return 'document'
+        }
+
+        var description = element.nodeName.toLowerCase()
+
+        if (element.id) {
+            description += '#' + element.id
+        }
+
+        if (element.classList && element.classList.length) {
+            description += '.' + Array.prototype.slice.call(element.classList, 0, 2).join('.')
+        }
+
+        return description
+    }
+
+    /*
+     * Builds a cURL command that sends the same request. The cookies are left out so the
+     * command can be shared without the session, a placeholder shows where to add them.
+     */
+    function toCurl(entry) {
+        var parts = ['curl ' + shellQuote(new URL(entry.url, window.location.href).href), '-X ' + entry.method]
+
+        $.each(entry.headers, function(name, value) {
+            parts.push('-H ' + shellQuote(name + ': ' + value))
+        })
+
+        if (!entry.hasFiles) {
+            parts.push('-H ' + shellQuote('Content-Type: application/x-www-form-urlencoded; charset=UTF-8'))
+        }
+
+        parts.push('-H ' + shellQuote('Cookie: <cookies>'))
+
+        if (entry.hasFiles) {
+            $.each(entry.payload, function(index, param) {
+                parts.push('-F ' + shellQuote(param.name + '=' + (param.file !== undefined ? '@' + param.file : param.value)))
+            })
+        }
+        else if (entry.body) {
+            parts.push('--data-raw ' + shellQuote(entry.body))
+        }
+
+        return parts.join(' \\\n  ')
+    }
+
+    function shellQuote(value) {
+        return "'" + String(value).replace(/'/g, "'\\''") + "'"
+    }
+
+    /*
+     * Password fields and fields marked with data-devtools-mask in the form or the
+     * triggering element, in addition to the configured names
+     */
+    function getMaskedNames(request) {
+        var names = Devtools.MASKED_FIELDS.slice(),
+            selector = 'input[type=password][name], [data-devtools-mask][name]'
+
+        $(request.form).add(request.element).find(selector).addBack(selector).each(function() {
+            names.push(this.name)
+        })
+
+        return names
+    }
+
+    /*
+     * Array fields such as User[password] are matched by their full name or their last key
+     */
+    function isMasked(name, names) {
+        var key = name.replace(/\[\]$/, '').replace(/^.*\[([^\]]*)\]$/, '$1')
+
+        return names.indexOf(name) !== -1 || names.indexOf(key) !== -1
+    }
+
+    function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text)
+        }
+
+        var $textarea = $('<textarea />').val(text).appendTo(document.body)
+        $textarea.get(0).select()
+        document.execCommand('copy')
+        $textarea.remove()
+    }
+
+    function formatTime(value) {
+        return Math.round(value) + ' ms'
+    }
+
+    function now() {
+        return window.performance && window.performance.now ? window.performance.now() : Date.now()
+    }
+
+    function readStorage() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY)
+        }
+        catch (e) {
+            return null
+        }
+    }
+
+    function writeStorage(value) {
+        try {
+            value === null
+                ? window.localStorage.removeItem(STORAGE_KEY)
+                : window.localStorage.setItem(STORAGE_KEY, value)
+        }
+        catch (e) {}
+    }
+
+    /*
+     * The query parameter takes precedence and is remembered for the next pages
+     */
+    function isEnabled() {
+        var value = new URLSearchParams(window.location.search).get(QUERY_PARAM)
+
+        if (value !== null) {
+            writeStorage(value === '0' ? null : '1')
+        }
+
+        return readStorage() === '1'
+    }
+
+    function enable() {
+        writeStorage('1')
+
+        if (!$.wn.devtools) {
+            $.wn.devtools = new Devtools
+        }
+
+        return $.wn.devtools
+    }
+
+    function disable() {
+        writeStorage(null)
+
+        if ($.wn.devtools) {
+            $.wn.devtools.dispose()
+            $.wn.devtools = null
+        }
+    }
+
+    // DEVTOOLS DATA-API
+    // ============================
+
+    $.wn.Devtools = Devtools
+    $.wn.devtools = null
+    $.wn.enableDevtools = enable
+    $.wn.disableDevtools = disable
+
+    if (window.wnRequest !== undefined && isEnabled()) {
+        enable()
+    }
+
+}(window.jQuery);
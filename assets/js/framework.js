@@ -5,19 +5,23 @@
  * Copyright 2016-2020 Alexey Bobkov, Samuel Georges
  * ======================================================================== */
 
-if (window.jQuery === undefined) {
-    throw new Error('The jQuery library is not loaded. The Winter CMS framework cannot be initialized.');
-}
-if (window.jQuery.request !== undefined) {
-    throw new Error('The Winter CMS framework is already loaded.');
-}
-
-+function ($) { "use strict";
+/*
+ * Winter CMS AJAX request client
+ *
+ * A jQuery-free implementation of the Winter AJAX protocol built on fetch() and native
+ * promises. Lifecycle events are dispatched as native CustomEvents that mirror the jQuery
+ * events, for example "ajax:beforeUpdate" is the counterpart of "ajaxBeforeUpdate".
+ *
+ * wnRequest('onSave', { form: formElement, update: { 'list/items': '#listItems' } })
+ *     .then(function(data) { ... })
+ */
++function(window, document) { "use strict";
 
-    var Request = function (element, handler, options) {
-        var $el = this.$el = $(element);
-        this.options = options || {};
+    if (window.wnRequest !== undefined) {
+        return
+    }
 
+    var Request = function(handler, options) {
         /*
          * Validate handler name
          */
@@ -29,957 +33,4971 @@ if (window.jQuery.request !== undefined) {
             throw new Error('Invalid handler name. The correct handler name format is: "onEvent".')
         }
 
+        this.handler = handler
+        this.options = extend({}, Request.DEFAULTS, options)
+        this.element = this.options.element || document
+        this.form = resolveForm(this.options.form, this.element)
+        this.triggerElement = this.form || this.element
+        this.context = this.options.context || { handler: handler, options: this.options }
+        this.redirectUrl = isEnabled(this.options.redirect) && this.options.redirect.length ? this.options.redirect : null
+        this.isRedirect = !!this.redirectUrl
+        this.useFlash = isEnabled(this.options.flash)
+        this.useFiles = isEnabled(this.options.files)
+        this.isAborted = false
+        this.isTimedOut = false
+        this.fromCache = false
+        this.snapshot = null
+        this.controller = typeof AbortController !== 'undefined' ? new AbortController : null
+
+        this.response = null
+        this.status = 0
+        this.statusText = ''
+        this.responseText = ''
+        this.responseJSON = undefined
+
+        if (this.useFiles && typeof FormData === 'undefined') {
+            console.warn('This browser does not support file uploads via FormData')
+            this.useFiles = false
+        }
+
+        if (this.options.body !== null) {
+            this.useFiles = typeof FormData !== 'undefined' && this.options.body instanceof FormData
+        }
+    }
+
+    Request.DEFAULTS = {
+        url: null,
+        method: 'POST',
+        element: null,
+        form: null,
+        data: {},
+        update: {},
+        headers: {},
+        redirect: null,
+        updateMode: null,
+        stream: false,
+        flash: false,
+        files: false,
+        filesMaxSize: null,
+        filesAccept: null,
+        filesChunkSize: null,
+        body: null,
+        keepalive: false,
+        cache: null,
+        cacheTags: null,
+        validate: true,
+        optimistic: null,
+        offline: false,
+        policy: 'parallel',
+        signal: null,
+        retry: 0,
+        idempotent: false,
+        retryStatuses: [0, 502, 503, 504],
+        retryDelay: 500,
+        retryMaxDelay: 10000,
+        timeout: 0,
+        transport: null,
+        context: null,
+        beforeUpdate: null,
+        success: null,
+        error: null,
+        complete: null,
+        renderPartial: null,
+        emit: null
+    }
+
+    /*
+     * Sends the request, the returned promise resolves with the response data once
+     * the partials have been updated, or rejects with an Error carrying the request.
+     *
+     * The policy option declares how overlapping requests from the same element behave:
+     * - parallel: requests run side by side (default)
+     * - abort-previous: pending requests are aborted before this one is sent
+     * - ignore-while-pending: this request is dropped while another one is pending
+     * - queue: this request is sent once the pending requests have completed
+     */
+    Request.prototype.send = function() {
+        var self = this,
+            policy = this.options.policy,
+            pending = getPendingRequests(this.element),
+            previous = pending[pending.length - 1]
+
+        if (previous && policy == 'ignore-while-pending') {
+            return Promise.reject(this.createError('ignored'))
+        }
+
+        if (previous && policy == 'abort-previous') {
+            pending.slice().forEach(function(request) {
+                self.inheritSnapshot(request)
+                request.abort()
+            })
+        }
+
+        this.bindSignal(this.options.signal)
+        pending.push(this)
+
+        var start = function() {
+                return self.start()
+            },
+            release = function() {
+                var index = pending.indexOf(self)
+                if (index !== -1) pending.splice(index, 1)
+            }
+
+        this.promise = (previous && policy == 'queue' ? previous.promise.then(start, start) : start()).then(
+            function(data) {
+                release()
+                return data
+            },
+            function(error) {
+                release()
+                throw error
+            }
+        )
+
+        return this.promise
+    }
+
+    /*
+     * Internal function, performs the request. A request that was aborted before
+     * it started, for example while queued, settles without dispatching events.
+     */
+    Request.prototype.start = function() {
+        if (this.isAborted) {
+            return Promise.reject(this.createError('abort'))
+        }
+
+        var self = this,
+            url = this.getUrl(),
+            init = this.getInit()
+
         /*
-         * Prepare the options
+         * Halt here if the fields do not pass the client-side validation rules
          */
-        var $form = options.form ? $(options.form) : $el.closest('form'),
-            $triggerEl = !!$form.length ? $form : $el,
-            context = { handler: handler, options: options }
+        if (isEnabled(this.options.validate) && !this.validate()) {
+            return this.reject('invalid')
+        }
 
         /*
-         * Validate the form client-side
+         * Halt here if the selected files do not pass the size and type checks
          */
-        if ((options.browserValidate !== undefined) && typeof document.createElement('input').reportValidity == 'function' && $form && $form[0] && !$form[0].checkValidity()) {
-            $form[0].reportValidity();
-            return false;
+        var fileErrors = this.validateFiles(init.body)
+        if (fileErrors) {
+            this.call('handleValidationMessage', [fileErrors[Object.keys(fileErrors)[0]][0], fileErrors])
+            return this.reject('invalid')
         }
 
+        this.emit(window, 'beforeSend')
+        this.emit(this.element, 'promise')
+
+        this.applyOptimistic()
+
         /*
-         * Execute the request
+         * Serve the response from the cache, waiting for a pending prefetch of it first
          */
-        $el.trigger('ajaxSetup', [context])
-        var _event = jQuery.Event('oc.beforeRequest')
-        $triggerEl.trigger(_event, context)
-        if (_event.isDefaultPrevented()) return
+        var cacheKey = this.getCacheKey(url, init)
 
-        var loading = options.loading !== undefined ? options.loading : null,
-            url = options.url !== undefined ? options.url : window.location.href,
-            isRedirect = options.redirect !== undefined && options.redirect.length,
-            useFlash = options.flash !== undefined,
-            useFiles = options.files !== undefined
+        if (cacheKey) {
+            return responseCache.wait(cacheKey).then(function() {
+                var entry = responseCache.get(cacheKey)
 
-        if (useFiles && typeof FormData === 'undefined') {
-            console.warn('This browser does not support file uploads via FormData')
-            useFiles = false
-        }
+                if (entry) {
+                    self.useCachedResponse(entry)
+                    return self.resolve()
+                }
 
-        if ($.type(loading) == 'string') {
-            loading = $(loading)
+                return self.dispatch(url, init, cacheKey)
+            })
         }
 
-        /*
-         * Request headers
-         */
-        var requestHeaders = {
-            'X-WINTER-REQUEST-HANDLER': handler,
-            'X-WINTER-REQUEST-PARTIALS': this.extractPartials(options.update)
-        }
+        return this.dispatch(url, init, null)
+    }
 
-        if (useFlash) {
-            requestHeaders['X-WINTER-REQUEST-FLASH'] = 1
-        }
+    /*
+     * Internal function, sends the request over the network, or stores it in
+     * the offline queue when the browser is offline.
+     */
+    Request.prototype.dispatch = function(url, init, cacheKey) {
+        var self = this
 
-        var csrfToken = getXSRFToken()
-        if (csrfToken) {
-            requestHeaders['X-XSRF-TOKEN'] = csrfToken
+        if (isEnabled(this.options.offline) && window.navigator.onLine === false) {
+            return this.enqueue(url, init)
         }
 
+        this.trackUploadProgress(init)
+
         /*
-         * Request data
+         * The request is aborted once the timeout in milliseconds has elapsed
          */
-        var requestData,
-            inputName,
-            data = {}
+        var timer = this.options.timeout > 0
+            ? setTimeout(function() {
+                self.isTimedOut = true
+                self.abort()
+            }, this.options.timeout)
+            : null
+
+        return this.uploadChunks(url, init).then(function() {
+            self.attempts = 0
+            return self.attempt(url, init)
+        }).then(
+            function() {
+                clearTimeout(timer)
+                self.cacheResponse(cacheKey)
+
+                return self.isSuccessful()
+                    ? self.resolve()
+                    : self.reject(self.textStatus || 'error', self.statusText)
+            },
+            function(error) {
+                clearTimeout(timer)
 
-        $.each($el.parents('[data-request-data]').toArray().reverse(), function extendRequest() {
-            $.extend(data, paramToObj('data-request-data', $(this).data('request-data')))
-        })
+                if (!self.isAborted && isEnabled(self.options.offline) && self.status === 0) {
+                    return self.enqueue(url, init)
+                }
 
-        if ($el.is(':input') && !$form.length) {
-            inputName = $el.attr('name')
-            if (inputName !== undefined && options.data[inputName] === undefined) {
-                options.data[inputName] = $el.val()
+                return self.reject(self.isTimedOut ? 'timeout' : (self.isAborted ? 'abort' : 'error'), error)
             }
-        }
+        )
+    }
 
-        if (options.data !== undefined && !$.isEmptyObject(options.data)) {
-            $.extend(data, options.data)
+    /*
+     * Warms the response cache without updating the page or dispatching events, a request
+     * sent while the prefetch is pending uses its response. Only requests with the cache
+     * option are prefetched.
+     */
+    Request.prototype.prefetch = function() {
+        var self = this,
+            url = this.getUrl(),
+            init = this.getInit(),
+            cacheKey = this.getCacheKey(url, init)
+
+        if (!cacheKey || responseCache.get(cacheKey) || responseCache.isPending(cacheKey)) {
+            return Promise.resolve()
         }
 
-        if (useFiles) {
-            requestData = new FormData($form.length ? $form.get(0) : undefined)
+        return responseCache.track(cacheKey, this.transport(url, init).then(function() {
+            self.cacheResponse(cacheKey)
+        }, function() {}))
+    }
 
-            if ($el.is(':file') && inputName) {
-                $.each($el.prop('files'), function() {
-                    requestData.append(inputName, this)
-                })
+    /*
+     * Internal function, returns the cache key of the request, or null when the response
+     * should not be cached. Only requests with the cache option and without files are cached.
+     */
+    Request.prototype.getCacheKey = function(url, init) {
+        if (!(parseFloat(this.options.cache) > 0) || typeof init.body !== 'string') {
+            return null
+        }
 
-                delete data[inputName]
-            }
+        return [init.method, url, this.handler, init.headers['X-WINTER-REQUEST-PARTIALS'], init.body].join('|')
+    }
 
-            $.each(data, function(key) {
-                if (typeof Blob !== "undefined" && this instanceof Blob && this.filename) {
-                    requestData.append(key, this, this.filename)
-                } else {
-                    requestData.append(key, this)
-                }
-            })
+    /*
+     * Internal function, removes the cache entries invalidated by the response and caches
+     * the response when it is successful. Redirects and validation errors are not cached.
+     */
+    Request.prototype.cacheResponse = function(cacheKey) {
+        var data = this.responseJSON
+
+        if (!isObject(data)) {
+            return
         }
-        else {
-            requestData = [$form.serialize(), $.param(data)].filter(Boolean).join('&')
+
+        if (data['X_WINTER_CACHE_INVALIDATE']) {
+            responseCache.invalidate(data['X_WINTER_CACHE_INVALIDATE'])
         }
 
-        /*
-         * Request options
-         */
-        var requestOptions = {
-            url: url,
-            crossDomain: false,
-            global: options.ajaxGlobal,
-            context: context,
-            headers: requestHeaders,
-            success: function(data, textStatus, jqXHR) {
-                /*
-                 * Halt here if beforeUpdate() or data-request-before-update returns false
-                 */
-                if (this.options.beforeUpdate.apply(this, [data, textStatus, jqXHR]) === false) return
-                if (options.evalBeforeUpdate && eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalBeforeUpdate+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))') === false) return
+        if (!cacheKey || !this.isSuccessful() || data['X_WINTER_REDIRECT'] || data['X_WINTER_ERROR_FIELDS']) {
+            return
+        }
 
-                /*
-                 * Trigger 'ajaxBeforeUpdate' on the form, halt if event.preventDefault() is called
-                 */
-                var _event = jQuery.Event('ajaxBeforeUpdate')
-                $triggerEl.trigger(_event, [context, data, textStatus, jqXHR])
-                if (_event.isDefaultPrevented()) return
+        responseCache.set(cacheKey, {
+            text: this.responseText,
+            contentType: this.getResponseHeader('Content-Type'),
+            tags: [this.handler].concat(splitTags(this.options.cacheTags), splitTags(data['X_WINTER_CACHE_TAGS'])),
+            expires: Date.now() + parseFloat(this.options.cache) * 1000
+        })
+    }
 
-                if (useFlash && data['X_WINTER_FLASH_MESSAGES']) {
-                    $.each(data['X_WINTER_FLASH_MESSAGES'], function(type, message) {
-                        requestOptions.handleFlashMessage(message, type)
-                    })
+    /*
+     * Internal function, restores the response from a cache entry
+     */
+    Request.prototype.useCachedResponse = function(entry) {
+        this.fromCache = true
+        this.status = 200
+        this.statusText = 'OK'
+        this.response = {
+            headers: {
+                get: function(name) {
+                    return name.toLowerCase() == 'content-type' ? entry.contentType : null
                 }
+            }
+        }
 
-                /*
-                 * Proceed with the update process
-                 */
-                var updatePromise = requestOptions.handleUpdateResponse(data, textStatus, jqXHR)
+        this.parseResponse(entry.text)
+    }
 
-                updatePromise.done(function() {
-                    $triggerEl.trigger('ajaxSuccess', [context, data, textStatus, jqXHR])
-                    options.evalSuccess && eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalSuccess+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))')
-                })
+    /*
+     * Internal function, stores the request in the offline queue to be replayed once
+     * the connection is restored. The request itself settles with a "queued" status.
+     */
+    Request.prototype.enqueue = function(url, init) {
+        var self = this
 
-                return updatePromise
+        return offlineQueue.push({
+            handler: this.handler,
+            url: url,
+            method: init.method,
+            headers: this.options.headers,
+            update: this.options.update,
+            flash: this.useFlash,
+            body: init.body
+        }).then(
+            function(entry) {
+                self.emit(self.element, 'queued', { entry: entry })
+                return self.reject('queued')
             },
-            error: function(jqXHR, textStatus, errorThrown) {
-                var errorMsg,
-                    updatePromise = $.Deferred()
+            function(error) {
+                return self.reject('error', error)
+            }
+        )
+    }
 
-                if ((window.ocUnloading !== undefined && window.ocUnloading) || errorThrown == 'abort')
-                    return
+    Request.prototype.abort = function() {
+        this.isAborted = true
 
-                /*
-                 * Disable redirects
-                 */
-                isRedirect = false
-                options.redirect = null
+        if (this.controller) {
+            this.controller.abort()
+        }
+    }
 
-                /*
-                 * Error 406 is a "smart error" that returns response object that is
-                 * processed in the same fashion as a successful response.
-                 */
-                if (jqXHR.status == 406 && jqXHR.responseJSON) {
-                    errorMsg = jqXHR.responseJSON['X_WINTER_ERROR_MESSAGE']
-                    updatePromise = requestOptions.handleUpdateResponse(jqXHR.responseJSON, textStatus, jqXHR)
-                }
-                /*
-                 * Standard error with standard response text
-                 */
-                else {
-                    errorMsg = jqXHR.responseText ? jqXHR.responseText : jqXHR.statusText
-                    updatePromise.resolve()
-                }
+    /*
+     * Internal function, aborts the request when the supplied AbortSignal is triggered.
+     */
+    Request.prototype.bindSignal = function(signal) {
+        var self = this
 
-                updatePromise.done(function() {
-                    $el.data('error-message', errorMsg)
+        if (!signal) {
+            return
+        }
 
-                    /*
-                     * Trigger 'ajaxError' on the form, halt if event.preventDefault() is called
-                     */
-                    var _event = jQuery.Event('ajaxError')
-                    $triggerEl.trigger(_event, [context, errorMsg, textStatus, jqXHR])
-                    if (_event.isDefaultPrevented()) return
+        if (signal.aborted) {
+            this.abort()
+        }
+        else {
+            signal.addEventListener('abort', function() {
+                self.abort()
+            })
+        }
+    }
 
-                    /*
-                     * Halt here if the data-request-error attribute returns false
-                     */
-                    if (options.evalError && eval('(function($el, context, errorMsg, textStatus, jqXHR) {'+options.evalError+'}.call($el.get(0), $el, context, errorMsg, textStatus, jqXHR))') === false)
-                        return
+    Request.prototype.getResponseHeader = function(name) {
+        return this.response ? this.response.headers.get(name) : null
+    }
 
-                    requestOptions.handleErrorMessage(errorMsg)
-                })
+    Request.prototype.getAllResponseHeaders = function() {
+        var lines = []
 
-                return updatePromise
-            },
-            complete: function(data, textStatus, jqXHR) {
-                $triggerEl.trigger('ajaxComplete', [context, data, textStatus, jqXHR])
-                options.evalComplete && eval('(function($el, context, data, textStatus, jqXHR) {'+options.evalComplete+'}.call($el.get(0), $el, context, data, textStatus, jqXHR))')
-            },
+        if (this.response && typeof this.response.headers.forEach == 'function') {
+            this.response.headers.forEach(function(value, name) {
+                lines.push(name + ': ' + value)
+            })
+        }
 
-            /*
-             * Custom function, requests confirmation from the user
-             */
-            handleConfirmMessage: function(message) {
-                var _event = jQuery.Event('ajaxConfirmMessage')
+        return lines.join('\r\n')
+    }
 
-                _event.promise = $.Deferred()
-                if ($(window).triggerHandler(_event, [message]) !== undefined) {
-                    _event.promise.done(function() {
-                        options.confirm = null
-                        new Request(element, handler, options)
-                    })
-                    return false
-                }
+    /*
+     * Internal function, sends the request with the transport option when it is set.
+     * A transport is called with the request, the URL and the fetch() init object, and
+     * returns a promise that settles once it has called the fetch() method of the request.
+     */
+    Request.prototype.transport = function(url, init) {
+        if (this.options.transport) {
+            return this.options.transport(this, url, init)
+        }
 
-                if (_event.isDefaultPrevented()) return
-                if (message) return confirm(message)
-            },
+        return this.fetch(url, init)
+    }
 
-            /*
-             * Custom function, display an error message to the user
-             */
-            handleErrorMessage: function(message) {
-                var _event = jQuery.Event('ajaxErrorMessage')
-                $(window).trigger(_event, [message])
-                if (_event.isDefaultPrevented()) return
-                if (message) alert(message)
-            },
+    /*
+     * Performs the HTTP request and reads the response body.
+     */
+    Request.prototype.fetch = function(url, init) {
+        var self = this
 
-            /*
-             * Custom function, focus fields with errors
-             */
-            handleValidationMessage: function(message, fields) {
-                $triggerEl.trigger('ajaxValidation', [context, message, fields])
+        /*
+         * Fetch does not report upload progress, file uploads are sent with XMLHttpRequest instead
+         */
+        if (init.onUploadProgress && typeof XMLHttpRequest !== 'undefined') {
+            return this.sendXhr(url, init).then(function(text) {
+                self.parseResponse(text)
+            })
+        }
 
-                var isFirstInvalidField = true
-                $.each(fields, function focusErrorField(fieldName, fieldMessages) {
-                    fieldName = fieldName.replace(/\.(\w+)/g, '[$1]')
+        return window.fetch(url, init).then(function(response) {
+            self.response = response
+            self.status = response.status
+            self.statusText = response.statusText
 
-                    var fieldElement = $form.find('[name="'+fieldName+'"], [name="'+fieldName+'[]"], [name$="['+fieldName+']"], [name$="['+fieldName+'][]"]').filter(':enabled').first()
-                    if (fieldElement.length > 0) {
+            if (self.isStreamed(response)) {
+                return self.readStream(response)
+            }
 
-                        var _event = jQuery.Event('ajaxInvalidField')
-                        $(window).trigger(_event, [fieldElement.get(0), fieldName, fieldMessages, isFirstInvalidField])
+            return response.text().then(function(text) {
+                self.parseResponse(text)
+            })
+        })
+    }
 
-                        if (isFirstInvalidField) {
-                            if (!_event.isDefaultPrevented()) fieldElement.focus()
-                            isFirstInvalidField = false
-                        }
-                    }
-                })
-            },
+    /*
+     * Internal function, sends the request with XMLHttpRequest and reports the upload progress.
+     * The response is exposed with the same interface as the one used by fetch.
+     */
+    Request.prototype.sendXhr = function(url, init) {
+        var self = this
 
-            /*
-             * Custom function, display a flash message to the user
-             */
-            handleFlashMessage: function(message, type) {},
+        return new Promise(function(resolve, reject) {
+            var xhr = new XMLHttpRequest()
 
-            /*
-             * Custom function, redirect the browser to another location
-             */
-            handleRedirectResponse: function(url) {
-                // Indicate that the AJAX request is finished if we're still on the current page
-                // so that the loading indicator for redirects that just change the hash value of
-                // the URL instead of leaving the page will properly stop.
-                // @see https://github.com/octobercms/october/issues/2780
-                $(window).one('popstate', function () {
-                    $el.trigger('ajaxRedirected')
-                })
+            xhr.open(init.method, url)
 
-                window.location.assign(url)
-            },
+            for (var name in init.headers) {
+                xhr.setRequestHeader(name, init.headers[name])
+            }
 
-            /*
-             * Custom function, handle any application specific response values
-             * Using a promisary object here in case injected assets need time to load
-             */
-            handleUpdateResponse: function(data, textStatus, jqXHR) {
+            xhr.upload.addEventListener('progress', function(event) {
+                if (event.lengthComputable) {
+                    init.onUploadProgress(event.loaded, event.total)
+                }
+            })
 
-                /*
-                 * Update partials and finish request
-                 */
-                var updatePromise = $.Deferred().done(function() {
-                    for (var partial in data) {
-                        /*
-                         * If a partial has been supplied on the client side that matches the server supplied key, look up
-                         * it's selector and use that. If not, we assume it is an explicit selector reference.
-                         */
-                        var selector = (options.update[partial]) ? options.update[partial] : partial
-                        if ($.type(selector) == 'string' && selector.charAt(0) == '@') {
-                            $(selector.substring(1)).append(data[partial]).trigger('ajaxUpdate', [context, data, textStatus, jqXHR])
-                        }
-                        else if ($.type(selector) == 'string' && selector.charAt(0) == '^') {
-                            $(selector.substring(1)).prepend(data[partial]).trigger('ajaxUpdate', [context, data, textStatus, jqXHR])
-                        }
-                        else {
-                            $(selector).trigger('ajaxBeforeReplace')
-                            $(selector).html(data[partial]).trigger('ajaxUpdate', [context, data, textStatus, jqXHR])
+            xhr.addEventListener('load', function() {
+                self.response = {
+                    headers: {
+                        get: function(name) {
+                            return xhr.getResponseHeader(name)
+                        },
+                        forEach: function(callback) {
+                            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(function(line) {
+                                var index = line.indexOf(':')
+                                if (index > 0) callback(line.substring(index + 1).trim(), line.substring(0, index).toLowerCase())
+                            })
                         }
                     }
-
-                    /*
-                     * Wait for .html() method to finish rendering from partial updates
-                     */
-                    setTimeout(function() {
-                        $(window)
-                            .trigger('ajaxUpdateComplete', [context, data, textStatus, jqXHR])
-                            .trigger('resize')
-                    }, 0)
-                })
-
-                /*
-                 * Handle redirect
-                 */
-                if (data['X_WINTER_REDIRECT']) {
-                    options.redirect = data['X_WINTER_REDIRECT']
-                    isRedirect = true
                 }
 
-                if (isRedirect) {
-                    requestOptions.handleRedirectResponse(options.redirect)
-                }
+                self.status = xhr.status
+                self.statusText = xhr.statusText
+                resolve(xhr.responseText)
+            })
 
-                /*
-                 * Handle validation
-                 */
-                if (data['X_WINTER_ERROR_FIELDS']) {
-                    requestOptions.handleValidationMessage(data['X_WINTER_ERROR_MESSAGE'], data['X_WINTER_ERROR_FIELDS'])
-                }
+            xhr.addEventListener('error', function() {
+                reject(new TypeError('Network request failed'))
+            })
 
-                /*
-                 * Handle asset injection
-                 */
-                 if (data['X_WINTER_ASSETS']) {
-                    assetManager.load(data['X_WINTER_ASSETS'], $.proxy(updatePromise.resolve, updatePromise))
-                 }
-                 else {
-                    updatePromise.resolve()
-                }
+            xhr.addEventListener('abort', function() {
+                var error = new Error('The request was aborted')
+                error.name = 'AbortError'
+                reject(error)
+            })
 
-                return updatePromise
+            if (init.signal) {
+                init.signal.addEventListener('abort', function() {
+                    xhr.abort()
+                })
             }
+
+            xhr.send(init.body)
+        })
+    }
+
+    /*
+     * Internal function, stores the response body and decodes it when the response is JSON.
+     */
+    Request.prototype.parseResponse = function(text) {
+        this.responseText = text
+
+        if ((this.getResponseHeader('Content-Type') || '').indexOf('json') === -1) {
+            return
         }
 
-        if (useFiles) {
-            requestOptions.processData = requestOptions.contentType = false
+        try {
+            this.responseJSON = JSON.parse(text)
         }
+        catch (e) {
+            this.textStatus = 'parsererror'
+            this.statusText = e.message
+        }
+    }
 
-        /*
-         * Allow default business logic to be called from user functions
-         */
-        context.success = requestOptions.success
-        context.error = requestOptions.error
-        context.complete = requestOptions.complete
-        requestOptions = $.extend(requestOptions, options)
-        requestOptions.data = requestData
+    /*
+     * Internal function, performs the transport and retries it with an exponential
+     * backoff when the response status is one of the retry statuses. A status of
+     * 0 refers to a network failure. The last attempt settles the request.
+     *
+     * Only the requests marked with the idempotent option are retried, a handler
+     * that is not safe to run twice could have run before the failure.
+     */
+    Request.prototype.attempt = function(url, init) {
+        var self = this
+
+        this.attempts = (this.attempts || 0) + 1
+        this.response = null
+        this.status = 0
+        this.statusText = ''
+        this.responseText = ''
+        this.responseJSON = undefined
+        this.textStatus = undefined
+
+        return this.transport(url, init).then(
+            function() {
+                if (!self.isSuccessful() && self.isRetryable()) {
+                    return self.retry(url, init)
+                }
+            },
+            function(error) {
+                if (!self.isAborted && self.isRetryable()) {
+                    return self.retry(url, init, error)
+                }
+
+                throw error
+            }
+        )
+    }
+
+    Request.prototype.isRetryable = function() {
+        var statuses = this.options.retryStatuses
+
+        if (typeof statuses == 'string') {
+            statuses = statuses.split(',').map(function(status) { return parseInt(status, 10) })
+        }
+        else if (!Array.isArray(statuses)) {
+            statuses = [statuses]
+        }
+
+        return isEnabled(this.options.idempotent)
+            && this.attempts <= parseInt(this.options.retry || 0, 10)
+            && this.textStatus !== 'parsererror'
+            && statuses.indexOf(this.status) !== -1
+    }
+
+    Request.prototype.retry = function(url, init, error) {
+        var self = this,
+            backoff = this.options.retryDelay * Math.pow(2, this.attempts - 1),
+            delay = Math.round(Math.min(backoff, this.options.retryMaxDelay) * (0.5 + Math.random() / 2))
 
         /*
-         * Initiate request
+         * Dispatch "ajax:retry" on the element, give up if event.preventDefault() is called
          */
-        if (options.confirm && !requestOptions.handleConfirmMessage(options.confirm)) {
+        if (!this.emit(this.element, 'retry', { attempt: this.attempts, delay: delay, status: this.status })) {
+            if (error) throw error
             return
         }
 
-        if (loading) loading.show()
-        $(window).trigger('ajaxBeforeSend', [context])
-        $el.trigger('ajaxPromise', [context])
+        return new Promise(function(resolve, reject) {
+            var signal = self.controller ? self.controller.signal : null,
+                timer = setTimeout(function() {
+                    if (signal) signal.removeEventListener('abort', onAbort)
+                    resolve()
+                }, delay)
 
-        return $.ajax(requestOptions)
-            .fail(function(jqXHR, textStatus, errorThrown) {
-                if (!isRedirect) {
-                    $el.trigger('ajaxFail', [context, textStatus, jqXHR])
-                }
-                if (loading) loading.hide()
+            function onAbort() {
+                clearTimeout(timer)
+                reject(new Error('The request was aborted.'))
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true })
+            }
+        }).then(function() {
+            return self.attempt(url, init)
+        })
+    }
+
+    /*
+     * Internal function, checks if the response is streamed as newline delimited JSON or server-sent events.
+     */
+    Request.prototype.isStreamed = function(response) {
+        var contentType = response.headers.get('Content-Type') || ''
+
+        return !!response.body
+            && typeof TextDecoder !== 'undefined'
+            && (contentType.indexOf('application/x-ndjson') !== -1 || contentType.indexOf('text/event-stream') !== -1)
+    }
+
+    /*
+     * Internal function, reads a streamed response chunk by chunk. Each chunk is a JSON object
+     * in the same format as a regular response. Chunks carrying X_WINTER_PROGRESS, or sent as
+     * an SSE "progress" event, are applied as they arrive, the last remaining chunk is used
+     * as the response of the handler and settles the request like a regular response.
+     */
+    Request.prototype.readStream = function(response) {
+        var self = this,
+            reader = response.body.getReader(),
+            decoder = new TextDecoder(),
+            isEventStream = (response.headers.get('Content-Type') || '').indexOf('text/event-stream') !== -1,
+            separator = isEventStream ? /\r?\n\r?\n/ : /\r?\n/,
+            buffer = '',
+            applied = Promise.resolve()
+
+        this.responseJSON = {}
+
+        function receive(text) {
+            var data, eventName = null
+
+            if (isEventStream) {
+                var lines = []
+
+                text.split(/\r?\n/).forEach(function(line) {
+                    if (line.indexOf('data:') === 0) {
+                        lines.push(line.substring(5).replace(/^ /, ''))
+                    }
+                    else if (line.indexOf('event:') === 0) {
+                        eventName = line.substring(6).trim()
+                    }
+                })
+
+                text = lines.join('\n')
+            }
+
+            if (!text.trim()) {
+                return
+            }
+
+            try {
+                data = JSON.parse(text)
+            }
+            catch (e) {
+                self.textStatus = 'parsererror'
+                self.statusText = e.message
+                return
+            }
+
+            if (isObject(data) && (data['X_WINTER_PROGRESS'] !== undefined || eventName == 'progress')) {
+                applied = applied.then(function() {
+                    return self.applyChunk(data)
+                })
+            }
+            else {
+                self.responseJSON = data
+            }
+        }
+
+        function read() {
+            return reader.read().then(function(result) {
+                buffer += decoder.decode(result.value || new Uint8Array(), { stream: !result.done })
+
+                var parts = buffer.split(separator)
+                buffer = result.done ? '' : parts.pop()
+                parts.forEach(receive)
+
+                self.responseText += parts.join('\n')
+
+                return result.done ? applied : applied.then(read)
             })
-            .done(function(data, textStatus, jqXHR) {
-                if (!isRedirect) {
-                    $el.trigger('ajaxDone', [context, data, textStatus, jqXHR])
+        }
+
+        return read().then(function() {
+            /*
+             * An error chunk settles the request in the same way as a 406 response
+             */
+            if (isObject(self.responseJSON) && (self.responseJSON['X_WINTER_ERROR_MESSAGE'] || self.responseJSON['X_WINTER_ERROR_FIELDS'])) {
+                self.status = 406
+            }
+        })
+    }
+
+    /*
+     * Internal function, applies a progress chunk of a streamed response. Dispatches "ajax:progress"
+     * on the trigger element, the chunk is not applied if event.preventDefault() is called.
+     */
+    Request.prototype.applyChunk = function(data) {
+        if (!this.emit(this.triggerElement, 'progress', { data: data, progress: data['X_WINTER_PROGRESS'] })) {
+            return
+        }
+
+        if (this.useFlash && data['X_WINTER_FLASH_MESSAGES']) {
+            for (var type in data['X_WINTER_FLASH_MESSAGES']) {
+                this.call('handleFlashMessage', [data['X_WINTER_FLASH_MESSAGES'][type], type])
+            }
+        }
+
+        return this.call('handleUpdateResponse', [data, 'progress'])
+    }
+
+    Request.prototype.getUrl = function() {
+        return this.options.url ? this.options.url : window.location.href
+    }
+
+    /*
+     * Internal function, returns the options of the HTTP request
+     */
+    Request.prototype.getInit = function() {
+        var init = {
+            method: this.options.method,
+            headers: this.getHeaders(),
+            body: this.getBody(),
+            credentials: 'same-origin'
+        }
+
+        if (this.controller) {
+            init.signal = this.controller.signal
+        }
+
+        if (this.options.keepalive) {
+            init.keepalive = true
+        }
+
+        if (!this.useFiles) {
+            init.headers['Content-Type'] = 'application/x-www-form-urlencoded; charset=UTF-8'
+        }
+
+        return init
+    }
+
+    Request.prototype.isSuccessful = function() {
+        return this.textStatus !== 'parsererror' && ((this.status >= 200 && this.status < 300) || this.status === 304)
+    }
+
+    Request.prototype.getHeaders = function() {
+        var headers = {
+            'X-Requested-With': 'XMLHttpRequest',
+            'X-WINTER-REQUEST-HANDLER': this.handler,
+            'X-WINTER-REQUEST-PARTIALS': this.extractPartials(this.options.update)
+        }
+
+        if (this.useFlash) {
+            headers['X-WINTER-REQUEST-FLASH'] = 1
+        }
+
+        if (isEnabled(this.options.stream)) {
+            headers['X-WINTER-REQUEST-STREAM'] = 1
+        }
+
+        var csrfToken = getXSRFToken()
+        if (csrfToken) {
+            headers['X-XSRF-TOKEN'] = csrfToken
+        }
+
+        return extend(headers, this.options.headers)
+    }
+
+    Request.prototype.getBody = function() {
+        if (this.options.body !== null) {
+            return this.options.body
+        }
+
+        var data = extend({}, this.options.data),
+            element = this.element,
+            inputName = isInput(element) ? element.name : null
+
+        if (inputName && !this.form && data[inputName] === undefined) {
+            data[inputName] = getInputValue(element)
+        }
+
+        if (!this.useFiles) {
+            return [serializeForm(this.form), serializeParams(data)].filter(Boolean).join('&')
+        }
+
+        var formData = new FormData(this.form || undefined)
+
+        if (inputName && element.type === 'file') {
+            Array.prototype.forEach.call(element.files, function(file) {
+                formData.append(inputName, file)
+            })
+
+            delete data[inputName]
+        }
+
+        eachParam(data, function(key, value) {
+            if (typeof Blob !== 'undefined' && value instanceof Blob && value.filename) {
+                formData.append(key, value, value.filename)
+            }
+            else {
+                formData.append(key, value)
+            }
+        })
+
+        return formData
+    }
+
+    /*
+     * Internal function, returns the data being sent as an object, used to render the
+     * optimistic update templates. Values of the same name are collected in an array.
+     */
+    Request.prototype.getPendingData = function() {
+        var data = {},
+            element = this.element
+
+        if (this.form) {
+            new FormData(this.form).forEach(function(value, key) {
+                if (typeof value !== 'string') return
+
+                if (data[key] === undefined) {
+                    data[key] = value
                 }
-                if (loading) loading.hide()
+                else {
+                    data[key] = [].concat(data[key], value)
+                }
+            })
+        }
+
+        if (isInput(element) && element.name && !this.form) {
+            data[element.name] = getInputValue(element)
+        }
+
+        return extend(data, this.options.data)
+    }
+
+    /*
+     * Internal function, applies the optimistic update before the response arrives. The
+     * affected elements are recorded first, so they can be rolled back if the request
+     * fails. Dispatches "ajax:optimistic" on the element, the update is skipped if
+     * event.preventDefault() is called.
+     *
+     * The optimistic option supports the target, toggleClass, addClass, removeClass,
+     * text and template properties. The template is a Mustache template, or the
+     * selector of an element containing one, rendered with the pending data.
+     */
+    Request.prototype.applyOptimistic = function() {
+        var update = this.options.optimistic
+
+        if (!isObject(update)) {
+            return
+        }
+
+        var data = this.getPendingData(),
+            elements = update.target ? queryAll(document, update.target) : (this.element !== document ? [this.element] : [])
+
+        if (!elements.length) {
+            return
+        }
+
+        var snapshot = this.snapshot || new Snapshot(elements)
+
+        if (!this.emit(this.element, 'optimistic', { elements: elements, data: data })) {
+            return
+        }
+
+        this.snapshot = snapshot
+
+        elements.forEach(function(element) {
+            applyOptimisticUpdate(element, update, data)
+        })
+    }
+
+    /*
+     * Internal function, takes over the optimistic update of a request that is aborted
+     * in favor of this one, a rollback then restores the state from before both updates.
+     */
+    Request.prototype.inheritSnapshot = function(request) {
+        if (request.snapshot && !this.snapshot) {
+            this.snapshot = request.snapshot
+        }
+
+        request.snapshot = null
+    }
+
+    /*
+     * Internal function, restores the elements changed by the optimistic update and
+     * dispatches "ajax:rollback" on the element.
+     */
+    Request.prototype.rollback = function(textStatus) {
+        if (!this.snapshot) {
+            return
+        }
+
+        var elements = this.snapshot.restore()
+        this.snapshot = null
+
+        this.emit(this.element, 'rollback', { elements: elements, textStatus: textStatus })
+    }
+
+    /*
+     * Runs the client-side validation rules of the form fields, or displays the supplied errors,
+     * the errors are displayed in the same way as the validation errors returned by the server.
+     */
+    Request.prototype.validate = function(fields) {
+        if (fields === undefined) {
+            fields = validateFields(this.form || this.element)
+        }
+
+        if (!fields) {
+            return true
+        }
+
+        this.call('handleValidationMessage', [fields[Object.keys(fields)[0]][0], fields])
+
+        return false
+    }
+
+    /*
+     * Internal function, checks the files of a request body against the maximum size and the accepted
+     * types. The accepted types are read from the accept attribute of the file input, falling back
+     * to the filesAccept option. Returns the error messages keyed by field name, or null.
+     */
+    Request.prototype.validateFiles = function(body) {
+        var maxSize = parseSize(this.options.filesMaxSize),
+            accepts = {},
+            errors = null,
+            self = this
+
+        if (!this.useFiles || !(body instanceof FormData)) {
+            return null
+        }
+
+        queryAll(this.form || document.createDocumentFragment(), 'input[type=file]')
+            .concat(this.element.type === 'file' ? [this.element] : [])
+            .forEach(function(input) {
+                accepts[input.name] = input.getAttribute('accept')
+            })
+
+        body.forEach(function(value, name) {
+            if (!isFile(value)) {
+                return
+            }
+
+            var accept = accepts[name] || self.options.filesAccept,
+                fileName = value.name || value.filename || name,
+                message = null
+
+            if (maxSize && value.size > maxSize) {
+                message = getLang('request.file_too_large', 'The file :name may not be greater than :size.')
+                    .replace(':name', fileName)
+                    .replace(':size', formatSize(maxSize))
+            }
+            else if (accept && !isAcceptedFile(value, fileName, accept)) {
+                message = getLang('request.file_type_invalid', 'The file :name must be of type: :types.')
+                    .replace(':name', fileName)
+                    .replace(':types', accept)
+            }
+
+            if (message) {
+                errors = errors || {}
+                name = name.replace(/\[\]$/, '')
+                errors[name] = (errors[name] || []).concat(message)
+            }
+        })
+
+        return errors
+    }
+
+    /*
+     * Internal function, reports the upload progress of the files in the request body
+     * by dispatching "ajax:uploadProgress" on the trigger element.
+     */
+    Request.prototype.trackUploadProgress = function(init) {
+        var self = this
+
+        this.uploadFiles = []
+
+        if (!this.useFiles || !(init.body instanceof FormData)) {
+            return
+        }
+
+        init.body.forEach(function(value, name) {
+            if (isFile(value)) {
+                self.uploadFiles.push({ name: name, file: value, loaded: 0, isChunked: false })
+            }
+        })
+
+        if (!this.uploadFiles.length) {
+            return
+        }
+
+        /*
+         * The multipart body is larger than the files it contains, the progress
+         * is distributed over the files that are sent in the body in order
+         */
+        init.onUploadProgress = function(loaded, total) {
+            var files = self.uploadFiles.filter(function(upload) { return !upload.isChunked }),
+                remaining = loaded / total * files.reduce(function(sum, upload) { return sum + upload.file.size }, 0)
+
+            files.forEach(function(upload) {
+                upload.loaded = Math.min(upload.file.size, Math.round(remaining))
+                remaining = Math.max(0, remaining - upload.file.size)
+            })
+
+            self.emitUploadProgress()
+        }
+    }
+
+    Request.prototype.emitUploadProgress = function() {
+        var files = this.uploadFiles.map(function(upload) {
+            return { name: upload.name, file: upload.file, loaded: upload.loaded, total: upload.file.size }
+        })
+
+        this.emit(this.triggerElement, 'uploadProgress', {
+            loaded: files.reduce(function(sum, file) { return sum + file.loaded }, 0),
+            total: files.reduce(function(sum, file) { return sum + file.total }, 0),
+            files: files
+        })
+    }
+
+    /*
+     * Internal function, uploads files larger than the filesChunkSize option in separate requests
+     * before the request itself is sent. Each part is sent to the same handler with the
+     * X-WINTER-UPLOAD-ID, X-WINTER-UPLOAD-OFFSET and X-WINTER-UPLOAD-SIZE headers, the handler
+     * can reply with X_WINTER_UPLOAD_OFFSET to continue from a different offset. The file is
+     * then replaced in the request body by its upload identifier so the handler can reassemble it.
+     *
+     * The upload state is kept in localStorage, a failed upload resumes from its last part
+     * when the same file is sent again.
+     */
+    Request.prototype.uploadChunks = function(url, init) {
+        var self = this,
+            chunkSize = parseSize(this.options.filesChunkSize),
+            uploads = (this.uploadFiles || []).filter(function(upload) {
+                return chunkSize && upload.file.size > chunkSize
+            })
+
+        if (!uploads.length) {
+            return Promise.resolve()
+        }
+
+        return uploads.reduce(function(promise, upload) {
+            return promise.then(function() {
+                upload.isChunked = true
+                return self.uploadFile(url, init, upload, chunkSize)
             })
-            .always(function(dataOrXhr, textStatus, xhrOrError) {
-                $el.trigger('ajaxAlways', [context, dataOrXhr, textStatus, xhrOrError])
+        }, Promise.resolve()).then(function() {
+            var body = new FormData
+
+            init.body.forEach(function(value, name) {
+                var upload = uploads.filter(function(upload) { return upload.file === value })[0]
+
+                if (upload) {
+                    body.append(name, upload.id)
+                }
+                else {
+                    isFile(value) ? body.append(name, value, value.name || value.filename) : body.append(name, value)
+                }
             })
+
+            init.body = body
+        })
     }
 
-    Request.DEFAULTS = {
-        update: {},
-        type : 'POST',
-        beforeUpdate: function(data, textStatus, jqXHR) {},
-        evalBeforeUpdate: null,
-        evalSuccess: null,
-        evalError: null,
-        evalComplete: null,
-        ajaxGlobal: false
+    /*
+     * Internal function, uploads a single file in parts
+     */
+    Request.prototype.uploadFile = function(url, init, upload, chunkSize) {
+        var self = this,
+            file = upload.file,
+            storageKey = 'wn.upload:' + this.handler + ':' + upload.name + ':' + (file.name || '') + ':' + file.size + ':' + (file.lastModified || ''),
+            state = readStorage(storageKey) || { id: generateId(), offset: 0 }
+
+        upload.id = state.id
+
+        function next(offset) {
+            upload.loaded = Math.min(offset, file.size)
+            self.emitUploadProgress()
+
+            if (offset >= file.size) {
+                writeStorage(storageKey, null)
+                return Promise.resolve()
+            }
+
+            var chunk = file.slice(offset, offset + chunkSize),
+                body = new FormData
+
+            body.append(upload.name, chunk, file.name || file.filename || 'blob')
+
+            var chunkInit = extend({}, init, {
+                headers: extend({}, init.headers, {
+                    'X-WINTER-UPLOAD-ID': state.id,
+                    'X-WINTER-UPLOAD-OFFSET': offset,
+                    'X-WINTER-UPLOAD-SIZE': file.size
+                }),
+                body: body,
+                onUploadProgress: function(loaded, total) {
+                    upload.loaded = Math.min(file.size, offset + Math.round(loaded / total * chunk.size))
+                    self.emitUploadProgress()
+                }
+            })
+
+            self.attempts = 0
+
+            return self.attempt(url, chunkInit).then(function() {
+                if (!self.isSuccessful()) {
+                    throw self.createError(self.textStatus || 'error', self.statusText)
+                }
+
+                var nextOffset = isObject(self.responseJSON) && self.responseJSON['X_WINTER_UPLOAD_OFFSET'] !== undefined
+                    ? parseInt(self.responseJSON['X_WINTER_UPLOAD_OFFSET'], 10)
+                    : offset + chunk.size
+
+                state.offset = nextOffset
+                writeStorage(storageKey, state)
+
+                return next(nextOffset)
+            })
+        }
+
+        return next(state.offset)
+    }
+
+    /*
+     * Internal function, build a string of partials and their update elements.
+     */
+    Request.prototype.extractPartials = function(update) {
+        var result = []
+
+        for (var partial in update)
+            result.push(partial)
+
+        return result.join('&')
+    }
+
+    /*
+     * Internal function, runs the success or error path and then settles the request.
+     */
+    Request.prototype.resolve = function() {
+        var self = this,
+            data = this.responseJSON !== undefined ? this.responseJSON : this.responseText
+
+        /*
+         * The response takes over from the optimistic update
+         */
+        this.snapshot = null
+
+        return this.settle(function() {
+            return self.options.success
+                ? self.options.success.call(self.context, data, 'success', self)
+                : self.success(data, 'success')
+        }, function() {
+            if (!self.isRedirect) {
+                self.emit(self.element, 'done', { data: data, textStatus: 'success' })
+            }
+
+            self.finish('success', { data: data })
+            return data
+        })
+    }
+
+    Request.prototype.reject = function(textStatus, errorThrown) {
+        var self = this
+
+        /*
+         * Queued requests keep the optimistic update until they are replayed
+         */
+        if (textStatus != 'queued') {
+            this.rollback(textStatus)
+        }
+
+        return this.settle(function() {
+            return self.options.error
+                ? self.options.error.call(self.context, self, textStatus, errorThrown)
+                : self.error(textStatus, errorThrown)
+        }, function() {
+            if (!self.isRedirect) {
+                self.emit(self.element, 'fail', { textStatus: textStatus, errorThrown: errorThrown })
+            }
+
+            self.finish(textStatus, { errorThrown: errorThrown })
+
+            throw self.createError(textStatus, errorThrown)
+        })
+    }
+
+    Request.prototype.createError = function(textStatus, errorThrown) {
+        var error = new Error(this.errorMessage || this.statusText || textStatus)
+        error.request = this
+        error.textStatus = textStatus
+        error.errorThrown = errorThrown
+        return error
+    }
+
+    Request.prototype.settle = function(callback, finalize) {
+        return new Promise(function(resolve) {
+            resolve(callback())
+        }).then(finalize, function(error) {
+            finalize()
+            throw error
+        })
+    }
+
+    Request.prototype.finish = function(textStatus, detail) {
+        this.emit(this.element, 'always', extend({ textStatus: textStatus }, detail))
+
+        this.options.complete
+            ? this.options.complete.call(this.context, this, textStatus)
+            : this.complete(textStatus)
+    }
+
+    /*
+     * Default success path
+     */
+    Request.prototype.success = function(data, textStatus) {
+        var self = this,
+            response = isObject(data) ? data : {}
+
+        /*
+         * Halt here if beforeUpdate() returns false
+         */
+        if (this.options.beforeUpdate && this.options.beforeUpdate.call(this.context, data, textStatus, this) === false) {
+            return Promise.resolve()
+        }
+
+        /*
+         * Dispatch "ajax:beforeUpdate" on the form, halt if event.preventDefault() is called
+         */
+        if (!this.emit(this.triggerElement, 'beforeUpdate', { data: data, textStatus: textStatus })) {
+            return Promise.resolve()
+        }
+
+        if (this.useFlash && response['X_WINTER_FLASH_MESSAGES']) {
+            for (var type in response['X_WINTER_FLASH_MESSAGES']) {
+                this.call('handleFlashMessage', [response['X_WINTER_FLASH_MESSAGES'][type], type])
+            }
+        }
+
+        /*
+         * Proceed with the update process
+         */
+        return Promise.resolve(this.call('handleUpdateResponse', [response, textStatus])).then(function() {
+            self.emit(self.triggerElement, 'success', { data: data, textStatus: textStatus })
+        })
+    }
+
+    /*
+     * Default error path
+     */
+    Request.prototype.error = function(textStatus, errorThrown) {
+        var self = this,
+            updatePromise = Promise.resolve()
+
+        if (window.ocUnloading || textStatus == 'abort' || textStatus == 'queued' || textStatus == 'invalid') {
+            return updatePromise
+        }
+
+        /*
+         * Disable redirects
+         */
+        this.isRedirect = false
+        this.redirectUrl = null
+
+        /*
+         * Error 406 is a "smart error" that returns response object that is
+         * processed in the same fashion as a successful response.
+         */
+        if (this.status == 406 && isObject(this.responseJSON)) {
+            this.errorMessage = this.responseJSON['X_WINTER_ERROR_MESSAGE']
+            updatePromise = Promise.resolve(this.call('handleUpdateResponse', [this.responseJSON, textStatus]))
+        }
+        /*
+         * Standard error with standard response text
+         */
+        else {
+            this.errorMessage = this.responseText ? this.responseText : this.statusText
+        }
+
+        return updatePromise.then(function() {
+            /*
+             * Dispatch "ajax:error" on the form, halt if event.preventDefault() is called
+             */
+            if (!self.emit(self.triggerElement, 'error', { message: self.errorMessage, textStatus: textStatus })) {
+                return
+            }
+
+            self.call('handleErrorMessage', [self.errorMessage])
+        })
+    }
+
+    Request.prototype.complete = function(textStatus) {
+        this.emit(this.triggerElement, 'complete', { textStatus: textStatus })
+    }
+
+    /*
+     * Display an error message to the user
+     */
+    Request.prototype.handleErrorMessage = function(message) {
+        if (!this.emit(window, 'errorMessage', { message: message })) return
+        if (message) window.alert(message)
+    }
+
+    /*
+     * Focus fields with errors
+     */
+    Request.prototype.handleValidationMessage = function(message, fields) {
+        var self = this,
+            isFirstInvalidField = true
+
+        this.emit(this.triggerElement, 'validation', { message: message, fields: fields })
+
+        if (!this.form) {
+            return
+        }
+
+        for (var fieldName in fields) {
+            var name = fieldName.replace(/\.(\w+)/g, '[$1]'),
+                fieldElement = queryAll(this.form, '[name="'+name+'"], [name="'+name+'[]"], [name$="['+name+']"], [name$="['+name+'][]"]')
+                    .filter(function(element) { return !element.disabled })[0]
+
+            if (!fieldElement) {
+                continue
+            }
+
+            var isAllowed = self.emit(window, 'invalidField', {
+                element: fieldElement,
+                fieldName: name,
+                messages: fields[fieldName],
+                isFirst: isFirstInvalidField
+            })
+
+            if (isFirstInvalidField) {
+                if (isAllowed) fieldElement.focus()
+                isFirstInvalidField = false
+            }
+        }
+    }
+
+    /*
+     * Display a flash message to the user
+     */
+    Request.prototype.handleFlashMessage = function(message, type) {}
+
+    /*
+     * Redirect the browser to another location
+     */
+    Request.prototype.handleRedirectResponse = function(url) {
+        var self = this
+
+        // Indicate that the AJAX request is finished if we're still on the current page
+        // so that the loading indicator for redirects that just change the hash value of
+        // the URL instead of leaving the page will properly stop.
+        window.addEventListener('popstate', function onPopState() {
+            window.removeEventListener('popstate', onPopState)
+            self.emit(self.element, 'redirected')
+        })
+
+        window.location.assign(url)
+    }
+
+    /*
+     * Handle any application specific response values, returns a promise
+     * that resolves once injected assets have loaded and partials are updated
+     */
+    Request.prototype.handleUpdateResponse = function(data, textStatus) {
+        var self = this
+
+        /*
+         * Handle redirect
+         */
+        if (data['X_WINTER_REDIRECT']) {
+            this.redirectUrl = data['X_WINTER_REDIRECT']
+            this.isRedirect = true
+        }
+
+        if (this.isRedirect) {
+            this.call('handleRedirectResponse', [this.redirectUrl])
+        }
+
+        /*
+         * Handle validation
+         */
+        if (data['X_WINTER_ERROR_FIELDS']) {
+            this.call('handleValidationMessage', [data['X_WINTER_ERROR_MESSAGE'], data['X_WINTER_ERROR_FIELDS']])
+        }
+
+        /*
+         * Handle asset injection
+         */
+        return this.loadAssets(data['X_WINTER_ASSETS']).then(function() {
+            self.updatePartials(data, textStatus)
+        })
+    }
+
+    /*
+     * Loads the assets supplied by the server, a failed asset is reported in the console
+     * and dispatches "ajax:assetError" on the trigger element before the update continues.
+     */
+    Request.prototype.loadAssets = function(assets) {
+        var self = this
+
+        if (!assets) {
+            return Promise.resolve()
+        }
+
+        return assetLoader.load(assets).catch(function(error) {
+            console.error(error.message)
+            self.emit(self.triggerElement, 'assetError', { message: error.message, url: error.url })
+        })
+    }
+
+    Request.prototype.updatePartials = function(data, textStatus) {
+        var self = this,
+            detail = { data: data, textStatus: textStatus }
+
+        for (var partial in data) {
+            /*
+             * If a partial has been supplied on the client side that matches the server supplied key, look up
+             * it's selector and use that. If not, we assume it is an explicit selector reference.
+             */
+            var selector = this.options.update[partial] ? this.options.update[partial] : partial,
+                mode = 'replace'
+
+            if (typeof selector == 'string' && selector.charAt(0) == '@') {
+                mode = 'append'
+                selector = selector.substring(1)
+            }
+            else if (typeof selector == 'string' && selector.charAt(0) == '^') {
+                mode = 'prepend'
+                selector = selector.substring(1)
+            }
+            else if (typeof selector == 'string' && selector.charAt(0) == '~') {
+                mode = 'morph'
+                selector = selector.substring(1)
+            }
+            else if (this.options.updateMode == 'morph') {
+                mode = 'morph'
+            }
+
+            queryAll(document, selector).forEach(function(element) {
+                if (mode == 'replace') {
+                    self.emit(element, 'beforeReplace')
+                }
+
+                self.renderPartial(element, data[partial], mode)
+                self.emit(element, 'update', detail)
+            })
+        }
+
+        /*
+         * Wait for the browser to finish rendering from partial updates
+         */
+        setTimeout(function() {
+            self.emit(window, 'updateComplete', detail)
+            window.dispatchEvent(new Event('resize'))
+        }, 0)
+    }
+
+    /*
+     * Inserts partial contents in to an element, scripts in the markup are executed.
+     * The morph mode patches the existing contents, dispatching "ajax:beforeReplace"
+     * only on the nodes that are removed.
+     */
+    Request.prototype.renderPartial = function(element, html, mode) {
+        var self = this
+
+        if (this.options.renderPartial) {
+            return this.options.renderPartial.call(this, element, html, mode)
+        }
+
+        if (mode == 'morph') {
+            return morph(element, html, {
+                beforeRemove: function(node) {
+                    self.emit(node, 'beforeReplace')
+                }
+            })
+        }
+
+        var template = document.createElement('template')
+        template.innerHTML = html
+        activateScripts(template.content)
+
+        if (mode == 'append') {
+            element.appendChild(template.content)
+        }
+        else if (mode == 'prepend') {
+            element.insertBefore(template.content, element.firstChild)
+        }
+        else {
+            element.innerHTML = ''
+            element.appendChild(template.content)
+        }
+    }
+
+    /*
+     * Dispatches a cancelable "ajax:" prefixed event, returns false if it was prevented
+     */
+    Request.prototype.emit = function(target, name, detail) {
+        detail = extend({ request: this, context: this.context }, detail)
+
+        var event = new CustomEvent('ajax:' + name, { bubbles: true, cancelable: true, detail: detail }),
+            isAllowed = target.dispatchEvent(event)
+
+        if (this.options.emit && this.options.emit.call(this, target, name, detail) === false) {
+            isAllowed = false
+        }
+
+        return isAllowed
+    }
+
+    /*
+     * Calls an overridable handler, options take precedence over the default implementation
+     */
+    Request.prototype.call = function(name, args) {
+        var handler = this.options[name] ? this.options[name] : this[name]
+
+        return handler.apply(this, args)
+    }
+
+    // OFFLINE QUEUE
+    // ============================
+
+    /*
+     * Persists requests made while offline to IndexedDB and replays them in order
+     * once the connection is restored. Dispatches "ajax:replayed" on the window
+     * for every replayed request.
+     */
+    var OfflineQueue = function() {
+        this.db = null
+        this.isReplaying = false
+    }
+
+    OfflineQueue.prototype.open = function() {
+        if (this.db) {
+            return this.db
+        }
+
+        return this.db = new Promise(function(resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error('This browser does not support IndexedDB'))
+                return
+            }
+
+            var request = window.indexedDB.open('winter-request-queue', 1)
+
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore('requests', { keyPath: 'id', autoIncrement: true })
+            }
+
+            request.onsuccess = function() {
+                resolve(request.result)
+            }
+
+            request.onerror = function() {
+                reject(request.error)
+            }
+        })
+    }
+
+    OfflineQueue.prototype.transaction = function(mode, callback) {
+        return this.open().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                var transaction = db.transaction('requests', mode),
+                    request = callback(transaction.objectStore('requests'))
+
+                transaction.oncomplete = function() {
+                    resolve(request.result)
+                }
+
+                transaction.onerror = transaction.onabort = function() {
+                    reject(transaction.error)
+                }
+            })
+        })
+    }
+
+    OfflineQueue.prototype.push = function(entry) {
+        entry = extend({}, entry, {
+            body: packBody(entry.body),
+            createdAt: Date.now()
+        })
+
+        return this.transaction('readwrite', function(store) {
+            return store.add(entry)
+        }).then(function(id) {
+            entry.id = id
+            return entry
+        })
+    }
+
+    OfflineQueue.prototype.all = function() {
+        return this.transaction('readonly', function(store) {
+            return store.getAll()
+        })
+    }
+
+    OfflineQueue.prototype.count = function() {
+        return this.transaction('readonly', function(store) {
+            return store.count()
+        })
+    }
+
+    OfflineQueue.prototype.remove = function(id) {
+        return this.transaction('readwrite', function(store) {
+            return store.delete(id)
+        })
+    }
+
+    /*
+     * Replays the queued requests one after another, stopping at the first
+     * request that fails to reach the server.
+     */
+    OfflineQueue.prototype.replay = function() {
+        var self = this
+
+        if (this.isReplaying || window.navigator.onLine === false) {
+            return Promise.resolve()
+        }
+
+        this.isReplaying = true
+
+        var finish = function() {
+            self.isReplaying = false
+        }
+
+        return this.all().then(function(entries) {
+            return entries.reduce(function(chain, entry) {
+                return chain.then(function(proceed) {
+                    return proceed === false ? false : self.replayEntry(entry)
+                })
+            }, Promise.resolve())
+        }).then(finish, finish)
+    }
+
+    OfflineQueue.prototype.replayEntry = function(entry) {
+        var self = this,
+            request = new Request(entry.handler, {
+                url: entry.url,
+                method: entry.method,
+                headers: entry.headers,
+                update: entry.update,
+                flash: entry.flash,
+                body: unpackBody(entry.body)
+            })
+
+        return request.send().then(
+            function(data) {
+                return self.remove(entry.id).then(function() {
+                    self.emit('replayed', { entry: entry, data: data })
+                })
+            },
+            function(error) {
+                // Keep the entry while the server is still unreachable
+                if (request.status === 0) {
+                    return false
+                }
+
+                return self.remove(entry.id).then(function() {
+                    self.emit('replayed', { entry: entry, error: error })
+                })
+            }
+        )
+    }
+
+    OfflineQueue.prototype.emit = function(name, detail) {
+        window.dispatchEvent(new CustomEvent('ajax:' + name, { detail: detail }))
+    }
+
+    /*
+     * Internal function, converts a request body to a value that can be stored in IndexedDB,
+     * files in FormData are kept as Blob instances.
+     */
+    function packBody(body) {
+        if (typeof FormData === 'undefined' || !(body instanceof FormData)) {
+            return { type: 'params', value: body }
+        }
+
+        var entries = []
+
+        body.forEach(function(value, key) {
+            entries.push([key, value, typeof File !== 'undefined' && value instanceof File ? value.name : null])
+        })
+
+        return { type: 'form', value: entries }
+    }
+
+    function unpackBody(body) {
+        if (body.type !== 'form') {
+            return body.value
+        }
+
+        var formData = new FormData
+
+        body.value.forEach(function(entry) {
+            entry[2] !== null
+                ? formData.append(entry[0], entry[1], entry[2])
+                : formData.append(entry[0], entry[1])
+        })
+
+        return formData
+    }
+
+    var offlineQueue = new OfflineQueue
+
+    window.addEventListener('online', function() {
+        offlineQueue.replay()
+    })
+
+    document.addEventListener('DOMContentLoaded', function() {
+        if (document.querySelector('[data-request-offline]')) {
+            offlineQueue.replay()
+        }
+    })
+
+    // RESPONSE CACHE
+    // ============================
+
+    /*
+     * Caches the responses of read-only handlers in memory and in the sessionStorage. The
+     * entries are tagged with the handler name, the cacheTags option and the tags of the
+     * X_WINTER_CACHE_TAGS response value. Any response can invalidate entries by listing
+     * their tags in X_WINTER_CACHE_INVALIDATE, or all of them by setting it to true.
+     *
+     * wnRequest.cache.invalidate(['onLoadOptions'])
+     */
+    var ResponseCache = function() {
+        this.entries = {}
+        this.pending = {}
+    }
+
+    ResponseCache.STORAGE_PREFIX = 'wn.requestCache.'
+
+    ResponseCache.prototype.get = function(key) {
+        var entry = this.entries[key] || readStorage(this.getStorageKey(key), window.sessionStorage)
+
+        if (!entry || entry.key !== key) {
+            return null
+        }
+
+        if (entry.expires < Date.now()) {
+            this.remove(key)
+            return null
+        }
+
+        return this.entries[key] = entry
+    }
+
+    ResponseCache.prototype.set = function(key, entry) {
+        entry = extend({ key: key }, entry)
+
+        this.entries[key] = entry
+        writeStorage(this.getStorageKey(key), entry, window.sessionStorage)
+    }
+
+    ResponseCache.prototype.remove = function(key) {
+        delete this.entries[key]
+        writeStorage(this.getStorageKey(key), null, window.sessionStorage)
+    }
+
+    /*
+     * Removes the entries with any of the tags, or all entries when tags is true
+     */
+    ResponseCache.prototype.invalidate = function(tags) {
+        var self = this
+
+        tags = tags === true ? null : splitTags(tags)
+
+        this.all().forEach(function(entry) {
+            var isTagged = !tags || entry.tags.some(function(tag) {
+                return tags.indexOf(tag) !== -1
+            })
+
+            if (isTagged) {
+                self.remove(entry.key)
+            }
+        })
+    }
+
+    ResponseCache.prototype.clear = function() {
+        this.invalidate(true)
+    }
+
+    /*
+     * Internal function, returns the entries in memory and in the sessionStorage
+     */
+    ResponseCache.prototype.all = function() {
+        var entries = extend({}, this.entries)
+
+        try {
+            for (var i = 0; i < window.sessionStorage.length; i++) {
+                var storageKey = window.sessionStorage.key(i),
+                    entry = storageKey.indexOf(ResponseCache.STORAGE_PREFIX) === 0 ? readStorage(storageKey, window.sessionStorage) : null
+
+                if (entry && entry.key) {
+                    entries[entry.key] = entry
+                }
+            }
+        }
+        catch (e) {}
+
+        return Object.keys(entries).map(function(key) {
+            return entries[key]
+        })
+    }
+
+    /*
+     * Internal function, registers a pending prefetch
+     */
+    ResponseCache.prototype.track = function(key, promise) {
+        var self = this
+
+        return this.pending[key] = promise.then(function() {
+            delete self.pending[key]
+        })
+    }
+
+    ResponseCache.prototype.isPending = function(key) {
+        return !!this.pending[key]
+    }
+
+    /*
+     * Internal function, returns a promise that resolves once a pending prefetch has completed
+     */
+    ResponseCache.prototype.wait = function(key) {
+        return this.pending[key] || Promise.resolve()
+    }
+
+    ResponseCache.prototype.getStorageKey = function(key) {
+        var hash = 0
+
+        for (var i = 0; i < key.length; i++) {
+            hash = ((hash << 5) - hash + key.charCodeAt(i)) | 0
+        }
+
+        return ResponseCache.STORAGE_PREFIX + (hash >>> 0).toString(36)
+    }
+
+    function splitTags(tags) {
+        if (!tags) {
+            return []
+        }
+
+        return (Array.isArray(tags) ? tags : String(tags).split(/[\s,]+/)).filter(Boolean).map(String)
+    }
+
+    var responseCache = new ResponseCache
+
+    // ASSET LOADER
+    // ============================
+
+    /*
+     * Injects scripts, stylesheets and images into the page. Assets are supplied in the
+     * X_WINTER_ASSETS format, { js: [], css: [], img: [] }, each entry is either a URL
+     * or an object with the url and integrity properties for subresource integrity.
+     *
+     * - Assets already on the page, or loaded before, are skipped.
+     * - Scripts are executed one after another in the declared order.
+     * - The CSP nonce of the page is applied, read from <meta name="csp-nonce">
+     *   or from the first script element with a nonce.
+     */
+    var AssetLoader = function() {
+        this.assets = {}
+    }
+
+    /*
+     * Returns a promise that resolves once all the assets are loaded, or rejects with
+     * an error carrying the url of the first asset that failed to load.
+     */
+    AssetLoader.prototype.load = function(assets) {
+        var self = this
+
+        if (typeof assets === 'string' || Array.isArray(assets)) {
+            assets = groupAssets([].concat(assets))
+        }
+
+        var scripts = (assets.js || []).map(normalizeAsset),
+            styles = (assets.css || []).map(normalizeAsset),
+            images = (assets.img || []).map(normalizeAsset)
+
+        /*
+         * Scripts are chained so they are executed in the declared order
+         */
+        var scriptsLoaded = scripts.reduce(function(promise, asset) {
+            return promise.then(function() {
+                return self.loadAsset('js', asset)
+            })
+        }, Promise.resolve())
+
+        return Promise.all([scriptsLoaded]
+            .concat(styles.map(function(asset) { return self.loadAsset('css', asset) }))
+            .concat(images.map(function(asset) { return self.loadAsset('img', asset) }))
+        ).then(function() {})
+    }
+
+    AssetLoader.prototype.isLoaded = function(url) {
+        url = resolveUrl(url)
+
+        return !!this.assets[url] || queryAll(document, 'script[src], link[rel="stylesheet"][href]').some(function(element) {
+            return resolveUrl(element.getAttribute('src') || element.getAttribute('href')) === url
+        })
+    }
+
+    /*
+     * Internal function, loads a single asset once
+     */
+    AssetLoader.prototype.loadAsset = function(type, asset) {
+        var self = this,
+            url = resolveUrl(asset.url)
+
+        if (this.assets[url]) {
+            return this.assets[url]
+        }
+
+        if (type !== 'img' && this.isLoaded(url)) {
+            return this.assets[url] = Promise.resolve()
+        }
+
+        return this.assets[url] = new Promise(function(resolve, reject) {
+            var element
+
+            if (type == 'js') {
+                element = document.createElement('script')
+                element.src = url
+            }
+            else if (type == 'css') {
+                element = document.createElement('link')
+                element.rel = 'stylesheet'
+                element.href = url
+            }
+            else {
+                element = new Image
+            }
+
+            if (type != 'img') {
+                var nonce = getNonce()
+
+                if (nonce) {
+                    element.nonce = nonce
+                    element.setAttribute('nonce', nonce)
+                }
+
+                if (asset.integrity) {
+                    element.integrity = asset.integrity
+                    element.crossOrigin = asset.crossOrigin || 'anonymous'
+                }
+            }
+
+            element.onload = function() {
+                resolve()
+            }
+
+            element.onerror = function() {
+                var error = new Error('Unable to load the asset ' + url)
+                error.url = url
+
+                /*
+                 * Allow a failed asset to be loaded again on the next attempt
+                 */
+                delete self.assets[url]
+
+                if (type != 'img' && element.parentNode) {
+                    element.parentNode.removeChild(element)
+                }
+
+                reject(error)
+            }
+
+            if (type == 'img') {
+                element.src = url
+            }
+            else {
+                document.head.appendChild(element)
+            }
+        })
+    }
+
+    function normalizeAsset(asset) {
+        return typeof asset === 'string' ? { url: asset } : asset
+    }
+
+    function groupAssets(urls) {
+        var assets = { js: [], css: [], img: [] }
+
+        urls.forEach(function(asset) {
+            var path = normalizeAsset(asset).url.split(/[?#]/)[0]
+
+            if (/\.css$/i.test(path)) {
+                assets.css.push(asset)
+            }
+            else if (/\.(png|gif|jpe?g|svg|webp)$/i.test(path)) {
+                assets.img.push(asset)
+            }
+            else {
+                assets.js.push(asset)
+            }
+        })
+
+        return assets
+    }
+
+    function resolveUrl(url) {
+        var anchor = document.createElement('a')
+        anchor.href = url
+
+        return anchor.href
+    }
+
+    function getNonce() {
+        var meta = document.querySelector('meta[name="csp-nonce"]'),
+            script = document.querySelector('script[nonce]')
+
+        if (meta) {
+            return meta.getAttribute('content')
+        }
+
+        return script ? (script.nonce || script.getAttribute('nonce')) : null
+    }
+
+    var assetLoader = new AssetLoader
+
+    // CLIENT-SIDE VALIDATION
+    // ============================
+
+    /*
+     * Validation rules in the Laravel syntax, for example data-validate-rules="required|email|min:3".
+     * Each rule returns true when the value passes, rules other than the required rules are skipped
+     * for empty values. Custom rules can be added to wnRequest.validationRules along with a message
+     * in wnRequest.validationMessages.
+     */
+    var letterPatterns = createLetterPatterns()
+
+    var validationRules = {
+        required: function(value) {
+            return !isEmptyValue(value)
+        },
+        required_with: function(value, params, field) {
+            return !params.some(function(name) { return !isEmptyValue(field.getValue(name)) }) || !isEmptyValue(value)
+        },
+        required_without: function(value, params, field) {
+            return !params.some(function(name) { return isEmptyValue(field.getValue(name)) }) || !isEmptyValue(value)
+        },
+        accepted: function(value) {
+            return ['yes', 'on', '1', 'true'].indexOf(String(value).toLowerCase()) !== -1
+        },
+        email: function(value) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        },
+        url: function(value) {
+            return /^https?:\/\/[^\s\/$.?#].[^\s]*$/i.test(value)
+        },
+        numeric: function(value) {
+            return value !== '' && !isNaN(value) && isFinite(value)
+        },
+        integer: function(value) {
+            return /^-?\d+$/.test(value)
+        },
+        digits: function(value, params) {
+            return /^\d+$/.test(value) && String(value).length == params[0]
+        },
+        alpha: function(value) {
+            return letterPatterns.alpha.test(value)
+        },
+        alpha_num: function(value) {
+            return letterPatterns.alpha_num.test(value)
+        },
+        alpha_dash: function(value) {
+            return letterPatterns.alpha_dash.test(value)
+        },
+        min: function(value, params, field) {
+            return getValueSize(value, field) >= parseFloat(params[0])
+        },
+        max: function(value, params, field) {
+            return getValueSize(value, field) <= parseFloat(params[0])
+        },
+        between: function(value, params, field) {
+            var size = getValueSize(value, field)
+            return size >= parseFloat(params[0]) && size <= parseFloat(params[1])
+        },
+        in: function(value, params) {
+            return [].concat(value).every(function(item) { return params.indexOf(String(item)) !== -1 })
+        },
+        not_in: function(value, params) {
+            return [].concat(value).every(function(item) { return params.indexOf(String(item)) === -1 })
+        },
+        regex: function(value, params) {
+            var pattern = params.join(','),
+                matches = pattern.match(/^\/(.*)\/([a-z]*)$/)
+
+            return (matches ? new RegExp(matches[1], matches[2]) : new RegExp(pattern)).test(value)
+        },
+        same: function(value, params, field) {
+            return value === field.getValue(params[0])
+        },
+        different: function(value, params, field) {
+            return value !== field.getValue(params[0])
+        },
+        confirmed: function(value, params, field) {
+            return value === field.getValue(field.name + '_confirmation')
+        }
+    }
+
+    var validationMessages = {
+        required: 'The :attribute field is required.',
+        required_with: 'The :attribute field is required when :values is present.',
+        required_without: 'The :attribute field is required when :values is not present.',
+        accepted: 'The :attribute must be accepted.',
+        email: 'The :attribute must be a valid email address.',
+        url: 'The :attribute format is invalid.',
+        numeric: 'The :attribute must be a number.',
+        integer: 'The :attribute must be an integer.',
+        digits: 'The :attribute must be :digits digits.',
+        alpha: 'The :attribute may only contain letters.',
+        alpha_num: 'The :attribute may only contain letters and numbers.',
+        alpha_dash: 'The :attribute may only contain letters, numbers, dashes and underscores.',
+        min_numeric: 'The :attribute must be at least :min.',
+        min_string: 'The :attribute must be at least :min characters.',
+        min_array: 'The :attribute must have at least :min items.',
+        max_numeric: 'The :attribute may not be greater than :max.',
+        max_string: 'The :attribute may not be greater than :max characters.',
+        max_array: 'The :attribute may not have more than :max items.',
+        between_numeric: 'The :attribute must be between :min and :max.',
+        between_string: 'The :attribute must be between :min and :max characters.',
+        between_array: 'The :attribute must have between :min and :max items.',
+        in: 'The selected :attribute is invalid.',
+        not_in: 'The selected :attribute is invalid.',
+        regex: 'The :attribute format is invalid.',
+        same: 'The :attribute and :other must match.',
+        different: 'The :attribute and :other must be different.',
+        confirmed: 'The :attribute confirmation does not match.'
+    }
+
+    /*
+     * Validates the fields with data-validate-rules found in the supplied element, returns
+     * the error messages keyed by field name in the format of X_WINTER_ERROR_FIELDS, or null.
+     * The field label used in the messages is taken from data-validate-label when provided.
+     */
+    function validateFields(root) {
+        var errors = null,
+            form = root.nodeName === 'FORM' ? root : (root.form || root),
+            elements = queryAll(root, '[data-validate-rules]')
+
+        if (root.hasAttribute && root.hasAttribute('data-validate-rules')) {
+            elements.unshift(root)
+        }
+
+        elements.forEach(function(element) {
+            if (element.disabled || !element.name) {
+                return
+            }
+
+            var name = element.name.replace(/\[\]$/, '').replace(/\[(\w+)\]/g, '.$1'),
+                rules = parseValidationRules(element.getAttribute('data-validate-rules')),
+                types = rules.map(function(rule) { return rule.name }),
+                field = {
+                    name: element.name,
+                    element: element,
+                    type: types.indexOf('numeric') !== -1 || types.indexOf('integer') !== -1 ? 'numeric' : 'string',
+                    getValue: function(name) {
+                        return getFieldValue(form, name)
+                    }
+                },
+                value = getFieldValue(form, element.name, element),
+                isEmpty = isEmptyValue(value)
+
+            if (Array.isArray(value)) {
+                field.type = 'array'
+            }
+
+            rules.forEach(function(rule) {
+                var validate = validationRules[rule.name]
+
+                if (!validate) {
+                    return console.warn('Unknown validation rule "' + rule.name + '"')
+                }
+
+                if (isEmpty && rule.name.indexOf('required') !== 0 || validate(value, rule.params, field)) {
+                    return
+                }
+
+                errors = errors || {}
+                errors[name] = (errors[name] || []).concat(getValidationMessage(rule, field))
+            })
+        })
+
+        return errors
+    }
+
+    function parseValidationRules(value) {
+        return (value || '').split('|').filter(Boolean).map(function(rule) {
+            var index = rule.indexOf(':')
+
+            return index === -1
+                ? { name: rule.trim(), params: [] }
+                : { name: rule.substring(0, index).trim(), params: rule.substring(index + 1).split(',') }
+        })
+    }
+
+    function getValidationMessage(rule, field) {
+        var key = ['min', 'max', 'between'].indexOf(rule.name) !== -1 ? rule.name + '_' + field.type : rule.name,
+            label = field.element.getAttribute('data-validate-label')
+                || field.name.replace(/\[\]$/, '').replace(/.*\[(\w+)\]$/, '$1').replace(/_/g, ' '),
+            replacements = {
+                attribute: label,
+                min: rule.params[0],
+                max: rule.name == 'between' ? rule.params[1] : rule.params[0],
+                digits: rule.params[0],
+                other: (rule.params[0] || '').replace(/_/g, ' '),
+                values: rule.params.join(', ')
+            }
+
+        return getLang('validation.' + key, validationMessages[key] || 'The :attribute is invalid.')
+            .replace(/:(attribute|min|max|digits|other|values)\b/g, function(match, name) {
+                return replacements[name]
+            })
+    }
+
+    /*
+     * Returns the value of a field by name, checkboxes and radios return the checked value,
+     * multiple values are returned as an array
+     */
+    function getFieldValue(container, name, element) {
+        var elements = queryAll(container, '[name="' + name + '"]')
+
+        if (!elements.length && element) {
+            elements = [element]
+        }
+
+        var values = []
+
+        elements.forEach(function(input) {
+            if (input.disabled) {
+                return
+            }
+
+            if (/^(checkbox|radio)$/i.test(input.type)) {
+                if (input.checked) values.push(input.value)
+            }
+            else {
+                values = values.concat(getInputValue(input))
+            }
+        })
+
+        return /\[\]$/.test(name) || (elements[0] && elements[0].multiple) || (elements.length > 1 && elements[0].type === 'checkbox')
+            ? values
+            : (values.length ? values[0] : '')
+    }
+
+    function getValueSize(value, field) {
+        if (field.type === 'array') return value.length
+        if (field.type === 'numeric') return parseFloat(value)
+        return String(value).length
+    }
+
+    /*
+     * Internal function, returns the patterns of the alpha rules. Unicode property escapes
+     * are a syntax error in older browsers, which only accept ASCII letters instead.
+     */
+    function createLetterPatterns() {
+        try {
+            return {
+                alpha: new RegExp('^[\\p{L}\\p{M}]+$', 'u'),
+                alpha_num: new RegExp('^[\\p{L}\\p{M}\\p{N}]+$', 'u'),
+                alpha_dash: new RegExp('^[\\p{L}\\p{M}\\p{N}_-]+$', 'u')
+            }
+        }
+        catch (e) {
+            return {
+                alpha: /^[a-zA-Z]+$/,
+                alpha_num: /^[a-zA-Z0-9]+$/,
+                alpha_dash: /^[a-zA-Z0-9_-]+$/
+            }
+        }
+    }
+
+    function isEmptyValue(value) {
+        return Array.isArray(value) ? value.length === 0 : String(value).trim() === ''
+    }
+
+    // DOM MORPHING
+    // ============================
+
+    /*
+     * Patches the contents of an element to match the supplied markup. Nodes are matched
+     * by their id, then by position and tag name, and only the differences are applied
+     * so focus, scroll positions and unchanged controls survive the update.
+     *
+     * - Input values edited by the user are kept, the browser only applies a changed
+     *   value attribute to fields that have not been edited.
+     * - Elements with data-control are kept as they are when their markup is unchanged,
+     *   otherwise they are replaced as a whole since the control owns its contents.
+     * - Elements with data-morph-preserve are never touched.
+     * - State classes listed in wnRequest.morph.preserveClasses survive the update.
+     */
+    function morph(element, html, callbacks) {
+        var template = document.createElement('template')
+        template.innerHTML = html
+
+        morphChildren(element, template.content, extend({
+            beforeRemove: function(node) {},
+            remove: function(node) {
+                node.parentNode.removeChild(node)
+            }
+        }, callbacks))
+    }
+
+    morph.preserveClasses = ['open', 'in', 'show', 'wn-loading', 'oc-loading']
+
+    function morphChildren(fromParent, toParent, callbacks) {
+        var fromChild = fromParent.firstChild,
+            toChild = toParent.firstChild,
+            nextChild
+
+        while (toChild) {
+            var nextToChild = toChild.nextSibling,
+                match = findMorphMatch(fromChild, toChild)
+
+            if (match) {
+                // Nodes skipped over may match a later node, they are removed at the end
+                if (match === fromChild) {
+                    fromChild = match.nextSibling
+                }
+                else {
+                    fromParent.insertBefore(match, fromChild)
+                }
+
+                morphNode(match, toChild, callbacks)
+            }
+            else {
+                fromParent.insertBefore(prepareMorphNode(toChild), fromChild)
+            }
+
+            toChild = nextToChild
+        }
+
+        while (fromChild) {
+            nextChild = fromChild.nextSibling
+            removeMorphNode(fromChild, callbacks)
+            fromChild = nextChild
+        }
+    }
+
+    function findMorphMatch(fromChild, toChild) {
+        var id = toChild.nodeType === 1 ? toChild.id : ''
+
+        if (id) {
+            for (var node = fromChild; node; node = node.nextSibling) {
+                if (node.nodeType === 1 && node.id === id) {
+                    return node
+                }
+            }
+
+            return null
+        }
+
+        for (var node = fromChild; node; node = node.nextSibling) {
+            if (node.nodeType === toChild.nodeType && node.nodeName === toChild.nodeName && !node.id) {
+                return node
+            }
+        }
+
+        return null
+    }
+
+    function morphNode(from, to, callbacks) {
+        if (from.nodeType !== 1) {
+            if (from.nodeValue !== to.nodeValue) {
+                from.nodeValue = to.nodeValue
+            }
+
+            return
+        }
+
+        if (from.hasAttribute('data-morph-preserve') || from.isEqualNode(to)) {
+            return
+        }
+
+        if (from.hasAttribute('data-control')) {
+            if (!isSameControl(from, to)) {
+                from.parentNode.insertBefore(prepareMorphNode(to), from)
+                removeMorphNode(from, callbacks)
+            }
+
+            return
+        }
+
+        morphAttributes(from, to)
+
+        if (from.nodeName === 'TEXTAREA') {
+            from.defaultValue = to.defaultValue
+        }
+        else {
+            morphChildren(from, to, callbacks)
+        }
+    }
+
+    function morphAttributes(from, to) {
+        var attributes = Array.prototype.slice.call(from.attributes)
+
+        attributes.forEach(function(attribute) {
+            if (!to.hasAttribute(attribute.name)) {
+                attribute.name === 'class'
+                    ? from.setAttribute('class', mergePreservedClasses(from, ''))
+                    : from.removeAttribute(attribute.name)
+            }
+        })
+
+        Array.prototype.forEach.call(to.attributes, function(attribute) {
+            var value = attribute.name === 'class'
+                ? mergePreservedClasses(from, attribute.value)
+                : attribute.value
+
+            if (from.getAttribute(attribute.name) !== value) {
+                from.setAttribute(attribute.name, value)
+            }
+        })
+    }
+
+    function mergePreservedClasses(element, value) {
+        var classes = value.split(/\s+/).filter(Boolean)
+
+        morph.preserveClasses.forEach(function(className) {
+            if (element.classList.contains(className) && classes.indexOf(className) === -1) {
+                classes.push(className)
+            }
+        })
+
+        return classes.join(' ')
+    }
+
+    /*
+     * Controls modify their own markup once initialized, so the markup they were rendered from
+     * is remembered. Controls present on page load are compared by the attributes the server sends.
+     */
+    function isSameControl(from, to) {
+        var source = to.outerHTML,
+            isSame = from.wnMorphSource !== undefined
+                ? from.wnMorphSource === source
+                : Array.prototype.every.call(to.attributes, function(attribute) {
+                    return attribute.name === 'class'
+                        || attribute.name === 'style'
+                        || from.getAttribute(attribute.name) === attribute.value
+                })
+
+        if (isSame) {
+            from.wnMorphSource = source
+        }
+
+        return isSame
+    }
+
+    function prepareMorphNode(node) {
+        if (node.nodeType !== 1) {
+            return node
+        }
+
+        var controls = queryAll(node, '[data-control]')
+
+        if (node.hasAttribute('data-control')) {
+            controls.push(node)
+        }
+
+        controls.forEach(function(control) {
+            control.wnMorphSource = control.outerHTML
+        })
+
+        return activateScripts(node)
+    }
+
+    function removeMorphNode(node, callbacks) {
+        if (node.nodeType === 1) {
+            callbacks.beforeRemove(node)
+        }
+
+        callbacks.remove(node)
+    }
+
+    // OPTIMISTIC UPDATES
+    // ============================
+
+    /*
+     * Records the class names and child nodes of elements, so they can be restored
+     * after an optimistic update. The original nodes are put back in place, which
+     * keeps their event handlers and state.
+     */
+    var Snapshot = function(elements) {
+        this.entries = elements.map(function(element) {
+            return {
+                element: element,
+                className: element.getAttribute('class'),
+                nodes: Array.prototype.slice.call(element.childNodes)
+            }
+        })
+    }
+
+    /*
+     * Restores the recorded state, returns the elements
+     */
+    Snapshot.prototype.restore = function() {
+        return this.entries.map(function(entry) {
+            var element = entry.element
+
+            while (element.firstChild) {
+                element.removeChild(element.firstChild)
+            }
+
+            entry.nodes.forEach(function(node) {
+                element.appendChild(node)
+            })
+
+            if (entry.className === null) {
+                element.removeAttribute('class')
+            }
+            else {
+                element.setAttribute('class', entry.className)
+            }
+
+            return element
+        })
+    }
+
+    function applyOptimisticUpdate(element, update, data) {
+        splitClassNames(update.toggleClass).forEach(function(className) {
+            element.classList.toggle(className)
+        })
+
+        splitClassNames(update.addClass).forEach(function(className) {
+            element.classList.add(className)
+        })
+
+        splitClassNames(update.removeClass).forEach(function(className) {
+            element.classList.remove(className)
+        })
+
+        if (update.text !== undefined && update.text !== null) {
+            element.textContent = update.text
+        }
+
+        if (update.template) {
+            element.innerHTML = renderTemplate(update.template, data)
+        }
+    }
+
+    /*
+     * Renders a template with Mustache when it is available, otherwise only
+     * the {{ name }} placeholders are replaced with the escaped values.
+     */
+    function renderTemplate(template, data) {
+        var source = /^#[\w-]+$/.test(template) ? document.querySelector(template) : null
+
+        if (source) {
+            template = source.innerHTML
+        }
+
+        if (window.Mustache !== undefined) {
+            return window.Mustache.render(template, data)
+        }
+
+        return template.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, function(match, name) {
+            return escapeHtml(data[name] === undefined || data[name] === null ? '' : data[name])
+        })
+    }
+
+    function splitClassNames(value) {
+        return value ? String(value).split(/\s+/).filter(Boolean) : []
+    }
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+    }
+
+    // HELPERS
+    // ============================
+
+    var pendingRequests = new WeakMap
+
+    function getPendingRequests(element) {
+        if (!pendingRequests.has(element)) {
+            pendingRequests.set(element, [])
+        }
+
+        return pendingRequests.get(element)
+    }
+
+    function extend(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            for (var key in arguments[i]) {
+                if (Object.prototype.hasOwnProperty.call(arguments[i], key) && arguments[i][key] !== undefined) {
+                    target[key] = arguments[i][key]
+                }
+            }
+        }
+
+        return target
+    }
+
+    function isEnabled(value) {
+        return value !== undefined && value !== null && value !== false
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object'
+    }
+
+    function isInput(element) {
+        return element && /^(input|select|textarea)$/i.test(element.nodeName)
+    }
+
+    function getInputValue(element) {
+        if (element.nodeName.toLowerCase() === 'select' && element.multiple) {
+            return Array.prototype.filter.call(element.options, function(option) {
+                return option.selected
+            }).map(function(option) {
+                return option.value
+            })
+        }
+
+        return element.value
+    }
+
+    function resolveForm(form, element) {
+        if (typeof form === 'string') {
+            return document.querySelector(form)
+        }
+
+        if (form) {
+            return form
+        }
+
+        return element && element.closest ? element.closest('form') : null
+    }
+
+    /*
+     * Recreates the script elements of parsed markup so the browser executes them once inserted,
+     * returns the node itself or its replacement when the node is a script element.
+     */
+    function activateScripts(node) {
+        var scripts = queryAll(node, 'script'),
+            result = node
+
+        if (node.nodeName === 'SCRIPT') {
+            scripts.push(node)
+        }
+
+        scripts.forEach(function(script) {
+            var executable = document.createElement('script')
+
+            Array.prototype.forEach.call(script.attributes, function(attribute) {
+                executable.setAttribute(attribute.name, attribute.value)
+            })
+
+            executable.text = script.text
+
+            if (script === node) {
+                result = executable
+            }
+            else {
+                script.parentNode.replaceChild(executable, script)
+            }
+        })
+
+        return result
+    }
+
+    /*
+     * Empty file inputs are submitted as an empty file without a name
+     */
+    function isFile(value) {
+        return typeof Blob !== 'undefined' && value instanceof Blob && (value.size > 0 || !!value.name)
+    }
+
+    /*
+     * Checks a file against a list of accepted types in the format of the accept attribute,
+     * for example "image/*,.pdf"
+     */
+    function isAcceptedFile(file, fileName, accept) {
+        var extension = fileName.indexOf('.') !== -1 ? fileName.substring(fileName.lastIndexOf('.')).toLowerCase() : '',
+            type = (file.type || '').toLowerCase()
+
+        return accept.split(',').some(function(rule) {
+            rule = rule.trim().toLowerCase()
+
+            if (rule.charAt(0) === '.') {
+                return rule === extension
+            }
+
+            if (rule.substring(rule.length - 2) === '/*') {
+                return type.indexOf(rule.substring(0, rule.length - 1)) === 0
+            }
+
+            return rule === type
+        })
+    }
+
+    /*
+     * Converts a size such as 512, "500K", "2M" or "1GB" to bytes
+     */
+    function parseSize(value) {
+        var matches = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i),
+            units = { '': 1, K: 1024, M: 1048576, G: 1073741824 }
+
+        return matches ? Math.round(parseFloat(matches[1]) * units[matches[2].toUpperCase()]) : 0
+    }
+
+    function formatSize(bytes) {
+        var units = ['B', 'KB', 'MB', 'GB'],
+            index = 0
+
+        while (bytes >= 1024 && index < units.length - 1) {
+            bytes /= 1024
+            index++
+        }
+
+        return (Math.round(bytes * 10) / 10) + ' ' + units[index]
+    }
+
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 10)
+    }
+
+    /*
+     * Storage may be unavailable, for example when cookies are blocked
+     */
+    function readStorage(key, storage) {
+        try {
+            return JSON.parse((storage || window.localStorage).getItem(key))
+        }
+        catch (e) {
+            return null
+        }
+    }
+
+    function writeStorage(key, value, storage) {
+        try {
+            value === null
+                ? (storage || window.localStorage).removeItem(key)
+                : (storage || window.localStorage).setItem(key, JSON.stringify(value))
+        }
+        catch (e) {}
+    }
+
+    function getLang(name, defaultValue) {
+        var $ = window.jQuery
+
+        if (!$ || !$.wn || !$.wn.lang) {
+            return defaultValue
+        }
+
+        return $.wn.lang.get(name, defaultValue)
+    }
+
+    function queryAll(root, selector) {
+        if (typeof selector !== 'string') {
+            return selector && selector.nodeType ? [selector] : Array.prototype.slice.call(selector || [])
+        }
+
+        try {
+            return Array.prototype.slice.call(root.querySelectorAll(selector))
+        }
+        catch (e) {
+            return []
+        }
+    }
+
+    /*
+     * Walks a data object the same way jQuery.param() does, nested
+     * values are flattened to "name[key]" and "name[]" parameters.
+     */
+    function eachParam(params, callback) {
+        function build(prefix, value) {
+            if (Array.isArray(value)) {
+                value.forEach(function(item, index) {
+                    build(prefix + '[' + (isObject(item) ? index : '') + ']', item)
+                })
+            }
+            else if (isObject(value) && !(typeof Blob !== 'undefined' && value instanceof Blob)) {
+                for (var key in value) {
+                    build(prefix + '[' + key + ']', value[key])
+                }
+            }
+            else {
+                value = typeof value === 'function' ? value() : value
+                callback(prefix, value === null || value === undefined ? '' : value)
+            }
+        }
+
+        for (var key in params) {
+            build(key, params[key])
+        }
+    }
+
+    function serializeParams(params) {
+        var result = []
+
+        eachParam(params, function(key, value) {
+            result.push(encodeURIComponent(key) + '=' + encodeURIComponent(value))
+        })
+
+        return result.join('&').replace(/%20/g, '+')
+    }
+
+    function serializeForm(form) {
+        if (!form) {
+            return ''
+        }
+
+        var params = new URLSearchParams
+
+        new FormData(form).forEach(function(value, key) {
+            if (typeof value === 'string') {
+                params.append(key, value)
+            }
+        })
+
+        return params.toString()
+    }
+
+    function getXSRFToken() {
+        var cookieValue = null
+        if (document.cookie && document.cookie != '') {
+            var cookies = document.cookie.split(';')
+            for (var i = 0; i < cookies.length; i++) {
+                var cookie = cookies[i].trim()
+                if (cookie.substring(0, 11) == ('XSRF-TOKEN' + '=')) {
+                    cookieValue = decodeURIComponent(cookie.substring(11))
+                    break
+                }
+            }
+        }
+        return cookieValue
+    }
+
+    window.addEventListener('beforeunload', function documentOnBeforeUnload() {
+        window.ocUnloading = true
+    })
+
+    // Global function
+    window.wnRequest = function(handler, options) {
+        return new Request(handler, options).send()
+    }
+
+    window.wnRequest.Request = Request
+    window.wnRequest.offlineQueue = offlineQueue
+    window.wnRequest.morph = morph
+    window.wnRequest.validate = validateFields
+    window.wnRequest.validationRules = validationRules
+    window.wnRequest.validationMessages = validationMessages
+    window.wnRequest.assets = assetLoader
+    window.wnRequest.cache = responseCache
+
+}(window, document);
+
+/*
+ * Winter CMS jQuery request adapter
+ *
+ * $.request() and $.fn.request() process the request with wnRequest and send it through
+ * $.ajax(), so the filters registered with $.ajaxPrefilter(), the $.ajaxSetup() defaults
+ * such as headers, xhrFields and timeout, and the global AJAX events apply as before. The
+ * HTTP request itself is still performed by the request client, through a jQuery transport.
+ *
+ * The return value is a jQuery Deferred promise with the jqXHR interface used by the
+ * callbacks: readyState, status, statusText, responseText, responseJSON,
+ * getResponseHeader(), getAllResponseHeaders(), setRequestHeader() and abort().
+ * overrideMimeType() and statusCode() are not available.
+ */
+if (window.jQuery === undefined) {
+    throw new Error('The jQuery library is not loaded. The Winter CMS framework cannot be initialized.');
+}
+if (window.jQuery.request !== undefined) {
+    throw new Error('The Winter CMS framework is already loaded.');
+}
+
++function ($) { "use strict";
+
+    var Request = function (element, handler, options) {
+        var $el = this.$el = $(element);
+        this.options = options || {};
+
+        /*
+         * Validate handler name
+         */
+        if (handler === undefined) {
+            throw new Error('The request handler name is not specified.')
+        }
+
+        if (!handler.match(/^(?:\w+\:{2})?on*/)) {
+            throw new Error('Invalid handler name. The correct handler name format is: "onEvent".')
+        }
+
+        /*
+         * Prepare the options
+         */
+        var $form = options.form ? $(options.form) : $el.closest('form'),
+            $triggerEl = !!$form.length ? $form : $el,
+            context = { handler: handler, options: options }
+
+        /*
+         * Validate the form client-side
+         */
+        if ((options.browserValidate !== undefined) && typeof document.createElement('input').reportValidity == 'function' && $form && $form[0] && !$form[0].checkValidity()) {
+            $form[0].reportValidity();
+            return false;
+        }
+
+        /*
+         * Execute the request
+         */
+        $el.trigger('ajaxSetup', [context])
+
+        /*
+         * Validate the fields with data-validate-rules, the errors are displayed once the
+         * request client is available so they are handled like the server errors
+         */
+        var validationErrors = options.validate !== false && !options.prefetch ? wnRequest.validate($form.get(0) || $el.get(0)) : null
+
+        if (!validationErrors && !options.prefetch) {
+            var _event = jQuery.Event('oc.beforeRequest')
+            $triggerEl.trigger(_event, context)
+            if (_event.isDefaultPrevented()) return
+        }
+
+        var loading = options.loading !== undefined ? options.loading : null
+
+        if ($.type(loading) == 'string') {
+            loading = $(loading)
+        }
+
+        /*
+         * Request data
+         */
+        var data = {}
+
+        $.each($el.parents('[data-request-data]').toArray().reverse(), function extendRequest() {
+            $.extend(data, paramToObj('data-request-data', $(this).data('request-data'), this))
+        })
+
+        if (options.data !== undefined && !$.isEmptyObject(options.data)) {
+            $.extend(data, options.data)
+        }
+
+        /*
+         * Request options, the business logic is provided by the request client
+         * and the jQuery flavored events and callbacks are layered on top of it
+         */
+        var request = new wnRequest.Request(handler, {
+            url: options.url,
+            method: options.type,
+            element: $el.get(0),
+            form: $form.get(0),
+            data: data,
+            update: options.update,
+            updateMode: options.updateMode,
+            headers: options.headers,
+            redirect: options.redirect,
+            flash: options.flash,
+            stream: options.stream,
+            files: options.files,
+            filesMaxSize: options.filesMaxSize,
+            filesAccept: options.filesAccept,
+            filesChunkSize: options.filesChunkSize,
+            offline: options.offline,
+            policy: options.policy,
+            signal: options.signal,
+            retry: options.retry,
+            idempotent: options.idempotent,
+            retryStatuses: options.retryStatuses,
+            retryDelay: options.retryDelay,
+            timeout: options.timeout,
+            cache: options.cache,
+            cacheTags: options.cacheTags,
+            optimistic: options.optimistic,
+            validate: false,
+            context: context,
+            transport: function(request, url, init) {
+                return sendAjax(request, url, init, { global: options.ajaxGlobal, context: context })
+            },
+            beforeUpdate: function(data, textStatus, request) {
+                /*
+                 * Halt here if beforeUpdate() or data-request-before-update returns false
+                 */
+                var jqXHR = createXhr(request)
+                if (this.options.beforeUpdate.apply(this, [data, textStatus, jqXHR]) === false) return false
+                if (options.evalBeforeUpdate && requestCallbacks.run(options.evalBeforeUpdate, $el, context, { data: data, textStatus: textStatus, jqXHR: jqXHR }) === false) return false
+            },
+            success: function(data, textStatus, request) {
+                return requestOptions.success.call(context, data, textStatus, createXhr(request))
+            },
+            error: function(request, textStatus, errorThrown) {
+                return requestOptions.error.call(context, createXhr(request), textStatus, errorThrown)
+            },
+            complete: function(request, textStatus) {
+                if (loading) loading.hide()
+                return requestOptions.complete.call(context, createXhr(request), textStatus)
+            },
+            handleErrorMessage: proxyHandler('handleErrorMessage'),
+            handleValidationMessage: proxyHandler('handleValidationMessage'),
+            handleFlashMessage: proxyHandler('handleFlashMessage'),
+            handleRedirectResponse: proxyHandler('handleRedirectResponse'),
+            handleUpdateResponse: proxyHandler('handleUpdateResponse'),
+            renderPartial: function(element, html, mode) {
+                if (mode == 'morph') {
+                    wnRequest.morph(element, html, {
+                        beforeRemove: function(node) {
+                            request.emit(node, 'beforeReplace')
+                        },
+                        remove: function(node) {
+                            $(node).remove()
+                        }
+                    })
+                }
+                else if (mode == 'append') {
+                    $(element).append(html)
+                }
+                else if (mode == 'prepend') {
+                    $(element).prepend(html)
+                }
+                else {
+                    $(element).html(html)
+                }
+            },
+            emit: function(target, name, detail) {
+                var jqXHR = createXhr(this),
+                    data = detail.data,
+                    textStatus = detail.textStatus,
+                    errorMsg = detail.message
+
+                if (name == 'error') {
+                    $el.data('error-message', errorMsg)
+                }
+
+                var _event = jQuery.Event('ajax' + name.charAt(0).toUpperCase() + name.substring(1))
+                $(target).trigger(_event, getEventParams(name, detail, jqXHR))
+                if (_event.isDefaultPrevented()) return false
+
+                if (name == 'success') {
+                    options.evalSuccess && requestCallbacks.run(options.evalSuccess, $el, context, { data: data, textStatus: textStatus, jqXHR: jqXHR })
+                }
+                else if (name == 'error') {
+                    /*
+                     * Halt here if the data-request-error attribute returns false
+                     */
+                    if (options.evalError && requestCallbacks.run(options.evalError, $el, context, { errorMsg: errorMsg, textStatus: textStatus, jqXHR: jqXHR }) === false)
+                        return false
+                }
+                else if (name == 'complete') {
+                    options.evalComplete && requestCallbacks.run(options.evalComplete, $el, context, { data: jqXHR, textStatus: textStatus, jqXHR: jqXHR })
+                }
+                else if (name == 'promise') {
+                    if (loading) loading.show()
+                }
+            }
+        })
+
+        /*
+         * The overridden handlers are called on the request options with the same
+         * arguments as before, handleUpdateResponse also receives the jqXHR object
+         */
+        function proxyHandler(name) {
+            if (!options[name]) {
+                return null
+            }
+
+            return function() {
+                var args = $.makeArray(arguments)
+
+                if (name == 'handleUpdateResponse') {
+                    args = [args[0], args[1], createXhr(this)]
+                }
+
+                return options[name].apply(requestOptions, args)
+            }
+        }
+
+        /*
+         * Prefetching only warms the response cache, the page is not updated
+         */
+        if (options.prefetch) {
+            var prefetched = $.Deferred()
+
+            request.prefetch().then(function() {
+                prefetched.resolve(request.responseJSON, 'success', createXhr(request))
+            })
+
+            return prefetched.promise(createXhr(request))
+        }
+
+        var requestOptions = {
+            success: function(data, textStatus, jqXHR) {
+                return toDeferred(request.success(data, textStatus))
+            },
+            error: function(jqXHR, textStatus, errorThrown) {
+                return toDeferred(request.error(textStatus, errorThrown))
+            },
+            complete: function(jqXHR, textStatus) {
+                request.complete(textStatus)
+            },
+
+            /*
+             * Default handlers, available to the overridden ones as this.handleErrorMessage() etc.
+             */
+            handleErrorMessage: function(message) {
+                request.handleErrorMessage(message)
+            },
+            handleValidationMessage: function(message, fields) {
+                request.handleValidationMessage(message, fields)
+            },
+            handleFlashMessage: function(message, type) {
+                request.handleFlashMessage(message, type)
+            },
+            handleRedirectResponse: function(url) {
+                request.handleRedirectResponse(url)
+            },
+            handleUpdateResponse: function(data, textStatus, jqXHR) {
+                return toDeferred(request.handleUpdateResponse(data, textStatus))
+            },
+
+            /*
+             * Custom function, requests confirmation from the user. Uses the confirm
+             * dialog of the UI when available, otherwise the native browser dialogs.
+             */
+            handleConfirmMessage: function(message) {
+                var _event = jQuery.Event('ajaxConfirmMessage'),
+                    confirmOptions = {
+                        title: options.confirmTitle,
+                        confirmButton: options.confirmButton,
+                        cancelButton: options.confirmCancel,
+                        danger: options.confirmDanger !== undefined && options.confirmDanger !== false,
+                        input: options.confirmInput
+                    }
+
+                function resend() {
+                    options.confirm = null
+                    new Request(element, handler, options)
+                }
+
+                /*
+                 * Listeners replacing the dialog receive the options, including the
+                 * value to type, and are responsible for enforcing it
+                 */
+                _event.promise = $.Deferred()
+                if ($(window).triggerHandler(_event, [message, confirmOptions]) !== undefined) {
+                    _event.promise.done(resend)
+                    return false
+                }
+
+                if (_event.isDefaultPrevented()) return
+                if (!message) return
+
+                if ($.wn !== undefined && $.wn.confirm !== undefined) {
+                    $.wn.confirm(message, confirmOptions).done(resend)
+                    return false
+                }
+
+                if (confirmOptions.input) {
+                    var prompted = prompt(message + '\n\n' + getLang('confirm.input', 'Type :value to confirm.').replace(':value', confirmOptions.input))
+                    return prompted !== null && $.trim(prompted) === String(confirmOptions.input)
+                }
+
+                return confirm(message)
+            }
+        }
+
+        /*
+         * Allow default business logic to be called from user functions
+         */
+        context.success = requestOptions.success
+        context.error = requestOptions.error
+        context.complete = requestOptions.complete
+        requestOptions = $.extend(requestOptions, options)
+
+        if (validationErrors) {
+            request.validate(validationErrors)
+            return false
+        }
+
+        /*
+         * Initiate request
+         */
+        if (options.confirm && !requestOptions.handleConfirmMessage(options.confirm)) {
+            return
+        }
+
+        var deferred = $.Deferred(),
+            cancelUndo = null
+
+        /*
+         * Record the request in the browser history once it has updated the page
+         */
+        if (options.pushState !== undefined && options.pushState !== null && options.pushState !== false) {
+            var historyEntry = createHistoryEntry(handler, options, request.getPendingData())
+
+            captureHistorySnapshot(options.update)
+
+            deferred.done(function() {
+                if (!request.isRedirect) {
+                    pushHistoryState(historyEntry, getHistoryUrl(options.pushState, data))
+                }
+            })
+        }
+
+        function send() {
+            /*
+             * Halt here if beforeSend() returns false, as with $.ajax
+             */
+            if (options.beforeSend && options.beforeSend.call(context, createXhr(request), requestOptions) === false) {
+                deferred.reject(createXhr(request), 'canceled')
+                return Promise.resolve()
+            }
+
+            var promise = request.send()
+
+            promise.then(
+                function(data) {
+                    deferred.resolve(data, 'success', createXhr(request))
+                },
+                function(error) {
+                    deferred.reject(createXhr(request), error.textStatus, error.errorThrown)
+                }
+            )
+
+            return promise
+        }
+
+        if (options.undo !== undefined && options.undo !== false) {
+            cancelUndo = deferUndoable($el, context, options, request, send, function() {
+                deferred.reject(createXhr(request), 'undo')
+            })
+        }
+        else {
+            send()
+        }
+
+        var jqXHR = deferred.promise(createXhr(request))
+
+        jqXHR.abort = function() {
+            cancelUndo && cancelUndo()
+            request.abort()
+            return this
+        }
+
+        return jqXHR
+    }
+
+    Request.DEFAULTS = {
+        update: {},
+        type : 'POST',
+        beforeUpdate: function(data, textStatus, jqXHR) {},
+        evalBeforeUpdate: null,
+        evalSuccess: null,
+        evalError: null,
+        evalComplete: null,
+        ajaxGlobal: false,
+        policy: 'parallel',
+        updateMode: null
+    }
+
+    /*
+     * Internal function, build a string of partials and their update elements.
+     */
+    Request.prototype.extractPartials = function(update) {
+        return wnRequest.Request.prototype.extractPartials(update)
+    }
+
+    // REQUEST HISTORY
+    // ============================
+
+    /*
+     * Requests with data-request-push-state are recorded in the browser history, the back
+     * and forward buttons then restore the partials by sending the request again, so the
+     * requests with data-request-cache are served from the cache. The contents of the
+     * partials are recorded before the first request, to restore the initial page. When
+     * they are not available, because the page was reloaded or they exceed the size limit,
+     * the handler of the first request is sent again with the data of the initial URL.
+     */
+    var HISTORY_SNAPSHOT_MAX_SIZE = 1048576
+
+    var historyId = null,
+        historySnapshot = null
+
+    function createHistoryEntry(handler, options, pendingData) {
+        var data = {}
+
+        /*
+         * Array values are serialized with brackets again
+         */
+        $.each(pendingData, function(name, value) {
+            data[$.isArray(value) ? name.replace(/\[\]$/, '') : name] = value
+        })
+
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            handler: handler,
+            url: options.url,
+            data: data,
+            update: options.update,
+            updateMode: options.updateMode,
+            cache: options.cache
+        }
+    }
+
+    /*
+     * Returns the data-request-push-state URL, or the current URL with the request data
+     */
+    function getHistoryUrl(value, data) {
+        if (typeof value == 'string' && value.length) {
+            return new URL(value, window.location.href).href
+        }
+
+        var url = new URL(window.location.href),
+            params = new URLSearchParams($.param(data))
+
+        params.forEach(function(value, name) {
+            url.searchParams.delete(name)
+        })
+
+        params.forEach(function(value, name) {
+            url.searchParams.append(name, value)
+        })
+
+        return url.href
+    }
+
+    function captureHistorySnapshot(update) {
+        var state = window.history.state
+
+        if (historySnapshot !== null || (state && state.wnRequest)) {
+            return
+        }
+
+        var size = 0
+
+        historySnapshot = $.map(update || {}, function(selector) {
+            selector = String(selector).replace(/^[@^~]/, '')
+
+            var contents = $(selector).map(function() { return this.innerHTML }).get()
+
+            $.each(contents, function(index, html) {
+                size += html.length
+            })
+
+            return {
+                selector: selector,
+                contents: contents
+            }
+        })
+
+        if (size > HISTORY_SNAPSHOT_MAX_SIZE) {
+            historySnapshot = false
+        }
+    }
+
+    function pushHistoryState(entry, url) {
+        var history = window.history,
+            state = history.state || {}
+
+        if (!state.wnRequest) {
+            history.replaceState($.extend({}, state, { wnRequest: $.extend({}, entry, { id: 'initial', data: null }) }), '')
+        }
+
+        historyId = entry.id
+        history.pushState({ wnRequest: entry }, '', url)
+    }
+
+    function restoreHistoryState(entry) {
+        if (entry.id === historyId) {
+            return
+        }
+
+        historyId = entry.id
+
+        if (entry.id == 'initial' && historySnapshot) {
+            $.each(historySnapshot, function(index, partial) {
+                $(partial.selector).each(function(index) {
+                    if (partial.contents[index] !== undefined) {
+                        $(this).html(partial.contents[index])
+                    }
+                })
+            })
+
+            $(document).trigger('render')
+            return
+        }
+
+        /*
+         * Without the initial contents, the browser loads the page unless the handler
+         * of the first request is known
+         */
+        if (entry.id == 'initial') {
+            if (!entry.handler) {
+                window.location.replace(window.location.href)
+                return
+            }
+
+            entry = $.extend({}, entry, { data: getUrlData(window.location.href) })
+        }
+
+        $.request(entry.handler, {
+            url: entry.url,
+            data: entry.data,
+            update: entry.update,
+            updateMode: entry.updateMode,
+            cache: entry.cache,
+            pushState: false
+        })
+    }
+
+    /*
+     * Returns the query parameters of the URL, with the array values under their name
+     */
+    function getUrlData(url) {
+        var data = {}
+
+        new URL(url).searchParams.forEach(function(value, name) {
+            var key = name.replace(/\[\]$/, '')
+
+            if (key !== name) {
+                data[key] = (data[key] || []).concat(value)
+            }
+            else {
+                data[name] = value
+            }
+        })
+
+        return data
+    }
+
+    $(window).on('popstate', function(event) {
+        var state = event.originalEvent.state
+
+        if (state && state.wnRequest) {
+            restoreHistoryState(state.wnRequest)
+        }
+    })
+
+    // REQUEST UNDO
+    // ============================
+
+    var UNDO_INTERVAL = 5,
+        pendingUndoRequests = []
+
+    /*
+     * Delays sending a request for a grace period while a flash message offers to undo it,
+     * the elements matching data-request-undo-hide are hidden until the request is undone
+     * or fails. Triggers "ajaxUndo" on the element when the request is undone. Returns a
+     * function that cancels the request without triggering the event.
+     */
+    function deferUndoable($el, context, options, request, send, undone) {
+        var seconds = parseFloat(options.undo) || UNDO_INTERVAL,
+            $hidden = $(options.undoHide || []).filter(function() { return $(this).css('display') != 'none' }),
+            $flash = $(),
+            isSettled = false,
+            timer
+
+        if ($.wn === undefined || $.wn.flashMsg === undefined) {
+            send()
+            return null
+        }
+
+        $hidden.hide()
+
+        var pending = {
+            flush: function() {
+                request.options.keepalive = true
+                sendNow()
+            }
+        }
+
+        function sendNow() {
+            cleanUp()
+            send().catch(function() {
+                $hidden.show()
+            })
+        }
+
+        function cleanUp() {
+            isSettled = true
+            window.clearTimeout(timer)
+            pendingUndoRequests.splice($.inArray(pending, pendingUndoRequests), 1)
+            $flash.data('flash-remove') && $flash.data('flash-remove')()
+        }
+
+        /*
+         * The request can no longer be undone once it has been sent
+         */
+        function cancel() {
+            if (isSettled) {
+                return
+            }
+
+            cleanUp()
+            $hidden.show()
+            undone()
+        }
+
+        $flash = $($.wn.flashMsg({
+            text: options.undoMessage || getLang('request.undo_message', 'The action will be applied in a few seconds.'),
+            class: 'info',
+            interval: seconds,
+            actions: [{
+                label: getLang('request.undo', 'Undo'),
+                handler: function() {
+                    cancel()
+                    $el.trigger('ajaxUndo', [context])
+                }
+            }]
+        }))
+
+        timer = window.setTimeout(sendNow, seconds * 1000)
+
+        pendingUndoRequests.push(pending)
+
+        return cancel
+    }
+
+    /*
+     * Send the pending requests right away when leaving the page
+     */
+    $(window).on('pagehide', function() {
+        $.each(pendingUndoRequests.slice(), function(index, pending) {
+            pending.flush()
+        })
+    })
+
+    // REQUEST POLLING
+    // ============================
+
+    var POLL_MAX_DELAY = 300
+
+    /*
+     * Sends the data-request handler of an element repeatedly, data-request-poll sets the
+     * interval such as "30s", "5m", "1h" or "1500ms", in seconds when there is no unit and
+     * no less than a second. Polling pauses while the page is hidden, while the pointer or
+     * the focus is inside the container and while an element matches the selector of
+     * data-request-poll-pause, the missed request is sent when it resumes. The container is
+     * the element itself or the one matching data-request-poll-container, the elements that
+     * pause polling are expected inside it. Failed requests double the delay up to five
+     * minutes. Polling stops when the element is disposed or removed.
+     *
+     * The partials are left untouched when the response is the same as the previous one.
+     */
+    var RequestPoll = function(element) {
+        this.$el = $(element)
+        this.$container = this.$el.data('request-poll-container') ? $(this.$el.data('request-poll-container')) : this.$el
+        this.interval = parsePollInterval(this.$el.data('request-poll'))
+        this.pauseSelector = this.$el.data('request-poll-pause') || null
+        this.failures = 0
+        this.lastResponse = null
+        this.timer = null
+        this.isDue = false
+        this.isHovered = false
+        this.isStopped = false
+
+        this.init()
+    }
+
+    RequestPoll.prototype.init = function() {
+        var self = this
+
+        this.onStateChange = function() {
+            self.resume()
+        }
+
+        document.addEventListener('visibilitychange', this.onStateChange)
+
+        this.$el
+            .attr('data-disposable', '')
+            .on('dispose-control.oc.requestPoll', function() {
+                self.stop()
+            })
+
+        this.$container
+            .on('change.oc.requestPoll', this.onStateChange)
+            .on('mouseenter.oc.requestPoll', function() {
+                self.isHovered = true
+            })
+            .on('mouseleave.oc.requestPoll', function() {
+                self.isHovered = false
+                self.resume()
+            })
+            .on('focusout.oc.requestPoll', function() {
+                window.setTimeout(function() { self.resume() }, 0)
+            })
+
+        this.schedule()
+    }
+
+    RequestPoll.prototype.schedule = function() {
+        var self = this,
+            delay = Math.min(this.interval * Math.pow(2, this.failures), Math.max(this.interval, POLL_MAX_DELAY * 1000))
+
+        this.timer = window.setTimeout(function() {
+            self.timer = null
+            self.isDue = true
+            self.resume()
+        }, delay)
+    }
+
+    /*
+     * Sends the request if it is due and polling is not paused
+     */
+    RequestPoll.prototype.resume = function() {
+        if (!this.isDue || this.isStopped || this.isPaused()) {
+            return
+        }
+
+        this.isDue = false
+        this.poll()
+    }
+
+    RequestPoll.prototype.isPaused = function() {
+        return document.hidden
+            || this.isHovered
+            || this.$container.has(document.activeElement).length > 0
+            || (this.pauseSelector !== null && $(this.pauseSelector).length > 0)
+    }
+
+    RequestPoll.prototype.poll = function() {
+        var self = this
+
+        if (!$.contains(document.documentElement, this.$el.get(0))) {
+            this.stop()
+            return
+        }
+
+        var request = this.$el.request(null, {
+            policy: 'ignore-while-pending',
+            beforeUpdate: function(data, textStatus, jqXHR) {
+                if (jqXHR.responseText === self.lastResponse) return false
+            },
+            handleErrorMessage: function() {}
+        })
+
+        if (!request) {
+            this.schedule()
+            return
+        }
+
+        request
+            .done(function(data, textStatus, jqXHR) {
+                self.failures = 0
+                self.lastResponse = jqXHR.responseText
+            })
+            .fail(function(jqXHR, textStatus) {
+                if (textStatus != 'ignored') {
+                    self.failures++
+                }
+            })
+            .always(function() {
+                if (!self.isStopped) {
+                    self.schedule()
+                }
+            })
+    }
+
+    RequestPoll.prototype.stop = function() {
+        this.isStopped = true
+        window.clearTimeout(this.timer)
+        document.removeEventListener('visibilitychange', this.onStateChange)
+        this.$container.off('.oc.requestPoll')
+        this.$el.off('.oc.requestPoll').removeData('oc.requestPoll')
+    }
+
+    /*
+     * Internal function, returns the poll interval in milliseconds
+     */
+    function parsePollInterval(value) {
+        var matches = String(value).match(/^\s*(\d*\.?\d+)\s*(ms|s|m|h)?\s*$/),
+            units = { ms: 1, s: 1000, m: 60000, h: 3600000 }
+
+        if (!matches) {
+            throw new Error('Invalid data-request-poll interval: ' + value)
+        }
+
+        return Math.max(parseFloat(matches[1]) * units[matches[2] || 's'], 1000)
+    }
+
+    // REQUEST CALLBACKS
+    // ============================
+
+    /*
+     * Registry of named callbacks for the data-request-before-update, data-request-success,
+     * data-request-error and data-request-complete attributes, so they work without eval
+     * under a Content-Security-Policy. The attribute value is a list of callbacks separated
+     * by semicolons, each optionally followed by an argument:
+     *
+     *   data-request-success="refreshCart; hide:#cartLoader; trigger:cart-updated"
+     *
+     * Callbacks are called with the element as "this" and a single object containing the $el,
+     * context, argument, data, errorMsg, textStatus and jqXHR properties, returning false
+     * halts the request like the JavaScript attributes do.
+     *
+     * Other values are refused by the strict mode, which is enabled by default. Pages that
+     * still rely on JavaScript attributes opt in to evaluating them with
+     * $.wn.requestCallbacks.strict = false or a <meta name="request-strict-mode" content="false">
+     * tag, which also requires unsafe-eval in the Content-Security-Policy.
+     */
+    var RequestCallbacks = function() {
+        this.callbacks = {}
+        this.strict = true
+
+        this.register('redirect', function(params) {
+            window.location.assign(params.argument)
+        })
+
+        this.register('reload', function() {
+            window.location.reload()
+        })
+
+        this.register('trigger', function(params) {
+            params.$el.trigger(params.argument, [params.context, params.data, params.textStatus, params.jqXHR])
+        })
+
+        this.register('hide', function(params) {
+            $(params.argument).hide()
+        })
+
+        this.register('show', function(params) {
+            $(params.argument).show()
+        })
+
+        this.register('disable', function(params) {
+            (params.argument ? $(params.argument) : params.$el).prop('disabled', true)
+        })
+
+        this.register('remove', function(params) {
+            $(params.argument).remove()
+        })
+
+        this.register('reset-form', function(params) {
+            var $form = params.argument ? $(params.argument) : params.$el.closest('form')
+
+            $form.each(function() {
+                this.reset()
+            })
+        })
+    }
+
+    RequestCallbacks.prototype.register = function(name, callback) {
+        this.callbacks[name] = callback
+    }
+
+    RequestCallbacks.prototype.unregister = function(name) {
+        delete this.callbacks[name]
+    }
+
+    RequestCallbacks.prototype.has = function(name) {
+        return this.callbacks.hasOwnProperty(name)
+    }
+
+    RequestCallbacks.prototype.isStrict = function() {
+        var meta = document.querySelector('meta[name="request-strict-mode"]')
+
+        if (meta) {
+            return meta.getAttribute('content') !== 'false'
+        }
+
+        return !!this.strict
+    }
+
+    /*
+     * Runs the callbacks referenced by an attribute value, returns false if any of them returns false
+     */
+    RequestCallbacks.prototype.run = function(value, $el, context, params) {
+        var self = this,
+            callbacks = this.parse(value),
+            result
+
+        if (!callbacks) {
+            if (this.isStrict()) {
+                console.error('The request callback "' + value + '" is not registered, JavaScript callbacks are disabled in strict mode.')
+                return
+            }
+
+            return eval('(function($el, context, data, textStatus, jqXHR, errorMsg) {'+value+'}.call($el.get(0), $el, context, params.data, params.textStatus, params.jqXHR, params.errorMsg))')
+        }
+
+        $.each(callbacks, function(index, callback) {
+            if (self.callbacks[callback.name].call($el.get(0), $.extend({ $el: $el, context: context, argument: callback.argument }, params)) === false) {
+                result = false
+            }
+        })
+
+        return result
+    }
+
+    /*
+     * Internal function, returns the callbacks referenced by an attribute value,
+     * or null if the value is not made of registered callbacks only.
+     */
+    RequestCallbacks.prototype.parse = function(value) {
+        var self = this,
+            callbacks = []
+
+        var isDeclarative = $.trim(value).split(';').every(function(part) {
+            var matches = $.trim(part).match(/^([\w-]+)(?::([\s\S]*))?$/)
+
+            if (!$.trim(part).length) {
+                return true
+            }
+
+            if (!matches || !self.has(matches[1])) {
+                return false
+            }
+
+            callbacks.push({ name: matches[1], argument: matches[2] !== undefined ? $.trim(matches[2]) : null })
+            return true
+        })
+
+        return isDeclarative && callbacks.length ? callbacks : null
+    }
+
+    var requestCallbacks = new RequestCallbacks
+
+    if ($.wn === undefined)
+        $.wn = {}
+    if ($.oc === undefined)
+        $.oc = $.wn
+
+    $.wn.requestCallbacks = requestCallbacks
+    $.wn.assets = wnRequest.assets
+
+    // REQUEST PLUGIN DEFINITION
+    // ============================
+
+    var old = $.fn.request
+
+    $.fn.request = function(handler, option) {
+        var args = arguments
+
+        var $this = $(this).first()
+        var data  = {
+            evalBeforeUpdate: $this.data('request-before-update'),
+            evalSuccess: $this.data('request-success'),
+            evalError: $this.data('request-error'),
+            evalComplete: $this.data('request-complete'),
+            ajaxGlobal: $this.data('request-ajax-global'),
+            confirm: $this.data('request-confirm'),
+            confirmTitle: $this.data('request-confirm-title'),
+            confirmButton: $this.data('request-confirm-button'),
+            confirmCancel: $this.data('request-confirm-cancel'),
+            confirmDanger: $this.data('request-confirm-danger'),
+            confirmInput: $this.data('request-confirm-input'),
+            redirect: $this.data('request-redirect'),
+            loading: $this.data('request-loading'),
+            flash: $this.data('request-flash'),
+            stream: $this.data('request-stream'),
+            files: $this.data('request-files'),
+            filesMaxSize: $this.data('request-files-max-size'),
+            filesAccept: $this.data('request-files-accept'),
+            filesChunkSize: $this.data('request-files-chunk-size'),
+            offline: $this.data('request-offline'),
+            policy: $this.data('request-policy'),
+            cache: $this.data('request-cache'),
+            cacheTags: $this.data('request-cache-tags'),
+            retry: $this.data('request-retry'),
+            idempotent: $this.data('request-idempotent'),
+            retryStatuses: $this.data('request-retry-statuses'),
+            retryDelay: $this.data('request-retry-delay'),
+            optimistic: $this.data('request-optimistic') !== undefined
+                ? paramToObj('data-request-optimistic', $this.data('request-optimistic'), $this.get(0))
+                : null,
+            undo: $this.data('request-undo'),
+            undoHide: $this.data('request-undo-hide'),
+            undoMessage: $this.data('request-undo-message'),
+            browserValidate: $this.data('browser-validate'),
+            form: $this.data('request-form'),
+            url: $this.data('request-url'),
+            update: paramToObj('data-request-update', $this.data('request-update'), $this.get(0)),
+            updateMode: $this.data('request-update-mode'),
+            pushState: $this.data('request-push-state'),
+            data: paramToObj('data-request-data', $this.data('request-data'), $this.get(0))
+        }
+        if (!handler) handler = $this.data('request')
+        var options = $.extend(true, {}, Request.DEFAULTS, data, typeof option == 'object' && option)
+        return new Request($this, handler, options)
+    }
+
+    $.fn.request.Constructor = Request
+
+    $.request = function(handler, option) {
+        return $(document).request(handler, option)
+    }
+
+    // REQUEST TRANSPORT
+    // ============================
+
+    /*
+     * Transport of the requests sent by sendAjax(), it passes the headers and settings
+     * resolved by $.ajax() to the request client and reports its response back, so the
+     * jqXHR object of the global AJAX events reflects it.
+     */
+    $.ajaxTransport('+*', function(settings) {
+        if (!settings.wnRequest) {
+            return
+        }
+
+        var request = settings.wnRequest.request
+
+        return {
+            send: function(headers, complete) {
+                var init = $.extend({}, settings.wnRequest.init, {
+                    headers: headers,
+                    body: settings.hasContent ? settings.data : undefined
+                })
+
+                if (settings.xhrFields && settings.xhrFields.withCredentials) {
+                    init.credentials = 'include'
+                }
+
+                settings.wnRequest.send(request.fetch(settings.url, init).then(
+                    function() {
+                        var responses = { text: request.responseText }
+
+                        if (request.responseJSON !== undefined) {
+                            responses.json = request.responseJSON
+                        }
+
+                        complete(request.status, request.statusText, responses, request.getAllResponseHeaders())
+                    },
+                    function(error) {
+                        complete(0, error && error.name == 'AbortError' ? 'abort' : 'error')
+                        throw error
+                    }
+                ))
+            },
+            abort: function(statusText) {
+                if (statusText == 'timeout') {
+                    request.isTimedOut = true
+                }
+
+                request.abort()
+            }
+        }
+    })
+
+    // REQUEST NO CONFLICT
+    // =================
+
+    $.fn.request.noConflict = function() {
+        $.fn.request = old
+        return this
+    }
+
+    // REQUEST DATA-API
+    // ==============
+
+    /*
+     * Internal function, returns the jqXHR-like object of a request, it is returned by
+     * $.request() and passed to the callbacks. The response properties are read from
+     * the request, so they reflect the response once it has arrived.
+     */
+    function createXhr(request) {
+        if (request.jqXHR) {
+            return request.jqXHR
+        }
+
+        var jqXHR = request.jqXHR = {
+            getResponseHeader: function(name) {
+                return request.getResponseHeader(name)
+            },
+            getAllResponseHeaders: function() {
+                return request.getAllResponseHeaders()
+            },
+            setRequestHeader: function(name, value) {
+                request.options.headers = $.extend({}, request.options.headers)
+                request.options.headers[name] = value
+                return this
+            },
+            abort: function() {
+                request.abort()
+                return this
+            }
+        }
+
+        $.each({
+            readyState: function() { return request.response ? 4 : 0 },
+            status: function() { return request.status },
+            statusText: function() { return request.statusText },
+            responseText: function() { return request.responseText },
+            responseJSON: function() { return request.responseJSON }
+        }, function(name, getter) {
+            Object.defineProperty(jqXHR, name, { get: getter, enumerable: true })
+        })
+
+        return jqXHR
+    }
+
+    /*
+     * Internal function, sends a request of the client through $.ajax(). The returned
+     * promise settles with the response of the client, or rejects when $.ajax() cancels
+     * the request before it is sent, for example from a beforeSend default.
+     */
+    function sendAjax(request, url, init, settings) {
+        return new Promise(function(resolve, reject) {
+            var isSent = false
+
+            $.ajax($.extend({
+                url: url,
+                type: init.method,
+                data: init.body,
+                headers: init.headers,
+                processData: false,
+                contentType: false,
+                crossDomain: false,
+                wnRequest: {
+                    request: request,
+                    init: init,
+                    send: function(promise) {
+                        isSent = true
+                        promise.then(resolve, reject)
+                    }
+                }
+            }, settings)).fail(function(jqXHR, textStatus) {
+                if (!isSent) {
+                    request.abort()
+                    reject(new Error('The request was ' + textStatus))
+                }
+            })
+        })
+    }
+
+    /*
+     * Internal function, maps the native event details to the legacy jQuery event parameters.
+     */
+    function getEventParams(name, detail, jqXHR) {
+        var context = detail.context
+
+        switch (name) {
+            case 'beforeSend':
+            case 'promise':
+                return [context]
+            case 'beforeReplace':
+            case 'redirected':
+                return []
+            case 'error':
+                return [context, detail.message, detail.textStatus, jqXHR]
+            case 'fail':
+                return [context, detail.textStatus, jqXHR]
+            case 'complete':
+                return [context, jqXHR, detail.textStatus]
+            case 'always':
+                return detail.textStatus == 'success'
+                    ? [context, detail.data, detail.textStatus, jqXHR]
+                    : [context, jqXHR, detail.textStatus, detail.errorThrown]
+            case 'validation':
+                return [context, detail.message, detail.fields]
+            case 'invalidField':
+                return [detail.element, detail.fieldName, detail.messages, detail.isFirst]
+            case 'errorMessage':
+                return [detail.message]
+            case 'retry':
+                return [context, detail.attempt, detail.delay, jqXHR]
+            case 'queued':
+                return [context, detail.entry]
+            case 'progress':
+                return [context, detail.progress, detail.data, jqXHR]
+            case 'assetError':
+                return [context, detail.message, detail.url]
+            case 'uploadProgress':
+                return [context, detail.loaded, detail.total, detail.files, jqXHR]
+            case 'optimistic':
+                return [context, detail.elements, detail.data]
+            case 'rollback':
+                return [context, detail.elements, detail.textStatus]
+            default:
+                return [context, detail.data, detail.textStatus, jqXHR]
+        }
+    }
+
+    function toDeferred(promise) {
+        var deferred = $.Deferred()
+
+        Promise.resolve(promise).then(
+            function(result) { deferred.resolve(result) },
+            function(error) { deferred.reject(error) }
+        )
+
+        return deferred.promise()
+    }
+
+    function getLang(name, defaultValue) {
+        if ($.wn === undefined || $.wn.lang === undefined) {
+            return defaultValue
+        }
+
+        return $.wn.lang.get(name, defaultValue)
+    }
+
+    function paramToObj(name, value, element) {
+        if (value === undefined) value = ''
+        if (typeof value == 'object') return value
+
+        try {
+            return ocJSON(value, { members: true, source: name, element: element })
+        }
+        catch (e) {
+            throw new Error('Error parsing the '+name+' attribute value. '+e.message)
+        }
+    }
+
+    $(document).on('change', 'select[data-request], input[type=radio][data-request], input[type=checkbox][data-request], input[type=file][data-request]', function documentOnChange() {
+        $(this).request()
+    })
+
+    $(document).on('click', 'a[data-request], button[data-request], input[type=button][data-request], input[type=submit][data-request]', function documentOnClick(e) {
+        e.preventDefault()
+
+        $(this).request()
+
+        if ($(this).is('[type=submit]'))
+            return false
+    })
+
+    $(document).on('keydown', 'input[type=text][data-request], input[type=submit][data-request], input[type=password][data-request]', function documentOnKeydown(e) {
+        if (e.key === 'Enter') {
+            if (this.dataTrackInputTimer !== undefined)
+                window.clearTimeout(this.dataTrackInputTimer)
+
+            $(this).request()
+            return false
+        }
+    })
+
+    $(document).on('input', 'input[data-request][data-track-input]', function documentOnKeyup(e) {
+        var
+            $el = $(this),
+            lastValue = $el.data('oc.lastvalue')
+
+        if (!$el.is('[type=email],[type=number],[type=password],[type=search],[type=text]'))
+            return
+
+        if (lastValue !== undefined && lastValue == this.value)
+            return
+
+        $el.data('oc.lastvalue', this.value)
+
+        if (this.dataTrackInputTimer !== undefined)
+            window.clearTimeout(this.dataTrackInputTimer)
+
+        var interval = $(this).data('track-input')
+        if (!interval)
+            interval = 300
+
+        var self = this
+        this.dataTrackInputTimer = window.setTimeout(function() {
+            $(self).request(null, {
+                policy: $el.data('request-policy') || 'abort-previous'
+            })
+        }, interval)
+    })
+
+    $(document).on('submit', '[data-request]', function documentOnSubmit() {
+        $(this).request()
+        return false
+    })
+
+    var PREFETCH_DELAY = 100
+
+    /*
+     * Warm the response cache when the pointer or focus rests on the element
+     */
+    $(document).on('mouseenter focusin', '[data-request][data-request-prefetch=hover]', function documentOnHover() {
+        var self = this
+
+        if (this.dataPrefetchTimer !== undefined)
+            return
+
+        this.dataPrefetchTimer = window.setTimeout(function() {
+            self.dataPrefetchTimer = undefined
+            $(self).request(null, { prefetch: true })
+        }, PREFETCH_DELAY)
+    })
+
+    $(document).on('mouseleave focusout', '[data-request][data-request-prefetch=hover]', function documentOnLeave() {
+        window.clearTimeout(this.dataPrefetchTimer)
+        this.dataPrefetchTimer = undefined
+    })
+
+    /*
+     * Start polling the elements with data-request-poll, including the ones added by partial updates
+     */
+    $(document).on('render', function startRequestPolls() {
+        $('[data-request][data-request-poll]').each(function() {
+            if (!$(this).data('oc.requestPoll')) {
+                $(this).data('oc.requestPoll', new RequestPoll(this))
+            }
+        })
+    })
+
+    window.addEventListener('ajax:replayed', function relayOfflineReplay(event) {
+        $(window).trigger('ajaxReplayed', [event.detail.entry, event.detail.data, event.detail.error])
+    })
+
+    /*
+     * Invent our own event that unifies document.ready with window.ajaxUpdateComplete
+     *
+     * $(document).render(function() { })
+     * $(document).on('render', function() { })
+     */
+
+    $(document).ready(function triggerRenderOnReady() {
+        $(document).trigger('render')
+    })
+
+    $(window).on('ajaxUpdateComplete', function triggerRenderOnAjaxUpdateComplete() {
+        $(document).trigger('render')
+    })
+
+    $.fn.render = function(callback) {
+        $(document).on('render', callback)
+    }
+
+}(window.jQuery);
+
+/*
+ * Winter CMS JSON Parser
+ *
+ * Parses the relaxed JSON used by the data attributes: keys may be unquoted, strings may use
+ * single quotes or backticks, and trailing commas are allowed.
+ *
+ *   ocJSON(json)
+ *   ocJSON(json, { strict: true, source: 'data-request-data', element: element })
+ *
+ * The relaxed mode also tolerates leading and repeated commas, where repeated commas in
+ * arrays become null values, and numbers followed by other characters. The strict mode
+ * rejects these as well as duplicate keys, it is enabled for every call with ocJSON.strict.
+ *
+ * Errors are thrown as a SyntaxError with the line and column, along with the attribute
+ * and element when supplied.
+ */
++function(window) { "use strict";
+
+    var Parser = function(text, options) {
+        this.text = String(text)
+        this.pos = 0
+        this.options = options || {}
+        this.strict = this.options.strict !== undefined ? !!this.options.strict : !!window.ocJSON.strict
+    }
+
+    Parser.prototype.parse = function() {
+        var value
+
+        if (this.options.members) {
+            value = this.parseMembers(null)
+        }
+        else {
+            this.skipSeparators(true)
+
+            if (this.pos >= this.text.length) {
+                this.error('Unexpected end of input')
+            }
+
+            value = this.parseValue()
+            this.skipSeparators(false)
+        }
+
+        if (this.pos < this.text.length) {
+            this.error('Unexpected ' + this.describe(this.pos))
+        }
+
+        return value
+    }
+
+    Parser.prototype.parseValue = function() {
+        var char = this.text.charAt(this.pos)
+
+        if (char === '{') {
+            this.pos++
+            return this.parseMembers('}')
+        }
+
+        if (char === '[') {
+            this.pos++
+            return this.parseElements()
+        }
+
+        if (char === '"' || char === "'" || char === '`') {
+            return this.parseString()
+        }
+
+        if (/[-+.\d]/.test(char)) {
+            return this.parseNumber()
+        }
+
+        var word = this.readWhile(/[\w$]/)
+
+        if (word === 'true') return true
+        if (word === 'false') return false
+        if (word === 'null') return null
+
+        this.pos -= word.length
+        this.error('Unexpected ' + this.describe(this.pos))
+    }
+
+    /*
+     * Parses the members of an object up to the closing character, or up to the end of
+     * the input when the closing character is null
+     */
+    Parser.prototype.parseMembers = function(closing) {
+        var result = {},
+            isFirst = true
+
+        while (true) {
+            this.skipSeparators(isFirst)
+
+            if (closing === null ? this.pos >= this.text.length : this.text.charAt(this.pos) === closing) {
+                this.pos++
+                return result
+            }
+
+            if (this.pos >= this.text.length) {
+                this.error('Unexpected end of input, expected "' + closing + '"')
+            }
+
+            if (!isFirst) {
+                this.expect(',')
+                this.skipSeparators(true)
+
+                if (closing === null ? this.pos >= this.text.length : this.text.charAt(this.pos) === closing) {
+                    this.pos++
+                    return result
+                }
+            }
+
+            var keyPosition = this.pos,
+                key = this.parseKey()
+
+            if (this.strict && Object.prototype.hasOwnProperty.call(result, key)) {
+                this.error('Duplicate key "' + key + '"', keyPosition)
+            }
+
+            this.skipWhitespace()
+            this.expect(':')
+            this.skipWhitespace()
+            result[key] = this.parseValue()
+            isFirst = false
+        }
+    }
+
+    Parser.prototype.parseElements = function() {
+        var result = [],
+            isFirst = true
+
+        while (true) {
+            this.skipWhitespace()
+
+            if (this.text.charAt(this.pos) === ']') {
+                this.pos++
+                return result
+            }
+
+            if (this.pos >= this.text.length) {
+                this.error('Unexpected end of input, expected "]"')
+            }
+
+            if (!isFirst) {
+                this.expect(',')
+                this.skipWhitespace()
+            }
+
+            /*
+             * Repeated commas are holes, treated as null values in the relaxed mode
+             */
+            while (this.text.charAt(this.pos) === ',') {
+                if (this.strict) {
+                    this.error('Unexpected ","')
+                }
+
+                result.push(null)
+                this.pos++
+                this.skipWhitespace()
+            }
+
+            if (this.text.charAt(this.pos) === ']') {
+                continue
+            }
+
+            result.push(this.parseValue())
+            isFirst = false
+        }
+    }
+
+    Parser.prototype.parseKey = function() {
+        var char = this.text.charAt(this.pos)
+
+        if (char === '"' || char === "'" || char === '`') {
+            return this.parseString()
+        }
+
+        var key = this.readWhile(/[^\s:,{}\[\]"'`]/)
+
+        if (!key.length) {
+            this.error('Expected a key but found ' + this.describe(this.pos))
+        }
+
+        return key
+    }
+
+    /*
+     * Strings support the JSON escape sequences, escaped quotes and unicode escapes
+     * in the \uXXXX and \u{XXXXX} formats. Template literals may span lines and may
+     * contain ${} placeholders, including nested template literals, which are kept as text.
+     */
+    Parser.prototype.parseString = function() {
+        var quote = this.text.charAt(this.pos),
+            start = this.pos,
+            result = ''
+
+        this.pos++
+
+        while (this.pos < this.text.length) {
+            var char = this.text.charAt(this.pos)
+
+            if (char === quote) {
+                this.pos++
+                return result
+            }
+
+            if (char === '\\') {
+                result += this.parseEscape()
+                continue
+            }
+
+            if (quote === '`' && char === '$' && this.text.charAt(this.pos + 1) === '{') {
+                result += this.readPlaceholder()
+                continue
+            }
+
+            if (char === '\n' && quote !== '`' && this.strict) {
+                this.error('Unterminated string')
+            }
+
+            result += char
+            this.pos++
+        }
+
+        this.error('Unterminated string', start)
+    }
+
+    Parser.prototype.parseEscape = function() {
+        var char = this.text.charAt(this.pos + 1),
+            escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '0': '\0' }
+
+        this.pos += 2
+
+        if (escapes.hasOwnProperty(char)) {
+            return escapes[char]
+        }
+
+        if (char === 'u') {
+            var matches = this.text.substring(this.pos).match(/^(?:([0-9a-fA-F]{4})|\{([0-9a-fA-F]{1,6})\})/)
+
+            if (!matches || parseInt(matches[2] || matches[1], 16) > 0x10FFFF) {
+                this.error('Invalid unicode escape sequence', this.pos - 2)
+            }
+
+            this.pos += matches[0].length
+
+            return matches[1]
+                ? String.fromCharCode(parseInt(matches[1], 16))
+                : String.fromCodePoint(parseInt(matches[2], 16))
+        }
+
+        if (char === '\n') {
+            return ''
+        }
+
+        if (this.strict && '"\'`\\/$'.indexOf(char) === -1) {
+            this.error('Invalid escape sequence "\\' + char + '"', this.pos - 2)
+        }
+
+        return char
+    }
+
+    /*
+     * Internal function, reads a ${} placeholder of a template literal as raw text
+     */
+    Parser.prototype.readPlaceholder = function() {
+        var start = this.pos,
+            depth = 0
+
+        while (this.pos < this.text.length) {
+            var char = this.text.charAt(this.pos)
+
+            if (char === '{') {
+                depth++
+            }
+            else if (char === '}' && --depth === 0) {
+                this.pos++
+                return this.text.substring(start, this.pos)
+            }
+            else if (char === '"' || char === "'" || char === '`') {
+                this.parseString()
+                continue
+            }
+
+            this.pos++
+        }
+
+        this.error('Unterminated template literal placeholder', start)
+    }
+
+    Parser.prototype.parseNumber = function() {
+        var start = this.pos,
+            number = this.readWhile(/[-+.\deE]/),
+            isValid = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(number)
+
+        if (this.strict) {
+            if (!isValid || /[\w$]/.test(this.text.charAt(this.pos))) {
+                this.error('Invalid number "' + number + this.readWhile(/[\w$.]/) + '"', start)
+            }
+        }
+        else {
+            this.readWhile(/[\w$.]/)
+        }
+
+        var value = parseFloat(number)
+
+        if (isNaN(value)) {
+            this.error('Invalid number "' + number + '"', start)
+        }
+
+        return value
     }
 
     /*
-     * Internal function, build a string of partials and their update elements.
+     * Skips whitespace and, in the relaxed mode, the leading or repeated commas
      */
-    Request.prototype.extractPartials = function(update) {
-        var result = []
+    Parser.prototype.skipSeparators = function(allowCommas) {
+        this.skipWhitespace()
 
-        for (var partial in update)
-            result.push(partial)
+        while (allowCommas && this.text.charAt(this.pos) === ',') {
+            if (this.strict) {
+                this.error('Unexpected ","')
+            }
 
-        return result.join('&')
+            this.pos++
+            this.skipWhitespace()
+        }
     }
 
-    // REQUEST PLUGIN DEFINITION
-    // ============================
-
-    var old = $.fn.request
+    Parser.prototype.skipWhitespace = function() {
+        this.readWhile(/\s/)
+    }
 
-    $.fn.request = function(handler, option) {
-        var args = arguments
+    Parser.prototype.readWhile = function(pattern) {
+        var start = this.pos
 
-        var $this = $(this).first()
-        var data  = {
-            evalBeforeUpdate: $this.data('request-before-update'),
-            evalSuccess: $this.data('request-success'),
-            evalError: $this.data('request-error'),
-            evalComplete: $this.data('request-complete'),
-            ajaxGlobal: $this.data('request-ajax-global'),
-            confirm: $this.data('request-confirm'),
-            redirect: $this.data('request-redirect'),
-            loading: $this.data('request-loading'),
-            flash: $this.data('request-flash'),
-            files: $this.data('request-files'),
-            browserValidate: $this.data('browser-validate'),
-            form: $this.data('request-form'),
-            url: $this.data('request-url'),
-            update: paramToObj('data-request-update', $this.data('request-update')),
-            data: paramToObj('data-request-data', $this.data('request-data'))
+        while (this.pos < this.text.length && pattern.test(this.text.charAt(this.pos))) {
+            this.pos++
         }
-        if (!handler) handler = $this.data('request')
-        var options = $.extend(true, {}, Request.DEFAULTS, data, typeof option == 'object' && option)
-        return new Request($this, handler, options)
+
+        return this.text.substring(start, this.pos)
     }
 
-    $.fn.request.Constructor = Request
+    Parser.prototype.expect = function(char) {
+        if (this.text.charAt(this.pos) !== char) {
+            this.error('Expected "' + char + '" but found ' + this.describe(this.pos))
+        }
 
-    $.request = function(handler, option) {
-        return $(document).request(handler, option)
+        this.pos++
     }
 
-    // REQUEST NO CONFLICT
-    // =================
-
-    $.fn.request.noConflict = function() {
-        $.fn.request = old
-        return this
+    Parser.prototype.describe = function(pos) {
+        return pos < this.text.length ? '"' + this.text.charAt(pos) + '"' : 'the end of input'
     }
 
-    // REQUEST DATA-API
-    // ==============
+    Parser.prototype.error = function(message, pos) {
+        var lines = this.text.substring(0, pos !== undefined ? pos : this.pos).split('\n'),
+            line = lines.length,
+            column = lines[lines.length - 1].length + 1,
+            source = describeSource(this.options),
+            error = new SyntaxError(message + ' at line ' + line + ', column ' + column + (source ? ' of ' + source : ''))
 
-    function paramToObj(name, value) {
-        if (value === undefined) value = ''
-        if (typeof value == 'object') return value
+        error.line = line
+        error.column = column
+        error.source = source
 
-        try {
-            return ocJSON("{" + value + "}")
-        }
-        catch (e) {
-            throw new Error('Error parsing the '+name+' attribute value. '+e)
-        }
+        throw error
     }
 
-    function getXSRFToken() {
-        var cookieValue = null
-        if (document.cookie && document.cookie != '') {
-            var cookies = document.cookie.split(';')
-            for (var i = 0; i < cookies.length; i++) {
-                var cookie = jQuery.trim(cookies[i])
-                if (cookie.substring(0, 11) == ('XSRF-TOKEN' + '=')) {
-                    cookieValue = decodeURIComponent(cookie.substring(11))
-                    break
-                }
-            }
+    function describeSource(options) {
+        var element = options.element,
+            description = options.source || ''
+
+        if (element && element.nodeType === 1) {
+            description += (description ? ' on ' : '') + '<' + element.nodeName.toLowerCase()
+                + (element.id ? ' id="' + element.id + '"' : '')
+                + (element.name ? ' name="' + element.name + '"' : '')
+                + '>'
         }
-        return cookieValue
-    }
 
-    $(document).on('change', 'select[data-request], input[type=radio][data-request], input[type=checkbox][data-request], input[type=file][data-request]', function documentOnChange() {
-        $(this).request()
-    })
+        return description
+    }
 
-    $(document).on('click', 'a[data-request], button[data-request], input[type=button][data-request], input[type=submit][data-request]', function documentOnClick(e) {
-        e.preventDefault()
+    /*
+     * Serializes a value to the relaxed JSON format, the output is safe to use in an HTML
+     * attribute and parses back to the same value with ocJSON. The members option leaves
+     * out the braces of an object for attributes like data-request-data.
+     */
+    function stringify(value, options) {
+        options = options || {}
 
-        $(this).request()
+        var result = serialize(value)
 
-        if ($(this).is('[type=submit]'))
-            return false
-    })
+        if (options.members && result.charAt(0) === '{') {
+            result = result.substring(1, result.length - 1)
+        }
 
-    $(document).on('keydown', 'input[type=text][data-request], input[type=submit][data-request], input[type=password][data-request]', function documentOnKeydown(e) {
-        if (e.key === 'Enter') {
-            if (this.dataTrackInputTimer !== undefined)
-                window.clearTimeout(this.dataTrackInputTimer)
+        return result
+    }
 
-            $(this).request()
-            return false
+    function serialize(value) {
+        if (value && typeof value.toJSON === 'function') {
+            value = value.toJSON()
         }
-    })
-
-    $(document).on('input', 'input[data-request][data-track-input]', function documentOnKeyup(e) {
-        var
-            $el = $(this),
-            lastValue = $el.data('oc.lastvalue')
 
-        if (!$el.is('[type=email],[type=number],[type=password],[type=search],[type=text]'))
-            return
+        if (value === null || typeof value === 'number' && !isFinite(value)) {
+            return 'null'
+        }
 
-        if (lastValue !== undefined && lastValue == this.value)
-            return
+        if (typeof value === 'boolean' || typeof value === 'number') {
+            return String(value)
+        }
 
-        $el.data('oc.lastvalue', this.value)
+        if (typeof value === 'string') {
+            return quote(value)
+        }
 
-        if (this.dataTrackInputTimer !== undefined)
-            window.clearTimeout(this.dataTrackInputTimer)
+        if (Array.isArray(value)) {
+            return '[' + value.map(function(item) {
+                var result = serialize(item)
+                return result === undefined ? 'null' : result
+            }).join(', ') + ']'
+        }
 
-        var interval = $(this).data('track-input')
-        if (!interval)
-            interval = 300
+        if (typeof value === 'object') {
+            var members = []
 
-        var self = this
-        this.dataTrackInputTimer = window.setTimeout(function() {
-            if (self.lastDataTrackInputRequest) {
-                self.lastDataTrackInputRequest.abort();
-            }
-            self.lastDataTrackInputRequest = $(self).request();
-        }, interval)
-    })
+            Object.keys(value).forEach(function(key) {
+                var result = serialize(value[key])
 
-    $(document).on('submit', '[data-request]', function documentOnSubmit() {
-        $(this).request()
-        return false
-    })
+                if (result !== undefined) {
+                    members.push((/^[A-Za-z_$][\w$-]*$/.test(key) ? key : quote(key)) + ': ' + result)
+                }
+            })
 
-    $(window).on('beforeunload', function documentOnBeforeUnload() {
-        window.ocUnloading = true
-    })
+            return '{' + members.join(', ') + '}'
+        }
+    }
 
     /*
-     * Invent our own event that unifies document.ready with window.ajaxUpdateComplete
-     *
-     * $(document).render(function() { })
-     * $(document).on('render', function() { })
+     * Characters with a meaning in HTML are escaped as unicode sequences
      */
+    function quote(string) {
+        return "'" + string.replace(/[\\'"&<>\u0000-\u001f\u2028\u2029]/g, function(char) {
+            var escapes = { '\\': '\\\\', "'": "\\'", '\n': '\\n', '\r': '\\r', '\t': '\\t' }
 
-    $(document).ready(function triggerRenderOnReady() {
-        $(document).trigger('render')
-    })
-
-    $(window).on('ajaxUpdateComplete', function triggerRenderOnAjaxUpdateComplete() {
-        $(document).trigger('render')
-    })
+            return escapes[char] || '\\u' + ('0000' + char.charCodeAt(0).toString(16)).slice(-4)
+        }) + "'"
+    }
 
-    $.fn.render = function(callback) {
-        $(document).on('render', callback)
+    // Global function
+    window.ocJSON = function(json, options) {
+        return new Parser(json, options).parse()
     }
 
-}(window.jQuery);
+    window.ocJSON.strict = false
+    window.ocJSON.stringify = stringify
+
+}(window);
 
 /*
- * Winter CMS JSON Parser
+ * Winter CMS HTML Sanitizer
+ *
+ * Allowlist based, elements that are not allowed are unwrapped and their content is kept,
+ * except for the elements that carry executable or hidden content which are removed.
+ * Attributes that are not allowed are removed, URL attributes must use one of the allowed
+ * schemes and inline styles are limited to the allowed CSS properties.
+ *
+ *   ocSanitize(html)                  // "default" preset
+ *   ocSanitize(html, 'flash')         // preset name
+ *   ocSanitize(html, { tags: [...] }) // custom configuration, extends the default preset
+ *
+ * The "default" preset keeps the markup the previous sanitizer kept in practice, including
+ * form controls, id and data-* attributes. The "strict" preset also unwraps form controls and
+ * removes id and data-* attributes, use it for content that must not clobber globals or target
+ * scripts. The "flash" and "ugc" presets are limited to inline formatting and user content.
+ * Framework request and control attributes are removed by every preset.
+ *
+ * With Trusted Types, ocSanitize.trusted(html, preset) returns the sanitized TrustedHTML
+ * created by the "winter-sanitizer" policy.
  */
-+function(window) { "use strict";
-    function parseKey(str, pos, quote) {
-        var key = "";
-        for (var i = pos; i < str.length; i++) {
-            if (quote && quote === str[i]) {
-                return key;
-            } else if (!quote && (str[i] === " " || str[i] === ":")) {
-                return key;
-            }
-
-            key += str[i];
-
-            if (str[i] === "\\" && i + 1 < str.length) {
-                key += str[i + 1];
-                i++;
-            }
-        }
-        throw new Error("Broken JSON syntax near " + key);
-    }
-
-    function getBody(str, pos) {
-        // parse string body
-        if (str[pos] === "\"" || str[pos] === "'") {
-            var body = str[pos];
-            for (var i = pos + 1; i < str.length; i++) {
-                if (str[i] === "\\") {
-                    body += str[i];
-                    if (i + 1 < str.length) body += str[i + 1];
-                    i++;
-                } else if (str[i] === str[pos]) {
-                    body += str[pos];
-                    return {
-                        originLength: body.length,
-                        body: body
-                    };
-                } else body += str[i];
-            }
-            throw new Error("Broken JSON string body near " + body);
-        }
-
-        // parse true / false
-        if (str[pos] === "t") {
-            if (str.indexOf("true", pos) === pos) {
-                return {
-                    originLength: "true".length,
-                    body: "true"
-                };
-            }
-            throw new Error("Broken JSON boolean body near " + str.substr(0, pos + 10));
-        }
-        if (str[pos] === "f") {
-            if (str.indexOf("f", pos) === pos) {
-                return {
-                    originLength: "false".length,
-                    body: "false"
-                };
-            }
-            throw new Error("Broken JSON boolean body near " + str.substr(0, pos + 10));
-        }
-
-        // parse null
-        if (str[pos] === "n") {
-            if (str.indexOf("null", pos) === pos) {
-                return {
-                    originLength: "null".length,
-                    body: "null"
-                };
-            }
-            throw new Error("Broken JSON boolean body near " + str.substr(0, pos + 10));
-        }
-
-        // parse number
-        if (str[pos] === "-" || str[pos] === "+" || str[pos] === "." || (str[pos] >= "0" && str[pos] <= "9")) {
-            var body = "";
-            for (var i = pos; i < str.length; i++) {
-                if (str[i] === "-" || str[i] === "+" || str[i] === "." || (str[i] >= "0" && str[i] <= "9")) {
-                    body += str[i];
-                } else {
-                    return {
-                        originLength: body.length,
-                        body: body
-                    };
-                }
-            }
-            throw new Error("Broken JSON number body near " + body);
-        }
-
-        // parse object
-        if (str[pos] === "{" || str[pos] === "[") {
-            var stack = [str[pos]];
-            var body = str[pos];
-            for (var i = pos + 1; i < str.length; i++) {
-                body += str[i];
-                if (str[i] === "\\") {
-                    if (i + 1 < str.length) body += str[i + 1];
-                    i++;
-                } else if (str[i] === "\"") {
-                    if (stack[stack.length - 1] === "\"") {
-                        stack.pop();
-                    } else if (stack[stack.length - 1] !== "'") {
-                        stack.push(str[i]);
-                    }
-                } else if (str[i] === "'") {
-                    if (stack[stack.length - 1] === "'") {
-                        stack.pop();
-                    } else if (stack[stack.length - 1] !== "\"") {
-                        stack.push(str[i]);
-                    }
-                } else if (stack[stack.length - 1] !== "\"" && stack[stack.length - 1] !== "'") {
-                    if (str[i] === "{") {
-                        stack.push("{");
-                    } else if (str[i] === "}") {
-                        if (stack[stack.length - 1] === "{") {
-                            stack.pop();
-                        } else {
-                            throw new Error("Broken JSON " + (str[pos] === "{" ? "object" : "array") + " body near " + body);
-                        }
-                    } else if (str[i] === "[") {
-                        stack.push("[");
-                    } else if (str[i] === "]") {
-                        if (stack[stack.length - 1] === "[") {
-                            stack.pop();
-                        } else {
-                            throw new Error("Broken JSON " + (str[pos] === "{" ? "object" : "array") + " body near " + body);
-                        }
-                    }
-                }
-                if (!stack.length) {
-                    return {
-                        originLength: i - pos,
-                        body: body
-                    };
-                }
-            }
-            throw new Error("Broken JSON " + (str[pos] === "{" ? "object" : "array") + " body near " + body);
++function(window, document) { "use strict";
+
+    var DEFAULT_TAGS = ['a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details',
+            'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+            'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+            'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul'],
+        TAG_ATTRIBUTES = {
+            a: ['href', 'target', 'rel', 'name'],
+            img: ['src', 'alt', 'width', 'height'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan', 'scope'],
+            col: ['span'],
+            colgroup: ['span'],
+            ol: ['start', 'type', 'reversed'],
+            li: ['value'],
+            q: ['cite'],
+            blockquote: ['cite'],
+            del: ['cite', 'datetime'],
+            ins: ['cite', 'datetime'],
+            time: ['datetime'],
+            details: ['open']
+        },
+        FORM_TAGS = ['button', 'fieldset', 'form', 'input', 'label', 'legend', 'optgroup', 'option', 'select', 'textarea'],
+        FORM_ATTRIBUTES = {
+            form: ['action', 'method', 'name'],
+            input: ['type', 'name', 'value', 'checked', 'disabled', 'readonly', 'required', 'placeholder', 'min', 'max',
+                'step', 'maxlength', 'autocomplete'],
+            button: ['type', 'name', 'value', 'disabled', 'formaction'],
+            label: ['for'],
+            select: ['name', 'multiple', 'disabled', 'required'],
+            option: ['value', 'selected', 'disabled', 'label'],
+            optgroup: ['label', 'disabled'],
+            textarea: ['name', 'rows', 'cols', 'disabled', 'readonly', 'required', 'placeholder', 'maxlength'],
+            fieldset: ['name', 'disabled']
         }
-        throw new Error("Broken JSON body near " + str.substr((pos - 5 >= 0) ? pos - 5 : 0, 50));
-    }
 
-    function canBeKeyHead(ch) {
-        if (ch[0] === "\\") return false;
-        if ((ch[0] >= 'a' && ch[0] <= 'z') || (ch[0] >= 'A' && ch[0] <= 'Z') || ch[0] === '_') return true;
-        if (ch[0] >= '0' && ch[0] <= '9') return true;
-        if (ch[0] === '$') return true;
-        if (ch.charCodeAt(0) > 255) return true;
-        return false;
+    /*
+     * Elements that are removed along with their content when they are not allowed
+     */
+    var REMOVE_CONTENT_TAGS = ['script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'noembed', 'noframes', 'textarea', 'title', 'select', 'option', 'xmp', 'plaintext', 'math', 'svg', 'head']
+
+    var URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href', 'longdesc', 'usemap']
+
+    /*
+     * Attributes that turn an element into a framework request or control, these are removed
+     * even when a custom configuration allows them since their values are evaluated
+     */
+    var DENIED_ATTRIBUTES = ['on*', 'data-request*', 'data-control', 'data-track-input', 'data-handler']
+
+    var DEFAULT_STYLES = ['color', 'background-color', 'font-weight', 'font-style', 'text-decoration', 'text-align',
+        'vertical-align', 'width', 'height', 'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left', 'padding',
+        'padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'border', 'white-space']
+
+    var presets = {
+        default: {
+            tags: DEFAULT_TAGS.concat(FORM_TAGS),
+            attributes: extendAttributes(extendAttributes(TAG_ATTRIBUTES, FORM_ATTRIBUTES), {
+                '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*', 'data-*', 'style']
+            }),
+            schemes: ['http', 'https', 'mailto', 'tel'],
+            styles: DEFAULT_STYLES
+        },
+        strict: {
+            tags: DEFAULT_TAGS,
+            attributes: extendAttributes(TAG_ATTRIBUTES, {
+                '*': ['class', 'title', 'lang', 'dir', 'role', 'aria-*', 'style']
+            }),
+            schemes: ['http', 'https', 'mailto', 'tel'],
+            styles: DEFAULT_STYLES
+        },
+        flash: {
+            tags: ['a', 'b', 'br', 'code', 'em', 'i', 'small', 'span', 'strong', 'u'],
+            attributes: {
+                '*': ['class'],
+                a: ['href', 'target', 'rel']
+            },
+            schemes: ['http', 'https', 'mailto'],
+            styles: []
+        },
+        ugc: {
+            tags: DEFAULT_TAGS,
+            attributes: extendAttributes(TAG_ATTRIBUTES, {
+                '*': ['title', 'lang', 'dir']
+            }),
+            schemes: ['http', 'https', 'mailto'],
+            styles: []
+        }
     }
 
-    function isBlankChar(ch) {
-        return ch === " " || ch === "\n" || ch === "\t";
+    var RAW_HTML = {},
+        policy = null
+
+    if (window.trustedTypes && window.trustedTypes.createPolicy) {
+        try {
+            policy = window.trustedTypes.createPolicy('winter-sanitizer', {
+                createHTML: function(html, config) {
+                    return config === RAW_HTML ? html : sanitize(html, config)
+                }
+            })
+        }
+        catch (e) {
+            // The policy name is not allowed by the Content-Security-Policy
+        }
     }
 
-    function parse(str) {
-        str = str.trim();
-        if (!str.length) throw new Error("Broken JSON object.");
-        var result = "";
+    function sanitize(html, config) {
+        config = resolveConfig(config)
 
         /*
-         * the mistake ','
+         * Template contents are inert, scripts do not run and resources are not loaded
          */
-        while (str && str[0] === ",") {
-            str = str.substr(1);
+        var template = document.createElement('template')
+        template.innerHTML = policy ? policy.createHTML(String(html), RAW_HTML) : String(html)
+
+        sanitizeChildren(template.content, config)
+
+        return template.innerHTML
+    }
+
+    function resolveConfig(config) {
+        if (!config) {
+            return presets.default
         }
 
-        /*
-         * string
-         */
-        if (str[0] === "\"" || str[0] === "'") {
-            if (str[str.length - 1] !== str[0]) {
-                throw new Error("Invalid string JSON object.");
+        if (typeof config === 'string') {
+            if (!presets[config]) {
+                throw new Error('Unknown sanitizer preset "' + config + '"')
             }
 
-            var body = "\"";
-            for (var i = 1; i < str.length; i++) {
-                if (str[i] === "\\") {
-                    if (str[i + 1] === "'") {
-                        body += str[i + 1]
-                    } else {
-                        body += str[i];
-                        body += str[i + 1];
-                    }
-                    i++;
-                } else if (str[i] === str[0]) {
-                    body += "\"";
-                    return body
-                } else if (str[i] === "\"") {
-                    body += "\\\""
-                } else body += str[i];
-            }
-            throw new Error("Invalid string JSON object.");
+            return presets[config]
         }
 
-        /*
-         * boolean
-         */
-        if (str === "true" || str === "false") {
-            return str;
-        }
+        var base = config.preset ? resolveConfig(config.preset) : presets.default,
+            result = {}
 
-        /*
-         * null
-         */
-        if (str === "null") {
-            return "null";
+        for (var key in base) {
+            result[key] = config[key] !== undefined ? config[key] : base[key]
         }
 
-        /*
-         * number
-         */
-        var num = parseFloat(str);
-        if (!isNaN(num)) {
-            return num.toString();
+        return result
+    }
+
+    function sanitizeChildren(parent, config) {
+        var node = parent.firstChild
+
+        while (node) {
+            var next = node.nextSibling
+
+            if (node.nodeType === 1) {
+                sanitizeElement(node, config)
+            }
+            else if (node.nodeType !== 3) {
+                parent.removeChild(node)
+            }
+
+            node = next
         }
+    }
 
-        /*
-         * object
-         */
-        if (str[0] === "{") {
-            var type = "needKey";
-            var result = "{";
+    function sanitizeElement(element, config) {
+        var tagName = element.localName.toLowerCase()
 
-            for (var i = 1; i < str.length; i++) {
-                if (isBlankChar(str[i])) {
-                    continue;
-                } else if (type === "needKey" && (str[i] === "\"" || str[i] === "'")) {
-                    var key = parseKey(str, i + 1, str[i]);
-                    result += "\"" + key + "\"";
-                    i += key.length;
-                    i += 1;
-                    type = "afterKey";
-                } else if (type === "needKey" && canBeKeyHead(str[i])) {
-                    var key = parseKey(str, i);
-                    result += "\"";
-                    result += key;
-                    result += "\"";
-                    i += key.length - 1;
-                    type = "afterKey";
-                } else if (type === "afterKey" && str[i] === ":") {
-                    result += ":";
-                    type = ":";
-                } else if (type === ":") {
-                    var body = getBody(str, i);
+        if (config.tags.indexOf(tagName) === -1) {
+            if (REMOVE_CONTENT_TAGS.indexOf(tagName) !== -1 || element.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                element.parentNode.removeChild(element)
+                return
+            }
 
-                    i = i + body.originLength - 1;
-                    result += parse(body.body);
+            /*
+             * Unwrap the element and sanitize its content in place
+             */
+            var content = element.ownerDocument.createDocumentFragment()
 
-                    type = "afterBody";
-                } else if (type === "afterBody" || type === "needKey") {
-                    var last = i;
-                    while (str[last] === "," || isBlankChar(str[last])) {
-                        last++;
-                    }
-                    if (str[last] === "}" && last === str.length - 1) {
-                        while (result[result.length - 1] === ",") {
-                            result = result.substr(0, result.length - 1);
-                        }
-                        result += "}";
-                        return result;
-                    } else if (last !== i && result !== "{") {
-                        result += ",";
-                        type = "needKey";
-                        i = last - 1;
-                    }
-                }
+            while (element.firstChild) {
+                content.appendChild(element.firstChild)
             }
-            throw new Error("Broken JSON object near " + result);
+
+            sanitizeChildren(content, config)
+            element.parentNode.replaceChild(content, element)
+            return
         }
 
+        Array.prototype.slice.call(element.attributes).forEach(function(attribute) {
+            var name = attribute.name.toLowerCase()
+
+            if (!isAllowedAttribute(tagName, name, config)) {
+                element.removeAttribute(attribute.name)
+            }
+            else if (URL_ATTRIBUTES.indexOf(name) !== -1 && !isAllowedUrl(attribute.value, config.schemes)) {
+                element.removeAttribute(attribute.name)
+            }
+            else if (name === 'style') {
+                sanitizeStyle(element, config.styles || [])
+            }
+        })
+
         /*
-         * array
+         * Links opening a new window should not have access to the opener
          */
-        if (str[0] === "[") {
-            var result = "[";
-            var type = "needBody";
-            for (var i = 1; i < str.length; i++) {
-                if (" " === str[i] || "\n" === str[i] || "\t" === str[i]) {
-                    continue;
-                } else if (type === "needBody") {
-                    if (str[i] === ",") {
-                        result += "null,";
-                        continue;
-                    }
-                    if (str[i] === "]" && i === str.length - 1) {
-                        if (result[result.length - 1] === ",") result = result.substr(0, result.length - 1);
-                        result += "]";
-                        return result;
-                    }
+        if (element.hasAttribute('target')) {
+            element.setAttribute('rel', 'noopener noreferrer')
+        }
 
-                    var body = getBody(str, i);
+        sanitizeChildren(element, config)
+    }
 
-                    i = i + body.originLength - 1;
-                    result += parse(body.body);
+    function isAllowedAttribute(tagName, name, config) {
+        var allowed = (config.attributes['*'] || []).concat(config.attributes[tagName] || [])
 
-                    type = "afterBody";
-                } else if (type === "afterBody") {
-                    if (str[i] === ",") {
-                        result += ",";
-                        type = "needBody";
+        if (matchesAttribute(name, DENIED_ATTRIBUTES)) {
+            return false
+        }
 
-                        // deal with mistake ","
-                        while (str[i + 1] === "," || isBlankChar(str[i + 1])) {
-                            if (str[i + 1] === ",") result += "null,";
-                            i++;
-                        }
-                    } else if (str[i] === "]" && i === str.length - 1) {
-                        result += "]";
-                        return result;
-                    }
-                }
+        return matchesAttribute(name, allowed)
+    }
+
+    function matchesAttribute(name, patterns) {
+        return patterns.some(function(pattern) {
+            return pattern.charAt(pattern.length - 1) === '*'
+                ? name.indexOf(pattern.substring(0, pattern.length - 1)) === 0
+                : name === pattern
+        })
+    }
+
+    /*
+     * Entities are already decoded by the parser, whitespace and control characters
+     * are ignored by browsers in the scheme so they are removed before the check
+     */
+    function isAllowedUrl(value, schemes) {
+        var url = value.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase(),
+            matches = url.match(/^([a-z][a-z0-9+.\-]*):/)
+
+        return !matches || schemes.indexOf(matches[1]) !== -1
+    }
+
+    function sanitizeStyle(element, styles) {
+        var style = element.style,
+            declarations = []
+
+        for (var i = 0; i < style.length; i++) {
+            var property = style[i],
+                value = style.getPropertyValue(property)
+
+            if (isAllowedStyle(property, styles) && !/url\s*\(|expression\s*\(|javascript:|@import/i.test(value)) {
+                declarations.push(property + ': ' + value)
             }
-            throw new Error("Broken JSON array near " + result);
         }
+
+        declarations.length
+            ? element.setAttribute('style', declarations.join('; '))
+            : element.removeAttribute('style')
     }
 
-    // Global function
-    window.ocJSON = function(json) {
-        var jsonString = parse(json);
-        return JSON.parse(jsonString);
-    };
+    /*
+     * Longhand properties are allowed by their shorthand, for example border-top-width by border
+     */
+    function isAllowedStyle(property, styles) {
+        return styles.some(function(allowed) {
+            return property === allowed || property.indexOf(allowed + '-') === 0
+        })
+    }
 
-}(window);
+    function extendAttributes(attributes, extra) {
+        var result = {}
 
-/*
- * Winter CMS jQuery HTML Sanitizer
- * @see https://gist.github.com/ufologist/5a0da51b2b9ef1b861c30254172ac3c9
- */
-+function(window) { "use strict";
+        for (var tagName in attributes) {
+            result[tagName] = attributes[tagName]
+        }
 
-    function trimAttributes(node) {
-        $.each(node.attributes, function() {
-            var attrName = this.name;
-            var attrValue = this.value;
+        for (var key in extra) {
+            result[key] = (result[key] || []).concat(extra[key])
+        }
 
-            /*
-             * remove attributes where the names start with "on" (for example: onload, onerror...)
-             * remove attributes where the value starts with the "javascript:" pseudo protocol (for example href="javascript:alert(1)")
-             */
-            if (attrName.indexOf('on') == 0 || attrValue.indexOf('javascript:') == 0) {
-                $(node).removeAttr(attrName);
-            }
-        });
-    }
-
-    function sanitize(html) {
-        /*
-         * [jQuery.parseHTML(data [, context ] [, keepScripts ])](http://api.jquery.com/jQuery.parseHTML/) added: 1.8
-         * Parses a string into an array of DOM nodes.
-         *
-         * By default, the context is the current document if not specified or given as null or undefined. If the HTML was to be used
-         * in another document such as an iframe, that frame's document could be used.
-         *
-         * As of 3.0 the default behavior is changed.
-         *
-         * If the context is not specified or given as null or undefined, a new document is used.
-         * This can potentially improve security because inline events will not execute when the HTML is parsed. Once the parsed HTML
-         * is injected into a document it does execute, but this gives tools a chance to traverse the created DOM and remove anything
-         * deemed unsafe. This improvement does not apply to internal uses of jQuery.parseHTML as they usually pass in the current
-         * document. Therefore, a statement like $( "#log" ).append( $( htmlString ) ) is still subject to the injection of malicious code.
-         *
-         * without context do not execute script
-         * $.parseHTML('<div><img src=1 onerror=alert(1)></div>');
-         * $.parseHTML('<div><img src=1 onerror=alert(2)></div>', null);
-         *
-         * with context document execute script!
-         * $.parseHTML('<div><img src=1 onerror=alert(3)></div>', document);
-         *
-         * Most jQuery APIs that accept HTML strings will run scripts that are included in the HTML. jQuery.parseHTML does not run scripts
-         * in the parsed HTML unless keepScripts is explicitly true. However, it is still possible in most environments to execute scripts
-         * indirectly, for example via the <img onerror> attribute.
-         *
-         * will return []
-         * $.parseHTML('<script>alert(1)<\/script>', null, false);
-         *
-         * will return [script DOM element]
-         * $.parseHTML('<script>alert(1)<\/script>', null, true);
-         */
-        var output = $($.parseHTML('<div>' + html + '</div>', null, false));
-        output.find('*').each(function() {
-            trimAttributes(this);
-        });
-        return output.html();
+        return result
     }
 
     // Global function
-    window.ocSanitize = function(html) {
-        return sanitize(html)
-    };
+    window.ocSanitize = function(html, config) {
+        return sanitize(html, config)
+    }
 
-}(window);
+    window.ocSanitize.presets = presets
+
+    window.ocSanitize.trusted = function(html, config) {
+        return policy ? policy.createHTML(html, config) : sanitize(html, config)
+    }
+
+}(window, document);
@@ -21,6 +21,22 @@
 
     var FilterWidget = $.fn.filterWidget.Constructor;
 
+    /*
+     * Relative date ranges offered in the range popover, the labels
+     * are found in the filter.dates.presets language keys.
+     */
+    var datePresets = [
+        'last 24 hours',
+        'last 7 days',
+        'last 30 days',
+        'today',
+        'yesterday',
+        'this week',
+        'this month',
+        'last month',
+        'this year'
+    ]
+
     // OVERLOADED MODULE
     // =================
 
@@ -63,6 +79,25 @@
 
                 self.filterByDate(true)
             })
+
+            $(event.relatedTarget).on('click', '#controlFilterPopoverDate [data-date-expression]', function (e) {
+                e.preventDefault()
+                e.stopPropagation()
+
+                $('#controlFilterPopoverDate input[name="expression"]').val($(this).data('date-expression'))
+                self.filterByDate()
+            })
+
+            $(event.relatedTarget).on('keydown', '#controlFilterPopoverDate input[name="expression"]', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault()
+                    self.filterByDate()
+                }
+            })
+
+            $(event.relatedTarget).on('input', '#controlFilterPopoverDate input[name="expression"]', function () {
+                $(this).closest('.filter-date-expression').removeClass('has-error')
+            })
         })
 
         this.$el.on('hiding.oc.popover', 'a.filter-scope-date', function () {
@@ -147,6 +182,22 @@
                     <input type="hidden" name="scopeName" value="{{ scopeName }}" />                                      \
                     <div id="controlFilterPopoverDate" class="control-filter-popover control-filter-box-popover --range"> \
                         <div class="filter-search loading-indicator-container size-input-text">                           \
+                            <ul class="filter-date-presets">                                                              \
+                                {{#presets}}                                                                              \
+                                    <li class="{{#active}}active{{/active}}">                                             \
+                                        <a href="javascript:;" data-date-expression="{{ expression }}">{{ label }}</a>    \
+                                    </li>                                                                                 \
+                                {{/presets}}                                                                              \
+                            </ul>                                                                                         \
+                            <div class="filter-date-expression">                                                          \
+                                <input                                                                                    \
+                                    type="text"                                                                           \
+                                    name="expression"                                                                     \
+                                    value="{{ expression }}"                                                              \
+                                    class="form-control popup-allow-focus"                                                \
+                                    autocomplete="off"                                                                    \
+                                    placeholder="{{ expression_placeholder }}" />                                         \
+                            </div>                                                                                        \
                             <div class="field-datepicker">                                                                \
                                 <div class="input-with-icon right-align">                                                 \
                                     <i class="icon icon-calendar-o"></i>                                                  \
@@ -216,13 +267,23 @@
     FilterWidget.prototype.displayPopoverRange = function ($scope) {
         var self = this,
             scopeName = $scope.data('scope-name'),
-            data = this.scopeValues[scopeName]
+            data = this.scopeValues[scopeName] || {},
+            expression = data.expression || ($scope.data('scope-data') || {}).expression || ''
 
         data = $.extend({}, data, {
             filter_button_text: this.getLang('filter.dates.filter_button_text'),
             reset_button_text: this.getLang('filter.dates.reset_button_text'),
             after_placeholder: this.getLang('filter.dates.after_placeholder', 'After'),
-            before_placeholder: this.getLang('filter.dates.before_placeholder', 'Before')
+            before_placeholder: this.getLang('filter.dates.before_placeholder', 'Before'),
+            expression_placeholder: this.getLang('filter.dates.expression_placeholder', 'e.g. since yesterday 09:00'),
+            expression: expression,
+            presets: $.map(datePresets, function (preset) {
+                return {
+                    expression: preset,
+                    label: self.getDateExpressionLabel(preset),
+                    active: preset === expression
+                }
+            })
         })
 
         data.scopeName = scopeName
@@ -250,10 +311,16 @@
 
         if (!data) {
             data = {
-                dates: isRange ? (scopeData.dates ? scopeData.dates : []) : (scopeData.date ? [scopeData.date] : [])
+                dates: isRange ? (scopeData.dates ? scopeData.dates : []) : (scopeData.date ? [scopeData.date] : []),
+                expression: isRange ? scopeData.expression : null
             }
         }
 
+        // Show the current dates of a relative range
+        if (data.expression) {
+            data = $.extend({}, data, { dates: this.resolveDateExpression(data.expression) || data.dates })
+        }
+
         $inputs.each(function (index, datepicker) {
             var defaultValue = '',
                 $datepicker = $(datepicker),
@@ -276,6 +343,12 @@
                     self.filterByDate()
                 }
             }
+            else {
+                // Picking a date replaces the relative range
+                defaults.onSelect = function () {
+                    $('#controlFilterPopoverDate input[name="expression"]').val('')
+                }
+            }
 
             datepicker.value = '' !== defaultValue ? defaultValue.format(self.getDateFormat()) : '';
 
@@ -293,13 +366,16 @@
         })
     }
 
-    FilterWidget.prototype.updateScopeDateSetting = function ($scope, dates) {
+    FilterWidget.prototype.updateScopeDateSetting = function ($scope, dates, expression) {
         var $setting = $scope.find('.filter-setting'),
             dateFormat = this.getDateFormat(),
             dateRegex =/\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/,
             reset = false
 
-        if (dates && dates.length) {
+        if (expression) {
+            $setting.text(this.getDateExpressionLabel(expression))
+        }
+        else if (dates && dates.length) {
             dates[0] = dates[0] && dates[0].match(dateRegex) ? dates[0] : null
 
             if (dates.length > 1) {
@@ -334,9 +410,20 @@
 
     FilterWidget.prototype.filterByDate = function (isReset) {
         var self = this,
-            dates = []
+            dates = [],
+            $expression = $('#controlFilterPopoverDate input[name="expression"]'),
+            expression = isReset ? '' : $.trim($expression.val() || '').toLowerCase().replace(/\s+/g, ' ')
 
-        if (!isReset) {
+        if (expression) {
+            dates = this.resolveDateExpression(expression)
+
+            if (!dates) {
+                $expression.closest('.filter-date-expression').addClass('has-error')
+                $expression.focus()
+                return
+            }
+        }
+        else if (!isReset) {
             var datepickers = $('.field-datepicker input', '#controlFilterPopoverDate')
 
             datepickers.each(function (index, datepicker) {
@@ -360,14 +447,100 @@
             })
         }
 
-        this.updateScopeDateSetting(this.$activeScope, dates);
-        this.scopeValues[this.activeScopeName] = {
-            dates: dates
-        }
+        this.updateScopeDateSetting(this.$activeScope, dates, expression);
+        this.scopeValues[this.activeScopeName] = expression
+            ? { dates: dates, expression: expression }
+            : { dates: dates }
         this.isActiveScopeDirty = true;
         this.$activeScope.data('oc.popover').hide()
     }
 
+    // RELATIVE DATES
+    // =================
+
+    /*
+     * Resolves a relative date expression to the after and before dates in the
+     * application timezone, the expression is read in the user's timezone.
+     * Returns null when the expression is not understood.
+     *
+     * - today, yesterday
+     * - this hour|day|week|month|year
+     * - last week|month|year, the previous calendar period
+     * - last 24 hours, last 7 days, up to the current time
+     * - since yesterday 09:00, since 3 days ago, since 2024-01-31 12:00
+     */
+    FilterWidget.prototype.resolveDateExpression = function (expression) {
+        var now = moment.tz(this.timezone),
+            text = $.trim(String(expression)).toLowerCase().replace(/\s+/g, ' '),
+            after = null,
+            before = now.clone(),
+            match
+
+        if (text === 'today') {
+            after = now.clone().startOf('day')
+            before = now.clone().endOf('day')
+        }
+        else if (text === 'yesterday') {
+            after = now.clone().subtract(1, 'day').startOf('day')
+            before = after.clone().endOf('day')
+        }
+        else if ((match = text.match(/^this (hour|day|week|month|year)$/))) {
+            after = now.clone().startOf(match[1])
+            before = now.clone().endOf(match[1])
+        }
+        else if ((match = text.match(/^last (week|month|year)$/))) {
+            after = now.clone().subtract(1, match[1]).startOf(match[1])
+            before = after.clone().endOf(match[1])
+        }
+        else if ((match = text.match(/^last (\d+) (minute|hour|day|week|month|year)s?$/))) {
+            after = now.clone().subtract(parseInt(match[1], 10), match[2])
+        }
+        else if ((match = text.match(/^since (.+)$/))) {
+            after = this.resolveDatePoint(match[1], now)
+        }
+
+        if (!after || !after.isValid() || after.isAfter(before)) {
+            return null
+        }
+
+        return [
+            after.tz(this.appTimezone).format('YYYY-MM-DD HH:mm:ss'),
+            before.tz(this.appTimezone).format('YYYY-MM-DD HH:mm:ss')
+        ]
+    }
+
+    /*
+     * Resolves the start of a "since" expression
+     */
+    FilterWidget.prototype.resolveDatePoint = function (text, now) {
+        var match
+
+        if ((match = text.match(/^(today|yesterday)(?: ([01]?\d|2[0-3]):([0-5]\d))?$/))) {
+            return now.clone()
+                .subtract(match[1] === 'yesterday' ? 1 : 0, 'day')
+                .startOf('day')
+                .hours(match[2] ? parseInt(match[2], 10) : 0)
+                .minutes(match[3] ? parseInt(match[3], 10) : 0)
+        }
+
+        if ((match = text.match(/^(\d+) (minute|hour|day|week|month|year)s? ago$/))) {
+            return now.clone().subtract(parseInt(match[1], 10), match[2])
+        }
+
+        return moment.tz(text, ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD'], true, this.timezone)
+    }
+
+    FilterWidget.prototype.getDateExpressionLabel = function (expression) {
+        if ($.inArray(expression, datePresets) === -1) {
+            return expression
+        }
+
+        return this.getLang(
+            'filter.dates.presets.' + expression.replace(/ /g, '_'),
+            expression.charAt(0).toUpperCase() + expression.slice(1)
+        )
+    }
+
     FilterWidget.prototype.getDateFormat = function () {
         if (this.locale) {
             return moment()
@@ -34,12 +34,47 @@
         this.dependantUpdateInterval = 300
         this.dependantUpdateTimers = {}
 
+        /*
+         * Option lists longer than the threshold only render the visible items
+         */
+        this.virtualThreshold = 100
+        this.virtualBuffer = 10
+        this.optionsRowHeight = null
+
+        /*
+         * Group options paging, search results and keyboard highlight
+         */
+        this.scopePage = {}
+        this.scopeHasMore = {}
+        this.searchResults = null
+        this.searchQueryText = ''
+        this.highlight = { pane: 'available', index: -1 }
+        this.animateItemId = null
+
+        /*
+         * Batch mode collects the scope updates made within the interval
+         */
+        this.batchUpdateInterval = 300
+        this.batchUpdateTimer = null
+        this.batchScopes = {}
+        this.batchDeferred = null
+        this.batchDependants = {}
+
+        /*
+         * Compact values of the updated scopes, kept in the query string
+         */
+        this.queryState = {}
+
         this.init()
+        this.initQueryState()
     }
 
     FilterWidget.DEFAULTS = {
         optionsHandler: null,
-        updateHandler: null
+        updateHandler: null,
+        optionsCache: null,
+        queryParam: null,
+        batchUpdates: false
     }
 
     /*
@@ -60,20 +95,13 @@
                                 data-search />                                                                         \
                             <div class="filter-items">                                                                 \
                                 <ul>                                                                                   \
-                                    {{#available}}                                                                     \
-                                        <li data-item-id="{{id}}"><a href="javascript:;">{{name}}</a></li>             \
-                                    {{/available}}                                                                     \
                                     {{#loading}}                                                                       \
                                         <li class="loading"><span></span></li>                                         \
                                     {{/loading}}                                                                       \
                                 </ul>                                                                                  \
                             </div>                                                                                     \
                             <div class="filter-active-items">                                                          \
-                                <ul>                                                                                   \
-                                    {{#active}}                                                                        \
-                                        <li data-item-id="{{id}}"><a href="javascript:;">{{name}}</a></li>             \
-                                    {{/active}}                                                                        \
-                                </ul>                                                                                  \
+                                <ul></ul>                                                                              \
                             </div>                                                                                     \
                             <div class="filter-buttons">                                                               \
                                 <button class="btn btn-block btn-primary wn-icon-filter" data-filter-action="apply">   \
@@ -132,16 +160,30 @@
         this.$el.on('show.oc.popover', 'a.filter-scope', function(event){
             self.focusSearch()
 
-            $(event.relatedTarget).on('click', '#controlFilterPopover .filter-items > ul > li', function(){
+            $(event.relatedTarget).on('click', '#controlFilterPopover .filter-items > ul > li[data-item-id]', function(){
                 self.selectItem($(this))
             })
 
-            $(event.relatedTarget).on('click', '#controlFilterPopover .filter-active-items > ul > li', function(){
+            $(event.relatedTarget).on('click', '#controlFilterPopover .filter-active-items > ul > li[data-item-id]', function(){
                 self.selectItem($(this), true)
             })
 
+            $(event.relatedTarget).on('click', '#controlFilterPopover .filter-items-more', function(){
+                self.loadMoreOptions()
+            })
+
+            $(event.relatedTarget).on('keydown', '#controlFilterPopover input[data-search]', function(e){
+                self.onOptionsKeydown(e)
+            })
+
+            $('#controlFilterPopover .filter-items', event.relatedTarget).on('scroll', function(){
+                if (self.isVirtualList()) {
+                    self.renderOptionsList('available')
+                }
+            })
+
             $(event.relatedTarget).on('ajaxDone', '#controlFilterPopover input.filter-search-input', function(event, context, data){
-                self.filterAvailable(data.scopeName, data.options.available)
+                self.filterAvailable(data.scopeName, data.options.available, data.options.hasMore)
             })
 
             $(event.relatedTarget).on('click', '#controlFilterPopover [data-filter-action="apply"]', function (e) {
@@ -214,29 +256,30 @@
      */
     FilterWidget.prototype.onRefreshDependants = function(scopeName, toRefresh) {
         var self = this,
-            scopeElements = this.$el.find('.filter-scope')
+            scopeElements = this.$el.find('.filter-scope'),
+            timerName = scopeName
 
-        if (this.dependantUpdateTimers[scopeName] !== undefined) {
-            window.clearTimeout(this.dependantUpdateTimers[scopeName])
-        }
-
-        this.dependantUpdateTimers[scopeName] = window.setTimeout(function() {
+        // In batch mode, the dependants of every master are refreshed together
+        if (this.options.batchUpdates) {
             $.each(toRefresh.scopes, function (index, dependantScope) {
-                self.scopeValues[dependantScope] = null
-                var $scope = self.$el.find('[data-scope-name="'+dependantScope+'"]')
-
-                /*
-                 * Request options from server
-                 */
-                self.$el.request(self.options.optionsHandler, {
-                    data: { scopeName: dependantScope },
-                    success: function(data) {
-                        self.fillOptions(dependantScope, data.options)
-                        self.updateScopeSetting($scope, data.options.active.length)
-                        $scope.loadIndicator('hide')
-                    }
-                })
+                self.batchDependants[dependantScope] = true
             })
+
+            timerName = '*'
+        }
+
+        if (this.dependantUpdateTimers[timerName] !== undefined) {
+            window.clearTimeout(this.dependantUpdateTimers[timerName])
+        }
+
+        this.dependantUpdateTimers[timerName] = window.setTimeout(function() {
+            if (self.options.batchUpdates) {
+                self.refreshDependants(Object.keys(self.batchDependants))
+                self.batchDependants = {}
+                return
+            }
+
+            self.refreshDependants(toRefresh.scopes)
         }, this.dependantUpdateInterval)
 
         $.each(toRefresh.scopes, function(index, scope) {
@@ -246,6 +289,32 @@
         })
     }
 
+    /*
+     * Requests the options of the dependant scopes from the options handler
+     */
+    FilterWidget.prototype.refreshDependants = function(scopeNames) {
+        var self = this
+
+        $.each(scopeNames, function (index, scopeName) {
+            self.scopeValues[scopeName] = null
+
+            self.$el.request(self.options.optionsHandler, {
+                data: { scopeName: scopeName },
+                success: function(data) {
+                    self.fillDependant(scopeName, data.options)
+                }
+            })
+        })
+    }
+
+    FilterWidget.prototype.fillDependant = function(scopeName, options) {
+        var $scope = this.$el.find('[data-scope-name="'+scopeName+'"]')
+
+        this.fillOptions(scopeName, options)
+        this.updateScopeSetting($scope, options.active ? options.active.length : 0)
+        $scope.loadIndicator('hide')
+    }
+
     FilterWidget.prototype.focusSearch = function() {
         if (Modernizr.touchevents)
             return
@@ -271,40 +340,55 @@
     }
 
     FilterWidget.prototype.selectItem = function($item, isDeselect) {
-        var $otherContainer = isDeselect
-            ? $item.closest('.control-filter-popover').find('.filter-items:first > ul')
-            : $item.closest('.control-filter-popover').find('.filter-active-items:first > ul')
-
-        $item
-            .addClass('animate-enter')
-            .prependTo($otherContainer)
-            .one('webkitAnimationEnd mozAnimationEnd MSAnimationEnd oanimationend animationend', function(){
-                $(this).removeClass('animate-enter')
-            })
+        this.toggleItem($item.data('item-id'), isDeselect)
+    }
 
-        if (!this.scopeValues[this.activeScopeName])
+    /*
+     * Moves an option between the available and active lists
+     */
+    FilterWidget.prototype.toggleItem = function(itemId, isDeselect) {
+        var scopeName = this.activeScopeName
+
+        if (!this.scopeValues[scopeName])
             return
 
         var
-            itemId = $item.data('item-id'),
-            active = this.scopeValues[this.activeScopeName],
-            available = this.scopeAvailable[this.activeScopeName],
-            fromItems = isDeselect ? active : available,
-            toItems = isDeselect ? available : active,
-            testFunc = function(active){ return active.id == itemId },
-            item = $.grep(fromItems, testFunc).pop(),
-            filtered = $.grep(fromItems, testFunc, true)
-
-        if (isDeselect)
-            this.scopeValues[this.activeScopeName] = filtered
-        else
-            this.scopeAvailable[this.activeScopeName] = filtered
-
-        if (item)
-            toItems.push(item)
-
-        this.toggleFilterButtons(active)
-        this.updateScopeSetting(this.$activeScope, isDeselect ? filtered.length : active.length)
+            active = this.scopeValues[scopeName],
+            available = this.scopeAvailable[scopeName] || [],
+            testFunc = function(item){ return item.id == itemId },
+            item
+
+        if (isDeselect) {
+            item = $.grep(active, testFunc).pop()
+            this.scopeValues[scopeName] = $.grep(active, testFunc, true)
+
+            if (item) {
+                available.unshift(item)
+
+                if (this.searchResults && this.matchesSearch(item.name)) {
+                    this.searchResults.items.unshift(item)
+                }
+            }
+        }
+        else {
+            item = $.grep(this.getOptionsItems('available'), testFunc).pop()
+            this.scopeAvailable[scopeName] = $.grep(available, testFunc, true)
+
+            if (this.searchResults) {
+                this.searchResults.items = $.grep(this.searchResults.items, testFunc, true)
+            }
+
+            if (item) {
+                this.scopeValues[scopeName].unshift(item)
+            }
+        }
+
+        this.animateItemId = itemId
+        this.renderOptions()
+        this.animateItemId = null
+
+        this.toggleFilterButtons(this.scopeValues[scopeName])
+        this.updateScopeSetting(this.$activeScope, this.scopeValues[scopeName].length)
         this.isActiveScopeDirty = true
         this.focusSearch()
     }
@@ -312,17 +396,10 @@
     FilterWidget.prototype.displayPopover = function($scope) {
         var self = this,
             scopeName = $scope.data('scope-name'),
-            data = null,
-            isLoaded = true,
+            isLoaded = typeof this.scopeAvailable[scopeName] !== "undefined" && !!this.scopeAvailable[scopeName],
+            data = isLoaded ? {} : { loading: true },
             container = false
 
-        if (typeof this.scopeAvailable[scopeName] !== "undefined" && this.scopeAvailable[scopeName]) {
-            data = $.extend({}, data, {
-                available: this.scopeAvailable[scopeName],
-                active: this.scopeValues[scopeName]
-            })
-        }
-
         // If the filter is running in a modal, popovers should be
         // attached to the modal container. This prevents z-index issues.
         var modalParent = $scope.parents('.modal-dialog')
@@ -330,11 +407,6 @@
             container = modalParent[0]
         }
 
-        if (!data) {
-            data = { loading: true }
-            isLoaded = false
-        }
-
         data = $.extend({}, data, {
             apply_button_text: this.getLang('filter.scopes.apply_button_text', 'Apply'),
             clear_button_text: this.getLang('filter.scopes.clear_button_text', 'Clear')
@@ -355,6 +427,14 @@
             container: container
         })
 
+        this.searchResults = null
+        this.searchQueryText = ''
+        this.highlight = { pane: 'available', index: -1 }
+
+        if (isLoaded) {
+            this.renderOptions()
+        }
+
         this.toggleFilterButtons()
 
         // Load options for the first time
@@ -385,6 +465,7 @@
          */
         return this.$el.request(this.options.optionsHandler, {
             data: data,
+            cache: this.options.optionsCache,
             success: function(data) {
                 self.fillOptions(scopeName, data.options)
                 self.toggleFilterButtons()
@@ -392,6 +473,16 @@
         })
     }
 
+    /*
+     * Cached options are stale once a scope is updated, as the options of
+     * the scopes and their dependants include the active values.
+     */
+    FilterWidget.prototype.invalidateOptionsCache = function() {
+        if (this.options.optionsCache && window.wnRequest !== undefined) {
+            wnRequest.cache.invalidate(this.options.optionsHandler)
+        }
+    }
+
     FilterWidget.prototype.fillOptions = function(scopeName, data) {
         if (this.scopeValues[scopeName])
             return
@@ -401,64 +492,298 @@
 
         this.scopeValues[scopeName] = data.active
         this.scopeAvailable[scopeName] = data.available
+        this.scopeHasMore[scopeName] = !!data.hasMore
+        this.scopePage[scopeName] = 1
 
         // Do not render if scope has changed
         if (scopeName != this.activeScopeName)
             return
 
-        /*
-         * Inject available
-         */
-        var container = $('#controlFilterPopover .filter-items > ul').empty()
-        this.addItemsToListElement(container, data.available)
-
-        /*
-         * Inject active
-         */
-        var container = $('#controlFilterPopover .filter-active-items > ul')
-        this.addItemsToListElement(container, data.active)
+        this.renderOptions()
     }
 
-    FilterWidget.prototype.filterAvailable = function(scopeName, available) {
+    FilterWidget.prototype.filterAvailable = function(scopeName, available, hasMore) {
         if (this.activeScopeName != scopeName)
             return
 
         if (!this.scopeValues[this.activeScopeName])
             return
 
+        this.searchResults = {
+            query: this.searchQueryText,
+            items: this.excludeActive(scopeName, available),
+            hasMore: !!hasMore,
+            page: 1
+        }
+
+        // Type-ahead, Enter selects the first match
+        this.highlight = { pane: 'available', index: this.searchQueryText ? 0 : -1 }
+
+        this.renderOptionsList('available')
+    }
+
+    /*
+     * Ensure any active items do not appear in the available items
+     */
+    FilterWidget.prototype.excludeActive = function(scopeName, items) {
+        var activeIds = $.map(this.scopeValues[scopeName] || [], function(item) {
+            return String(item.id)
+        })
+
+        return $.grep(items || [], function(item) {
+            return $.inArray(String(item.id), activeIds) === -1
+        })
+    }
+
+    /*
+     * Loads the next page of the available options, the options handler
+     * indicates more pages with the hasMore value. The stock handler of the
+     * Filter widget does not page the options, it requires a custom handler.
+     */
+    FilterWidget.prototype.loadMoreOptions = function() {
+        var self = this,
+            scopeName = this.activeScopeName,
+            search = this.searchResults,
+            page = (search ? search.page : this.scopePage[scopeName]) + 1
+
+        if (this.isLoadingMore)
+            return
+
+        this.isLoadingMore = true
+
+        return this.$el.request(this.options.optionsHandler, {
+            data: { scopeName: scopeName, search: search ? search.query : '', page: page },
+            success: function(data) {
+                var items = self.excludeActive(scopeName, data.options.available)
+
+                if (search) {
+                    search.items = search.items.concat(items)
+                    search.hasMore = !!data.options.hasMore
+                    search.page = page
+                }
+                else {
+                    self.scopeAvailable[scopeName] = (self.scopeAvailable[scopeName] || []).concat(items)
+                    self.scopeHasMore[scopeName] = !!data.options.hasMore
+                    self.scopePage[scopeName] = page
+                }
+
+                if (scopeName == self.activeScopeName && search === self.searchResults) {
+                    self.renderOptionsList('available')
+                }
+            }
+        }).always(function() {
+            self.isLoadingMore = false
+        })
+    }
+
+    // OPTION LISTS
+    // ============================
+
+    FilterWidget.prototype.renderOptions = function() {
+        this.renderOptionsList('available')
+        this.renderOptionsList('active')
+    }
+
+    /*
+     * Renders the available or active options of the open group scope,
+     * long lists of available options only render the visible rows.
+     */
+    FilterWidget.prototype.renderOptionsList = function(pane) {
         var
-            self = this,
-            filtered = [],
-            items = this.scopeValues[scopeName]
+            $container = $(pane == 'active' ? '#controlFilterPopover .filter-active-items' : '#controlFilterPopover .filter-items'),
+            $ul = $container.find('> ul').empty(),
+            items = this.getOptionsItems(pane),
+            count = this.getOptionsCount(pane),
+            start = 0,
+            end = count,
+            rowHeight = 0
+
+        if (pane == 'available' && this.isVirtualList()) {
+            rowHeight = this.getOptionsRowHeight($ul)
+            start = Math.max(0, Math.floor($container.scrollTop() / rowHeight) - this.virtualBuffer)
+            end = Math.min(count, start + Math.ceil($container.innerHeight() / rowHeight) + this.virtualBuffer * 2)
+        }
 
-        /*
-         * Ensure any active items do not appear in the search results
-         */
-        if (items.length) {
-            var activeIds = []
-            $.each(items, function (key, obj) {
-                activeIds.push(obj.id)
-            })
+        $ul.css({
+            paddingTop: rowHeight ? start * rowHeight : '',
+            paddingBottom: rowHeight ? (count - end) * rowHeight : ''
+        })
 
-            filtered = $.grep(available, function(item) {
-                return $.inArray(item.id, activeIds) === -1
-            })
+        for (var index = start; index < end; index++) {
+            $ul.append(index < items.length
+                ? this.makeOptionsItem(items[index], pane, index)
+                : this.makeMoreItem(index))
         }
-        else {
-            filtered = available
+    }
+
+    FilterWidget.prototype.getOptionsItems = function(pane) {
+        if (pane == 'active') {
+            return this.scopeValues[this.activeScopeName] || []
         }
 
-        var container = $('#controlFilterPopover .filter-items > ul').empty()
-        self.addItemsToListElement(container, filtered)
+        return this.searchResults ? this.searchResults.items : (this.scopeAvailable[this.activeScopeName] || [])
     }
 
-    FilterWidget.prototype.addItemsToListElement = function($ul, items) {
-        $.each(items, function(key, obj){
-            var item = $('<li />').data({ 'item-id': obj.id })
-                .append($('<a />').prop({ 'href': 'javascript:;',}).text(obj.name))
+    /*
+     * Returns the number of rows in a list, including the "load more" row
+     */
+    FilterWidget.prototype.getOptionsCount = function(pane) {
+        var hasMore = this.searchResults ? this.searchResults.hasMore : this.scopeHasMore[this.activeScopeName]
 
-            $ul.append(item)
-        })
+        return this.getOptionsItems(pane).length + (pane == 'available' && hasMore ? 1 : 0)
+    }
+
+    FilterWidget.prototype.isVirtualList = function() {
+        return this.getOptionsCount('available') > this.virtualThreshold
+    }
+
+    FilterWidget.prototype.getOptionsRowHeight = function($ul) {
+        if (!this.optionsRowHeight) {
+            var $row = this.makeOptionsItem({ id: '', name: 'M' }, null, -1).appendTo($ul)
+            this.optionsRowHeight = $row.outerHeight() || null
+            $row.remove()
+        }
+
+        return this.optionsRowHeight || 30
+    }
+
+    FilterWidget.prototype.makeOptionsItem = function(item, pane, index) {
+        var $li = $('<li />')
+            .attr({ 'data-item-id': item.id, 'data-item-index': index })
+            .append(this.makeOptionsLink(item.name, pane == 'available' ? this.searchQueryText : ''))
+
+        if (this.highlight.pane == pane && this.highlight.index == index) {
+            $li.addClass('is-highlighted')
+        }
+
+        if (this.animateItemId !== null && item.id == this.animateItemId) {
+            $li.addClass('animate-enter')
+        }
+
+        return $li
+    }
+
+    FilterWidget.prototype.makeMoreItem = function(index) {
+        var $li = $('<li />')
+            .addClass('filter-items-more')
+            .attr('data-item-index', index)
+            .append($('<a />').prop('href', 'javascript:;').text(this.getLang('filter.group.load_more', 'Load more')))
+
+        if (this.highlight.pane == 'available' && this.highlight.index == index) {
+            $li.addClass('is-highlighted')
+        }
+
+        return $li
+    }
+
+    /*
+     * Returns the option link with the occurrences of the search query marked
+     */
+    FilterWidget.prototype.makeOptionsLink = function(name, query) {
+        var $a = $('<a />').prop('href', 'javascript:;'),
+            text = String(name),
+            lowerText = text.toLowerCase(),
+            lowerQuery = String(query || '').toLowerCase(),
+            offset = 0,
+            index
+
+        if (!lowerQuery.length) {
+            return $a.text(text)
+        }
+
+        while ((index = lowerText.indexOf(lowerQuery, offset)) !== -1) {
+            $a.append(document.createTextNode(text.substring(offset, index)))
+            $a.append($('<mark />').text(text.substr(index, lowerQuery.length)))
+            offset = index + lowerQuery.length
+        }
+
+        return $a.append(document.createTextNode(text.substring(offset)))
+    }
+
+    FilterWidget.prototype.matchesSearch = function(name) {
+        return String(name).toLowerCase().indexOf(this.searchResults.query.toLowerCase()) !== -1
+    }
+
+    /*
+     * Arrow keys move the highlight, Enter toggles the highlighted option or applies
+     * the filter when nothing is highlighted, Tab switches between the lists.
+     */
+    FilterWidget.prototype.onOptionsKeydown = function(ev) {
+        var highlight = this.highlight
+
+        switch (ev.key) {
+            case 'ArrowDown':
+                this.moveHighlight(1)
+                break
+
+            case 'ArrowUp':
+                this.moveHighlight(-1)
+                break
+
+            case 'Tab':
+                highlight.pane = highlight.pane == 'available' ? 'active' : 'available'
+                highlight.index = Math.min(Math.max(highlight.index, 0), this.getOptionsCount(highlight.pane) - 1)
+                this.renderOptions()
+                break
+
+            case 'Enter':
+                this.toggleHighlighted()
+                break
+
+            default:
+                return
+        }
+
+        ev.preventDefault()
+    }
+
+    FilterWidget.prototype.moveHighlight = function(step) {
+        var count = this.getOptionsCount(this.highlight.pane)
+
+        if (!count)
+            return
+
+        this.highlight.index = Math.min(Math.max(this.highlight.index + step, 0), count - 1)
+        this.scrollToHighlight()
+        this.renderOptions()
+    }
+
+    FilterWidget.prototype.scrollToHighlight = function() {
+        if (this.highlight.pane != 'available')
+            return
+
+        var
+            $container = $('#controlFilterPopover .filter-items'),
+            rowHeight = this.getOptionsRowHeight($container.find('> ul')),
+            top = this.highlight.index * rowHeight,
+            scrollTop = $container.scrollTop(),
+            height = $container.innerHeight()
+
+        if (top < scrollTop) {
+            $container.scrollTop(top)
+        }
+        else if (top + rowHeight > scrollTop + height) {
+            $container.scrollTop(top + rowHeight - height)
+        }
+    }
+
+    FilterWidget.prototype.toggleHighlighted = function() {
+        var
+            pane = this.highlight.pane,
+            index = this.highlight.index,
+            items = this.getOptionsItems(pane)
+
+        if (index < 0) {
+            this.filterScope()
+        }
+        else if (index < items.length) {
+            this.toggleItem(items[index].id, pane == 'active')
+            this.highlight.index = Math.min(index, this.getOptionsCount(pane) - 1)
+            this.renderOptions()
+        }
+        else if (pane == 'available') {
+            this.loadMoreOptions()
+        }
     }
 
     FilterWidget.prototype.toggleFilterButtons = function(data)
@@ -480,16 +805,12 @@
         if (!this.isActiveScopeDirty || !this.options.updateHandler)
             return
 
-        var self = this,
-            data = {
-                scopeName: scopeName,
-                options: JSON.stringify(this.scopeValues[scopeName])
-            }
+        var self = this
 
         $.wn.stripeLoadIndicator.show()
 
-        this.$el.request(this.options.updateHandler, {
-            data: data
+        this.updateScope(scopeName, {
+            options: JSON.stringify(this.scopeValues[scopeName])
         }).always(function () {
             $.wn.stripeLoadIndicator.hide()
         }).done(function () {
@@ -498,6 +819,109 @@
         })
     }
 
+    /*
+     * Sends the scope data to the update handler and records it in the query
+     * string, unless the update restores a state from the query string.
+     */
+    FilterWidget.prototype.updateScope = function(scopeName, data, isRestoring) {
+        var scopes = {}
+
+        scopes[scopeName] = data
+
+        if (this.options.batchUpdates && !isRestoring) {
+            return this.queueScopes(scopes)
+        }
+
+        return this.sendScopes(scopes, isRestoring)
+    }
+
+    /*
+     * Sends several scopes to the update handler, then refreshes their dependants.
+     */
+    FilterWidget.prototype.updateScopes = function(scopes, isRestoring) {
+        var self = this,
+            promise = this.options.batchUpdates && !isRestoring
+                ? this.queueScopes(scopes)
+                : this.sendScopes(scopes, isRestoring)
+
+        return promise.done(function () {
+            // Trigger dependsOn updates on successful requests
+            $.each(scopes, function(scopeName) {
+                self.$el.find('[data-scope-name="'+scopeName+'"]').trigger('change.oc.filterScope')
+            })
+        })
+    }
+
+    /*
+     * Sends the scopes to the update handler one after another, each with the scopeName
+     * value like a single scope update, so the last response reflects all of them.
+     */
+    FilterWidget.prototype.sendScopes = function(scopes, isRestoring) {
+        var self = this,
+            promise = $.Deferred().resolve().promise()
+
+        this.invalidateOptionsCache()
+
+        $.each(scopes, function(scopeName, scopeData) {
+            promise = promise.then(function() {
+                return self.$el.request(self.options.updateHandler, {
+                    data: $.extend({ scopeName: scopeName }, self.resolveScopeData(scopeData))
+                })
+            })
+        })
+
+        return promise.done(function () {
+            if (!isRestoring) {
+                self.pushQueryState(scopes)
+            }
+        })
+    }
+
+    /*
+     * With the batchUpdates option, the scope updates are collected and sent
+     * together once no update has been made for the batch interval. Returns
+     * a promise resolved when the batch is sent.
+     */
+    FilterWidget.prototype.queueScopes = function(scopes) {
+        var self = this
+
+        $.extend(this.batchScopes, scopes)
+
+        if (!this.batchDeferred) {
+            this.batchDeferred = $.Deferred()
+        }
+
+        window.clearTimeout(this.batchUpdateTimer)
+
+        this.batchUpdateTimer = window.setTimeout(function() {
+            self.flushScopes()
+        }, this.batchUpdateInterval)
+
+        return this.batchDeferred.promise()
+    }
+
+    /*
+     * Sends the collected scope updates now
+     */
+    FilterWidget.prototype.flushScopes = function() {
+        var deferred = this.batchDeferred,
+            scopes = this.batchScopes
+
+        window.clearTimeout(this.batchUpdateTimer)
+
+        this.batchUpdateTimer = null
+        this.batchScopes = {}
+        this.batchDeferred = null
+
+        if (!deferred) {
+            return $.Deferred().resolve().promise()
+        }
+
+        this.sendScopes(scopes).then(deferred.resolve, deferred.reject)
+
+        return deferred.promise()
+    }
+
     FilterWidget.prototype.checkboxToggle = function($el) {
         var isChecked = $el.is(':checked'),
             $scope = $el.closest('.filter-scope'),
@@ -506,14 +930,9 @@
         this.scopeValues[scopeName] = isChecked
 
         if (this.options.updateHandler) {
-            var data = {
-                    scopeName: scopeName,
-                    value: isChecked
-                }
-
             $.wn.stripeLoadIndicator.show()
-            this.$el.request(this.options.updateHandler, {
-                data: data
+            this.updateScope(scopeName, {
+                value: isChecked
             }).always(function(){
                 $.wn.stripeLoadIndicator.hide()
             })
@@ -530,14 +949,9 @@
         this.scopeValues[scopeName] = switchValue
 
         if (this.options.updateHandler) {
-            var data = {
-                    scopeName: scopeName,
-                    value: switchValue
-                }
-
             $.wn.stripeLoadIndicator.show()
-            this.$el.request(this.options.updateHandler, {
-                data: data
+            this.updateScope(scopeName, {
+                value: switchValue
             }).always(function(){
                 $.wn.stripeLoadIndicator.hide()
             })
@@ -576,6 +990,10 @@
 
         var self = this
 
+        // Mark the matches in the listed options while typing
+        this.searchQueryText = $.trim($el.val())
+        this.renderOptionsList('available')
+
         this.dataTrackInputTimer = window.setTimeout(function () {
             var
                 lastValue = $el.data('oc.lastvalue'),
@@ -599,8 +1017,8 @@
             $.wn.stripeLoadIndicator.show()
             self.lastDataTrackInputRequest = self.$el.request(self.options.optionsHandler, {
                 data: data
-            }).success(function(data){
-                self.filterAvailable(self.activeScopeName, data.options.available)
+            }).done(function(data){
+                self.filterAvailable(self.activeScopeName, data.options.available, data.options.hasMore)
                 self.toggleFilterButtons()
             }).always(function(){
                 $.wn.stripeLoadIndicator.hide()
@@ -608,6 +1026,426 @@
         }, 300)
     }
 
+    // SCOPE DATA
+    // ============================
+
+    /*
+     * Returns the data sent to the update handler for the current value of a scope,
+     * or null when the active options of a group scope have not been loaded yet.
+     */
+    FilterWidget.prototype.getScopeData = function(scopeName) {
+        var $scope = this.$el.find('[data-scope-name="'+scopeName+'"]'),
+            value = this.scopeValues[scopeName],
+            scopeData = $scope.data('scope-data') || {}
+
+        if ($scope.is('a.filter-scope-date')) {
+            return { options: JSON.stringify(value || {
+                dates: scopeData.dates ? scopeData.dates : (scopeData.date ? [scopeData.date] : [])
+            }) }
+        }
+
+        if ($scope.is('a.filter-scope-number')) {
+            return { options: JSON.stringify(value || {
+                numbers: scopeData.numbers ? scopeData.numbers : (scopeData.number ? [scopeData.number] : [])
+            }) }
+        }
+
+        if ($scope.is('a.filter-scope-text')) {
+            return { options: JSON.stringify(value || this.parseTextQuery(scopeData.query, this.getTextFields($scope))) }
+        }
+
+        if ($scope.is('a.filter-scope')) {
+            if (!value && $scope.hasClass('active')) {
+                return null
+            }
+
+            return { options: JSON.stringify(value || null) }
+        }
+
+        var $checkbox = $scope.find('input[type="checkbox"]')
+
+        if ($scope.hasClass('is-indeterminate')) {
+            return { value: $checkbox.data('checked') || ($checkbox.is(':checked') ? 2 : 0) }
+        }
+
+        if ($checkbox.length) {
+            return { value: $checkbox.is(':checked') }
+        }
+
+        return null
+    }
+
+    /*
+     * Returns a promise resolved with the data of every scope, loading the
+     * active options of the group scopes first when needed.
+     */
+    FilterWidget.prototype.loadScopesData = function() {
+        var self = this,
+            $scopes = this.$el.find('[data-scope-name]'),
+            requests = []
+
+        $scopes.each(function() {
+            var scopeName = $(this).data('scope-name')
+
+            if (self.getScopeData(scopeName) === null && $(this).is('a.filter-scope')) {
+                requests.push(self.loadOptions(scopeName))
+            }
+        })
+
+        return $.when.apply($, requests).then(function() {
+            var scopes = {}
+
+            $scopes.each(function() {
+                var scopeName = $(this).data('scope-name'),
+                    data = self.getScopeData(scopeName)
+
+                if (data) {
+                    scopes[scopeName] = data
+                }
+            })
+
+            return scopes
+        })
+    }
+
+    /*
+     * Applies the data of several scopes, the scopes missing from the data are cleared.
+     */
+    FilterWidget.prototype.applyScopes = function(scopes) {
+        var self = this,
+            data = {}
+
+        this.$el.find('[data-scope-name]').each(function() {
+            var scopeName = $(this).data('scope-name')
+
+            data[scopeName] = scopes[scopeName] || self.getClearedScopeData(scopeName)
+
+            if (!data[scopeName]) {
+                delete data[scopeName]
+            }
+        })
+
+        this.setScopesData(data)
+
+        return this.updateScopes(data)
+    }
+
+    FilterWidget.prototype.getClearedScopeData = function(scopeName) {
+        var $scope = this.$el.find('[data-scope-name="'+scopeName+'"]')
+
+        if ($scope.is('a.filter-scope-date')) {
+            return { options: JSON.stringify({ dates: [] }) }
+        }
+
+        if ($scope.is('a.filter-scope-number')) {
+            return { options: JSON.stringify({ numbers: [] }) }
+        }
+
+        if ($scope.is('a.filter-scope-text')) {
+            return { options: JSON.stringify({ query: '', terms: [] }) }
+        }
+
+        if ($scope.is('a.filter-scope')) {
+            return { options: JSON.stringify(null) }
+        }
+
+        if ($scope.find('input[type="checkbox"]').length) {
+            return { value: $scope.hasClass('is-indeterminate') ? 0 : false }
+        }
+
+        return null
+    }
+
+    FilterWidget.prototype.setScopesData = function(scopes) {
+        var self = this
+
+        $.each(scopes, function(scopeName, data) {
+            self.setScopeData(scopeName, data)
+        })
+    }
+
+    /*
+     * Reflects the scope data in the scope element, without sending it.
+     */
+    FilterWidget.prototype.setScopeData = function(scopeName, data) {
+        var $scope = this.$el.find('[data-scope-name="'+scopeName+'"]')
+
+        if (data.value !== undefined) {
+            var $checkbox = $scope.find('input[type="checkbox"]')
+
+            if ($scope.hasClass('is-indeterminate')) {
+                $checkbox
+                    .data('checked', data.value)
+                    .prop('indeterminate', data.value == 1)
+                    .prop('checked', data.value == 2)
+            }
+            else {
+                $checkbox.prop('checked', !!data.value)
+            }
+
+            this.scopeValues[scopeName] = data.value
+            $scope.toggleClass('active', !!data.value)
+            return
+        }
+
+        var value = JSON.parse(data.options || 'null')
+
+        if (value && value.dates && this.updateScopeDateSetting) {
+            this.scopeValues[scopeName] = JSON.parse(this.resolveScopeData(data).options)
+            this.updateScopeDateSetting($scope, value.dates.slice(), value.expression)
+        }
+        else if (value && value.numbers && this.updateScopeNumberSetting) {
+            this.scopeValues[scopeName] = value
+            this.updateScopeNumberSetting($scope, value.numbers.slice())
+        }
+        else if (value && value.terms && this.updateScopeTextSetting) {
+            this.scopeValues[scopeName] = value
+            this.updateScopeTextSetting($scope, value.query)
+        }
+        else {
+            // Group options are reloaded from the server when the scope is opened
+            this.scopeValues[scopeName] = null
+            this.scopeAvailable[scopeName] = null
+            this.updateScopeSetting($scope, value ? value.length : 0)
+        }
+    }
+
+    /*
+     * Returns the scope data with the dates of a relative date range resolved
+     * again, so the range moves with the time of each update.
+     */
+    FilterWidget.prototype.resolveScopeData = function(data) {
+        var value = data && data.options ? JSON.parse(data.options) : null,
+            dates = value && value.expression && this.resolveDateExpression
+                ? this.resolveDateExpression(value.expression)
+                : null
+
+        if (!dates) {
+            return data
+        }
+
+        return $.extend({}, data, {
+            options: JSON.stringify($.extend(value, { dates: dates }))
+        })
+    }
+
+    // FILTER STATE
+    // ============================
+
+    /*
+     * Returns the values of the scopes as compact JSON, for the page URL.
+     * Group scopes with active options that have not been loaded keep
+     * their last known value.
+     */
+    FilterWidget.prototype.getState = function() {
+        var self = this,
+            state = $.extend({}, this.queryState)
+
+        this.$el.find('[data-scope-name]').each(function() {
+            var scopeName = $(this).data('scope-name'),
+                data = self.getScopeData(scopeName),
+                value
+
+            if (!data) {
+                return
+            }
+
+            if ((value = self.compactScopeData(data)) === null) {
+                delete state[scopeName]
+            }
+            else {
+                state[scopeName] = value
+            }
+        })
+
+        return JSON.stringify(state)
+    }
+
+    /*
+     * Applies a state returned by getState, the scopes missing from the state are cleared.
+     */
+    FilterWidget.prototype.setState = function(state) {
+        var self = this,
+            scopes = {}
+
+        $.each(this.parseState(state), function(scopeName, value) {
+            var data = self.expandScopeData(scopeName, value)
+
+            if (data) {
+                scopes[scopeName] = data
+            }
+        })
+
+        return this.applyScopes(scopes)
+    }
+
+    FilterWidget.prototype.parseState = function(state) {
+        if (typeof state === 'string') {
+            try {
+                state = JSON.parse(state)
+            }
+            catch (e) {
+                state = null
+            }
+        }
+
+        return $.isPlainObject(state) ? state : {}
+    }
+
+    /*
+     * Returns the compact value of the scope data, or null for a cleared scope.
+     * - group: the names of the active options keyed by their id
+     * - date: the relative expression, or the dates
+     * - number: the numbers
+     * - text: the query
+     * - checkbox and switch: the value
+     */
+    FilterWidget.prototype.compactScopeData = function(data) {
+        if (data.value !== undefined) {
+            return data.value ? data.value : null
+        }
+
+        var value = JSON.parse(data.options || 'null'),
+            compact = null
+
+        if ($.isArray(value)) {
+            $.each(value, function(index, item) {
+                compact = compact || {}
+                compact[item.id] = item.name
+            })
+        }
+        else if (value && value.expression) {
+            compact = value.expression
+        }
+        else if (value && value.terms) {
+            compact = value.query || null
+        }
+        else if (value && (value.dates || value.numbers)) {
+            compact = value.dates || value.numbers
+
+            if (!$.grep(compact, function(item) { return item !== null && item !== '' }).length) {
+                compact = null
+            }
+        }
+
+        return compact
+    }
+
+    /*
+     * Returns the scope data for a compact value
+     */
+    FilterWidget.prototype.expandScopeData = function(scopeName, value) {
+        var $scope = this.$el.find('[data-scope-name="'+scopeName+'"]')
+
+        if (value === null || value === undefined || !$scope.length) {
+            return this.getClearedScopeData(scopeName)
+        }
+
+        if ($scope.is('a.filter-scope-date')) {
+            return { options: JSON.stringify(typeof value === 'string'
+                ? { dates: this.resolveDateExpression(value) || [], expression: value }
+                : { dates: value }) }
+        }
+
+        if ($scope.is('a.filter-scope-number')) {
+            return { options: JSON.stringify({ numbers: value }) }
+        }
+
+        if ($scope.is('a.filter-scope-text')) {
+            return { options: JSON.stringify(this.parseTextQuery(value, this.getTextFields($scope))) }
+        }
+
+        if ($scope.is('a.filter-scope')) {
+            return { options: JSON.stringify($.map(value, function(name, id) {
+                return { id: id, name: name }
+            })) }
+        }
+
+        return { value: value }
+    }
+
+    // QUERY STRING STATE
+    // ============================
+
+    /*
+     * With the queryParam option, the scope updates are kept in the query string
+     * in the getState format, so the browser history and shared links restore
+     * the filter.
+     */
+    FilterWidget.prototype.initQueryState = function() {
+        if (!this.options.queryParam || !this.options.updateHandler) {
+            return
+        }
+
+        var self = this,
+            eventName = 'popstate.oc.filterwidget' + Math.round(Math.random()*100000)
+
+        this.applyQueryState(this.readQueryState())
+
+        $(window).on(eventName, function() {
+            if (!$.contains(document.documentElement, self.$el.get(0))) {
+                $(window).off(eventName)
+                return
+            }
+
+            self.applyQueryState(self.readQueryState())
+        })
+    }
+
+    FilterWidget.prototype.readQueryState = function() {
+        return this.parseState(new URL(window.location.href).searchParams.get(this.options.queryParam))
+    }
+
+    FilterWidget.prototype.pushQueryState = function(scopes) {
+        var self = this
+
+        $.each(scopes, function(scopeName, data) {
+            var value = self.compactScopeData(data)
+
+            if (value === null) {
+                delete self.queryState[scopeName]
+            }
+            else {
+                self.queryState[scopeName] = value
+            }
+        })
+
+        if (!this.options.queryParam) {
+            return
+        }
+
+        var url = new URL(window.location.href)
+
+        url.searchParams.set(this.options.queryParam, JSON.stringify(this.queryState))
+
+        window.history.pushState(window.history.state, '', url.href)
+    }
+
+    /*
+     * Updates the scopes that differ from the given state, scopes missing from
+     * the state are cleared.
+     */
+    FilterWidget.prototype.applyQueryState = function(state) {
+        var self = this,
+            scopes = {},
+            scopeNames = Object.keys(this.queryState).concat(Object.keys(state))
+
+        $.each(scopeNames, function(index, scopeName) {
+            var data = self.expandScopeData(scopeName, state[scopeName])
+
+            if (data && JSON.stringify(state[scopeName]) !== JSON.stringify(self.queryState[scopeName])) {
+                scopes[scopeName] = data
+            }
+        })
+
+        this.queryState = state
+
+        if (!$.isEmptyObject(scopes)) {
+            this.setScopesData(scopes)
+            this.updateScopes(scopes, true)
+        }
+    }
+
     // FILTER WIDGET PLUGIN DEFINITION
     // ============================
 
@@ -622,7 +1460,7 @@
             var data    = $this.data('oc.filterwidget')
             var options = $.extend({}, FilterWidget.DEFAULTS, $this.data(), typeof option == 'object' && option)
             if (!data) $this.data('oc.filterwidget', (data = new FilterWidget(this, options)))
-            if (typeof option == 'string') result = data[option].call($this)
+            if (typeof option == 'string') result = data[option].apply(data, Array.prototype.slice.call(args, 1))
             if (typeof result != 'undefined') return false
         })
 
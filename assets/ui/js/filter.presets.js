@@ -0,0 +1,293 @@
+/*
+ * Filter presets
+ *
+ * Saves the scope values of a filter widget under a name and applies them again,
+ * sending each scope to the update handler. The presets are listed in a dropdown menu.
+ *
+ * Data attributes:
+ * - data-control="filter-presets" - enables the plugin on a dropdown element
+ * - data-filter - selector of the filter widget, defaults to the first one on the page
+ * - data-handler - AJAX handler storing the presets of the user, it receives the presets
+ *   when they change as a JSON list of { name, state } objects and returns them in the
+ *   presets value. Without a handler, the presets are kept in the browser.
+ * - data-storage-key - name of the presets in the browser, defaults to the page path
+ *
+ * JavaScript API:
+ * $('#presets').filterPresets('save', 'Errors today')
+ * $('#presets').filterPresets('apply', 'Errors today')
+ * $('#presets').filterPresets('remove', 'Errors today')
+ *
+ * Require:
+ *  - storm/filter
+ *  - storm/dropdown
+ */
++function ($) { "use strict";
+
+    var Base = $.wn.foundation.base,
+        BaseProto = Base.prototype
+
+    var FilterPresets = function (element, options) {
+        this.$el = $(element)
+        this.options = options || {}
+        this.presets = {}
+
+        $.wn.foundation.controlUtils.markDisposable(element)
+        Base.call(this)
+        this.init()
+    }
+
+    FilterPresets.prototype = Object.create(BaseProto)
+    FilterPresets.prototype.constructor = FilterPresets
+
+    FilterPresets.DEFAULTS = {
+        filter: null,
+        handler: null,
+        storageKey: null
+    }
+
+    FilterPresets.prototype.init = function() {
+        this.$menu = this.$el.find('.dropdown-menu:first')
+
+        this.$menu.on('click', '[data-preset-apply]', this.proxy(this.onApplyClick))
+        this.$menu.on('click', '[data-preset-remove]', this.proxy(this.onRemoveClick))
+        this.$menu.on('click', '[data-preset-save]', this.proxy(this.onSaveClick))
+        this.$el.one('dispose-control', this.proxy(this.dispose))
+
+        this.render()
+        this.load()
+    }
+
+    FilterPresets.prototype.dispose = function() {
+        this.$menu.off('click', '[data-preset-apply]', this.proxy(this.onApplyClick))
+        this.$menu.off('click', '[data-preset-remove]', this.proxy(this.onRemoveClick))
+        this.$menu.off('click', '[data-preset-save]', this.proxy(this.onSaveClick))
+        this.$el.off('dispose-control', this.proxy(this.dispose))
+        this.$el.removeData('oc.filterPresets')
+
+        this.$el = null
+        this.$menu = null
+        this.options = null
+
+        BaseProto.dispose.call(this)
+    }
+
+    //
+    // Presets
+    //
+
+    /*
+     * Saves the current scope values under a name, returns a promise.
+     */
+    FilterPresets.prototype.save = function(name) {
+        var self = this
+
+        return this.getFilter().loadScopesData().done(function(scopes) {
+            self.presets[name] = scopes
+            self.store()
+            self.render()
+        })
+    }
+
+    FilterPresets.prototype.apply = function(name) {
+        if (!this.presets[name]) {
+            return
+        }
+
+        return this.getFilter().applyScopes(this.presets[name])
+    }
+
+    FilterPresets.prototype.remove = function(name) {
+        delete this.presets[name]
+        this.store()
+        this.render()
+    }
+
+    FilterPresets.prototype.getPresets = function() {
+        return this.presets
+    }
+
+    FilterPresets.prototype.getFilter = function() {
+        var selector = this.options.filter || '[data-control="filterwidget"]',
+            $filter = $(selector).first()
+
+        if (!$filter.length) {
+            throw new Error('Filter presets: no filter widget matches "' + selector + '".')
+        }
+
+        return $filter.filterWidget().data('oc.filterwidget')
+    }
+
+    //
+    // Storage
+    //
+
+    FilterPresets.prototype.load = function() {
+        var self = this
+
+        if (this.options.handler) {
+            this.$el.request(this.options.handler, {
+                success: function(data) {
+                    self.setPresets(data.presets)
+                }
+            })
+            return
+        }
+
+        try {
+            this.setPresets(JSON.parse(window.localStorage.getItem(this.getStorageKey())))
+        }
+        catch (e) {}
+    }
+
+    FilterPresets.prototype.store = function() {
+        if (this.options.handler) {
+            this.$el.request(this.options.handler, {
+                data: { presets: JSON.stringify(this.serialize()) },
+                success: function() {}
+            })
+            return
+        }
+
+        try {
+            window.localStorage.setItem(this.getStorageKey(), JSON.stringify(this.serialize()))
+        }
+        catch (e) {}
+    }
+
+    /*
+     * Accepts a list of { name, state } objects
+     */
+    FilterPresets.prototype.setPresets = function(presets) {
+        var self = this
+
+        this.presets = {}
+
+        $.each($.isArray(presets) ? presets : [], function(index, preset) {
+            if ($.isPlainObject(preset) && typeof preset.name == 'string' && typeof preset.state == 'object' && preset.state !== null) {
+                self.presets[preset.name] = preset.state
+            }
+        })
+
+        this.render()
+    }
+
+    FilterPresets.prototype.serialize = function() {
+        var presets = this.presets
+
+        return $.map(Object.keys(presets).sort(), function(name) {
+            return { name: name, state: presets[name] }
+        })
+    }
+
+    FilterPresets.prototype.getStorageKey = function() {
+        return 'wn.filterPresets.' + (this.options.storageKey || window.location.pathname)
+    }
+
+    //
+    // Menu
+    //
+
+    FilterPresets.prototype.render = function() {
+        var self = this,
+            $list = this.$menu.find('.dropdown-container > ul'),
+            names = Object.keys(this.presets).sort()
+
+        // The dropdown control moves the items to a container when it is first shown
+        if (!$list.length) {
+            $list = this.$menu
+        }
+
+        $list.empty()
+
+        $.each(names, function(index, name) {
+            $list.append($('<li role="presentation" class="filter-preset" />')
+                .append($('<a role="menuitem" tabindex="-1" href="javascript:;" class="wn-icon-filter" />')
+                    .attr('data-preset-apply', name)
+                    .text(name))
+                .append($('<a role="button" tabindex="-1" href="javascript:;" class="filter-preset-remove" />')
+                    .attr('data-preset-remove', name)
+                    .attr('title', self.getLang('filter.presets.remove', 'Remove'))
+                    .html('&times;')))
+        })
+
+        if (!names.length) {
+            $list.append($('<li role="presentation" class="filter-presets-empty" />')
+                .text(this.getLang('filter.presets.empty', 'There are no saved presets.')))
+        }
+
+        $list.append('<li role="separator" class="divider"></li>')
+        $list.append($('<li role="presentation" />')
+            .append($('<a role="menuitem" tabindex="-1" href="javascript:;" class="wn-icon-plus" data-preset-save />')
+                .text(this.getLang('filter.presets.save', 'Save current filter'))))
+    }
+
+    FilterPresets.prototype.onApplyClick = function(ev) {
+        this.apply($(ev.currentTarget).attr('data-preset-apply'))
+    }
+
+    FilterPresets.prototype.onRemoveClick = function(ev) {
+        var self = this,
+            name = $(ev.currentTarget).attr('data-preset-remove'),
+            message = this.getLang('filter.presets.remove_confirm', 'Remove the ":name" preset?').replace(':name', name)
+
+        ev.preventDefault()
+        ev.stopPropagation()
+
+        if ($.wn.confirm !== undefined) {
+            $.wn.confirm(message, { danger: true }).done(function() {
+                self.remove(name)
+            })
+        }
+        else if (confirm(message)) {
+            this.remove(name)
+        }
+    }
+
+    FilterPresets.prototype.onSaveClick = function() {
+        var name = $.trim(prompt(this.getLang('filter.presets.save_prompt', 'Enter a name for the preset.')) || '')
+
+        if (name.length) {
+            this.save(name)
+        }
+    }
+
+    FilterPresets.prototype.getLang = function(name, defaultValue) {
+        if ($.wn === undefined || $.wn.lang === undefined) {
+            return defaultValue
+        }
+
+        return $.wn.lang.get(name, defaultValue)
+    }
+
+    // PLUGIN DEFINITION
+    // ============================
+
+    var old = $.fn.filterPresets
+
+    $.fn.filterPresets = function (option) {
+        var args = Array.prototype.slice.call(arguments, 1), items, result
+
+        items = this.each(function () {
+            var $this   = $(this)
+            var data    = $this.data('oc.filterPresets')
+            var options = $.extend({}, FilterPresets.DEFAULTS, $this.data(), typeof option == 'object' && option)
+            if (!data) $this.data('oc.filterPresets', (data = new FilterPresets(this, options)))
+            if (typeof option == 'string') result = data[option].apply(data, args)
+            if (typeof result != 'undefined') return false
+        })
+
+        return result ? result : items
+    }
+
+    $.fn.filterPresets.Constructor = FilterPresets
+
+    $.fn.filterPresets.noConflict = function () {
+        $.fn.filterPresets = old
+        return this
+    }
+
+    $(document).on('render', function() {
+        $('[data-control="filter-presets"]').filterPresets()
+    })
+
+}(window.jQuery);
@@ -0,0 +1,332 @@
+/*
+ * Filter Widget
+ *
+ * Data attributes:
+ * - data-behavior="filter" - enables the filter plugin
+ *
+ * Dependences:
+ * - Winter Popover (winter.popover.js)
+ *
+ * Notes:
+ *   Ideally this control would not depend on loader or the AJAX framework,
+ *   then the Filter widget can use events to handle this business logic.
+ *
+ * Require:
+ *  - mustache/mustache
+ *  - modernizr/modernizr
+ *  - storm/popover
+ */
++function ($) {
+    "use strict";
+
+    var FilterWidget = $.fn.filterWidget.Constructor;
+
+    /*
+     * Splits a query into terms: an optional negation, an optional field
+     * and a quoted phrase, a regular expression or a word.
+     */
+    var termPattern = /(-?)(?:([a-z_][\w.]*):)?("(?:[^"\\]|\\.)*"?|\/(?:[^\/\\]|\\.)+\/i?|\S+)/gi
+
+    // OVERLOADED MODULE
+    // =================
+
+    var overloaded_init = FilterWidget.prototype.init;
+
+    FilterWidget.prototype.init = function () {
+        overloaded_init.apply(this)
+
+        this.initFilterText()
+    }
+
+
+    // NEW MODULE
+    // =================
+
+    FilterWidget.prototype.initFilterText = function () {
+        var self = this
+
+        this.$el.on('show.oc.popover', 'a.filter-scope-text', function (event) {
+            self.initTextInput()
+
+            $(event.relatedTarget).on('click', '#controlFilterPopoverText [data-filter-action="filter"]', function (e) {
+                e.preventDefault()
+                e.stopPropagation()
+
+                self.filterByText()
+            })
+
+            $(event.relatedTarget).on('click', '#controlFilterPopoverText [data-filter-action="clear"]', function (e) {
+                e.preventDefault()
+                e.stopPropagation()
+
+                self.filterByText(true)
+            })
+
+            $(event.relatedTarget).on('input', '#controlFilterPopoverText input[name="query"]', function () {
+                self.renderTextPreview($(this).val())
+            })
+
+            $(event.relatedTarget).on('keydown', '#controlFilterPopoverText input[name="query"]', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault()
+                    self.filterByText()
+                }
+            })
+        })
+
+        this.$el.on('hide.oc.popover', 'a.filter-scope-text', function () {
+            var $scope = $(this)
+            self.pushOptions(self.activeScopeName)
+            self.activeScopeName = null
+            self.$activeScope = null
+
+            // Second click closes the filter scope
+            setTimeout(function () {
+                $scope.removeClass('filter-scope-open')
+            }, 200)
+        })
+
+        this.$el.on('click', 'a.filter-scope-text', function () {
+            var $scope = $(this),
+                scopeName = $scope.data('scope-name')
+
+            // Ignore if already opened
+            if ($scope.hasClass('filter-scope-open')) return
+
+            // Ignore if another popover is opened
+            if (null !== self.activeScopeName) return
+
+            self.$activeScope = $scope
+            self.activeScopeName = scopeName
+            self.isActiveScopeDirty = false
+
+            self.displayPopoverText($scope)
+
+            $scope.addClass('filter-scope-open')
+        })
+    }
+
+    /*
+     * Get popover text template
+     */
+    FilterWidget.prototype.getPopoverTextTemplate = function () {
+        return '                                                                                                        \
+                <form id="filterPopoverText-{{ scopeName }}">                                                           \
+                    <input type="hidden" name="scopeName" value="{{ scopeName }}" />                                    \
+                    <div id="controlFilterPopoverText" class="control-filter-popover control-filter-box-popover --range">\
+                        <div class="filter-search loading-indicator-container size-input-text">                         \
+                            <div class="field-text">                                                                    \
+                                <input                                                                                  \
+                                    type="text"                                                                         \
+                                    name="query"                                                                        \
+                                    value="{{ query }}"                                                                 \
+                                    class="form-control icon search popup-allow-focus"                                  \
+                                    autocomplete="off"                                                                  \
+                                    placeholder="{{ query_placeholder }}" />                                            \
+                            </div>                                                                                      \
+                            <ul class="filter-text-preview"></ul>                                                       \
+                            <div class="filter-buttons">                                                                \
+                                <button class="btn btn-block btn-primary" data-filter-action="filter">                  \
+                                    {{ filter_button_text }}                                                            \
+                                </button>                                                                               \
+                                <button class="btn btn-block btn-secondary" data-filter-action="clear">                 \
+                                    {{ reset_button_text }}                                                             \
+                                </button>                                                                               \
+                            </div>                                                                                      \
+                        </div>                                                                                          \
+                    </div>                                                                                              \
+                </form>                                                                                                 \
+            '
+    }
+
+    FilterWidget.prototype.displayPopoverText = function ($scope) {
+        var scopeName = $scope.data('scope-name'),
+            data = this.scopeValues[scopeName] || { query: ($scope.data('scope-data') || {}).query }
+
+        data = $.extend({}, data, {
+            filter_button_text: this.getLang('filter.text.filter_button_text', 'Filter'),
+            reset_button_text: this.getLang('filter.text.reset_button_text', 'Reset'),
+            query_placeholder: this.getLang('filter.text.query_placeholder', 'Search')
+        })
+
+        data.scopeName = scopeName
+
+        // Destroy any popovers already bound
+        $scope.data('oc.popover', null)
+
+        $scope.ocPopover({
+            content: Mustache.render(this.getPopoverTextTemplate(), data),
+            modal: false,
+            highlightModalTarget: true,
+            closeOnPageClick: true,
+            placement: 'bottom'
+        })
+    }
+
+    FilterWidget.prototype.initTextInput = function () {
+        var $input = $('#controlFilterPopoverText input[name="query"]')
+
+        this.renderTextPreview($input.val())
+
+        if (!Modernizr.touchevents) {
+            $input.focus()
+        }
+    }
+
+    /*
+     * Lists the terms of the query as they are understood
+     */
+    FilterWidget.prototype.renderTextPreview = function (query) {
+        var self = this,
+            $preview = $('#controlFilterPopoverText .filter-text-preview').empty(),
+            parsed = this.parseTextQuery(query, this.getTextFields())
+
+        if (!parsed.terms.length) {
+            $preview.append($('<li class="filter-text-hint" />')
+                .text(this.getLang('filter.text.hint', 'e.g. "disk full" level:error -debug')))
+            return
+        }
+
+        $.each(parsed.terms, function (index, term) {
+            var operator = self.getLang(
+                'filter.text.' + (term.negate ? 'negated_operators.' : 'operators.') + term.operator,
+                self.getTextOperatorLabel(term)
+            )
+
+            var $item = $('<li />')
+                .append($('<span class="filter-text-field" />')
+                    .text(term.field || self.getLang('filter.text.any_field', 'Any field')))
+                .append(' ')
+                .append($('<span class="filter-text-operator" />').text(operator))
+                .append(' ')
+                .append($('<code />').text(term.operator === 'regex' ? '/' + term.value + '/' + term.flags : term.value))
+
+            if (term.error) {
+                $item.addClass('has-error').attr('title', term.error)
+            }
+
+            $preview.append($item)
+        })
+    }
+
+    FilterWidget.prototype.getTextOperatorLabel = function (term) {
+        var labels = term.negate
+            ? { contains: 'does not contain', starts_with: 'does not start with', regex: 'does not match' }
+            : { contains: 'contains', starts_with: 'starts with', regex: 'matches' }
+
+        return labels[term.operator]
+    }
+
+    /*
+     * Returns the fields that terms can target, listed in the scope data
+     */
+    FilterWidget.prototype.getTextFields = function ($scope) {
+        var scopeData = ($scope || this.$activeScope).data('scope-data') || {}
+
+        return $.isArray(scopeData.fields) ? scopeData.fields : []
+    }
+
+    /*
+     * Parses a text query into the object sent to the update handler.
+     * - disk full - contains both words
+     * - "disk full" - contains the phrase
+     * - disk* - starts with the word
+     * - /disk \d+/i - matches the regular expression
+     * - -debug - does not contain the word, for any of the above
+     * - level:error - targets a field, for any of the above
+     *
+     * Terms with an invalid regular expression have an error message.
+     */
+    FilterWidget.prototype.parseTextQuery = function (query, fields) {
+        var text = $.trim(query || ''),
+            terms = [],
+            match
+
+        termPattern.lastIndex = 0
+
+        while ((match = termPattern.exec(text))) {
+            var field = match[2] || null,
+                value = match[3],
+                term
+
+            // Unknown fields are part of the text, such as in urls
+            if (field && $.inArray(field, fields || []) === -1) {
+                value = field + ':' + value
+                field = null
+            }
+
+            term = this.parseTextTerm(value)
+
+            // A dash being typed negates nothing yet
+            if (term.value === '' || match[0] === '-') {
+                continue
+            }
+
+            term.field = field
+            term.negate = match[1] === '-'
+            terms.push(term)
+        }
+
+        return { query: text, terms: terms }
+    }
+
+    FilterWidget.prototype.parseTextTerm = function (value) {
+        var match
+
+        if (value.charAt(0) === '"') {
+            return {
+                operator: 'contains',
+                value: value.replace(/^"|"$/g, '').replace(/\\(.)/g, '$1')
+            }
+        }
+
+        if ((match = value.match(/^\/(.+)\/(i?)$/))) {
+            var term = { operator: 'regex', value: match[1], flags: match[2] }
+
+            try {
+                new RegExp(term.value, term.flags)
+            }
+            catch (e) {
+                term.error = this.getLang('filter.text.invalid_regex', 'Invalid regular expression')
+            }
+
+            return term
+        }
+
+        if (value.length > 1 && value.charAt(value.length - 1) === '*') {
+            return { operator: 'starts_with', value: value.slice(0, -1) }
+        }
+
+        return { operator: 'contains', value: value }
+    }
+
+    FilterWidget.prototype.updateScopeTextSetting = function ($scope, query) {
+        var $setting = $scope.find('.filter-setting')
+
+        if (query) {
+            $setting.text(query)
+            $scope.addClass('active')
+        }
+        else {
+            $setting.text(this.getLang('filter.text.all', 'all'))
+            $scope.removeClass('active')
+        }
+    }
+
+    FilterWidget.prototype.filterByText = function (isReset) {
+        var $input = $('#controlFilterPopoverText input[name="query"]'),
+            parsed = this.parseTextQuery(isReset ? '' : $input.val(), this.getTextFields())
+
+        // Keep the popover open until the query is fixed
+        if ($.grep(parsed.terms, function (term) { return !!term.error }).length) {
+            $input.focus()
+            return
+        }
+
+        this.updateScopeTextSetting(this.$activeScope, parsed.query)
+        this.scopeValues[this.activeScopeName] = parsed
+        this.isActiveScopeDirty = true
+        this.$activeScope.data('oc.popover').hide()
+    }
+
+}(window.jQuery);
@@ -8,51 +8,212 @@
  */
 +function ($) { "use strict";
 
+    /*
+     * Messages are stacked in an aria-live region, the oldest message is dismissed when
+     * more than FlashMessage.MAX_VISIBLE messages are displayed. The timer is paused
+     * while the message is hovered or focused. An interval of 0 keeps the message until
+     * it is closed. The last FlashMessage.HISTORY_LIMIT messages are kept for the session.
+     *
+     * Actions are displayed as buttons, for example:
+     *
+     *   $.wn.flashMsg({ text: 'Deleted', actions: [{ label: 'Undo', handler: function() {} }] })
+     */
     var FlashMessage = function (options, el) {
         var
             options = $.extend({}, FlashMessage.DEFAULTS, options),
-            $element = $(el)
-
-        $('body > p.flash-message').remove()
+            $element = $(el),
+            $stack = getStack(),
+            type = options.class,
+            timer = null,
+            startedAt
 
         if ($element.length == 0) {
-            $element = $('<p />').addClass(options.class).html(options.text)
+            $element = $('<p />').addClass(options.class).html(ocSanitize(options.text, 'flash'))
+        }
+        else {
+            type = $.grep(['success', 'info', 'warning', 'error'], function(name) { return $element.hasClass(name) })[0] || type
         }
 
-        $element.addClass('flash-message fade')
-        $element.attr('data-control', null)
-        $element.append('<button type="button" class="close" aria-hidden="true">&times;</button>')
-        $element.on('click', 'button', remove)
-        $element.on('click', remove)
+        var interval = options.interval !== null && options.interval !== undefined
+                ? options.interval
+                : (FlashMessage.INTERVALS[type] || FlashMessage.INTERVALS.default),
+            remaining = interval * 1000
+
+        $element
+            .addClass('flash-message fade')
+            .attr('data-control', null)
+            .attr('role', type == 'error' ? 'alert' : 'status')
+            .on('click', remove)
+            .on('mouseenter focusin', pause)
+            .on('mouseleave focusout', resume)
+
+        $.each(options.actions || [], function(index, action) {
+            $('<button type="button" class="flash-message-action" />')
+                .text(action.label)
+                .on('click', function(event) {
+                    event.stopPropagation()
+                    action.handler && action.handler.call($element.get(0), options)
+                    remove()
+                })
+                .appendTo($element)
+        })
+
+        $('<button type="button" class="close" />')
+            .attr('aria-label', getLang('flash.close', 'Close'))
+            .html('&times;')
+            .appendTo($element)
 
-        $(document.body).append($element)
+        $element.data('flash-remove', remove)
+        $stack.append($element)
+        addToHistory(type, $element.clone().children('button').remove().end().text())
+
+        $stack.children('.flash-message:not(.flash-message-removing)').slice(0, -FlashMessage.MAX_VISIBLE).each(function() {
+            $(this).data('flash-remove')()
+        })
 
         setTimeout(function() {
             $element.addClass('in')
         }, 100)
 
-        var timer = window.setTimeout(remove, options.interval * 1000)
+        resume()
+
+        function pause() {
+            if (timer === null) return
+
+            window.clearTimeout(timer)
+            timer = null
+            remaining -= new Date - startedAt
+        }
+
+        function resume() {
+            if (!interval || timer !== null || $element.hasClass('flash-message-removing')) return
+
+            startedAt = new Date
+            timer = window.setTimeout(remove, Math.max(remaining, 1000))
+        }
 
         function removeElement() {
             $element.remove()
         }
 
         function remove() {
-            window.clearInterval(timer)
+            window.clearTimeout(timer)
+            timer = null
+
+            $element
+                .addClass('flash-message-removing')
+                .removeClass('in')
 
-            $element.removeClass('in')
             $.support.transition && $element.hasClass('fade')
                 ? $element
                     .one($.support.transition.end, removeElement)
                     .emulateTransitionEnd(500)
                 : removeElement()
         }
+
+        return $element
     }
 
     FlashMessage.DEFAULTS = {
         class: 'success',
         text: 'Default text',
-        interval: 5
+        interval: null,
+        actions: []
+    }
+
+    /*
+     * Display interval in seconds per message type
+     */
+    FlashMessage.INTERVALS = {
+        default: 5,
+        warning: 7,
+        error: 10
+    }
+
+    FlashMessage.MAX_VISIBLE = 3
+
+    FlashMessage.HISTORY_LIMIT = 20
+
+    /*
+     * Returns the messages displayed during the session, newest first
+     */
+    FlashMessage.history = function() {
+        try {
+            return JSON.parse(window.sessionStorage.getItem('wn.flashMessages')) || []
+        }
+        catch (e) {
+            return []
+        }
+    }
+
+    FlashMessage.clearHistory = function() {
+        try {
+            window.sessionStorage.removeItem('wn.flashMessages')
+        }
+        catch (e) {}
+
+        $('.flash-message-history').remove()
+    }
+
+    /*
+     * Toggles a panel listing the messages displayed during the session
+     */
+    FlashMessage.toggleHistory = function() {
+        var $panel = $('.flash-message-history')
+
+        if ($panel.length) {
+            return $panel.remove()
+        }
+
+        var messages = FlashMessage.history(),
+            $list = $('<ol />')
+
+        $panel = $('<div class="flash-message-history" role="dialog" />')
+            .attr('aria-label', getLang('flash.history', 'Recent messages'))
+            .append($('<h4 />').text(getLang('flash.history', 'Recent messages')))
+            .append($list)
+            .append(
+                $('<button type="button" class="close" />')
+                    .attr('aria-label', getLang('flash.close', 'Close'))
+                    .html('&times;')
+                    .on('click', function() { $panel.remove() })
+            )
+
+        $.each(messages, function(index, message) {
+            $('<li />')
+                .addClass(message.class)
+                .append($('<time />').attr('datetime', message.time).text(new Date(message.time).toLocaleTimeString()))
+                .append($('<span />').text(message.text))
+                .appendTo($list)
+        })
+
+        if (!messages.length) {
+            $('<li class="empty" />').text(getLang('flash.history_empty', 'There are no messages yet.')).appendTo($list)
+        }
+
+        $(document.body).append($panel)
+        $panel.find('button.close').trigger('focus')
+    }
+
+    function getStack() {
+        var $stack = $('body > .flash-message-stack')
+
+        if (!$stack.length) {
+            $stack = $('<div class="flash-message-stack" aria-live="polite" />').appendTo(document.body)
+        }
+
+        return $stack
+    }
+
+    function addToHistory(type, text) {
+        var messages = FlashMessage.history()
+
+        messages.unshift({ class: type, text: $.trim(text), time: new Date().toISOString() })
+
+        try {
+            window.sessionStorage.setItem('wn.flashMessages', JSON.stringify(messages.slice(0, FlashMessage.HISTORY_LIMIT)))
+        }
+        catch (e) {}
     }
 
     // FLASH MESSAGE PLUGIN DEFINITION
@@ -74,4 +235,20 @@
         })
     })
 
+    $(document).on('click', '[data-toggle=flash-history]', function(event) {
+        event.preventDefault()
+        $.wn.flashMsg.toggleHistory()
+    })
+
+    // HELPERS
+    // ============================
+
+    function getLang(name, defaultValue) {
+        if ($.wn === undefined || $.wn.lang === undefined) {
+            return defaultValue
+        }
+
+        return $.wn.lang.get(name, defaultValue)
+    }
+
 }(window.jQuery);
@@ -380,6 +380,123 @@
         return $('<a />').popup(option)
     }
 
+    // POPUP CONFIRM
+    // ============================
+
+    /*
+     * Displays a confirmation dialog, returns a promise that is resolved when the user
+     * confirms and rejected when the dialog is closed in any other way.
+     *
+     *   $.wn.confirm('Remove this plugin?', { danger: true, input: 'Acme.Blog' }).done(...)
+     *
+     * With the input option, the confirm button is enabled only after the value is typed in.
+     */
+    var Confirm = function(message, options) {
+        var self = this
+
+        this.options = $.extend({}, Confirm.DEFAULTS, options)
+        this.deferred = $.Deferred()
+        this.confirmed = false
+
+        this.$popup = $.popup({
+            content: this.render(message),
+            size: this.options.size
+        })
+
+        this.$modal = this.$popup.data('oc.popup').$container
+            .on('click', '[data-confirm]', $.proxy(this.confirm, this))
+            .on('input', '[data-confirm-input]', $.proxy(this.checkInput, this))
+            .on('keydown', '[data-confirm-input]', function(event) {
+                if (event.key === 'Enter') self.confirm()
+            })
+
+        this.$popup.one('hidden.oc.popup', function() {
+            self.confirmed ? self.deferred.resolve() : self.deferred.reject()
+            self.$popup = null
+            self.$modal = null
+        })
+    }
+
+    Confirm.DEFAULTS = {
+        title: null,
+        confirmButton: null,
+        cancelButton: null,
+        danger: false,
+        input: null,
+        size: 'small'
+    }
+
+    Confirm.prototype.render = function(message) {
+        var options = this.options,
+            $content = $('<div class="popup-confirm" />').toggleClass('popup-confirm-danger', !!options.danger),
+            $body = $('<div class="modal-body" />').append($('<p />').text(message)),
+            $confirm = $('<button type="button" class="btn" data-confirm />')
+
+        $('<div class="modal-header" />')
+            .append($('<button type="button" class="close" data-dismiss="popup">&times;</button>').attr('aria-label', getLang('flash.close', 'Close')))
+            .append($('<h4 class="modal-title" />').text(options.title || getLang('confirm.title', 'Are you sure?')))
+            .appendTo($content)
+
+        if (options.input) {
+            $('<div class="form-group" />')
+                .append($('<label />').text(getLang('confirm.input', 'Type :value to confirm.').replace(':value', options.input)))
+                .append($('<input type="text" class="form-control" autocomplete="off" spellcheck="false" data-confirm-input default-focus />'))
+                .appendTo($body)
+
+            $confirm.prop('disabled', true)
+        }
+        else {
+            $confirm.attr('default-focus', '')
+        }
+
+        $confirm
+            .addClass(options.danger ? 'btn-danger' : 'btn-primary')
+            .text(options.confirmButton || getLang('alert.confirm_button_text', 'OK'))
+
+        $content
+            .append($body)
+            .append($('<div class="modal-footer" />')
+                .append($confirm)
+                .append($('<button type="button" class="btn btn-default" data-dismiss="popup" />')
+                    .text(options.cancelButton || getLang('alert.cancel_button_text', 'Cancel'))))
+
+        return $content
+    }
+
+    Confirm.prototype.checkInput = function() {
+        var valid = this.isInputValid()
+
+        this.$modal.find('[data-confirm]').prop('disabled', !valid)
+
+        return valid
+    }
+
+    Confirm.prototype.isInputValid = function() {
+        if (!this.options.input) return true
+
+        return $.trim(this.$modal.find('[data-confirm-input]').val()) === String(this.options.input)
+    }
+
+    Confirm.prototype.confirm = function() {
+        if (!this.$popup || !this.isInputValid()) return
+
+        this.confirmed = true
+        this.$popup.popup('hide')
+    }
+
+    Confirm.prototype.promise = function() {
+        return this.deferred.promise()
+    }
+
+    if ($.wn === undefined)
+        $.wn = {}
+
+    $.wn.confirm = function(message, options) {
+        return new Confirm(message, options).promise()
+    }
+
+    $.wn.confirm.Constructor = Confirm
+
     // POPUP NO CONFLICT
     // =================
 
@@ -403,6 +520,14 @@
         }
     }
 
+    function getLang(name, defaultValue) {
+        if ($.wn === undefined || $.wn.lang === undefined) {
+            return defaultValue
+        }
+
+        return $.wn.lang.get(name, defaultValue)
+    }
+
     $(document).on('click.oc.popup', '[data-control="popup"]', function(event) {
         event.preventDefault()
 
@@ -69,7 +69,7 @@
             	tabUrl = $('> a', this).attr('href')
             }
             if (tabUrl) {
-                window.history.replaceState({}, 'Tab link reference', tabUrl)
+                window.history.replaceState(window.history.state, 'Tab link reference', tabUrl)
             }
         })
 
@@ -91,6 +91,73 @@
         if (location.hash && this.$tabsContainer.is('[data-linkable]')) {
             $('li > a[href="' + location.hash + '"]', this.$tabsContainer).tab('show')
         }
+
+        if (this.options.queryParam) {
+            this.initQueryState()
+        }
+    }
+
+    /*
+     * Keeps the active tab in the query string, so the browser history and
+     * shared links restore it. The value is the tab anchor hash, or its index.
+     */
+    Tab.prototype.initQueryState = function() {
+        var self = this,
+            eventName = 'popstate.' + this.tabId
+
+        this.queryDefault = this.getQueryValue($('> li.active', this.$tabsContainer).get(0) || $('> li:first', this.$tabsContainer).get(0))
+        this.showQueryTab()
+
+        this.$tabsContainer.on('shown.bs.tab', 'li', function(){
+            var url = new URL(window.location.href),
+                value = self.getQueryValue(this),
+                current = url.searchParams.get(self.options.queryParam)
+
+            if ((current === null ? self.queryDefault : current) === value) {
+                return
+            }
+
+            url.searchParams.set(self.options.queryParam, value)
+            window.history.pushState(window.history.state, '', url.href)
+        })
+
+        $(window).on(eventName, function(){
+            if (!$.contains(document.documentElement, self.$el.get(0))) {
+                $(window).off(eventName)
+                return
+            }
+
+            self.showQueryTab()
+        })
+    }
+
+    Tab.prototype.getQueryValue = function(li) {
+        var href = $('> a', li).attr('href')
+
+        if (href && href.length > 1 && href.charAt(0) === '#') {
+            return href.substring(1)
+        }
+
+        return String($('> li', this.$tabsContainer).index(li))
+    }
+
+    Tab.prototype.showQueryTab = function() {
+        var self = this,
+            value = new URL(window.location.href).searchParams.get(this.options.queryParam)
+
+        if (value === null) {
+            value = this.queryDefault
+        }
+
+        $('> li', this.$tabsContainer).each(function(){
+            if (self.getQueryValue(this) === value) {
+                if (!$(this).hasClass('active')) {
+                    $('> a', this).tab('show')
+                }
+
+                return false
+            }
+        })
     }
 
     Tab.prototype.initTab = function(li) {
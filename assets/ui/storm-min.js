@@ -2703,28 +2703,68 @@ $(controls[i]).triggerHandler('dispose-control')
 if(container.hasAttribute('data-disposable'))
 $(container).triggerHandler('dispose-control')}}
 $.wn.foundation.controlUtils=ControlUtils;$(document).on('ajaxBeforeReplace',function(ev){$.wn.foundation.controlUtils.disposeControls(ev.target)})}(window.jQuery);+function($){"use strict";var FlashMessage=function(options,el){var
-options=$.extend({},FlashMessage.DEFAULTS,options),$element=$(el)
-$('body > p.flash-message').remove()
-if($element.length==0){$element=$('<p />').addClass(options.class).html(options.text)}
-$element.addClass('flash-message fade')
-$element.attr('data-control',null)
-$element.append('<button type="button" class="close" aria-hidden="true">&times;</button>')
-$element.on('click','button',remove)
-$element.on('click',remove)
-$(document.body).append($element)
+options=$.extend({},FlashMessage.DEFAULTS,options),$element=$(el),$stack=getStack(),type=options.class,timer=null,startedAt
+if($element.length==0){$element=$('<p />').addClass(options.class).html(ocSanitize(options.text,'flash'))}
+else{type=$.grep(['success','info','warning','error'],function(name){return $element.hasClass(name)})[0]||type}
+var interval=options.interval!==null&&options.interval!==undefined?options.interval:(FlashMessage.INTERVALS[type]||FlashMessage.INTERVALS.default),remaining=interval*1000
+$element.addClass('flash-message fade').attr('data-control',null).attr('role',type=='error'?'alert':'status').on('click',remove).on('mouseenter focusin',pause).on('mouseleave focusout',resume)
+$.each(options.actions||[],function(index,action){$('<button type="button" class="flash-message-action" />').text(action.label).on('click',function(event){event.stopPropagation()
+action.handler&&action.handler.call($element.get(0),options)
+remove()}).appendTo($element)})
+$('<button type="button" class="close" />').attr('aria-label',getLang('flash.close','Close')).html('&times;').appendTo($element)
+$element.data('flash-remove',remove)
+$stack.append($element)
+addToHistory(type,$element.clone().children('button').remove().end().text())
+$stack.children('.flash-message:not(.flash-message-removing)').slice(0,-FlashMessage.MAX_VISIBLE).each(function(){$(this).data('flash-remove')()})
 setTimeout(function(){$element.addClass('in')},100)
-var timer=window.setTimeout(remove,options.interval*1000)
+resume()
+function pause(){if(timer===null)return
+window.clearTimeout(timer)
+timer=null
+remaining-=new Date-startedAt}
+function resume(){if(!interval||timer!==null||$element.hasClass('flash-message-removing'))return
+startedAt=new Date
+timer=window.setTimeout(remove,Math.max(remaining,1000))}
 function removeElement(){$element.remove()}
-function remove(){window.clearInterval(timer)
-$element.removeClass('in')
-$.support.transition&&$element.hasClass('fade')?$element.one($.support.transition.end,removeElement).emulateTransitionEnd(500):removeElement()}}
-FlashMessage.DEFAULTS={class:'success',text:'Default text',interval:5}
+function remove(){window.clearTimeout(timer)
+timer=null
+$element.addClass('flash-message-removing').removeClass('in')
+$.support.transition&&$element.hasClass('fade')?$element.one($.support.transition.end,removeElement).emulateTransitionEnd(500):removeElement()}
+return $element}
+FlashMessage.DEFAULTS={class:'success',text:'Default text',interval:null,actions:[]}
+FlashMessage.INTERVALS={default:5,warning:7,error:10}
+FlashMessage.MAX_VISIBLE=3
+FlashMessage.HISTORY_LIMIT=20
+FlashMessage.history=function(){try{return JSON.parse(window.sessionStorage.getItem('wn.flashMessages'))||[]}
+catch(e){return[]}}
+FlashMessage.clearHistory=function(){try{window.sessionStorage.removeItem('wn.flashMessages')}
+catch(e){}
+$('.flash-message-history').remove()}
+FlashMessage.toggleHistory=function(){var $panel=$('.flash-message-history')
+if($panel.length){return $panel.remove()}
+var messages=FlashMessage.history(),$list=$('<ol />')
+$panel=$('<div class="flash-message-history" role="dialog" />').attr('aria-label',getLang('flash.history','Recent messages')).append($('<h4 />').text(getLang('flash.history','Recent messages'))).append($list).append($('<button type="button" class="close" />').attr('aria-label',getLang('flash.close','Close')).html('&times;').on('click',function(){$panel.remove()}))
+$.each(messages,function(index,message){$('<li />').addClass(message.class).append($('<time />').attr('datetime',message.time).text(new Date(message.time).toLocaleTimeString())).append($('<span />').text(message.text)).appendTo($list)})
+if(!messages.length){$('<li class="empty" />').text(getLang('flash.history_empty','There are no messages yet.')).appendTo($list)}
+$(document.body).append($panel)
+$panel.find('button.close').trigger('focus')}
+function getStack(){var $stack=$('body > .flash-message-stack')
+if(!$stack.length){$stack=$('<div class="flash-message-stack" aria-live="polite" />').appendTo(document.body)}
+return $stack}
+function addToHistory(type,text){var messages=FlashMessage.history()
+messages.unshift({class:type,text:$.trim(text),time:new Date().toISOString()})
+try{window.sessionStorage.setItem('wn.flashMessages',JSON.stringify(messages.slice(0,FlashMessage.HISTORY_LIMIT)))}
+catch(e){}}
 if($.wn===undefined)
 $.wn={}
 if($.oc===undefined)
 $.oc=$.wn
 $.wn.flashMsg=FlashMessage
-$(document).render(function(){$('[data-control=flash-message]').each(function(){$.wn.flashMsg($(this).data(),this)})})}(window.jQuery);!function($){"use strict";var Autocomplete=function(element,options){this.$element=$(element)
+$(document).render(function(){$('[data-control=flash-message]').each(function(){$.wn.flashMsg($(this).data(),this)})})
+$(document).on('click','[data-toggle=flash-history]',function(event){event.preventDefault()
+$.wn.flashMsg.toggleHistory()})
+function getLang(name,defaultValue){if($.wn===undefined||$.wn.lang===undefined){return defaultValue}
+return $.wn.lang.get(name,defaultValue)}}(window.jQuery);!function($){"use strict";var Autocomplete=function(element,options){this.$element=$(element)
 this.options=$.extend({},$.fn.autocomplete.defaults,options)
 this.matcher=this.options.matcher||this.matcher
 this.sorter=this.options.sorter||this.sorter
@@ -3074,8 +3114,24 @@ this.activeScopeName=null
 this.isActiveScopeDirty=false
 this.dependantUpdateInterval=300
 this.dependantUpdateTimers={}
-this.init()}
-FilterWidget.DEFAULTS={optionsHandler:null,updateHandler:null}
+this.virtualThreshold=100
+this.virtualBuffer=10
+this.optionsRowHeight=null
+this.scopePage={}
+this.scopeHasMore={}
+this.searchResults=null
+this.searchQueryText=''
+this.highlight={pane:'available',index:-1}
+this.animateItemId=null
+this.batchUpdateInterval=300
+this.batchUpdateTimer=null
+this.batchScopes={}
+this.batchDeferred=null
+this.batchDependants={}
+this.queryState={}
+this.init()
+this.initQueryState()}
+FilterWidget.DEFAULTS={optionsHandler:null,updateHandler:null,optionsCache:null,queryParam:null,batchUpdates:false}
 FilterWidget.prototype.getPopoverTemplate=function(){return'                                                                                                       \
                 <form id="filterPopover-{{ scopeName }}">                                                              \
                     <input type="hidden" name="scopeName"  value="{{ scopeName }}" />                                  \
@@ -3090,20 +3146,13 @@ FilterWidget.prototype.getPopoverTemplate=function(){return'
                                 data-search />                                                                         \
                             <div class="filter-items">                                                                 \
                                 <ul>                                                                                   \
-                                    {{#available}}                                                                     \
-                                        <li data-item-id="{{id}}"><a href="javascript:;">{{name}}</a></li>             \
-                                    {{/available}}                                                                     \
                                     {{#loading}}                                                                       \
                                         <li class="loading"><span></span></li>                                         \
                                     {{/loading}}                                                                       \
                                 </ul>                                                                                  \
                             </div>                                                                                     \
                             <div class="filter-active-items">                                                          \
-                                <ul>                                                                                   \
-                                    {{#active}}                                                                        \
-                                        <li data-item-id="{{id}}"><a href="javascript:;">{{name}}</a></li>             \
-                                    {{/active}}                                                                        \
-                                </ul>                                                                                  \
+                                <ul></ul>                                                                              \
                             </div>                                                                                     \
                             <div class="filter-buttons">                                                               \
                                 <button class="btn btn-block btn-primary wn-icon-filter" data-filter-action="apply">   \
@@ -3131,9 +3180,12 @@ self.isActiveScopeDirty=false
 self.displayPopover($scope)
 $scope.addClass('filter-scope-open')})
 this.$el.on('show.oc.popover','a.filter-scope',function(event){self.focusSearch()
-$(event.relatedTarget).on('click','#controlFilterPopover .filter-items > ul > li',function(){self.selectItem($(this))})
-$(event.relatedTarget).on('click','#controlFilterPopover .filter-active-items > ul > li',function(){self.selectItem($(this),true)})
-$(event.relatedTarget).on('ajaxDone','#controlFilterPopover input.filter-search-input',function(event,context,data){self.filterAvailable(data.scopeName,data.options.available)})
+$(event.relatedTarget).on('click','#controlFilterPopover .filter-items > ul > li[data-item-id]',function(){self.selectItem($(this))})
+$(event.relatedTarget).on('click','#controlFilterPopover .filter-active-items > ul > li[data-item-id]',function(){self.selectItem($(this),true)})
+$(event.relatedTarget).on('click','#controlFilterPopover .filter-items-more',function(){self.loadMoreOptions()})
+$(event.relatedTarget).on('keydown','#controlFilterPopover input[data-search]',function(e){self.onOptionsKeydown(e)})
+$('#controlFilterPopover .filter-items',event.relatedTarget).on('scroll',function(){if(self.isVirtualList()){self.renderOptionsList('available')}})
+$(event.relatedTarget).on('ajaxDone','#controlFilterPopover input.filter-search-input',function(event,context,data){self.filterAvailable(data.scopeName,data.options.available,data.options.hasMore)})
 $(event.relatedTarget).on('click','#controlFilterPopover [data-filter-action="apply"]',function(e){e.preventDefault()
 self.filterScope()})
 $(event.relatedTarget).on('click','#controlFilterPopover [data-filter-action="clear"]',function(e){e.preventDefault()
@@ -3150,14 +3202,22 @@ scopeElements.filter('[data-scope-depends]').each(function(){var name=$(this).da
 $.each(depends,function(index,depend){if(!scopeMap[depend]){scopeMap[depend]={scopes:[]}}
 scopeMap[depend].scopes.push(name)})})
 $.each(scopeMap,function(scopeName,toRefresh){scopeElements.filter('[data-scope-name="'+scopeName+'"]').on('change.oc.filterScope',$.proxy(self.onRefreshDependants,self,scopeName,toRefresh))})}
-FilterWidget.prototype.onRefreshDependants=function(scopeName,toRefresh){var self=this,scopeElements=this.$el.find('.filter-scope')
-if(this.dependantUpdateTimers[scopeName]!==undefined){window.clearTimeout(this.dependantUpdateTimers[scopeName])}
-this.dependantUpdateTimers[scopeName]=window.setTimeout(function(){$.each(toRefresh.scopes,function(index,dependantScope){self.scopeValues[dependantScope]=null
-var $scope=self.$el.find('[data-scope-name="'+dependantScope+'"]')
-self.$el.request(self.options.optionsHandler,{data:{scopeName:dependantScope},success:function(data){self.fillOptions(dependantScope,data.options)
-self.updateScopeSetting($scope,data.options.active.length)
-$scope.loadIndicator('hide')}})})},this.dependantUpdateInterval)
+FilterWidget.prototype.onRefreshDependants=function(scopeName,toRefresh){var self=this,scopeElements=this.$el.find('.filter-scope'),timerName=scopeName
+if(this.options.batchUpdates){$.each(toRefresh.scopes,function(index,dependantScope){self.batchDependants[dependantScope]=true})
+timerName='*'}
+if(this.dependantUpdateTimers[timerName]!==undefined){window.clearTimeout(this.dependantUpdateTimers[timerName])}
+this.dependantUpdateTimers[timerName]=window.setTimeout(function(){if(self.options.batchUpdates){self.refreshDependants(Object.keys(self.batchDependants))
+self.batchDependants={}
+return}
+self.refreshDependants(toRefresh.scopes)},this.dependantUpdateInterval)
 $.each(toRefresh.scopes,function(index,scope){scopeElements.filter('[data-scope-name="'+scope+'"]').addClass('loading-indicator-container').loadIndicator()})}
+FilterWidget.prototype.refreshDependants=function(scopeNames){var self=this
+$.each(scopeNames,function(index,scopeName){self.scopeValues[scopeName]=null
+self.$el.request(self.options.optionsHandler,{data:{scopeName:scopeName},success:function(data){self.fillDependant(scopeName,data.options)}})})}
+FilterWidget.prototype.fillDependant=function(scopeName,options){var $scope=this.$el.find('[data-scope-name="'+scopeName+'"]')
+this.fillOptions(scopeName,options)
+this.updateScopeSetting($scope,options.active?options.active.length:0)
+$scope.loadIndicator('hide')}
 FilterWidget.prototype.focusSearch=function(){if(Modernizr.touchevents)
 return
 var $input=$('#controlFilterPopover input.filter-search-input'),length=$input.val().length
@@ -3168,86 +3228,185 @@ if(amount){$setting.text(amount)
 $scope.addClass('active')}
 else{$setting.text(this.getLang('filter.group.all','all'))
 $scope.removeClass('active')}}
-FilterWidget.prototype.selectItem=function($item,isDeselect){var $otherContainer=isDeselect?$item.closest('.control-filter-popover').find('.filter-items:first > ul'):$item.closest('.control-filter-popover').find('.filter-active-items:first > ul')
-$item.addClass('animate-enter').prependTo($otherContainer).one('webkitAnimationEnd mozAnimationEnd MSAnimationEnd oanimationend animationend',function(){$(this).removeClass('animate-enter')})
-if(!this.scopeValues[this.activeScopeName])
+FilterWidget.prototype.selectItem=function($item,isDeselect){this.toggleItem($item.data('item-id'),isDeselect)}
+FilterWidget.prototype.toggleItem=function(itemId,isDeselect){var scopeName=this.activeScopeName
+if(!this.scopeValues[scopeName])
 return
 var
-itemId=$item.data('item-id'),active=this.scopeValues[this.activeScopeName],available=this.scopeAvailable[this.activeScopeName],fromItems=isDeselect?active:available,toItems=isDeselect?available:active,testFunc=function(active){return active.id==itemId},item=$.grep(fromItems,testFunc).pop(),filtered=$.grep(fromItems,testFunc,true)
-if(isDeselect)
-this.scopeValues[this.activeScopeName]=filtered
-else
-this.scopeAvailable[this.activeScopeName]=filtered
-if(item)
-toItems.push(item)
-this.toggleFilterButtons(active)
-this.updateScopeSetting(this.$activeScope,isDeselect?filtered.length:active.length)
+active=this.scopeValues[scopeName],available=this.scopeAvailable[scopeName]||[],testFunc=function(item){return item.id==itemId},item
+if(isDeselect){item=$.grep(active,testFunc).pop()
+this.scopeValues[scopeName]=$.grep(active,testFunc,true)
+if(item){available.unshift(item)
+if(this.searchResults&&this.matchesSearch(item.name)){this.searchResults.items.unshift(item)}}}
+else{item=$.grep(this.getOptionsItems('available'),testFunc).pop()
+this.scopeAvailable[scopeName]=$.grep(available,testFunc,true)
+if(this.searchResults){this.searchResults.items=$.grep(this.searchResults.items,testFunc,true)}
+if(item){this.scopeValues[scopeName].unshift(item)}}
+this.animateItemId=itemId
+this.renderOptions()
+this.animateItemId=null
+this.toggleFilterButtons(this.scopeValues[scopeName])
+this.updateScopeSetting(this.$activeScope,this.scopeValues[scopeName].length)
 this.isActiveScopeDirty=true
 this.focusSearch()}
-FilterWidget.prototype.displayPopover=function($scope){var self=this,scopeName=$scope.data('scope-name'),data=null,isLoaded=true,container=false
-if(typeof this.scopeAvailable[scopeName]!=="undefined"&&this.scopeAvailable[scopeName]){data=$.extend({},data,{available:this.scopeAvailable[scopeName],active:this.scopeValues[scopeName]})}
+FilterWidget.prototype.displayPopover=function($scope){var self=this,scopeName=$scope.data('scope-name'),isLoaded=typeof this.scopeAvailable[scopeName]!=="undefined"&&!!this.scopeAvailable[scopeName],data=isLoaded?{}:{loading:true},container=false
 var modalParent=$scope.parents('.modal-dialog')
 if(modalParent.length>0){container=modalParent[0]}
-if(!data){data={loading:true}
-isLoaded=false}
 data=$.extend({},data,{apply_button_text:this.getLang('filter.scopes.apply_button_text','Apply'),clear_button_text:this.getLang('filter.scopes.clear_button_text','Clear')})
 data.scopeName=scopeName
 data.optionsHandler=self.options.optionsHandler
 $scope.data('oc.popover',null)
 $scope.ocPopover({content:Mustache.render(self.getPopoverTemplate(),data),modal:false,highlightModalTarget:true,closeOnPageClick:true,placement:'bottom',container:container})
+this.searchResults=null
+this.searchQueryText=''
+this.highlight={pane:'available',index:-1}
+if(isLoaded){this.renderOptions()}
 this.toggleFilterButtons()
 if(!isLoaded){self.loadOptions(scopeName)}}
 FilterWidget.prototype.loadOptions=function(scopeName){var self=this,data={scopeName:scopeName}
 var populated=this.$el.data('filterScopes')
 if(populated&&populated[scopeName]){self.fillOptions(scopeName,populated[scopeName])
 return false}
-return this.$el.request(this.options.optionsHandler,{data:data,success:function(data){self.fillOptions(scopeName,data.options)
+return this.$el.request(this.options.optionsHandler,{data:data,cache:this.options.optionsCache,success:function(data){self.fillOptions(scopeName,data.options)
 self.toggleFilterButtons()}})}
+FilterWidget.prototype.invalidateOptionsCache=function(){if(this.options.optionsCache&&window.wnRequest!==undefined){wnRequest.cache.invalidate(this.options.optionsHandler)}}
 FilterWidget.prototype.fillOptions=function(scopeName,data){if(this.scopeValues[scopeName])
 return
 if(!data.active)data.active=[]
 if(!data.available)data.available=[]
 this.scopeValues[scopeName]=data.active
 this.scopeAvailable[scopeName]=data.available
+this.scopeHasMore[scopeName]=!!data.hasMore
+this.scopePage[scopeName]=1
 if(scopeName!=this.activeScopeName)
 return
-var container=$('#controlFilterPopover .filter-items > ul').empty()
-this.addItemsToListElement(container,data.available)
-var container=$('#controlFilterPopover .filter-active-items > ul')
-this.addItemsToListElement(container,data.active)}
-FilterWidget.prototype.filterAvailable=function(scopeName,available){if(this.activeScopeName!=scopeName)
+this.renderOptions()}
+FilterWidget.prototype.filterAvailable=function(scopeName,available,hasMore){if(this.activeScopeName!=scopeName)
 return
 if(!this.scopeValues[this.activeScopeName])
 return
+this.searchResults={query:this.searchQueryText,items:this.excludeActive(scopeName,available),hasMore:!!hasMore,page:1}
+this.highlight={pane:'available',index:this.searchQueryText?0:-1}
+this.renderOptionsList('available')}
+FilterWidget.prototype.excludeActive=function(scopeName,items){var activeIds=$.map(this.scopeValues[scopeName]||[],function(item){return String(item.id)})
+return $.grep(items||[],function(item){return $.inArray(String(item.id),activeIds)===-1})}
+FilterWidget.prototype.loadMoreOptions=function(){var self=this,scopeName=this.activeScopeName,search=this.searchResults,page=(search?search.page:this.scopePage[scopeName])+1
+if(this.isLoadingMore)
+return
+this.isLoadingMore=true
+return this.$el.request(this.options.optionsHandler,{data:{scopeName:scopeName,search:search?search.query:'',page:page},success:function(data){var items=self.excludeActive(scopeName,data.options.available)
+if(search){search.items=search.items.concat(items)
+search.hasMore=!!data.options.hasMore
+search.page=page}
+else{self.scopeAvailable[scopeName]=(self.scopeAvailable[scopeName]||[]).concat(items)
+self.scopeHasMore[scopeName]=!!data.options.hasMore
+self.scopePage[scopeName]=page}
+if(scopeName==self.activeScopeName&&search===self.searchResults){self.renderOptionsList('available')}}}).always(function(){self.isLoadingMore=false})}
+FilterWidget.prototype.renderOptions=function(){this.renderOptionsList('available')
+this.renderOptionsList('active')}
+FilterWidget.prototype.renderOptionsList=function(pane){var
+$container=$(pane=='active'?'#controlFilterPopover .filter-active-items':'#controlFilterPopover .filter-items'),$ul=$container.find('> ul').empty(),items=this.getOptionsItems(pane),count=this.getOptionsCount(pane),start=0,end=count,rowHeight=0
+if(pane=='available'&&this.isVirtualList()){rowHeight=this.getOptionsRowHeight($ul)
+start=Math.max(0,Math.floor($container.scrollTop()/rowHeight)-this.virtualBuffer)
+end=Math.min(count,start+Math.ceil($container.innerHeight()/rowHeight)+this.virtualBuffer*2)}
+$ul.css({paddingTop:rowHeight?start*rowHeight:'',paddingBottom:rowHeight?(count-end)*rowHeight:''})
+for(var index=start;index<end;index++){$ul.append(index<items.length?this.makeOptionsItem(items[index],pane,index):this.makeMoreItem(index))}}
+FilterWidget.prototype.getOptionsItems=function(pane){if(pane=='active'){return this.scopeValues[this.activeScopeName]||[]}
+return this.searchResults?this.searchResults.items:(this.scopeAvailable[this.activeScopeName]||[])}
+FilterWidget.prototype.getOptionsCount=function(pane){var hasMore=this.searchResults?this.searchResults.hasMore:this.scopeHasMore[this.activeScopeName]
+return this.getOptionsItems(pane).length+(pane=='available'&&hasMore?1:0)}
+FilterWidget.prototype.isVirtualList=function(){return this.getOptionsCount('available')>this.virtualThreshold}
+FilterWidget.prototype.getOptionsRowHeight=function($ul){if(!this.optionsRowHeight){var $row=this.makeOptionsItem({id:'',name:'M'},null,-1).appendTo($ul)
+this.optionsRowHeight=$row.outerHeight()||null
+$row.remove()}
+return this.optionsRowHeight||30}
+FilterWidget.prototype.makeOptionsItem=function(item,pane,index){var $li=$('<li />').attr({'data-item-id':item.id,'data-item-index':index}).append(this.makeOptionsLink(item.name,pane=='available'?this.searchQueryText:''))
+if(this.highlight.pane==pane&&this.highlight.index==index){$li.addClass('is-highlighted')}
+if(this.animateItemId!==null&&item.id==this.animateItemId){$li.addClass('animate-enter')}
+return $li}
+FilterWidget.prototype.makeMoreItem=function(index){var $li=$('<li />').addClass('filter-items-more').attr('data-item-index',index).append($('<a />').prop('href','javascript:;').text(this.getLang('filter.group.load_more','Load more')))
+if(this.highlight.pane=='available'&&this.highlight.index==index){$li.addClass('is-highlighted')}
+return $li}
+FilterWidget.prototype.makeOptionsLink=function(name,query){var $a=$('<a />').prop('href','javascript:;'),text=String(name),lowerText=text.toLowerCase(),lowerQuery=String(query||'').toLowerCase(),offset=0,index
+if(!lowerQuery.length){return $a.text(text)}
+while((index=lowerText.indexOf(lowerQuery,offset))!==-1){$a.append(document.createTextNode(text.substring(offset,index)))
+$a.append($('<mark />').text(text.substr(index,lowerQuery.length)))
+offset=index+lowerQuery.length}
+return $a.append(document.createTextNode(text.substring(offset)))}
+FilterWidget.prototype.matchesSearch=function(name){return String(name).toLowerCase().indexOf(this.searchResults.query.toLowerCase())!==-1}
+FilterWidget.prototype.onOptionsKeydown=function(ev){var highlight=this.highlight
+switch(ev.key){case'ArrowDown':this.moveHighlight(1)
+break
+case'ArrowUp':this.moveHighlight(-1)
+break
+case'Tab':highlight.pane=highlight.pane=='available'?'active':'available'
+highlight.index=Math.min(Math.max(highlight.index,0),this.getOptionsCount(highlight.pane)-1)
+this.renderOptions()
+break
+case'Enter':this.toggleHighlighted()
+break
+default:return}
+ev.preventDefault()}
+FilterWidget.prototype.moveHighlight=function(step){var count=this.getOptionsCount(this.highlight.pane)
+if(!count)
+return
+this.highlight.index=Math.min(Math.max(this.highlight.index+step,0),count-1)
+this.scrollToHighlight()
+this.renderOptions()}
+FilterWidget.prototype.scrollToHighlight=function(){if(this.highlight.pane!='available')
+return
 var
-self=this,filtered=[],items=this.scopeValues[scopeName]
-if(items.length){var activeIds=[]
-$.each(items,function(key,obj){activeIds.push(obj.id)})
-filtered=$.grep(available,function(item){return $.inArray(item.id,activeIds)===-1})}
-else{filtered=available}
-var container=$('#controlFilterPopover .filter-items > ul').empty()
-self.addItemsToListElement(container,filtered)}
-FilterWidget.prototype.addItemsToListElement=function($ul,items){$.each(items,function(key,obj){var item=$('<li />').data({'item-id':obj.id}).append($('<a />').prop({'href':'javascript:;',}).text(obj.name))
-$ul.append(item)})}
+$container=$('#controlFilterPopover .filter-items'),rowHeight=this.getOptionsRowHeight($container.find('> ul')),top=this.highlight.index*rowHeight,scrollTop=$container.scrollTop(),height=$container.innerHeight()
+if(top<scrollTop){$container.scrollTop(top)}
+else if(top+rowHeight>scrollTop+height){$container.scrollTop(top+rowHeight-height)}}
+FilterWidget.prototype.toggleHighlighted=function(){var
+pane=this.highlight.pane,index=this.highlight.index,items=this.getOptionsItems(pane)
+if(index<0){this.filterScope()}
+else if(index<items.length){this.toggleItem(items[index].id,pane=='active')
+this.highlight.index=Math.min(index,this.getOptionsCount(pane)-1)
+this.renderOptions()}
+else if(pane=='available'){this.loadMoreOptions()}}
 FilterWidget.prototype.toggleFilterButtons=function(data)
 {var items=$('#controlFilterPopover .filter-active-items > ul'),buttonContainer=$('#controlFilterPopover .filter-buttons')
 if(data){data.length>0?buttonContainer.show():buttonContainer.hide()}else{items.children().length>0?buttonContainer.show():buttonContainer.hide()}}
 FilterWidget.prototype.pushOptions=function(scopeName){if(!this.isActiveScopeDirty||!this.options.updateHandler)
 return
-var self=this,data={scopeName:scopeName,options:JSON.stringify(this.scopeValues[scopeName])}
+var self=this
 $.wn.stripeLoadIndicator.show()
-this.$el.request(this.options.updateHandler,{data:data}).always(function(){$.wn.stripeLoadIndicator.hide()}).done(function(){self.$el.find('[data-scope-name="'+scopeName+'"]').trigger('change.oc.filterScope')})}
+this.updateScope(scopeName,{options:JSON.stringify(this.scopeValues[scopeName])}).always(function(){$.wn.stripeLoadIndicator.hide()}).done(function(){self.$el.find('[data-scope-name="'+scopeName+'"]').trigger('change.oc.filterScope')})}
+FilterWidget.prototype.updateScope=function(scopeName,data,isRestoring){var scopes={}
+scopes[scopeName]=data
+if(this.options.batchUpdates&&!isRestoring){return this.queueScopes(scopes)}
+return this.sendScopes(scopes,isRestoring)}
+FilterWidget.prototype.updateScopes=function(scopes,isRestoring){var self=this,promise=this.options.batchUpdates&&!isRestoring?this.queueScopes(scopes):this.sendScopes(scopes,isRestoring)
+return promise.done(function(){$.each(scopes,function(scopeName){self.$el.find('[data-scope-name="'+scopeName+'"]').trigger('change.oc.filterScope')})})}
+FilterWidget.prototype.sendScopes=function(scopes,isRestoring){var self=this,promise=$.Deferred().resolve().promise()
+this.invalidateOptionsCache()
+$.each(scopes,function(scopeName,scopeData){promise=promise.then(function(){return self.$el.request(self.options.updateHandler,{data:$.extend({scopeName:scopeName},self.resolveScopeData(scopeData))})})})
+return promise.done(function(){if(!isRestoring){self.pushQueryState(scopes)}})}
+FilterWidget.prototype.queueScopes=function(scopes){var self=this
+$.extend(this.batchScopes,scopes)
+if(!this.batchDeferred){this.batchDeferred=$.Deferred()}
+window.clearTimeout(this.batchUpdateTimer)
+this.batchUpdateTimer=window.setTimeout(function(){self.flushScopes()},this.batchUpdateInterval)
+return this.batchDeferred.promise()}
+FilterWidget.prototype.flushScopes=function(){var deferred=this.batchDeferred,scopes=this.batchScopes
+window.clearTimeout(this.batchUpdateTimer)
+this.batchUpdateTimer=null
+this.batchScopes={}
+this.batchDeferred=null
+if(!deferred){return $.Deferred().resolve().promise()}
+this.sendScopes(scopes).then(deferred.resolve,deferred.reject)
+return deferred.promise()}
 FilterWidget.prototype.checkboxToggle=function($el){var isChecked=$el.is(':checked'),$scope=$el.closest('.filter-scope'),scopeName=$scope.data('scope-name')
 this.scopeValues[scopeName]=isChecked
-if(this.options.updateHandler){var data={scopeName:scopeName,value:isChecked}
-$.wn.stripeLoadIndicator.show()
-this.$el.request(this.options.updateHandler,{data:data}).always(function(){$.wn.stripeLoadIndicator.hide()})}
+if(this.options.updateHandler){$.wn.stripeLoadIndicator.show()
+this.updateScope(scopeName,{value:isChecked}).always(function(){$.wn.stripeLoadIndicator.hide()})}
 $scope.toggleClass('active',isChecked)}
 FilterWidget.prototype.switchToggle=function($el){var switchValue=$el.data('checked'),$scope=$el.closest('.filter-scope'),scopeName=$scope.data('scope-name')
 this.scopeValues[scopeName]=switchValue
-if(this.options.updateHandler){var data={scopeName:scopeName,value:switchValue}
-$.wn.stripeLoadIndicator.show()
-this.$el.request(this.options.updateHandler,{data:data}).always(function(){$.wn.stripeLoadIndicator.hide()})}
+if(this.options.updateHandler){$.wn.stripeLoadIndicator.show()
+this.updateScope(scopeName,{value:switchValue}).always(function(){$.wn.stripeLoadIndicator.hide()})}
 $scope.toggleClass('active',!!switchValue)}
 FilterWidget.prototype.filterScope=function(isReset){var scopeName=this.$activeScope.data('scope-name')
 if(isReset){this.scopeValues[scopeName]=null
@@ -3261,6 +3420,8 @@ FilterWidget.prototype.getLang=function(name,defaultValue){if($.oc===undefined||
 return $.wn.lang.get(name,defaultValue)}
 FilterWidget.prototype.searchQuery=function($el){if(this.dataTrackInputTimer!==undefined){window.clearTimeout(this.dataTrackInputTimer)}
 var self=this
+this.searchQueryText=$.trim($el.val())
+this.renderOptionsList('available')
 this.dataTrackInputTimer=window.setTimeout(function(){var
 lastValue=$el.data('oc.lastvalue'),thisValue=$el.val()
 if(lastValue!==undefined&&lastValue==thisValue){return}
@@ -3268,21 +3429,124 @@ $el.data('oc.lastvalue',thisValue)
 if(self.lastDataTrackInputRequest){self.lastDataTrackInputRequest.abort()}
 var data={scopeName:self.activeScopeName,search:thisValue}
 $.wn.stripeLoadIndicator.show()
-self.lastDataTrackInputRequest=self.$el.request(self.options.optionsHandler,{data:data}).success(function(data){self.filterAvailable(self.activeScopeName,data.options.available)
+self.lastDataTrackInputRequest=self.$el.request(self.options.optionsHandler,{data:data}).done(function(data){self.filterAvailable(self.activeScopeName,data.options.available,data.options.hasMore)
 self.toggleFilterButtons()}).always(function(){$.wn.stripeLoadIndicator.hide()})},300)}
+FilterWidget.prototype.getScopeData=function(scopeName){var $scope=this.$el.find('[data-scope-name="'+scopeName+'"]'),value=this.scopeValues[scopeName],scopeData=$scope.data('scope-data')||{}
+if($scope.is('a.filter-scope-date')){return{options:JSON.stringify(value||{dates:scopeData.dates?scopeData.dates:(scopeData.date?[scopeData.date]:[])})}}
+if($scope.is('a.filter-scope-number')){return{options:JSON.stringify(value||{numbers:scopeData.numbers?scopeData.numbers:(scopeData.number?[scopeData.number]:[])})}}
+if($scope.is('a.filter-scope-text')){return{options:JSON.stringify(value||this.parseTextQuery(scopeData.query,this.getTextFields($scope)))}}
+if($scope.is('a.filter-scope')){if(!value&&$scope.hasClass('active')){return null}
+return{options:JSON.stringify(value||null)}}
+var $checkbox=$scope.find('input[type="checkbox"]')
+if($scope.hasClass('is-indeterminate')){return{value:$checkbox.data('checked')||($checkbox.is(':checked')?2:0)}}
+if($checkbox.length){return{value:$checkbox.is(':checked')}}
+return null}
+FilterWidget.prototype.loadScopesData=function(){var self=this,$scopes=this.$el.find('[data-scope-name]'),requests=[]
+$scopes.each(function(){var scopeName=$(this).data('scope-name')
+if(self.getScopeData(scopeName)===null&&$(this).is('a.filter-scope')){requests.push(self.loadOptions(scopeName))}})
+return $.when.apply($,requests).then(function(){var scopes={}
+$scopes.each(function(){var scopeName=$(this).data('scope-name'),data=self.getScopeData(scopeName)
+if(data){scopes[scopeName]=data}})
+return scopes})}
+FilterWidget.prototype.applyScopes=function(scopes){var self=this,data={}
+this.$el.find('[data-scope-name]').each(function(){var scopeName=$(this).data('scope-name')
+data[scopeName]=scopes[scopeName]||self.getClearedScopeData(scopeName)
+if(!data[scopeName]){delete data[scopeName]}})
+this.setScopesData(data)
+return this.updateScopes(data)}
+FilterWidget.prototype.getClearedScopeData=function(scopeName){var $scope=this.$el.find('[data-scope-name="'+scopeName+'"]')
+if($scope.is('a.filter-scope-date')){return{options:JSON.stringify({dates:[]})}}
+if($scope.is('a.filter-scope-number')){return{options:JSON.stringify({numbers:[]})}}
+if($scope.is('a.filter-scope-text')){return{options:JSON.stringify({query:'',terms:[]})}}
+if($scope.is('a.filter-scope')){return{options:JSON.stringify(null)}}
+if($scope.find('input[type="checkbox"]').length){return{value:$scope.hasClass('is-indeterminate')?0:false}}
+return null}
+FilterWidget.prototype.setScopesData=function(scopes){var self=this
+$.each(scopes,function(scopeName,data){self.setScopeData(scopeName,data)})}
+FilterWidget.prototype.setScopeData=function(scopeName,data){var $scope=this.$el.find('[data-scope-name="'+scopeName+'"]')
+if(data.value!==undefined){var $checkbox=$scope.find('input[type="checkbox"]')
+if($scope.hasClass('is-indeterminate')){$checkbox.data('checked',data.value).prop('indeterminate',data.value==1).prop('checked',data.value==2)}
+else{$checkbox.prop('checked',!!data.value)}
+this.scopeValues[scopeName]=data.value
+$scope.toggleClass('active',!!data.value)
+return}
+var value=JSON.parse(data.options||'null')
+if(value&&value.dates&&this.updateScopeDateSetting){this.scopeValues[scopeName]=JSON.parse(this.resolveScopeData(data).options)
+this.updateScopeDateSetting($scope,value.dates.slice(),value.expression)}
+else if(value&&value.numbers&&this.updateScopeNumberSetting){this.scopeValues[scopeName]=value
+this.updateScopeNumberSetting($scope,value.numbers.slice())}
+else if(value&&value.terms&&this.updateScopeTextSetting){this.scopeValues[scopeName]=value
+this.updateScopeTextSetting($scope,value.query)}
+else{this.scopeValues[scopeName]=null
+this.scopeAvailable[scopeName]=null
+this.updateScopeSetting($scope,value?value.length:0)}}
+FilterWidget.prototype.resolveScopeData=function(data){var value=data&&data.options?JSON.parse(data.options):null,dates=value&&value.expression&&this.resolveDateExpression?this.resolveDateExpression(value.expression):null
+if(!dates){return data}
+return $.extend({},data,{options:JSON.stringify($.extend(value,{dates:dates}))})}
+FilterWidget.prototype.getState=function(){var self=this,state=$.extend({},this.queryState)
+this.$el.find('[data-scope-name]').each(function(){var scopeName=$(this).data('scope-name'),data=self.getScopeData(scopeName),value
+if(!data){return}
+if((value=self.compactScopeData(data))===null){delete state[scopeName]}
+else{state[scopeName]=value}})
+return JSON.stringify(state)}
+FilterWidget.prototype.setState=function(state){var self=this,scopes={}
+$.each(this.parseState(state),function(scopeName,value){var data=self.expandScopeData(scopeName,value)
+if(data){scopes[scopeName]=data}})
+return this.applyScopes(scopes)}
+FilterWidget.prototype.parseState=function(state){if(typeof state==='string'){try{state=JSON.parse(state)}
+catch(e){state=null}}
+return $.isPlainObject(state)?state:{}}
+FilterWidget.prototype.compactScopeData=function(data){if(data.value!==undefined){return data.value?data.value:null}
+var value=JSON.parse(data.options||'null'),compact=null
+if($.isArray(value)){$.each(value,function(index,item){compact=compact||{}
+compact[item.id]=item.name})}
+else if(value&&value.expression){compact=value.expression}
+else if(value&&value.terms){compact=value.query||null}
+else if(value&&(value.dates||value.numbers)){compact=value.dates||value.numbers
+if(!$.grep(compact,function(item){return item!==null&&item!==''}).length){compact=null}}
+return compact}
+FilterWidget.prototype.expandScopeData=function(scopeName,value){var $scope=this.$el.find('[data-scope-name="'+scopeName+'"]')
+if(value===null||value===undefined||!$scope.length){return this.getClearedScopeData(scopeName)}
+if($scope.is('a.filter-scope-date')){return{options:JSON.stringify(typeof value==='string'?{dates:this.resolveDateExpression(value)||[],expression:value}:{dates:value})}}
+if($scope.is('a.filter-scope-number')){return{options:JSON.stringify({numbers:value})}}
+if($scope.is('a.filter-scope-text')){return{options:JSON.stringify(this.parseTextQuery(value,this.getTextFields($scope)))}}
+if($scope.is('a.filter-scope')){return{options:JSON.stringify($.map(value,function(name,id){return{id:id,name:name}}))}}
+return{value:value}}
+FilterWidget.prototype.initQueryState=function(){if(!this.options.queryParam||!this.options.updateHandler){return}
+var self=this,eventName='popstate.oc.filterwidget'+Math.round(Math.random()*100000)
+this.applyQueryState(this.readQueryState())
+$(window).on(eventName,function(){if(!$.contains(document.documentElement,self.$el.get(0))){$(window).off(eventName)
+return}
+self.applyQueryState(self.readQueryState())})}
+FilterWidget.prototype.readQueryState=function(){return this.parseState(new URL(window.location.href).searchParams.get(this.options.queryParam))}
+FilterWidget.prototype.pushQueryState=function(scopes){var self=this
+$.each(scopes,function(scopeName,data){var value=self.compactScopeData(data)
+if(value===null){delete self.queryState[scopeName]}
+else{self.queryState[scopeName]=value}})
+if(!this.options.queryParam){return}
+var url=new URL(window.location.href)
+url.searchParams.set(this.options.queryParam,JSON.stringify(this.queryState))
+window.history.pushState(window.history.state,'',url.href)}
+FilterWidget.prototype.applyQueryState=function(state){var self=this,scopes={},scopeNames=Object.keys(this.queryState).concat(Object.keys(state))
+$.each(scopeNames,function(index,scopeName){var data=self.expandScopeData(scopeName,state[scopeName])
+if(data&&JSON.stringify(state[scopeName])!==JSON.stringify(self.queryState[scopeName])){scopes[scopeName]=data}})
+this.queryState=state
+if(!$.isEmptyObject(scopes)){this.setScopesData(scopes)
+this.updateScopes(scopes,true)}}
 var old=$.fn.filterWidget
 $.fn.filterWidget=function(option){var args=arguments,result
 this.each(function(){var $this=$(this)
 var data=$this.data('oc.filterwidget')
 var options=$.extend({},FilterWidget.DEFAULTS,$this.data(),typeof option=='object'&&option)
 if(!data)$this.data('oc.filterwidget',(data=new FilterWidget(this,options)))
-if(typeof option=='string')result=data[option].call($this)
+if(typeof option=='string')result=data[option].apply(data,Array.prototype.slice.call(args,1))
 if(typeof result!='undefined')return false})
 return result?result:this}
 $.fn.filterWidget.Constructor=FilterWidget
 $.fn.filterWidget.noConflict=function(){$.fn.filterWidget=old
 return this}
-$(document).render(function(){$('[data-control="filterwidget"]').filterWidget();})}(window.jQuery);+function($){"use strict";var FilterWidget=$.fn.filterWidget.Constructor;var overloaded_init=FilterWidget.prototype.init;FilterWidget.prototype.init=function(){overloaded_init.apply(this)
+$(document).render(function(){$('[data-control="filterwidget"]').filterWidget();})}(window.jQuery);+function($){"use strict";var FilterWidget=$.fn.filterWidget.Constructor;var datePresets=['last 24 hours','last 7 days','last 30 days','today','yesterday','this week','this month','last month','this year']
+var overloaded_init=FilterWidget.prototype.init;FilterWidget.prototype.init=function(){overloaded_init.apply(this)
 var self=this;this.$el.children().each(function(key,$filter){if($filter.hasAttribute('data-ignore-timezone')){self.ignoreTimezone=true;}});this.initRegion()
 this.initFilterDate()}
 FilterWidget.prototype.initFilterDate=function(){var self=this
@@ -3292,7 +3556,14 @@ e.stopPropagation()
 self.filterByDate()})
 $(event.relatedTarget).on('click','#controlFilterPopoverDate [data-filter-action="clear"]',function(e){e.preventDefault()
 e.stopPropagation()
-self.filterByDate(true)})})
+self.filterByDate(true)})
+$(event.relatedTarget).on('click','#controlFilterPopoverDate [data-date-expression]',function(e){e.preventDefault()
+e.stopPropagation()
+$('#controlFilterPopoverDate input[name="expression"]').val($(this).data('date-expression'))
+self.filterByDate()})
+$(event.relatedTarget).on('keydown','#controlFilterPopoverDate input[name="expression"]',function(e){if(e.key==='Enter'){e.preventDefault()
+self.filterByDate()}})
+$(event.relatedTarget).on('input','#controlFilterPopoverDate input[name="expression"]',function(){$(this).closest('.filter-date-expression').removeClass('has-error')})})
 this.$el.on('hiding.oc.popover','a.filter-scope-date',function(){self.clearDatePickers()})
 this.$el.on('hide.oc.popover','a.filter-scope-date',function(){var $scope=$(this)
 self.pushOptions(self.activeScopeName)
@@ -3339,6 +3610,22 @@ FilterWidget.prototype.getPopoverRangeTemplate=function(){return'
                     <input type="hidden" name="scopeName" value="{{ scopeName }}" />                                      \
                     <div id="controlFilterPopoverDate" class="control-filter-popover control-filter-box-popover --range"> \
                         <div class="filter-search loading-indicator-container size-input-text">                           \
+                            <ul class="filter-date-presets">                                                              \
+                                {{#presets}}                                                                              \
+                                    <li class="{{#active}}active{{/active}}">                                             \
+                                        <a href="javascript:;" data-date-expression="{{ expression }}">{{ label }}</a>    \
+                                    </li>                                                                                 \
+                                {{/presets}}                                                                              \
+                            </ul>                                                                                         \
+                            <div class="filter-date-expression">                                                          \
+                                <input                                                                                    \
+                                    type="text"                                                                           \
+                                    name="expression"                                                                     \
+                                    value="{{ expression }}"                                                              \
+                                    class="form-control popup-allow-focus"                                                \
+                                    autocomplete="off"                                                                    \
+                                    placeholder="{{ expression_placeholder }}" />                                         \
+                            </div>                                                                                        \
                             <div class="field-datepicker">                                                                \
                                 <div class="input-with-icon right-align">                                                 \
                                     <i class="icon icon-calendar-o"></i>                                                  \
@@ -3380,36 +3667,62 @@ data=$.extend({},data,{filter_button_text:this.getLang('filter.dates.filter_butt
 data.scopeName=scopeName
 $scope.data('oc.popover',null)
 $scope.ocPopover({content:Mustache.render(this.getPopoverDateTemplate(),data),modal:false,highlightModalTarget:true,closeOnPageClick:true,placement:'bottom',onCheckDocumentClickTarget:function(target){return self.onCheckDocumentClickTargetDatePicker(target)}})}
-FilterWidget.prototype.displayPopoverRange=function($scope){var self=this,scopeName=$scope.data('scope-name'),data=this.scopeValues[scopeName]
-data=$.extend({},data,{filter_button_text:this.getLang('filter.dates.filter_button_text'),reset_button_text:this.getLang('filter.dates.reset_button_text'),after_placeholder:this.getLang('filter.dates.after_placeholder','After'),before_placeholder:this.getLang('filter.dates.before_placeholder','Before')})
+FilterWidget.prototype.displayPopoverRange=function($scope){var self=this,scopeName=$scope.data('scope-name'),data=this.scopeValues[scopeName]||{},expression=data.expression||($scope.data('scope-data')||{}).expression||''
+data=$.extend({},data,{filter_button_text:this.getLang('filter.dates.filter_button_text'),reset_button_text:this.getLang('filter.dates.reset_button_text'),after_placeholder:this.getLang('filter.dates.after_placeholder','After'),before_placeholder:this.getLang('filter.dates.before_placeholder','Before'),expression_placeholder:this.getLang('filter.dates.expression_placeholder','e.g. since yesterday 09:00'),expression:expression,presets:$.map(datePresets,function(preset){return{expression:preset,label:self.getDateExpressionLabel(preset),active:preset===expression}})})
 data.scopeName=scopeName
 $scope.data('oc.popover',null)
 $scope.ocPopover({content:Mustache.render(this.getPopoverRangeTemplate(),data),modal:false,highlightModalTarget:true,closeOnPageClick:true,placement:'bottom',onCheckDocumentClickTarget:function(target){return self.onCheckDocumentClickTargetDatePicker(target)}})}
 FilterWidget.prototype.initDatePickers=function(isRange){var self=this,scopeData=this.$activeScope.data('scope-data'),$inputs=$('.field-datepicker input','#controlFilterPopoverDate'),data=this.scopeValues[this.activeScopeName]
-if(!data){data={dates:isRange?(scopeData.dates?scopeData.dates:[]):(scopeData.date?[scopeData.date]:[])}}
+if(!data){data={dates:isRange?(scopeData.dates?scopeData.dates:[]):(scopeData.date?[scopeData.date]:[]),expression:isRange?scopeData.expression:null}}
+if(data.expression){data=$.extend({},data,{dates:this.resolveDateExpression(data.expression)||data.dates})}
 $inputs.each(function(index,datepicker){var defaultValue='',$datepicker=$(datepicker),defaults={minDate:new Date(scopeData.minDate),maxDate:new Date(scopeData.maxDate),firstDay:scopeData.firstDay,yearRange:scopeData.yearRange,setDefaultDate:''!==defaultValue?defaultValue.toDate():'',format:self.getDateFormat(),i18n:self.getLang('datepicker')}
 if(0<=index&&index<data.dates.length){defaultValue=data.dates[index]?moment.tz(data.dates[index],self.appTimezone).tz(self.timezone):''}
 if(!isRange){defaults.onSelect=function(){self.filterByDate()}}
+else{defaults.onSelect=function(){$('#controlFilterPopoverDate input[name="expression"]').val('')}}
 datepicker.value=''!==defaultValue?defaultValue.format(self.getDateFormat()):'';$datepicker.pikaday(defaults)})}
 FilterWidget.prototype.clearDatePickers=function(){var $inputs=$('.field-datepicker input','#controlFilterPopoverDate')
 $inputs.each(function(index,datepicker){var $datepicker=$(datepicker)
 $datepicker.data('pikaday').destroy()})}
-FilterWidget.prototype.updateScopeDateSetting=function($scope,dates){var $setting=$scope.find('.filter-setting'),dateFormat=this.getDateFormat(),dateRegex=/\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/,reset=false
-if(dates&&dates.length){dates[0]=dates[0]&&dates[0].match(dateRegex)?dates[0]:null
+FilterWidget.prototype.updateScopeDateSetting=function($scope,dates,expression){var $setting=$scope.find('.filter-setting'),dateFormat=this.getDateFormat(),dateRegex=/\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/,reset=false
+if(expression){$setting.text(this.getDateExpressionLabel(expression))}
+else if(dates&&dates.length){dates[0]=dates[0]&&dates[0].match(dateRegex)?dates[0]:null
 if(dates.length>1){dates[1]=dates[1]&&dates[1].match(dateRegex)?dates[1]:null
 if(dates[0]||dates[1]){var after=dates[0]?moment.tz(dates[0],this.appTimezone).tz(this.timezone).format(dateFormat):'-∞',before=dates[1]?moment.tz(dates[1],this.appTimezone).tz(this.timezone).format(dateFormat):'∞'
 $setting.text(after+' → '+before)}else{reset=true}}
 else if(dates[0]){$setting.text(moment.tz(dates[0],this.appTimezone).tz(this.timezone).format(dateFormat))}else{reset=true}}
 else{reset=true}
 if(reset){$setting.text(this.getLang('filter.dates.all','all'));$scope.removeClass('active')}else{$scope.addClass('active')}}
-FilterWidget.prototype.filterByDate=function(isReset){var self=this,dates=[]
-if(!isReset){var datepickers=$('.field-datepicker input','#controlFilterPopoverDate')
+FilterWidget.prototype.filterByDate=function(isReset){var self=this,dates=[],$expression=$('#controlFilterPopoverDate input[name="expression"]'),expression=isReset?'':$.trim($expression.val()||'').toLowerCase().replace(/\s+/g,' ')
+if(expression){dates=this.resolveDateExpression(expression)
+if(!dates){$expression.closest('.filter-date-expression').addClass('has-error')
+$expression.focus()
+return}}
+else if(!isReset){var datepickers=$('.field-datepicker input','#controlFilterPopoverDate')
 datepickers.each(function(index,datepicker){var date=$(datepicker).data('pikaday').toString('YYYY-MM-DD')
 if(date.match(/\d{4}-\d{2}-\d{2}/)){if(index===0){date+=' 00:00:00'}else if(index===1){date+=' 23:59:59'}
 date=moment.tz(date,self.timezone).tz(self.appTimezone).format('YYYY-MM-DD HH:mm:ss')}else{date=null}
 dates.push(date)})}
-this.updateScopeDateSetting(this.$activeScope,dates);this.scopeValues[this.activeScopeName]={dates:dates}
+this.updateScopeDateSetting(this.$activeScope,dates,expression);this.scopeValues[this.activeScopeName]=expression?{dates:dates,expression:expression}:{dates:dates}
 this.isActiveScopeDirty=true;this.$activeScope.data('oc.popover').hide()}
+FilterWidget.prototype.resolveDateExpression=function(expression){var now=moment.tz(this.timezone),text=$.trim(String(expression)).toLowerCase().replace(/\s+/g,' '),after=null,before=now.clone(),match
+if(text==='today'){after=now.clone().startOf('day')
+before=now.clone().endOf('day')}
+else if(text==='yesterday'){after=now.clone().subtract(1,'day').startOf('day')
+before=after.clone().endOf('day')}
+else if((match=text.match(/^this (hour|day|week|month|year)$/))){after=now.clone().startOf(match[1])
+before=now.clone().endOf(match[1])}
+else if((match=text.match(/^last (week|month|year)$/))){after=now.clone().subtract(1,match[1]).startOf(match[1])
+before=after.clone().endOf(match[1])}
+else if((match=text.match(/^last (\d+) (minute|hour|day|week|month|year)s?$/))){after=now.clone().subtract(parseInt(match[1],10),match[2])}
+else if((match=text.match(/^since (.+)$/))){after=this.resolveDatePoint(match[1],now)}
+if(!after||!after.isValid()||after.isAfter(before)){return null}
+return[after.tz(this.appTimezone).format('YYYY-MM-DD HH:mm:ss'),before.tz(this.appTimezone).format('YYYY-MM-DD HH:mm:ss')]}
+FilterWidget.prototype.resolveDatePoint=function(text,now){var match
+if((match=text.match(/^(today|yesterday)(?: ([01]?\d|2[0-3]):([0-5]\d))?$/))){return now.clone().subtract(match[1]==='yesterday'?1:0,'day').startOf('day').hours(match[2]?parseInt(match[2],10):0).minutes(match[3]?parseInt(match[3],10):0)}
+if((match=text.match(/^(\d+) (minute|hour|day|week|month|year)s? ago$/))){return now.clone().subtract(parseInt(match[1],10),match[2])}
+return moment.tz(text,['YYYY-MM-DD HH:mm','YYYY-MM-DD'],true,this.timezone)}
+FilterWidget.prototype.getDateExpressionLabel=function(expression){if($.inArray(expression,datePresets)===-1){return expression}
+return this.getLang('filter.dates.presets.'+expression.replace(/ /g,'_'),expression.charAt(0).toUpperCase()+expression.slice(1))}
 FilterWidget.prototype.getDateFormat=function(){if(this.locale){return moment().locale(this.locale).localeData().longDateFormat('l')}
 return'YYYY-MM-DD'}
 FilterWidget.prototype.onCheckDocumentClickTargetDatePicker=function(target){var $target=$(target)
@@ -3540,7 +3853,194 @@ if(!isReset){var numberinputs=$('.field-number input','#controlFilterPopoverNum'
 numberinputs.each(function(index,numberinput){var number=$(numberinput).val()
 numbers.push(number)})}
 this.updateScopeNumberSetting(this.$activeScope,numbers);this.scopeValues[this.activeScopeName]={numbers:numbers}
-this.isActiveScopeDirty=true;this.$activeScope.data('oc.popover').hide()}}(window.jQuery);(function($){$(document).render(function(){var formatSelectOption=function(state){var text=$('<span>').text(state.text).html()
+this.isActiveScopeDirty=true;this.$activeScope.data('oc.popover').hide()}}(window.jQuery);+function($){"use strict";var FilterWidget=$.fn.filterWidget.Constructor;var termPattern=/(-?)(?:([a-z_][\w.]*):)?("(?:[^"\\]|\\.)*"?|\/(?:[^\/\\]|\\.)+\/i?|\S+)/gi
+var overloaded_init=FilterWidget.prototype.init;FilterWidget.prototype.init=function(){overloaded_init.apply(this)
+this.initFilterText()}
+FilterWidget.prototype.initFilterText=function(){var self=this
+this.$el.on('show.oc.popover','a.filter-scope-text',function(event){self.initTextInput()
+$(event.relatedTarget).on('click','#controlFilterPopoverText [data-filter-action="filter"]',function(e){e.preventDefault()
+e.stopPropagation()
+self.filterByText()})
+$(event.relatedTarget).on('click','#controlFilterPopoverText [data-filter-action="clear"]',function(e){e.preventDefault()
+e.stopPropagation()
+self.filterByText(true)})
+$(event.relatedTarget).on('input','#controlFilterPopoverText input[name="query"]',function(){self.renderTextPreview($(this).val())})
+$(event.relatedTarget).on('keydown','#controlFilterPopoverText input[name="query"]',function(e){if(e.key==='Enter'){e.preventDefault()
+self.filterByText()}})})
+this.$el.on('hide.oc.popover','a.filter-scope-text',function(){var $scope=$(this)
+self.pushOptions(self.activeScopeName)
+self.activeScopeName=null
+self.$activeScope=null
+setTimeout(function(){$scope.removeClass('filter-scope-open')},200)})
+this.$el.on('click','a.filter-scope-text',function(){var $scope=$(this),scopeName=$scope.data('scope-name')
+if($scope.hasClass('filter-scope-open'))return
+if(null!==self.activeScopeName)return
+self.$activeScope=$scope
+self.activeScopeName=scopeName
+self.isActiveScopeDirty=false
+self.displayPopoverText($scope)
+$scope.addClass('filter-scope-open')})}
+FilterWidget.prototype.getPopoverTextTemplate=function(){return'                                                                                                        \
+                <form id="filterPopoverText-{{ scopeName }}">                                                           \
+                    <input type="hidden" name="scopeName" value="{{ scopeName }}" />                                    \
+                    <div id="controlFilterPopoverText" class="control-filter-popover control-filter-box-popover --range">\
+                        <div class="filter-search loading-indicator-container size-input-text">                         \
+                            <div class="field-text">                                                                    \
+                                <input                                                                                  \
+                                    type="text"                                                                         \
+                                    name="query"                                                                        \
+                                    value="{{ query }}"                                                                 \
+                                    class="form-control icon search popup-allow-focus"                                  \
+                                    autocomplete="off"                                                                  \
+                                    placeholder="{{ query_placeholder }}" />                                            \
+                            </div>                                                                                      \
+                            <ul class="filter-text-preview"></ul>                                                       \
+                            <div class="filter-buttons">                                                                \
+                                <button class="btn btn-block btn-primary" data-filter-action="filter">                  \
+                                    {{ filter_button_text }}                                                            \
+                                </button>                                                                               \
+                                <button class="btn btn-block btn-secondary" data-filter-action="clear">                 \
+                                    {{ reset_button_text }}                                                             \
+                                </button>                                                                               \
+                            </div>                                                                                      \
+                        </div>                                                                                          \
+                    </div>                                                                                              \
+                </form>                                                                                                 \
+            '}
+FilterWidget.prototype.displayPopoverText=function($scope){var scopeName=$scope.data('scope-name'),data=this.scopeValues[scopeName]||{query:($scope.data('scope-data')||{}).query}
+data=$.extend({},data,{filter_button_text:this.getLang('filter.text.filter_button_text','Filter'),reset_button_text:this.getLang('filter.text.reset_button_text','Reset'),query_placeholder:this.getLang('filter.text.query_placeholder','Search')})
+data.scopeName=scopeName
+$scope.data('oc.popover',null)
+$scope.ocPopover({content:Mustache.render(this.getPopoverTextTemplate(),data),modal:false,highlightModalTarget:true,closeOnPageClick:true,placement:'bottom'})}
+FilterWidget.prototype.initTextInput=function(){var $input=$('#controlFilterPopoverText input[name="query"]')
+this.renderTextPreview($input.val())
+if(!Modernizr.touchevents){$input.focus()}}
+FilterWidget.prototype.renderTextPreview=function(query){var self=this,$preview=$('#controlFilterPopoverText .filter-text-preview').empty(),parsed=this.parseTextQuery(query,this.getTextFields())
+if(!parsed.terms.length){$preview.append($('<li class="filter-text-hint" />').text(this.getLang('filter.text.hint','e.g. "disk full" level:error -debug')))
+return}
+$.each(parsed.terms,function(index,term){var operator=self.getLang('filter.text.'+(term.negate?'negated_operators.':'operators.')+term.operator,self.getTextOperatorLabel(term))
+var $item=$('<li />').append($('<span class="filter-text-field" />').text(term.field||self.getLang('filter.text.any_field','Any field'))).append(' ').append($('<span class="filter-text-operator" />').text(operator)).append(' ').append($('<code />').text(term.operator==='regex'?'/'+term.value+'/'+term.flags:term.value))
+if(term.error){$item.addClass('has-error').attr('title',term.error)}
+$preview.append($item)})}
+FilterWidget.prototype.getTextOperatorLabel=function(term){var labels=term.negate?{contains:'does not contain',starts_with:'does not start with',regex:'does not match'}:{contains:'contains',starts_with:'starts with',regex:'matches'}
+return labels[term.operator]}
+FilterWidget.prototype.getTextFields=function($scope){var scopeData=($scope||this.$activeScope).data('scope-data')||{}
+return $.isArray(scopeData.fields)?scopeData.fields:[]}
+FilterWidget.prototype.parseTextQuery=function(query,fields){var text=$.trim(query||''),terms=[],match
+termPattern.lastIndex=0
+while((match=termPattern.exec(text))){var field=match[2]||null,value=match[3],term
+if(field&&$.inArray(field,fields||[])===-1){value=field+':'+value
+field=null}
+term=this.parseTextTerm(value)
+if(term.value===''||match[0]==='-'){continue}
+term.field=field
+term.negate=match[1]==='-'
+terms.push(term)}
+return{query:text,terms:terms}}
+FilterWidget.prototype.parseTextTerm=function(value){var match
+if(value.charAt(0)==='"'){return{operator:'contains',value:value.replace(/^"|"$/g,'').replace(/\\(.)/g,'$1')}}
+if((match=value.match(/^\/(.+)\/(i?)$/))){var term={operator:'regex',value:match[1],flags:match[2]}
+try{new RegExp(term.value,term.flags)}
+catch(e){term.error=this.getLang('filter.text.invalid_regex','Invalid regular expression')}
+return term}
+if(value.length>1&&value.charAt(value.length-1)==='*'){return{operator:'starts_with',value:value.slice(0,-1)}}
+return{operator:'contains',value:value}}
+FilterWidget.prototype.updateScopeTextSetting=function($scope,query){var $setting=$scope.find('.filter-setting')
+if(query){$setting.text(query)
+$scope.addClass('active')}
+else{$setting.text(this.getLang('filter.text.all','all'))
+$scope.removeClass('active')}}
+FilterWidget.prototype.filterByText=function(isReset){var $input=$('#controlFilterPopoverText input[name="query"]'),parsed=this.parseTextQuery(isReset?'':$input.val(),this.getTextFields())
+if($.grep(parsed.terms,function(term){return!!term.error}).length){$input.focus()
+return}
+this.updateScopeTextSetting(this.$activeScope,parsed.query)
+this.scopeValues[this.activeScopeName]=parsed
+this.isActiveScopeDirty=true
+this.$activeScope.data('oc.popover').hide()}}(window.jQuery);+function($){"use strict";var Base=$.wn.foundation.base,BaseProto=Base.prototype
+var FilterPresets=function(element,options){this.$el=$(element)
+this.options=options||{}
+this.presets={}
+$.wn.foundation.controlUtils.markDisposable(element)
+Base.call(this)
+this.init()}
+FilterPresets.prototype=Object.create(BaseProto)
+FilterPresets.prototype.constructor=FilterPresets
+FilterPresets.DEFAULTS={filter:null,handler:null,storageKey:null}
+FilterPresets.prototype.init=function(){this.$menu=this.$el.find('.dropdown-menu:first')
+this.$menu.on('click','[data-preset-apply]',this.proxy(this.onApplyClick))
+this.$menu.on('click','[data-preset-remove]',this.proxy(this.onRemoveClick))
+this.$menu.on('click','[data-preset-save]',this.proxy(this.onSaveClick))
+this.$el.one('dispose-control',this.proxy(this.dispose))
+this.render()
+this.load()}
+FilterPresets.prototype.dispose=function(){this.$menu.off('click','[data-preset-apply]',this.proxy(this.onApplyClick))
+this.$menu.off('click','[data-preset-remove]',this.proxy(this.onRemoveClick))
+this.$menu.off('click','[data-preset-save]',this.proxy(this.onSaveClick))
+this.$el.off('dispose-control',this.proxy(this.dispose))
+this.$el.removeData('oc.filterPresets')
+this.$el=null
+this.$menu=null
+this.options=null
+BaseProto.dispose.call(this)}
+FilterPresets.prototype.save=function(name){var self=this
+return this.getFilter().loadScopesData().done(function(scopes){self.presets[name]=scopes
+self.store()
+self.render()})}
+FilterPresets.prototype.apply=function(name){if(!this.presets[name]){return}
+return this.getFilter().applyScopes(this.presets[name])}
+FilterPresets.prototype.remove=function(name){delete this.presets[name]
+this.store()
+this.render()}
+FilterPresets.prototype.getPresets=function(){return this.presets}
+FilterPresets.prototype.getFilter=function(){var selector=this.options.filter||'[data-control="filterwidget"]',$filter=$(selector).first()
+if(!$filter.length){throw new Error('Filter presets: no filter widget matches "'+selector+'".')}
+return $filter.filterWidget().data('oc.filterwidget')}
+FilterPresets.prototype.load=function(){var self=this
+if(this.options.handler){this.$el.request(this.options.handler,{success:function(data){self.setPresets(data.presets)}})
+return}
+try{this.setPresets(JSON.parse(window.localStorage.getItem(this.getStorageKey())))}
+catch(e){}}
+FilterPresets.prototype.store=function(){if(this.options.handler){this.$el.request(this.options.handler,{data:{presets:JSON.stringify(this.serialize())},success:function(){}})
+return}
+try{window.localStorage.setItem(this.getStorageKey(),JSON.stringify(this.serialize()))}
+catch(e){}}
+FilterPresets.prototype.setPresets=function(presets){var self=this
+this.presets={}
+$.each($.isArray(presets)?presets:[],function(index,preset){if($.isPlainObject(preset)&&typeof preset.name=='string'&&typeof preset.state=='object'&&preset.state!==null){self.presets[preset.name]=preset.state}})
+this.render()}
+FilterPresets.prototype.serialize=function(){var presets=this.presets
+return $.map(Object.keys(presets).sort(),function(name){return{name:name,state:presets[name]}})}
+FilterPresets.prototype.getStorageKey=function(){return'wn.filterPresets.'+(this.options.storageKey||window.location.pathname)}
+FilterPresets.prototype.render=function(){var self=this,$list=this.$menu.find('.dropdown-container > ul'),names=Object.keys(this.presets).sort()
+if(!$list.length){$list=this.$menu}
+$list.empty()
+$.each(names,function(index,name){$list.append($('<li role="presentation" class="filter-preset" />').append($('<a role="menuitem" tabindex="-1" href="javascript:;" class="wn-icon-filter" />').attr('data-preset-apply',name).text(name)).append($('<a role="button" tabindex="-1" href="javascript:;" class="filter-preset-remove" />').attr('data-preset-remove',name).attr('title',self.getLang('filter.presets.remove','Remove')).html('&times;')))})
+if(!names.length){$list.append($('<li role="presentation" class="filter-presets-empty" />').text(this.getLang('filter.presets.empty','There are no saved presets.')))}
+$list.append('<li role="separator" class="divider"></li>')
+$list.append($('<li role="presentation" />').append($('<a role="menuitem" tabindex="-1" href="javascript:;" class="wn-icon-plus" data-preset-save />').text(this.getLang('filter.presets.save','Save current filter'))))}
+FilterPresets.prototype.onApplyClick=function(ev){this.apply($(ev.currentTarget).attr('data-preset-apply'))}
+FilterPresets.prototype.onRemoveClick=function(ev){var self=this,name=$(ev.currentTarget).attr('data-preset-remove'),message=this.getLang('filter.presets.remove_confirm','Remove the ":name" preset?').replace(':name',name)
+ev.preventDefault()
+ev.stopPropagation()
+if($.wn.confirm!==undefined){$.wn.confirm(message,{danger:true}).done(function(){self.remove(name)})}
+else if(confirm(message)){this.remove(name)}}
+FilterPresets.prototype.onSaveClick=function(){var name=$.trim(prompt(this.getLang('filter.presets.save_prompt','Enter a name for the preset.'))||'')
+if(name.length){this.save(name)}}
+FilterPresets.prototype.getLang=function(name,defaultValue){if($.wn===undefined||$.wn.lang===undefined){return defaultValue}
+return $.wn.lang.get(name,defaultValue)}
+var old=$.fn.filterPresets
+$.fn.filterPresets=function(option){var args=Array.prototype.slice.call(arguments,1),items,result
+items=this.each(function(){var $this=$(this)
+var data=$this.data('oc.filterPresets')
+var options=$.extend({},FilterPresets.DEFAULTS,$this.data(),typeof option=='object'&&option)
+if(!data)$this.data('oc.filterPresets',(data=new FilterPresets(this,options)))
+if(typeof option=='string')result=data[option].apply(data,args)
+if(typeof result!='undefined')return false})
+return result?result:items}
+$.fn.filterPresets.Constructor=FilterPresets
+$.fn.filterPresets.noConflict=function(){$.fn.filterPresets=old
+return this}
+$(document).on('render',function(){$('[data-control="filter-presets"]').filterPresets()})}(window.jQuery);(function($){$(document).render(function(){var formatSelectOption=function(state){var text=$('<span>').text(state.text).html()
 if(!state.id){return text}
 var $option=$(state.element),iconClass=state.icon?state.icon:$option.data('icon'),imageSrc=state.image?state.image:$option.data('image')
 if(iconClass){return'<i class="select-icon '+iconClass+'"></i> '+text}
@@ -3927,12 +4427,45 @@ else if(typeof option=='string')data[option].apply(data,args)
 else data.reload()})}
 $.fn.popup.Constructor=Popup
 $.popup=function(option){return $('<a />').popup(option)}
+var Confirm=function(message,options){var self=this
+this.options=$.extend({},Confirm.DEFAULTS,options)
+this.deferred=$.Deferred()
+this.confirmed=false
+this.$popup=$.popup({content:this.render(message),size:this.options.size})
+this.$modal=this.$popup.data('oc.popup').$container.on('click','[data-confirm]',$.proxy(this.confirm,this)).on('input','[data-confirm-input]',$.proxy(this.checkInput,this)).on('keydown','[data-confirm-input]',function(event){if(event.key==='Enter')self.confirm()})
+this.$popup.one('hidden.oc.popup',function(){self.confirmed?self.deferred.resolve():self.deferred.reject()
+self.$popup=null
+self.$modal=null})}
+Confirm.DEFAULTS={title:null,confirmButton:null,cancelButton:null,danger:false,input:null,size:'small'}
+Confirm.prototype.render=function(message){var options=this.options,$content=$('<div class="popup-confirm" />').toggleClass('popup-confirm-danger',!!options.danger),$body=$('<div class="modal-body" />').append($('<p />').text(message)),$confirm=$('<button type="button" class="btn" data-confirm />')
+$('<div class="modal-header" />').append($('<button type="button" class="close" data-dismiss="popup">&times;</button>').attr('aria-label',getLang('flash.close','Close'))).append($('<h4 class="modal-title" />').text(options.title||getLang('confirm.title','Are you sure?'))).appendTo($content)
+if(options.input){$('<div class="form-group" />').append($('<label />').text(getLang('confirm.input','Type :value to confirm.').replace(':value',options.input))).append($('<input type="text" class="form-control" autocomplete="off" spellcheck="false" data-confirm-input default-focus />')).appendTo($body)
+$confirm.prop('disabled',true)}
+else{$confirm.attr('default-focus','')}
+$confirm.addClass(options.danger?'btn-danger':'btn-primary').text(options.confirmButton||getLang('alert.confirm_button_text','OK'))
+$content.append($body).append($('<div class="modal-footer" />').append($confirm).append($('<button type="button" class="btn btn-default" data-dismiss="popup" />').text(options.cancelButton||getLang('alert.cancel_button_text','Cancel'))))
+return $content}
+Confirm.prototype.checkInput=function(){var valid=this.isInputValid()
+this.$modal.find('[data-confirm]').prop('disabled',!valid)
+return valid}
+Confirm.prototype.isInputValid=function(){if(!this.options.input)return true
+return $.trim(this.$modal.find('[data-confirm-input]').val())===String(this.options.input)}
+Confirm.prototype.confirm=function(){if(!this.$popup||!this.isInputValid())return
+this.confirmed=true
+this.$popup.popup('hide')}
+Confirm.prototype.promise=function(){return this.deferred.promise()}
+if($.wn===undefined)
+$.wn={}
+$.wn.confirm=function(message,options){return new Confirm(message,options).promise()}
+$.wn.confirm.Constructor=Confirm
 $.fn.popup.noConflict=function(){$.fn.popup=old
 return this}
 function paramToObj(name,value){if(value===undefined)value=''
 if(typeof value=='object')return value
 try{return ocJSON("{"+value+"}")}
 catch(e){throw new Error('Error parsing the '+name+' attribute value. '+e)}}
+function getLang(name,defaultValue){if($.wn===undefined||$.wn.lang===undefined){return defaultValue}
+return $.wn.lang.get(name,defaultValue)}
 $(document).on('click.oc.popup','[data-control="popup"]',function(event){event.preventDefault()
 $(this).popup()});$(document).on('ajaxPromise','[data-popup-load-indicator]',function(event,context){if($(this).data('request')!=context.handler)return
 $(this).closest('.control-popup').removeClass('in').popup('setLoading',true)}).on('ajaxFail','[data-popup-load-indicator]',function(event,context){if($(this).data('request')!=context.handler)return
@@ -4631,11 +5164,29 @@ self.unmodifyTab($(ev.target).closest('ul.nav-tabs > li, div.tab-content > div')
 this.$tabsContainer.on('shown.bs.tab','li',function(){$(window).trigger('oc.updateUi')
 var tabUrl=$('> a',this).data('tabUrl')
 if(!tabUrl&&$(this).parent('ul').is('[data-linkable]')){tabUrl=$('> a',this).attr('href')}
-if(tabUrl){window.history.replaceState({},'Tab link reference',tabUrl)}})
+if(tabUrl){window.history.replaceState(window.history.state,'Tab link reference',tabUrl)}})
 if(this.options.slidable){this.$pagesContainer.touchwipe({wipeRight:function(){self.prev();},wipeLeft:function(){self.next();},preventDefaultEvents:false,min_move_x:60});}
 this.$tabsContainer.toolbar({scrollClassContainer:this.$el})
 this.updateClasses()
-if(location.hash&&this.$tabsContainer.is('[data-linkable]')){$('li > a[href="'+location.hash+'"]',this.$tabsContainer).tab('show')}}
+if(location.hash&&this.$tabsContainer.is('[data-linkable]')){$('li > a[href="'+location.hash+'"]',this.$tabsContainer).tab('show')}
+if(this.options.queryParam){this.initQueryState()}}
+Tab.prototype.initQueryState=function(){var self=this,eventName='popstate.'+this.tabId
+this.queryDefault=this.getQueryValue($('> li.active',this.$tabsContainer).get(0)||$('> li:first',this.$tabsContainer).get(0))
+this.showQueryTab()
+this.$tabsContainer.on('shown.bs.tab','li',function(){var url=new URL(window.location.href),value=self.getQueryValue(this),current=url.searchParams.get(self.options.queryParam)
+if((current===null?self.queryDefault:current)===value){return}
+url.searchParams.set(self.options.queryParam,value)
+window.history.pushState(window.history.state,'',url.href)})
+$(window).on(eventName,function(){if(!$.contains(document.documentElement,self.$el.get(0))){$(window).off(eventName)
+return}
+self.showQueryTab()})}
+Tab.prototype.getQueryValue=function(li){var href=$('> a',li).attr('href')
+if(href&&href.length>1&&href.charAt(0)==='#'){return href.substring(1)}
+return String($('> li',this.$tabsContainer).index(li))}
+Tab.prototype.showQueryTab=function(){var self=this,value=new URL(window.location.href).searchParams.get(this.options.queryParam)
+if(value===null){value=this.queryDefault}
+$('> li',this.$tabsContainer).each(function(){if(self.getQueryValue(this)===value){if(!$(this).hasClass('active')){$('> a',this).tab('show')}
+return false}})}
 Tab.prototype.initTab=function(li){var
 $tabs=$('>li',this.$tabsContainer),tabIndex=$tabs.index(li),time=new Date().getTime(),targetId=this.tabId+'-tab-'+tabIndex+time,$anchor=$('a',li)
 $anchor.data('target','#'+targetId).attr('data-target','#'+targetId).attr('data-toggle','tab')
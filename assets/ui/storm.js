@@ -42,6 +42,8 @@
 =require js/filter.js
 =require js/filter.dates.js
 =require js/filter.numbers.js
+=require js/filter.text.js
+=require js/filter.presets.js
 =require js/select.js
 =require js/loader.base.js
 =require js/loader.cursor.js
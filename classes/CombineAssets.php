@@ -153,6 +153,10 @@ class CombineAssets
         $this->registerAlias('framework.extras.js', '~/modules/system/assets/js/framework.extras.js');
         $this->registerAlias('framework.extras', '~/modules/system/assets/css/framework.extras.css');
         $this->registerAlias('framework.extras.css', '~/modules/system/assets/css/framework.extras.css');
+        $this->registerAlias('framework.devtools', '~/modules/system/assets/js/framework.devtools.js');
+        $this->registerAlias('framework.devtools.js', '~/modules/system/assets/js/framework.devtools.js');
+        $this->registerAlias('framework.devtools', '~/modules/system/assets/css/framework.devtools.css');
+        $this->registerAlias('framework.devtools.css', '~/modules/system/assets/css/framework.devtools.css');
 
         /*
          * Deferred registration
@@ -6,6 +6,7 @@ use Flash;
 use BackendMenu;
 use Backend\Classes\Controller;
 use System\Classes\SettingsManager;
+use System\Traits\FilterPresets;
 use System\Models\EventLog;
 
 /**
@@ -16,6 +17,8 @@ use System\Models\EventLog;
  */
 class EventLogs extends Controller
 {
+    use FilterPresets;
+
     /**
      * @var array Extensions implemented by this controller.
      */
@@ -50,11 +53,23 @@ class EventLogs extends Controller
         SettingsManager::setContext('Winter.System', 'event_logs');
     }
 
+    /**
+     * Refreshes the list, the data-request-poll element of the index page calls it
+     * periodically. Unchanged lists are left untouched by the client.
+     */
     public function index_onRefresh()
     {
         return $this->listRefresh();
     }
 
+    /**
+     * Stores the filter presets of the user when they are sent, returns the presets.
+     */
+    public function index_onFilterPresets()
+    {
+        return $this->makeFilterPresets('system::eventlogs.filter_presets');
+    }
+
     public function index_onEmptyLog()
     {
         EventLog::truncate();
@@ -5,6 +5,7 @@ use Flash;
 use BackendMenu;
 use Backend\Classes\Controller;
 use System\Classes\SettingsManager;
+use System\Traits\FilterPresets;
 use System\Models\RequestLog;
 
 /**
@@ -15,6 +16,8 @@ use System\Models\RequestLog;
  */
 class RequestLogs extends Controller
 {
+    use FilterPresets;
+
     /**
      * @var array Extensions implemented by this controller.
      */
@@ -48,11 +51,23 @@ class RequestLogs extends Controller
         SettingsManager::setContext('Winter.System', 'request_logs');
     }
 
+    /**
+     * Refreshes the list, the data-request-poll element of the index page calls it
+     * periodically. Unchanged lists are left untouched by the client.
+     */
     public function index_onRefresh()
     {
         return $this->listRefresh();
     }
 
+    /**
+     * Stores the filter presets of the user when they are sent, returns the presets.
+     */
+    public function index_onFilterPresets()
+    {
+        return $this->makeFilterPresets('system::requestlogs.filter_presets');
+    }
+
     public function index_onEmptyLog()
     {
         RequestLog::truncate();
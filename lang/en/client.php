@@ -49,6 +49,10 @@ return [
         'cancel_button_text' => 'Cancel',
         'widget_remove_confirm' => 'Remove this widget?',
     ],
+    'confirm' => [
+        'title' => 'Are you sure?',
+        'input' => 'Type :value to confirm.',
+    ],
     'datepicker' => [
         'previousMonth' => 'Previous Month',
         'nextMonth' => 'Next Month',
@@ -62,6 +66,7 @@ return [
     'filter' => [
         'group' => [
             'all' => 'all',
+            'load_more' => 'Load more',
         ],
         'scopes' => [
             'apply_button_text' => 'Apply',
@@ -74,6 +79,18 @@ return [
             'date_placeholder' => 'Date',
             'after_placeholder' => 'After',
             'before_placeholder' => 'Before',
+            'expression_placeholder' => 'e.g. since yesterday 09:00',
+            'presets' => [
+                'last_24_hours' => 'Last 24 hours',
+                'last_7_days' => 'Last 7 days',
+                'last_30_days' => 'Last 30 days',
+                'today' => 'Today',
+                'yesterday' => 'Yesterday',
+                'this_week' => 'This week',
+                'this_month' => 'This month',
+                'last_month' => 'Last month',
+                'this_year' => 'This year',
+            ],
         ],
         'numbers' => [
             'all' => 'all',
@@ -82,6 +99,74 @@ return [
             'min_placeholder' => 'Min',
             'max_placeholder' => 'Max',
         ],
+        'text' => [
+            'all' => 'all',
+            'filter_button_text' => 'Filter',
+            'reset_button_text' => 'Reset',
+            'query_placeholder' => 'Search',
+            'hint' => 'e.g. "disk full" level:error -debug',
+            'any_field' => 'Any field',
+            'invalid_regex' => 'Invalid regular expression',
+            'operators' => [
+                'contains' => 'contains',
+                'starts_with' => 'starts with',
+                'regex' => 'matches',
+            ],
+            'negated_operators' => [
+                'contains' => 'does not contain',
+                'starts_with' => 'does not start with',
+                'regex' => 'does not match',
+            ],
+        ],
+        'presets' => [
+            'title' => 'Presets',
+            'empty' => 'There are no saved presets.',
+            'save' => 'Save current filter',
+            'save_prompt' => 'Enter a name for the preset.',
+            'remove' => 'Remove',
+            'remove_confirm' => 'Remove the ":name" preset?',
+        ],
+    ],
+    'flash' => [
+        'close' => 'Close',
+        'history' => 'Recent messages',
+        'history_empty' => 'There are no messages yet.',
+    ],
+    'request' => [
+        'offline_pending' => ':count change(s) waiting for connection',
+        'file_too_large' => 'The file :name may not be greater than :size.',
+        'file_type_invalid' => 'The file :name must be of type: :types.',
+        'undo' => 'Undo',
+        'undo_message' => 'The action will be applied in a few seconds.',
+    ],
+    'validation' => [
+        'required' => 'The :attribute field is required.',
+        'required_with' => 'The :attribute field is required when :values is present.',
+        'required_without' => 'The :attribute field is required when :values is not present.',
+        'accepted' => 'The :attribute must be accepted.',
+        'email' => 'The :attribute must be a valid email address.',
+        'url' => 'The :attribute format is invalid.',
+        'numeric' => 'The :attribute must be a number.',
+        'integer' => 'The :attribute must be an integer.',
+        'digits' => 'The :attribute must be :digits digits.',
+        'alpha' => 'The :attribute may only contain letters.',
+        'alpha_num' => 'The :attribute may only contain letters and numbers.',
+        'alpha_dash' => 'The :attribute may only contain letters, numbers, dashes and underscores.',
+        'min_numeric' => 'The :attribute must be at least :min.',
+        'min_string' => 'The :attribute must be at least :min characters.',
+        'min_array' => 'The :attribute must have at least :min items.',
+        'max_numeric' => 'The :attribute may not be greater than :max.',
+        'max_string' => 'The :attribute may not be greater than :max characters.',
+        'max_array' => 'The :attribute may not have more than :max items.',
+        'between_numeric' => 'The :attribute must be between :min and :max.',
+        'between_string' => 'The :attribute must be between :min and :max characters.',
+        'between_array' => 'The :attribute must have between :min and :max items.',
+        'in' => 'The selected :attribute is invalid.',
+        'not_in' => 'The selected :attribute is invalid.',
+        'regex' => 'The :attribute format is invalid.',
+        'same' => 'The :attribute and :other must match.',
+        'different' => 'The :attribute and :other must be different.',
+        'confirmed' => 'The :attribute confirmation does not match.',
     ],
     'eventlog' => [
         'show_stacktrace' => 'Show the stacktrace',
@@ -420,6 +420,9 @@ return [
         'level' => 'Level',
         'preview_title' => 'Event',
     ],
+    'filter_presets' => [
+        'invalid' => 'The filter presets are invalid.',
+    ],
     'request_log' => [
         'hint' => 'This log displays a list of browser requests that may require attention. For example, if a visitor opens a CMS page that cannot be found, a record is created with the status code 404.',
         'menu_label' => 'Request log',
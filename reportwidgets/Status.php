@@ -71,6 +71,21 @@ class Status extends ReportWidgetBase
         $this->vars['appBirthday'] = PluginVersion::orderBy('created_at')->value('created_at');
     }
 
+    /**
+     * Refreshes the status list, the widget polls it periodically.
+     */
+    public function onRefresh()
+    {
+        try {
+            $this->loadData();
+        }
+        catch (Exception $ex) {
+            $this->vars['error'] = $ex->getMessage();
+        }
+
+        return ['#'.$this->getId('status') => $this->makePartial('status')];
+    }
+
     public function onLoadWarningsForm()
     {
         $this->vars['warnings'] = $this->getSystemWarnings();
@@ -0,0 +1,117 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Asset injection', function () {
+    let server, dom, wnRequest, appended, failing
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<script src="/assets/existing.js"></script><div id="result"></div>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        appended = []
+        failing = []
+
+        /*
+         * jsdom does not load the assets, the load and error events are dispatched once they are added
+         */
+        new dom.window.MutationObserver((mutations) => mutations.forEach((mutation) => {
+            mutation.addedNodes.forEach((node) => {
+                appended.push(node)
+                setTimeout(() => node.dispatchEvent(new dom.window.Event(failing.includes(node.getAttribute('src') || node.getAttribute('href')) ? 'error' : 'load')), 10)
+            })
+        })).observe(dom.document.head, { childList: true })
+    })
+
+    afterEach(() => dom.close())
+
+    function sources() {
+        return appended.map((node) => node.getAttribute('src') || node.getAttribute('href'))
+    }
+
+    test('injects the scripts in the declared order and the stylesheets', async () => {
+        let orderWhenFirstLoaded
+
+        dom.document.head.addEventListener('load', () => {
+            orderWhenFirstLoaded = orderWhenFirstLoaded || sources().filter((src) => src.endsWith('.js'))
+        }, true)
+
+        await wnRequest.assets.load({ js: ['/assets/a.js', '/assets/b.js'], css: ['/assets/site.css'] })
+
+        expect(orderWhenFirstLoaded).toEqual([server.url + 'assets/a.js'])
+        expect(sources().sort()).toEqual([server.url + 'assets/a.js', server.url + 'assets/b.js', server.url + 'assets/site.css'])
+        expect(appended.find((node) => node.tagName == 'LINK').rel).toBe('stylesheet')
+    })
+
+    test('skips the assets that are on the page or loaded before', async () => {
+        await wnRequest.assets.load(['/assets/existing.js', '/assets/a.js'])
+        await wnRequest.assets.load(['/assets/a.js'])
+
+        expect(sources()).toEqual([server.url + 'assets/a.js'])
+        expect(wnRequest.assets.isLoaded('/assets/a.js')).toBe(true)
+    })
+
+    test('applies the nonce of the page and the integrity of the assets', async () => {
+        dom.document.head.insertAdjacentHTML('afterbegin', '<meta name="csp-nonce" content="r4nd0m">')
+
+        await wnRequest.assets.load({ js: [{ url: '/assets/a.js', integrity: 'sha384-abc' }] })
+
+        const script = appended.find((node) => node.tagName == 'SCRIPT')
+
+        expect(script.getAttribute('nonce')).toBe('r4nd0m')
+        expect(script.integrity).toBe('sha384-abc')
+        expect(script.crossOrigin).toBe('anonymous')
+    })
+
+    test('rejects with the url of an asset that fails and loads it again on the next attempt', async () => {
+        failing.push(server.url + 'assets/broken.js')
+
+        const error = await wnRequest.assets.load(['/assets/broken.js']).catch((error) => error)
+
+        expect(error.url).toBe(server.url + 'assets/broken.js')
+        expect(dom.document.querySelector('script[src$="broken.js"]')).toBeNull()
+
+        failing = []
+        await wnRequest.assets.load(['/assets/broken.js'])
+
+        expect(sources()).toEqual([server.url + 'assets/broken.js', server.url + 'assets/broken.js'])
+    })
+
+    test('loads the assets of a response before updating the partials', async () => {
+        let loadedBeforeUpdate = null
+
+        server.handle('onLoad', { X_WINTER_ASSETS: { js: ['/assets/widget.js'] }, '#result': 'Widget' })
+        dom.document.addEventListener('ajax:beforeReplace', () => {
+            loadedBeforeUpdate = sources().includes(server.url + 'assets/widget.js')
+        })
+
+        await wnRequest('onLoad')
+
+        expect(loadedBeforeUpdate).toBe(true)
+        expect(dom.document.getElementById('result').innerHTML).toBe('Widget')
+    })
+
+    test('dispatches an event when an asset of a response fails to load', async () => {
+        const errors = []
+
+        failing.push(server.url + 'assets/broken.js')
+        server.handle('onLoad', { X_WINTER_ASSETS: { js: ['/assets/broken.js'] }, '#result': 'Done' })
+        dom.window.console.error = () => {}
+        dom.document.addEventListener('ajax:assetError', (event) => errors.push(event.detail.url))
+
+        await wnRequest('onLoad')
+
+        expect(errors).toEqual([server.url + 'assets/broken.js'])
+        expect(dom.document.getElementById('result').innerHTML).toBe('Done')
+    })
+})
@@ -0,0 +1,148 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Response cache', function () {
+    let server, dom, wnRequest
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="options"></div><button id="load" data-request="onLoadOptions" data-request-cache="60" data-request-prefetch="hover"></button>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        wnRequest.cache.clear()
+        server.requests = []
+
+        let count = 0
+        server.handle('onLoadOptions', (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' })
+            response.end(JSON.stringify({ '#options': 'Options ' + (++count) }))
+        })
+    })
+
+    afterEach(() => dom.close())
+
+    function load(options) {
+        return wnRequest('onLoadOptions', Object.assign({ cache: 60 }, options))
+    }
+
+    function options() {
+        return dom.document.getElementById('options').innerHTML
+    }
+
+    test('serves the repeated requests from the cache', async () => {
+        await load()
+        dom.document.getElementById('options').innerHTML = ''
+
+        const request = new wnRequest.Request('onLoadOptions', { cache: 60 })
+        await request.send()
+
+        expect(server.requests.length).toBe(1)
+        expect(request.fromCache).toBe(true)
+        expect(options()).toBe('Options 1')
+    })
+
+    test('caches the responses per request data', async () => {
+        await load({ data: { page: 1 } })
+        await load({ data: { page: 2 } })
+        await load({ data: { page: 1 } })
+
+        expect(server.requests.length).toBe(2)
+        expect(options()).toBe('Options 1')
+    })
+
+    test('does not cache the requests without the cache option', async () => {
+        await load({ cache: null })
+        await load({ cache: null })
+
+        expect(server.requests.length).toBe(2)
+    })
+
+    test('sends the request again once the entry has expired', async () => {
+        await load({ cache: 0.05 })
+        await new Promise((resolve) => setTimeout(resolve, 80))
+        await load({ cache: 0.05 })
+
+        expect(server.requests.length).toBe(2)
+    })
+
+    test('does not cache validation errors and redirects', async () => {
+        server.handle('onLoadOptions', { X_WINTER_ERROR_FIELDS: { name: ['Required'] }, X_WINTER_ERROR_MESSAGE: 'Required' })
+
+        const handleValidationMessage = () => {}
+
+        await load({ handleValidationMessage }).catch(() => {})
+        await load({ handleValidationMessage }).catch(() => {})
+
+        server.handle('onLoadOptions', { X_WINTER_REDIRECT: server.url + 'login' })
+
+        await load({ handleRedirectResponse: () => {} })
+        await load({ handleRedirectResponse: () => {} })
+
+        expect(server.requests.length).toBe(4)
+    })
+
+    test('removes the entries invalidated by a response', async () => {
+        await load()
+        await load({ data: { page: 2 }, cacheTags: 'options' })
+
+        server.handle('onSaveOption', { X_WINTER_CACHE_INVALIDATE: ['options'] })
+        await wnRequest('onSaveOption')
+
+        server.requests = []
+        await load()
+        await load({ data: { page: 2 }, cacheTags: 'options' })
+
+        expect(server.requests.map((request) => request.body.get('page'))).toEqual(['2'])
+    })
+
+    test('removes the entries by handler name', async () => {
+        await load()
+
+        wnRequest.cache.invalidate(['onLoadOptions'])
+        await load()
+
+        expect(server.requests.length).toBe(2)
+    })
+
+    test('uses the response of a pending prefetch', async () => {
+        const prefetch = new wnRequest.Request('onLoadOptions', { cache: 60 }).prefetch()
+
+        await load()
+        await prefetch
+
+        expect(server.requests.length).toBe(1)
+        expect(options()).toBe('Options 1')
+    })
+
+    test('does not update the page when prefetching', async () => {
+        await new wnRequest.Request('onLoadOptions', { cache: 60 }).prefetch()
+
+        expect(server.requests.length).toBe(1)
+        expect(options()).toBe('')
+    })
+
+    test('prefetches the response when the pointer rests on the element', async () => {
+        const $ = dom.window.jQuery
+
+        $('#load').trigger('mouseenter')
+        await new Promise((resolve) => setTimeout(resolve, 200))
+
+        expect(server.requests.length).toBe(1)
+        expect(options()).toBe('')
+
+        await new Promise((resolve) => $('#load').request().always(() => resolve()))
+
+        expect(server.requests.length).toBe(1)
+        expect(options()).toBe('Options 1')
+    })
+})
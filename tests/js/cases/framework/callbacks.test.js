@@ -0,0 +1,99 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request callbacks', function () {
+    let server, dom, $, warnings, errors
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<div id="loader">Loading</div><button id="save"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+        warnings = []
+        errors = []
+        dom.window.console.warn = (message) => warnings.push(message)
+        dom.window.console.error = (message) => errors.push(message)
+
+        server.handle('onSave', { result: 'ok' })
+    })
+
+    afterEach(() => dom.close())
+
+    function send(attributes) {
+        $('#save').attr(attributes)
+
+        return new Promise((resolve) => $('#save').request('onSave').always(resolve))
+    }
+
+    test('runs the registered callbacks with their argument', async () => {
+        const calls = []
+
+        $.wn.requestCallbacks.register('record', (params) => calls.push([params.argument, params.data]))
+        $(dom.document).on('saved', (event, context, data) => calls.push(['saved', data]))
+
+        await send({ 'data-request-success': 'record: first; hide:#loader; trigger:saved' })
+
+        expect(calls).toEqual([['first', { result: 'ok' }], ['saved', { result: 'ok' }]])
+        expect($('#loader').css('display')).toBe('none')
+        expect(warnings).toEqual([])
+    })
+
+    test('halts the update when a callback returns false', async () => {
+        dom.document.body.insertAdjacentHTML('beforeend', '<div id="result">Old</div>')
+        server.handle('onSave', { '#result': 'New' })
+        $.wn.requestCallbacks.register('cancel', () => false)
+
+        await send({ 'data-request-before-update': 'cancel' })
+
+        expect($('#result').text()).toBe('Old')
+    })
+
+    test('disables the element or the elements matching the argument', async () => {
+        dom.document.body.insertAdjacentHTML('beforeend', '<button class="bulk"></button><button class="bulk"></button>')
+
+        await send({ 'data-request-success': 'disable; disable: .bulk' })
+
+        expect($('#save').prop('disabled')).toBe(true)
+        expect($('.bulk:disabled').length).toBe(2)
+    })
+
+    test('refuses to evaluate JavaScript by default', async () => {
+        await send({ 'data-request-success': 'window.evaluated = true' })
+
+        expect(dom.window.evaluated).toBeUndefined()
+        expect(errors).toEqual(['The request callback "window.evaluated = true" is not registered, JavaScript callbacks are disabled in strict mode.'])
+    })
+
+    test('evaluates other values as JavaScript once the strict mode is disabled', async () => {
+        $.wn.requestCallbacks.strict = false
+
+        await send({ 'data-request-success': 'window.evaluated = (window.evaluated || 0) + data.result.length' })
+
+        expect(dom.window.evaluated).toBe(2)
+        expect(warnings).toEqual([])
+    })
+
+    test('disables the strict mode with a meta tag', async () => {
+        dom.document.head.insertAdjacentHTML('beforeend', '<meta name="request-strict-mode" content="false">')
+
+        await send({ 'data-request-success': 'window.evaluated = true' })
+
+        expect(dom.window.evaluated).toBe(true)
+    })
+
+    test('keeps the strict mode with a meta tag without a value', async () => {
+        $.wn.requestCallbacks.strict = false
+        dom.document.head.insertAdjacentHTML('beforeend', '<meta name="request-strict-mode">')
+
+        await send({ 'data-request-success': 'window.evaluated = true' })
+
+        expect(dom.window.evaluated).toBeUndefined()
+    })
+})
@@ -0,0 +1,109 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request confirmation', function () {
+    let server, dom, $, dialogs
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<button id="remove"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+        dialogs = []
+        server.requests = []
+        server.handle('onRemove', {})
+    })
+
+    afterEach(() => dom.close())
+
+    function answer(name, value) {
+        dom.window[name] = (message) => {
+            dialogs.push([name, message])
+            return value
+        }
+    }
+
+    async function remove(options) {
+        $('#remove').request('onRemove', Object.assign({ confirm: 'Remove the plugin?' }, options))
+
+        await new Promise((resolve) => setTimeout(resolve, 100))
+
+        return server.requests.length
+    }
+
+    test('sends the request once the browser dialog is confirmed', async () => {
+        answer('confirm', false)
+        expect(await remove()).toBe(0)
+
+        answer('confirm', true)
+        expect(await remove()).toBe(1)
+        expect(dialogs).toEqual([['confirm', 'Remove the plugin?'], ['confirm', 'Remove the plugin?']])
+    })
+
+    test('requires the value to be typed in', async () => {
+        answer('prompt', 'Acme')
+        expect(await remove({ confirmInput: 'Acme.Blog' })).toBe(0)
+
+        answer('prompt', ' Acme.Blog ')
+        expect(await remove({ confirmInput: 'Acme.Blog' })).toBe(1)
+        expect(dialogs[0]).toEqual(['prompt', 'Remove the plugin?\n\nType Acme.Blog to confirm.'])
+    })
+
+    test('uses the confirm dialog of the UI with the options', async () => {
+        const confirmed = $.Deferred()
+
+        $.wn.confirm = (message, options) => {
+            dialogs.push([message, options])
+            return confirmed.promise()
+        }
+
+        expect(await remove({ confirmTitle: 'Remove', confirmButton: 'Yes', confirmDanger: '' })).toBe(0)
+
+        confirmed.resolve()
+        await new Promise((resolve) => setTimeout(resolve, 100))
+
+        expect(server.requests.length).toBe(1)
+        expect(dialogs).toEqual([['Remove the plugin?', { title: 'Remove', confirmButton: 'Yes', cancelButton: undefined, danger: true, input: undefined }]])
+    })
+
+    test('lets the ajaxConfirmMessage listeners replace the dialog', async () => {
+        let event
+
+        $(dom.window).on('ajaxConfirmMessage', (e) => {
+            event = e
+            return true
+        })
+
+        expect(await remove()).toBe(0)
+
+        event.promise.resolve()
+        await new Promise((resolve) => setTimeout(resolve, 100))
+
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('passes the typed value to the ajaxConfirmMessage listeners before any dialog', async () => {
+        let received
+
+        $(dom.window).on('ajaxConfirmMessage', (event, message, options) => {
+            received = [message, options.input]
+            event.promise.resolve()
+            return true
+        })
+
+        $.wn.confirm = () => {
+            throw new Error('The dialog should not be used')
+        }
+
+        expect(await remove({ confirmInput: 'Acme.Blog' })).toBe(1)
+        expect(received).toEqual(['Remove the plugin?', 'Acme.Blog'])
+        expect(dialogs.length).toBe(0)
+    })
+})
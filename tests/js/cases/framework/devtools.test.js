@@ -0,0 +1,97 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request devtools', function () {
+    let server, dom, $, copied
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    function load(query, fields) {
+        dom = FakeDom.new('<form id="form"><input name="title" value="Draft">' + (fields || '') + '</form>', { url: server.url + (query || '') })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/js/framework.devtools.js')
+
+        $ = dom.window.jQuery
+        copied = []
+        dom.document.cookie = 'winter_session=secret'
+        Object.defineProperty(dom.window.navigator, 'clipboard', { value: { writeText: (text) => copied.push(text) } })
+    }
+
+    afterEach(() => dom.close())
+
+    function save() {
+        return dom.window.wnRequest('onSave', { form: dom.document.getElementById('form'), update: { 'form/status': '#status' } })
+    }
+
+    test('is disabled unless the query parameter is set', () => {
+        load()
+
+        expect($.wn.devtools).toBeNull()
+        expect($('.wn-devtools').length).toBe(0)
+    })
+
+    test('records the requests once enabled with the query parameter', async () => {
+        server.handle('onSave', { '#status': 'Saved' })
+        load('?wn-devtools')
+
+        await save()
+
+        const entry = $.wn.devtools.entries[0]
+
+        expect([entry.handler, entry.status, entry.textStatus]).toEqual(['onSave', 200, 'success'])
+        expect(entry.partials).toEqual(['form/status'])
+        expect(entry.payload).toEqual([{ name: 'title', value: 'Draft' }])
+        expect(entry.returnedPartials).toEqual(['#status'])
+        expect(dom.window.localStorage.getItem('wn.devtools')).toBe('1')
+    })
+
+    test('copies a request as a cURL command without the cookies', async () => {
+        server.handle('onSave', {})
+        load('?wn-devtools')
+
+        await save()
+
+        $('.wn-devtools-toggle').trigger('click')
+        $('.wn-devtools-list li').first().trigger('click')
+        $('[data-devtools-curl]').trigger('click')
+
+        expect(copied.length).toBe(1)
+        expect(copied[0]).toContain("-H 'X-WINTER-REQUEST-HANDLER: onSave'")
+        expect(copied[0]).toContain("--data-raw 'title=Draft'")
+        expect(copied[0]).toContain("-H 'Cookie: <cookies>'")
+        expect(copied[0]).not.toContain('secret')
+    })
+
+    test('masks the passwords and the sensitive fields', async () => {
+        server.handle('onSave', {})
+        load('?wn-devtools', '<input type="password" name="secret" value="hunter2">'
+            + '<input name="User[password]" value="letmein"><input name="pin" value="1234" data-devtools-mask>')
+
+        await save()
+
+        const entry = $.wn.devtools.entries[0]
+
+        expect(entry.payload).toEqual([
+            { name: 'title', value: 'Draft' },
+            { name: 'secret', value: '********' },
+            { name: 'User[password]', value: '********' },
+            { name: 'pin', value: '********' }
+        ])
+        expect(entry.body).not.toMatch(/hunter2|letmein|1234/)
+        expect(server.requests[server.requests.length - 1].body.get('secret')).toBe('hunter2')
+    })
+
+    test('is disabled again with the query parameter', () => {
+        load('?wn-devtools')
+        dom.close()
+        load('?wn-devtools=0')
+
+        expect($.wn.devtools).toBeNull()
+        expect(dom.window.localStorage.getItem('wn.devtools')).toBeNull()
+    })
+})
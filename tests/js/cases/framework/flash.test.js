@@ -0,0 +1,65 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe.each([
+    ['front-end', 'assets/js/framework.extras.js'],
+    ['back-end', 'assets/ui/js/flashmessage.js']
+])('Flash messages of the %s', function (name, script) {
+    let dom, $
+
+    beforeEach(() => {
+        dom = FakeDom.new()
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript(script)
+
+        $ = dom.window.jQuery
+        $.wn.flashMsg.clearHistory()
+    })
+
+    afterEach(() => dom.close())
+
+    function messages() {
+        return $('.flash-message-stack .flash-message:not(.flash-message-removing)').map(function () {
+            return $(this).clone().children('button').remove().end().text()
+        }).get()
+    }
+
+    test('sanitizes the text of the message', () => {
+        const $element = $.wn.flashMsg({ text: '<b>Saved</b><img src=x onerror="alert(1)"><a href="javascript:alert(1)">Open</a>' })
+
+        expect($element.html()).toMatch(/^<b>Saved<\/b><a>Open<\/a><button/)
+    })
+
+    test('stacks the messages in a live region and dismisses the oldest ones', () => {
+        ['One', 'Two', 'Three', 'Four'].forEach((text) => $.wn.flashMsg({ text: text, interval: 0 }))
+
+        expect(messages()).toEqual(['Two', 'Three', 'Four'])
+        expect($('.flash-message-stack').attr('aria-live')).toBe('polite')
+    })
+
+    test('announces the errors as alerts', () => {
+        expect($.wn.flashMsg({ text: 'Failed', class: 'error' }).attr('role')).toBe('alert')
+        expect($.wn.flashMsg({ text: 'Saved', class: 'success' }).attr('role')).toBe('status')
+    })
+
+    test('calls the handler of an action and closes the message', () => {
+        const calls = []
+        const $element = $.wn.flashMsg({ text: 'Deleted', interval: 0, actions: [{ label: 'Undo', handler: (options) => calls.push(options.text) }] })
+
+        $element.find('.flash-message-action').trigger('click')
+
+        expect(calls).toEqual(['Deleted'])
+        expect(messages()).toEqual([])
+    })
+
+    test('keeps the messages of the session in the history, newest first', () => {
+        $.wn.flashMsg({ text: 'Saved', class: 'success' })
+        $.wn.flashMsg({ text: 'Failed', class: 'error' })
+
+        expect($.wn.flashMsg.history().map((message) => [message.class, message.text])).toEqual([['error', 'Failed'], ['success', 'Saved']])
+
+        $.wn.flashMsg.toggleHistory()
+
+        expect($('.flash-message-history li span').map(function () { return $(this).text() }).get()).toEqual(['Failed', 'Saved'])
+    })
+})
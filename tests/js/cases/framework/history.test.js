@@ -0,0 +1,100 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request history', function () {
+    let server, dom, $
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="list">Page 1</div>'
+            + '<a id="next" data-request="onPage" data-request-data="page: 2" data-request-update="\'list\': \'#list\'" data-request-push-state>Next</a>',
+            { url: server.url + 'blog?sort=title' }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+        server.requests = []
+        server.handle('onPage', (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' })
+            response.end(JSON.stringify({ list: 'Page ' + (server.requests[server.requests.length - 1].body.get('page') || 1) }))
+        })
+    })
+
+    afterEach(() => dom.close())
+
+    function click(selector) {
+        return new Promise((resolve) => $(selector).request().always(() => resolve()))
+    }
+
+    function navigate(direction) {
+        return new Promise((resolve) => {
+            $(dom.window).one('popstate', () => setTimeout(resolve, 100))
+            dom.window.history[direction]()
+        })
+    }
+
+    function list() {
+        return dom.document.getElementById('list').innerHTML
+    }
+
+    test('records the request in the history with its data in the URL', async () => {
+        await click('#next')
+
+        expect(list()).toBe('Page 2')
+        expect(dom.window.location.href).toBe(server.url + 'blog?sort=title&page=2')
+        expect(dom.window.history.state.wnRequest).toMatchObject({ handler: 'onPage', data: { page: 2 }, update: { list: '#list' } })
+    })
+
+    test('uses the URL of the attribute', async () => {
+        $('#next').attr('data-request-push-state', '/blog/page/2')
+
+        await click('#next')
+
+        expect(dom.window.location.href).toBe(server.url + 'blog/page/2')
+    })
+
+    test('restores the initial contents and sends the request again when navigating', async () => {
+        await click('#next')
+
+        await navigate('back')
+        expect(list()).toBe('Page 1')
+        expect(dom.window.location.search).toBe('?sort=title')
+        expect(server.requests.length).toBe(1)
+
+        await navigate('forward')
+        expect(list()).toBe('Page 2')
+        expect(server.requests.length).toBe(2)
+    })
+
+    test('sends the first request again with the data of the initial URL when the initial contents are too large', async () => {
+        dom.document.getElementById('list').innerHTML = 'x'.repeat(1048577)
+
+        await click('#next')
+        await navigate('back')
+
+        expect(server.requests.length).toBe(2)
+        expect(server.requests[1].handler).toBe('onPage')
+        expect(server.requests[1].body.get('sort')).toBe('title')
+        expect(server.requests[1].body.get('page')).toBeNull()
+        expect(list()).toBe('Page 1')
+    })
+
+    test('does not record the requests that fail', async () => {
+        server.handle('onPage', (request, response) => {
+            response.writeHead(500, { 'Content-Type': 'text/plain' })
+            response.end('Failed')
+        })
+
+        await new Promise((resolve) => $('#next').request(null, { handleErrorMessage: () => {} }).always(() => resolve()))
+
+        expect(dom.window.location.href).toBe(server.url + 'blog?sort=title')
+        expect(dom.window.history.state).toBeNull()
+    })
+})
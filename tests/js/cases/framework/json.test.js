@@ -0,0 +1,63 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('ocJSON', function () {
+    let dom, ocJSON
+
+    beforeAll(() => {
+        dom = FakeDom.new().withJQuery().withScript('assets/js/framework.js')
+        ocJSON = dom.window.ocJSON
+    })
+
+    afterAll(() => dom.close())
+
+    test('parses relaxed JSON', () => {
+        expect(ocJSON("{ name: 'Winter', 'quoted-key': \"value\", list: [1, 2,], nested: { on: true, off: null }, }"))
+            .toEqual({ name: 'Winter', 'quoted-key': 'value', list: [1, 2], nested: { on: true, off: null } })
+    })
+
+    test('parses the members of an object without braces', () => {
+        expect(ocJSON("page: 2, sort: 'name'", { members: true })).toEqual({ page: 2, sort: 'name' })
+    })
+
+    test('parses numbers', () => {
+        expect(ocJSON('[-1, +2, .5, 1e3]')).toEqual([-1, 2, 0.5, 1000])
+    })
+
+    test('parses escape sequences', () => {
+        expect(ocJSON("'it\\'s \\u0041\\u{1F600}\\n'")).toBe("it's A\u{1F600}\n")
+    })
+
+    test('keeps the placeholders of template literals as text', () => {
+        expect(ocJSON('`Hello ${name}`')).toBe('Hello ${name}')
+    })
+
+    test('reports the position of syntax errors', () => {
+        expect(() => ocJSON("{ name: 'Winter',\n  value: }")).toThrow(/line 2, column 10/)
+        expect(() => ocJSON("'unterminated")).toThrow(dom.window.SyntaxError)
+    })
+
+    test('rejects invalid escape sequences in strict mode', () => {
+        expect(() => ocJSON("'\\q'", { strict: true })).toThrow(/Invalid escape sequence/)
+        expect(ocJSON("'\\q'")).toBe('q')
+    })
+
+    describe('stringify', () => {
+        test('serializes values that parse back to the same value', () => {
+            const value = { name: 'Winter', 'quoted-key': [1, null, true], nested: { text: 'line\nbreak' } }
+
+            expect(ocJSON(ocJSON.stringify(value))).toEqual(value)
+        })
+
+        test('leaves out the braces of an object with the members option', () => {
+            expect(ocJSON.stringify({ page: 2, sort: 'name' }, { members: true })).toBe("page: 2, sort: 'name'")
+        })
+
+        test('escapes the characters with a meaning in HTML', () => {
+            expect(ocJSON.stringify('<b title="a">&</b>')).toBe("'\\u003cb title=\\u0022a\\u0022\\u003e\\u0026\\u003c/b\\u003e'")
+        })
+
+        test('leaves out undefined members and non-finite numbers', () => {
+            expect(ocJSON.stringify({ a: undefined, b: NaN, c: [undefined] })).toBe('{b: null, c: [null]}')
+        })
+    })
+})
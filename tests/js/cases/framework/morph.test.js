@@ -0,0 +1,99 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('DOM morphing', function () {
+    let server, dom, wnRequest, list
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<ul id="list"><li id="a">A</li><li id="b">B</li></ul>'
+            + '<form id="form"><input name="title" value="Old"><div class="dropdown open">Menu</div></form>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        list = dom.document.getElementById('list')
+    })
+
+    afterEach(() => dom.close())
+
+    test('keeps the nodes matched by id while reordering them', () => {
+        const a = dom.document.getElementById('a')
+        const b = dom.document.getElementById('b')
+
+        wnRequest.morph(list, '<li id="b">B2</li><li id="c">C</li><li id="a">A</li>')
+
+        expect(list.innerHTML).toBe('<li id="b">B2</li><li id="c">C</li><li id="a">A</li>')
+        expect(dom.document.getElementById('a')).toBe(a)
+        expect(dom.document.getElementById('b')).toBe(b)
+    })
+
+    test('keeps the values edited by the user and the state classes', () => {
+        const form = dom.document.getElementById('form')
+        const input = form.querySelector('input')
+
+        input.value = 'Edited'
+        wnRequest.morph(form, '<input name="title" value="New" class="is-dirty"><div class="dropdown">Menu</div>')
+
+        expect(form.querySelector('input')).toBe(input)
+        expect(input.value).toBe('Edited')
+        expect(input.className).toBe('is-dirty')
+        expect(form.querySelector('.dropdown').className).toBe('dropdown open')
+    })
+
+    test('does not touch the elements marked to be preserved', () => {
+        list.innerHTML = '<li id="a" data-morph-preserve>Kept</li>'
+
+        wnRequest.morph(list, '<li id="a" data-morph-preserve>Changed</li>')
+
+        expect(list.innerHTML).toBe('<li id="a" data-morph-preserve="">Kept</li>')
+    })
+
+    test('replaces the controls only when their markup has changed', () => {
+        list.innerHTML = '<li id="a" data-control="toolbar"><span>Initialized</span></li>'
+        const control = dom.document.getElementById('a')
+
+        wnRequest.morph(list, '<li id="a" data-control="toolbar"></li>')
+        expect(dom.document.getElementById('a')).toBe(control)
+        expect(control.innerHTML).toBe('<span>Initialized</span>')
+
+        wnRequest.morph(list, '<li id="a" data-control="toolbar" data-size="large"></li>')
+        expect(dom.document.getElementById('a')).not.toBe(control)
+        expect(list.innerHTML).toBe('<li id="a" data-control="toolbar" data-size="large"></li>')
+    })
+
+    test('morphs the partials of the selectors prefixed with a tilde', async () => {
+        const replaced = []
+        const a = dom.document.getElementById('a')
+
+        server.handle('onList', { list: '<li id="a">A</li><li id="c">C</li>' })
+        dom.document.addEventListener('ajax:beforeReplace', (event) => replaced.push(event.target.id))
+
+        await wnRequest('onList', { update: { list: '~#list' } })
+
+        expect(list.innerHTML).toBe('<li id="a">A</li><li id="c">C</li>')
+        expect(dom.document.getElementById('a')).toBe(a)
+        expect(replaced).toEqual(['b'])
+    })
+
+    test('morphs every partial when the update mode is morph', async () => {
+        const a = dom.document.getElementById('a')
+
+        server.handle('onList', { '#list': '<li id="a">A1</li>' })
+
+        await new Promise((resolve) => {
+            dom.window.jQuery('#list').request('onList', { updateMode: 'morph', complete: resolve })
+        })
+
+        expect(list.innerHTML).toBe('<li id="a">A1</li>')
+        expect(dom.document.getElementById('a')).toBe(a)
+    })
+})
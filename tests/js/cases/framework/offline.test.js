@@ -0,0 +1,106 @@
+const { IDBFactory } = require('fake-indexeddb')
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Offline request queue', function () {
+    let server, dom, wnRequest, online
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<form id="form"><input name="title" value="Draft"></form>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        online = true
+        dom.window.indexedDB = new IDBFactory()
+        Object.defineProperty(dom.window.navigator, 'onLine', { get: () => online, configurable: true })
+
+        wnRequest = dom.window.wnRequest
+        server.requests = []
+    })
+
+    afterEach(() => dom.close())
+
+    function nextEvent(target, name) {
+        return new Promise((resolve) => target.addEventListener('ajax:' + name, (event) => resolve(event.detail), { once: true }))
+    }
+
+    function save(options) {
+        return wnRequest('onSave', Object.assign({ form: dom.document.getElementById('form'), offline: true }, options))
+            .then(() => 'resolved', (error) => error.textStatus)
+    }
+
+    test('stores the requests made while offline', async () => {
+        online = false
+
+        const queued = nextEvent(dom.document, 'queued')
+
+        expect(await save()).toBe('queued')
+        expect((await queued).entry.handler).toBe('onSave')
+        expect(await wnRequest.offlineQueue.count()).toBe(1)
+        expect(server.requests.length).toBe(0)
+    })
+
+    test('sends the requests without the offline option while offline', async () => {
+        online = false
+        server.handle('onSave', {})
+
+        expect(await save({ offline: false })).toBe('resolved')
+        expect(await wnRequest.offlineQueue.count()).toBe(0)
+    })
+
+    test('replays the stored requests in order once the connection is restored', async () => {
+        online = false
+        server.handle('onSave', { saved: true })
+
+        await save()
+        dom.document.querySelector('input').value = 'Final'
+        await save()
+
+        online = true
+
+        const replayed = []
+        dom.window.addEventListener('ajax:replayed', (event) => replayed.push(event.detail.data))
+        dom.window.dispatchEvent(new dom.window.Event('online'))
+
+        await new Promise((resolve) => setTimeout(resolve, 200))
+
+        expect(server.requests.map((request) => request.body.get('title'))).toEqual(['Draft', 'Final'])
+        expect(replayed).toEqual([{ saved: true }, { saved: true }])
+        expect(await wnRequest.offlineQueue.count()).toBe(0)
+    })
+
+    test('keeps the stored requests while the server is unreachable', async () => {
+        online = false
+
+        await save({ url: 'http://127.0.0.1:1/' })
+
+        online = true
+        await wnRequest.offlineQueue.replay()
+
+        expect(await wnRequest.offlineQueue.count()).toBe(1)
+    })
+
+    test('removes the replayed requests that the server rejects', async () => {
+        online = false
+        server.handle('onSave', (request, response) => {
+            response.writeHead(500, { 'Content-Type': 'text/plain' })
+            response.end('Failed')
+        })
+
+        await save()
+
+        online = true
+
+        const replayed = nextEvent(dom.window, 'replayed')
+        await wnRequest.offlineQueue.replay()
+
+        expect((await replayed).error).toBeTruthy()
+        expect(await wnRequest.offlineQueue.count()).toBe(0)
+    })
+})
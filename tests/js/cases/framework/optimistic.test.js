@@ -0,0 +1,121 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Optimistic updates', function () {
+    let server, dom, wnRequest, like, comments
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<button id="like" class="btn"><span id="count">Like</span></button>'
+            + '<form id="form"><input name="comment" value="<b>First</b>"></form><ul id="comments"><li>Old</li></ul>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        like = dom.document.getElementById('like')
+        comments = dom.document.getElementById('comments')
+    })
+
+    afterEach(() => dom.close())
+
+    function fail(request, response) {
+        setTimeout(() => {
+            response.writeHead(500, { 'Content-Type': 'text/plain' })
+            response.end('Failed')
+        }, 20)
+    }
+
+    function send(options) {
+        return wnRequest('onLike', Object.assign({ element: like, handleErrorMessage: () => {} }, options))
+            .then(() => 'success', (error) => error.textStatus)
+    }
+
+    test('updates the element before the response arrives and keeps the update', async () => {
+        let duringRequest
+
+        server.handle('onLike', (request, response) => {
+            duringRequest = [like.className, like.textContent]
+            response.end('{}')
+        })
+
+        expect(await send({ optimistic: { toggleClass: 'active', addClass: 'liked', text: 'Liked' } })).toBe('success')
+        expect(duringRequest).toEqual(['btn active liked', 'Liked'])
+        expect([like.className, like.textContent]).toEqual(['btn active liked', 'Liked'])
+    })
+
+    test('restores the elements and their nodes when the request fails', async () => {
+        const rollbacks = []
+        const count = dom.document.getElementById('count')
+
+        server.handle('onLike', fail)
+        like.addEventListener('ajax:rollback', (event) => rollbacks.push(event.detail.textStatus))
+
+        expect(await send({ optimistic: { removeClass: 'btn', text: 'Liked' } })).toBe('error')
+        expect(like.className).toBe('btn')
+        expect(like.firstChild).toBe(count)
+        expect(rollbacks).toEqual(['error'])
+    })
+
+    test('renders the template with the escaped pending data', async () => {
+        let duringRequest
+
+        server.handle('onComment', (request, response) => {
+            duringRequest = comments.innerHTML
+            fail(request, response)
+        })
+
+        const result = await wnRequest('onComment', {
+            form: dom.document.getElementById('form'),
+            optimistic: { target: '#comments', template: '<li class="pending">{{ comment }}</li>' },
+            handleErrorMessage: () => {}
+        }).catch((error) => error.textStatus)
+
+        expect(result).toBe('error')
+        expect(duringRequest).toBe('<li class="pending">&lt;b&gt;First&lt;/b&gt;</li>')
+        expect(comments.innerHTML).toBe('<li>Old</li>')
+    })
+
+    test('skips the update when the optimistic event is prevented', async () => {
+        server.handle('onLike', {})
+        like.addEventListener('ajax:optimistic', (event) => event.preventDefault())
+
+        await send({ optimistic: { text: 'Liked' } })
+
+        expect(like.textContent).toBe('Like')
+    })
+
+    test('rolls back to the state before the aborted requests', async () => {
+        server.handle('onLike', fail)
+
+        const first = send({ policy: 'abort-previous', optimistic: { toggleClass: 'active' } })
+        const second = send({ policy: 'abort-previous', optimistic: { toggleClass: 'active' } })
+
+        expect(await first).toBe('abort')
+        expect(await second).toBe('error')
+        expect(like.className).toBe('btn')
+    })
+
+    test('reads the update from the data attribute', async () => {
+        let duringRequest
+
+        server.handle('onLike', (request, response) => {
+            duringRequest = like.className
+            fail(request, response)
+        })
+
+        like.setAttribute('data-request-optimistic', "addClass: 'active'")
+
+        await new Promise((resolve) => dom.window.jQuery(like).request('onLike', { handleErrorMessage: () => {} }).always(() => resolve()))
+
+        expect(duringRequest).toBe('btn active')
+        expect(like.className).toBe('btn')
+    })
+})
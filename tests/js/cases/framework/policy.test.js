@@ -0,0 +1,118 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request policies', function () {
+    let server, dom, wnRequest, button
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<button id="save"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        button = dom.document.getElementById('save')
+        server.requests = []
+    })
+
+    afterEach(() => dom.close())
+
+    function delayed(ms) {
+        let count = 0
+
+        return (request, response) => {
+            const result = ++count
+
+            setTimeout(() => {
+                response.writeHead(200, { 'Content-Type': 'application/json' })
+                response.end(JSON.stringify({ result: result }))
+            }, ms)
+        }
+    }
+
+    function settle(promise) {
+        return promise.then((data) => ['resolved', data], (error) => ['rejected', error.textStatus])
+    }
+
+    test('runs overlapping requests side by side by default', async () => {
+        server.handle('onLoad', delayed(50))
+
+        const results = await Promise.all([
+            settle(wnRequest('onLoad', { element: button })),
+            settle(wnRequest('onLoad', { element: button }))
+        ])
+
+        expect(results.map(([state]) => state)).toEqual(['resolved', 'resolved'])
+        expect(server.requests.length).toBe(2)
+    })
+
+    test('drops the requests made while another one is pending', async () => {
+        server.handle('onLoad', delayed(50))
+
+        const results = await Promise.all([
+            settle(wnRequest('onLoad', { element: button, policy: 'ignore-while-pending' })),
+            settle(wnRequest('onLoad', { element: button, policy: 'ignore-while-pending' }))
+        ])
+
+        expect(results).toEqual([['resolved', { result: 1 }], ['rejected', 'ignored']])
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('aborts the pending requests before sending the next one', async () => {
+        server.handle('onLoad', delayed(50))
+
+        const first = settle(wnRequest('onLoad', { element: button, policy: 'abort-previous' }))
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        const second = settle(wnRequest('onLoad', { element: button, policy: 'abort-previous' }))
+
+        expect(await first).toEqual(['rejected', 'abort'])
+        expect((await second)[0]).toBe('resolved')
+    })
+
+    test('sends the queued requests once the pending ones have completed', async () => {
+        const started = []
+
+        server.handle('onLoad', (request, response) => {
+            started.push(Date.now())
+            setTimeout(() => response.end('{}'), 50)
+        })
+
+        await Promise.all([
+            wnRequest('onLoad', { element: button, policy: 'queue' }),
+            wnRequest('onLoad', { element: button, policy: 'queue' })
+        ])
+
+        expect(started.length).toBe(2)
+        expect(started[1] - started[0]).toBeGreaterThanOrEqual(45)
+    })
+
+    test('aborts a queued request without sending it', async () => {
+        server.handle('onLoad', delayed(50))
+
+        const first = wnRequest('onLoad', { element: button, policy: 'queue' })
+        const request = new wnRequest.Request('onLoad', { element: button, policy: 'queue' })
+        const second = settle(request.send())
+
+        request.abort()
+
+        await first
+        expect(await second).toEqual(['rejected', 'abort'])
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('aborts the request when the signal is triggered', async () => {
+        server.handle('onLoad', delayed(200))
+
+        const controller = new dom.window.AbortController()
+        const result = settle(wnRequest('onLoad', { element: button, signal: controller.signal }))
+
+        controller.abort()
+
+        expect(await result).toEqual(['rejected', 'abort'])
+    })
+})
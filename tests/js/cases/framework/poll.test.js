@@ -0,0 +1,158 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request polling', function () {
+    let server, dom, $, response
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="container"><div id="list">List</div><input type="checkbox" name="checked[]" value="1"></div>'
+                + '<input type="checkbox" id="outside">'
+                + '<div id="poll" data-request="onRefresh" data-request-poll="1s" data-request-poll-container="#container" data-request-poll-pause="input[name=\'checked[]\']:checked"></div>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+        server.requests = []
+        response = { status: 200, body: { '#list': 'List 1' } }
+
+        server.handle('onRefresh', (request, serverResponse) => {
+            serverResponse.writeHead(response.status, { 'Content-Type': 'application/json' })
+            serverResponse.end(JSON.stringify(response.body))
+        })
+
+        // jsdom reports the page as hidden, which pauses polling
+        Object.defineProperty(dom.document, 'hidden', { value: false, configurable: true })
+        $(dom.document).trigger('render')
+    })
+
+    afterEach(() => {
+        const poll = instance()
+        if (poll) poll.stop()
+        dom.close()
+    })
+
+    function instance() {
+        return $('#poll').data('oc.requestPoll')
+    }
+
+    function list() {
+        return dom.document.getElementById('list').innerHTML
+    }
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms))
+    }
+
+    /*
+     * Makes the next poll due without waiting for the interval
+     */
+    async function tick() {
+        const poll = instance()
+        dom.window.clearTimeout(poll.timer)
+        poll.isDue = true
+        poll.resume()
+        await wait(100)
+    }
+
+    test('sends the request once the interval has elapsed', async () => {
+        await wait(500)
+        expect(server.requests.length).toBe(0)
+
+        await wait(800)
+        expect(server.requests.length).toBe(1)
+        expect(server.requests[0].handler).toBe('onRefresh')
+        expect(list()).toBe('List 1')
+    })
+
+    test('leaves the partials untouched when the response has not changed', async () => {
+        await tick()
+        expect(list()).toBe('List 1')
+
+        dom.document.getElementById('list').innerHTML = 'Selected'
+        await tick()
+        expect(server.requests.length).toBe(2)
+        expect(list()).toBe('Selected')
+
+        response.body = { '#list': 'List 2' }
+        await tick()
+        expect(list()).toBe('List 2')
+    })
+
+    test('pauses while an element matches the pause selector', async () => {
+        const checkbox = dom.document.querySelector('input[type=checkbox]')
+        checkbox.checked = true
+
+        await tick()
+        expect(server.requests.length).toBe(0)
+
+        checkbox.checked = false
+        checkbox.dispatchEvent(new dom.window.Event('change', { bubbles: true }))
+        await wait(100)
+
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('only resumes on the changes inside the container', async () => {
+        const checkbox = dom.document.querySelector('input[name="checked[]"]')
+        checkbox.checked = true
+
+        await tick()
+        checkbox.checked = false
+        dom.document.getElementById('outside').dispatchEvent(new dom.window.Event('change', { bubbles: true }))
+        await wait(100)
+
+        expect(server.requests.length).toBe(0)
+    })
+
+    test('pauses while the pointer or the focus is inside the container', async () => {
+        $('#container').trigger('mouseenter')
+        await tick()
+        expect(server.requests.length).toBe(0)
+
+        $('#container').trigger('mouseleave')
+        await wait(100)
+        expect(server.requests.length).toBe(1)
+
+        dom.document.querySelector('input[name="checked[]"]').focus()
+        await tick()
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('removes the listeners of the container when it stops', () => {
+        instance().stop()
+
+        expect($._data(dom.document.getElementById('container'), 'events')).toBeUndefined()
+    })
+
+    test('backs off after failed requests and recovers after a success', async () => {
+        response = { status: 500, body: { message: 'Error' } }
+        await tick()
+        await tick()
+        expect(instance().failures).toBe(2)
+
+        response = { status: 200, body: { '#list': 'List 1' } }
+        await tick()
+        expect(instance().failures).toBe(0)
+    })
+
+    test('stops when the element is removed', async () => {
+        const poll = instance()
+        $('#poll').remove()
+
+        poll.isDue = true
+        poll.resume()
+        await wait(100)
+
+        expect(poll.isStopped).toBe(true)
+        expect(server.requests.length).toBe(0)
+    })
+})
@@ -0,0 +1,261 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('jQuery request adapter', function () {
+    let server, dom, $
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<div id="loading" style="display: none"></div><button id="save"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+    })
+
+    afterEach(() => dom.close())
+
+    function settle(promise) {
+        return new Promise((resolve) => promise.always((...args) => resolve(args)))
+    }
+
+    test('hides the loading element once a redirect response completes', async () => {
+        const redirects = []
+
+        server.handle('onSave', { X_WINTER_REDIRECT: server.url + 'done' })
+
+        await new Promise((resolve) => {
+            $('#save').request('onSave', {
+                loading: '#loading',
+                handleRedirectResponse: (url) => redirects.push(url),
+                complete: resolve
+            })
+        })
+
+        expect(redirects).toEqual([server.url + 'done'])
+        expect($('#loading').css('display')).toBe('none')
+    })
+
+    test('aborts the request once the timeout has elapsed', async () => {
+        const errors = []
+
+        server.handle('onSave', (request, response) => setTimeout(() => response.end('{}'), 500))
+
+        const [, textStatus] = await settle($('#save').request('onSave', {
+            timeout: 50,
+            error: (jqXHR, textStatus) => errors.push(textStatus)
+        }))
+
+        expect(textStatus).toBe('timeout')
+        expect(errors).toEqual(['timeout'])
+    })
+
+    test('does not send the request when beforeSend returns false', async () => {
+        const count = server.requests.length
+
+        server.handle('onSave', {})
+
+        const [, textStatus] = await settle($('#save').request('onSave', {
+            beforeSend: () => false
+        }))
+
+        expect(textStatus).toBe('canceled')
+        expect(server.requests.length).toBe(count)
+    })
+
+    test('applies the $.ajaxPrefilter() filters and the $.ajaxSetup() headers', async () => {
+        server.requests = []
+        server.handle('onSave', {})
+
+        $.ajaxPrefilter((options) => {
+            options.headers = Object.assign({}, options.headers, { 'X-CSRF-TOKEN': 'token' })
+        })
+        $.ajaxSetup({ headers: { 'X-Custom': 'custom' } })
+
+        await settle($('#save').request('onSave'))
+
+        expect(server.requests[0].headers['x-csrf-token']).toBe('token')
+        expect(server.requests[0].headers['x-custom']).toBe('custom')
+        expect(server.requests[0].headers['x-winter-request-handler']).toBe('onSave')
+    })
+
+    test('fires the global AJAX events when ajaxGlobal is set', async () => {
+        const events = []
+
+        server.handle('onSave', {})
+        server.handle('onFail', (request, response) => {
+            response.writeHead(500, { 'Content-Type': 'application/json' })
+            response.end('{"message": "Error"}')
+        })
+
+        // The request element triggers its own ajaxSuccess and ajaxComplete events
+        $(dom.document).on('ajaxStart ajaxSend ajaxSuccess ajaxError ajaxComplete ajaxStop', (event, jqXHR) => {
+            if (event.target === dom.document) {
+                events.push(event.type + (jqXHR && jqXHR.status ? ':' + jqXHR.status : ''))
+            }
+        })
+
+        await settle($('#save').request('onSave'))
+        expect(events).toEqual([])
+
+        await settle($('#save').request('onSave', { ajaxGlobal: true }))
+        await settle($('#save').request('onFail', { ajaxGlobal: true }))
+
+        expect(events).toEqual([
+            'ajaxStart', 'ajaxSend', 'ajaxSuccess:200', 'ajaxComplete:200', 'ajaxStop',
+            'ajaxStart', 'ajaxSend', 'ajaxError:500', 'ajaxComplete:500', 'ajaxStop'
+        ])
+    })
+
+    test('does not send the request when a $.ajaxSetup() beforeSend returns false', async () => {
+        server.requests = []
+        server.handle('onSave', {})
+
+        $.ajaxSetup({ beforeSend: () => false })
+
+        const [, textStatus] = await settle($('#save').request('onSave'))
+
+        expect(textStatus).toBe('abort')
+        expect(server.requests.length).toBe(0)
+    })
+
+    describe('retry', () => {
+        function unavailableOnce() {
+            let attempts = 0
+
+            return (request, response) => {
+                response.writeHead(attempts++ ? 200 : 503, { 'Content-Type': 'application/json' })
+                response.end('{"result": ' + attempts + '}')
+            }
+        }
+
+        test('retries the requests marked as idempotent', async () => {
+            const retries = []
+
+            server.handle('onLoad', unavailableOnce())
+            $(dom.document).on('ajaxRetry', (event, context, attempt) => retries.push(attempt))
+
+            const [data] = await settle($('#save').request('onLoad', { retry: 2, retryDelay: 10, idempotent: true }))
+
+            expect(data).toEqual({ result: 2 })
+            expect(retries).toEqual([1])
+        })
+
+        test('removes the abort listener of each retry delay', async () => {
+            const wnRequest = dom.window.wnRequest,
+                listeners = new Set()
+
+            let attempts = 0
+
+            const request = new wnRequest.Request('onLoad', {
+                retry: 3,
+                retryDelay: 5,
+                idempotent: true,
+                transport: (request) => {
+                    request.status = ++attempts < 4 ? 503 : 200
+                    request.response = { headers: { get: () => 'application/json' } }
+                    request.parseResponse('{}')
+                    return Promise.resolve()
+                }
+            })
+
+            const signal = request.controller.signal,
+                add = signal.addEventListener,
+                remove = signal.removeEventListener
+
+            signal.addEventListener = function (type, listener, options) {
+                listeners.add(listener)
+                return add.call(this, type, listener, options)
+            }
+            signal.removeEventListener = function (type, listener, options) {
+                listeners.delete(listener)
+                return remove.call(this, type, listener, options)
+            }
+
+            await request.send()
+
+            expect(attempts).toBe(4)
+            expect(listeners.size).toBe(0)
+        })
+
+        test('does not retry the requests that are not marked as idempotent', async () => {
+            server.handle('onSave', unavailableOnce())
+
+            const [jqXHR, textStatus] = await settle($('#save').request('onSave', { retry: 2, retryDelay: 10 }))
+
+            expect(textStatus).toBe('error')
+            expect(jqXHR.status).toBe(503)
+        })
+    })
+
+    test('returns a Deferred promise that can be aborted', () => {
+        server.handle('onSave', {})
+
+        const promise = $('#save').request('onSave')
+
+        expect(typeof promise.done).toBe('function')
+        expect(typeof promise.abort).toBe('function')
+
+        promise.abort()
+    })
+
+    test('returns the jqXHR properties of the response', async () => {
+        server.handle('onSave', (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json', 'X-Result': 'saved' })
+            response.end('{"result": "ok"}')
+        })
+
+        const promise = $('#save').request('onSave', {
+            beforeSend: (jqXHR) => jqXHR.setRequestHeader('X-Custom', 'yes')
+        })
+        const [, , jqXHR] = await settle(promise)
+
+        expect(jqXHR).toBe(promise)
+        expect(promise.readyState).toBe(4)
+        expect(promise.status).toBe(200)
+        expect(promise.responseText).toBe('{"result": "ok"}')
+        expect(promise.getResponseHeader('X-Result')).toBe('saved')
+        expect(server.requests[server.requests.length - 1].headers['x-custom']).toBe('yes')
+    })
+
+    test('calls the overridden handlers on the request options with the jqXHR object', async () => {
+        const calls = []
+
+        server.handle('onSave', { result: 'ok' })
+
+        const promise = $('#save').request('onSave', {
+            data: { id: 1 },
+            handleUpdateResponse: function (data, textStatus, jqXHR) {
+                calls.push([data, textStatus, jqXHR.status, this.data, typeof this.handleFlashMessage])
+
+                return $.Deferred().resolve()
+            }
+        })
+        const [data, textStatus] = await settle(promise)
+
+        expect(data).toEqual({ result: 'ok' })
+        expect(textStatus).toBe('success')
+        expect(calls).toEqual([[{ result: 'ok' }, 'success', 200, { id: 1 }, 'function']])
+    })
+
+    test('returns the same promise shape when prefetching', async () => {
+        server.handle('onLoad', { result: 'ok' })
+
+        const promise = $('#save').request('onLoad', { prefetch: true, cache: 60 })
+
+        expect(typeof promise.done).toBe('function')
+        expect(typeof promise.always).toBe('function')
+        expect(typeof promise.abort).toBe('function')
+
+        const [data, textStatus, jqXHR] = await settle(promise)
+
+        expect(data).toEqual({ result: 'ok' })
+        expect(textStatus).toBe('success')
+        expect(jqXHR.status).toBe(200)
+    })
+})
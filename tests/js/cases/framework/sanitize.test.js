@@ -0,0 +1,113 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('ocSanitize', function () {
+    let dom, ocSanitize
+
+    beforeAll(() => {
+        dom = FakeDom.new().withJQuery().withScript('assets/js/framework.js')
+        ocSanitize = dom.window.ocSanitize
+    })
+
+    afterAll(() => dom.close())
+
+    test('keeps the allowed elements and attributes', () => {
+        const html = '<p class="lead" title="Title"><a href="https://wintercms.com">Winter</a> <strong>CMS</strong></p>'
+
+        expect(ocSanitize(html)).toBe(html)
+    })
+
+    test('keeps form controls, id and data attributes', () => {
+        const html = '<form id="search" action="/search"><label for="q">Name</label> <input id="q" name="q" data-value="1"></form>'
+
+        expect(ocSanitize(html)).toBe(html)
+    })
+
+    test('unwraps the elements that are not allowed', () => {
+        expect(ocSanitize('<p>Text <font color="red">Red</font></p>')).toBe('<p>Text Red</p>')
+        expect(ocSanitize('<form><label>Name <input name="name"></label></form>', 'strict')).toBe('Name ')
+    })
+
+    test('removes the elements carrying executable or hidden content', () => {
+        expect(ocSanitize('<p>Text<script>alert(1)</script><style>p {}</style><template><b>Hidden</b></template></p>'))
+            .toBe('<p>Text</p>')
+    })
+
+    test('removes comments', () => {
+        expect(ocSanitize('<p><!-- comment -->Text</p>')).toBe('<p>Text</p>')
+    })
+
+    test('keeps the URLs using the allowed schemes', () => {
+        expect(ocSanitize('<a href="mailto:admin@example.com">Mail</a><a href="/relative">Page</a>'))
+            .toBe('<a href="mailto:admin@example.com">Mail</a><a href="/relative">Page</a>')
+    })
+
+    test('limits inline styles to the allowed properties', () => {
+        expect(ocSanitize('<span style="color: red; position: fixed; border-top: 1px solid red">Text</span>'))
+            .toBe('<span style="color: red; border-top: 1px solid red">Text</span>')
+    })
+
+    test('adds rel="noopener noreferrer" to the links opening a new window', () => {
+        expect(ocSanitize('<a href="https://wintercms.com" target="_blank">Winter</a>'))
+            .toBe('<a href="https://wintercms.com" target="_blank" rel="noopener noreferrer">Winter</a>')
+    })
+
+    test('uses the presets', () => {
+        expect(ocSanitize('<p class="lead" id="intro"><b class="x">Bold</b></p>', 'flash')).toBe('<b class="x">Bold</b>')
+        expect(ocSanitize('<p class="lead" title="Title">Text</p>', 'ugc')).toBe('<p title="Title">Text</p>')
+        expect(ocSanitize('<p class="lead" id="intro" data-value="1">Text</p>', 'strict')).toBe('<p class="lead">Text</p>')
+        expect(() => ocSanitize('<p></p>', 'unknown')).toThrow('Unknown sanitizer preset "unknown"')
+    })
+
+    test('extends a preset with a custom configuration', () => {
+        expect(ocSanitize('<p><b>Bold</b> <i>Italic</i></p>', { preset: 'flash', tags: ['i'] })).toBe('Bold <i>Italic</i>')
+    })
+
+    describe.each(['default', 'strict'])('known XSS payloads with the %s preset', (preset) => {
+        test.each([
+            ['event handlers', '<img src="/a.png" onerror="alert(1)">', '<img src="/a.png">'],
+            ['javascript: URLs', '<a href="javascript:alert(1)">Link</a>', '<a>Link</a>'],
+            ['javascript: URLs hidden with entities', '<a href="jav&#x61;script&colon;alert(1)">Link</a>', '<a>Link</a>'],
+            ['javascript: URLs hidden with whitespace', '<a href=" java\tscr\nipt:alert(1)">Link</a>', '<a>Link</a>'],
+            ['javascript: URLs hidden with control characters', '<a href="&#1;javascript:alert(1)">Link</a>', '<a>Link</a>'],
+            ['data: URLs', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">Link</a><img src="data:image/svg+xml,<svg onload=alert(1)>">', '<a>Link</a><img>'],
+            ['vbscript: URLs', '<a href="VBScript:msgbox(1)">Link</a>', '<a>Link</a>'],
+            ['srcdoc frames', '<iframe srcdoc="<script>alert(1)</script>"></iframe><p srcdoc="x">Text</p>', '<p>Text</p>'],
+            ['xlink:href in SVG', '<svg><a xlink:href="javascript:alert(1)"><text>Link</text></a></svg>', ''],
+            ['MathML links', '<math><mtext><a href="javascript:alert(1)">Link</a></mtext></math>', ''],
+            ['url() in styles', '<span style="background-image: url(javascript:alert(1)); color: red">Text</span>', '<span style="color: red">Text</span>'],
+            ['expression() in styles', '<span style="width: expression(alert(1))">Text</span>', '<span>Text</span>'],
+            ['framework requests', '<a data-request="onDelete" data-request-success="alert(1)" href="#">Delete</a>', '<a href="#">Delete</a>'],
+            ['framework controls', '<div data-control="popup" data-handler="onLoadPopup" data-track-input>Open</div>', '<div>Open</div>'],
+            ['mutated markup', '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>', '<img src="x">"&gt;'],
+            ['comments closing early', '<!--><img src=x onerror=alert(1)>-->', '<img src="x">--&gt;']
+        ])('neutralizes %s', (name, html, expected) => {
+            expect(ocSanitize(html, preset)).toBe(expected)
+        })
+    })
+
+    describe('known XSS payloads depending on the preset', () => {
+        test('removes form actions', () => {
+            const html = '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">Send</button></form>'
+
+            expect(ocSanitize(html)).toBe('<form><button>Send</button></form>')
+            expect(ocSanitize(html, 'strict')).toBe('Send')
+        })
+
+        test('prevents DOM clobbering with the strict preset', () => {
+            expect(ocSanitize('<img id="ocJSON" src="/a.png"><a id="wnRequest" name="x" href="/">Link</a>', 'strict'))
+                .toBe('<img src="/a.png"><a name="x" href="/">Link</a>')
+        })
+
+        test('removes the framework attributes and keeps the other data attributes', () => {
+            expect(ocSanitize('<p id="intro" data-value="1" data-request="onDelete" data-request-confirm="Sure?">Text</p>'))
+                .toBe('<p id="intro" data-value="1">Text</p>')
+        })
+
+        test('removes the framework attributes even when a configuration allows them', () => {
+            const config = { preset: 'strict', attributes: { '*': ['data-*', 'id'] } }
+
+            expect(ocSanitize('<p id="intro" data-value="1" data-request="onDelete" data-request-confirm="Sure?">Text</p>', config))
+                .toBe('<p id="intro" data-value="1">Text</p>')
+        })
+    })
+})
@@ -0,0 +1,113 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Streamed responses', function () {
+    let server, dom
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="log"></div><div id="result"></div>'
+            + '<button id="run" data-request="onRun" data-request-stream data-request-flash></button>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+    })
+
+    afterEach(() => dom.close())
+
+    function send(options) {
+        const $ = dom.window.jQuery
+
+        return new Promise((resolve, reject) => {
+            $('#run').request('onRun', options || {}).done(resolve).fail((context, textStatus) => reject(new Error(textStatus)))
+        })
+    }
+
+    function collectProgress() {
+        const progress = []
+
+        dom.window.jQuery(dom.document).on('ajaxProgress', (event, context, value, data) => {
+            progress.push([value, data['#log']])
+        })
+
+        return progress
+    }
+
+    test('applies the progress chunks of newline delimited JSON as they arrive', async () => {
+        server.handle('onRun', TestServer.stream('application/x-ndjson', [
+            '{"X_WINTER_PROGRESS": 10, "#log": "Step 1"}\n{"X_WINTER_PR',
+            'OGRESS": 50, "#log": "Step 2"}\n',
+            '{"#result": "Done", "value": 1}'
+        ]))
+
+        const progress = collectProgress()
+        const data = await send()
+
+        expect(progress).toEqual([[10, 'Step 1'], [50, 'Step 2']])
+        expect(dom.document.getElementById('log').innerHTML).toBe('Step 2')
+        expect(data.value).toBe(1)
+        expect(dom.document.getElementById('result').innerHTML).toBe('Done')
+        expect(server.requests.pop().headers['x-winter-request-stream']).toBe('1')
+    })
+
+    test('applies the progress events of server-sent events', async () => {
+        server.handle('onRun', TestServer.stream('text/event-stream', [
+            'event: progress\ndata: {"#log": "Event 1"}\n\n',
+            'event: progress\r\ndata: {"#log":\r\ndata: "Event 2"}\r\n\r\n',
+            'data: {"#result": "Finished"}\n\n'
+        ]))
+
+        const progress = collectProgress()
+
+        await send()
+
+        expect(progress).toEqual([[undefined, 'Event 1'], [undefined, 'Event 2']])
+        expect(dom.document.getElementById('log').innerHTML).toBe('Event 2')
+        expect(dom.document.getElementById('result').innerHTML).toBe('Finished')
+    })
+
+    test('shows the flash messages of progress chunks', async () => {
+        const messages = []
+
+        server.handle('onRun', TestServer.stream('application/x-ndjson', [
+            '{"X_WINTER_PROGRESS": 50, "X_WINTER_FLASH_MESSAGES": {"info": "Halfway"}}\n',
+            '{}'
+        ]))
+
+        await send({
+            handleFlashMessage: (message, type) => messages.push([type, message])
+        })
+
+        expect(messages).toEqual([['info', 'Halfway']])
+    })
+
+    test('does not apply a progress chunk when the progress event is prevented', async () => {
+        server.handle('onRun', TestServer.stream('application/x-ndjson', [
+            '{"X_WINTER_PROGRESS": 10, "#log": "Step 1"}\n',
+            '{}'
+        ]))
+
+        dom.document.addEventListener('ajax:progress', (event) => event.preventDefault())
+
+        await send()
+
+        expect(dom.document.getElementById('log').innerHTML).toBe('')
+    })
+
+    test('settles the request as failed when the last chunk is an error', async () => {
+        server.handle('onRun', TestServer.stream('text/event-stream', [
+            'event: progress\ndata: {"#log": "Event 1"}\n\n',
+            'data: {"X_WINTER_ERROR_MESSAGE": "Broken"}\n\n'
+        ]))
+
+        await expect(send()).rejects.toThrow('error')
+        expect(dom.alerts).toEqual(['Broken'])
+    })
+})
@@ -0,0 +1,123 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Request undo', function () {
+    let server, dom, $
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<ul><li id="row">Row</li></ul><button id="delete"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/js/framework.extras.js')
+
+        $ = dom.window.jQuery
+        server.requests = []
+        server.handle('onDelete', {})
+    })
+
+    afterEach(() => dom.close())
+
+    function remove(options) {
+        return $('#delete').request('onDelete', Object.assign({ undo: 0.1, undoHide: '#row' }, options))
+    }
+
+    function settle(promise) {
+        return new Promise((resolve) => promise.always((...args) => resolve(args)))
+    }
+
+    function undoButton() {
+        return $('.flash-message .flash-message-action')
+    }
+
+    test('sends the request once the grace period has elapsed', async () => {
+        const promise = remove({ undoMessage: 'The row will be deleted.' })
+
+        expect(server.requests.length).toBe(0)
+        expect($('#row').css('display')).toBe('none')
+        expect($('.flash-message').clone().children('button').remove().end().text()).toBe('The row will be deleted.')
+        expect(undoButton().text()).toBe('Undo')
+
+        const [, textStatus] = await settle(promise)
+
+        expect(textStatus).toBe('success')
+        expect(server.requests.length).toBe(1)
+        expect($('#row').css('display')).toBe('none')
+    })
+
+    test('does not send the request when it is undone', async () => {
+        const undone = []
+
+        $('#delete').on('ajaxUndo', () => undone.push(true))
+
+        const promise = remove()
+        undoButton().trigger('click')
+
+        const [, textStatus] = await settle(promise)
+        await new Promise((resolve) => setTimeout(resolve, 150))
+
+        expect(textStatus).toBe('undo')
+        expect(undone).toEqual([true])
+        expect(server.requests.length).toBe(0)
+        expect($('#row').css('display')).not.toBe('none')
+        expect($('.flash-message:not(.flash-message-removing)').length).toBe(0)
+    })
+
+    test('shows the hidden elements again when the request fails', async () => {
+        server.handle('onDelete', (request, response) => {
+            response.writeHead(500, { 'Content-Type': 'text/plain' })
+            response.end('Failed')
+        })
+
+        const [, textStatus] = await settle(remove({ handleErrorMessage: () => {} }))
+        await new Promise((resolve) => setTimeout(resolve, 0))
+
+        expect(textStatus).toBe('error')
+        expect($('#row').css('display')).not.toBe('none')
+    })
+
+    test('sends the pending requests right away when leaving the page', async () => {
+        const promise = remove({ undo: 10 })
+
+        $(dom.window).trigger('pagehide')
+
+        const [, textStatus] = await settle(promise)
+
+        expect(textStatus).toBe('success')
+        expect(server.requests.length).toBe(1)
+    })
+
+    test('cancels the request without the undo event when it is aborted', async () => {
+        const undone = []
+
+        $('#delete').on('ajaxUndo', () => undone.push(true))
+
+        const promise = remove()
+        promise.abort()
+
+        const [, textStatus] = await settle(promise)
+        await new Promise((resolve) => setTimeout(resolve, 150))
+
+        expect(textStatus).toBe('undo')
+        expect(undone).toEqual([])
+        expect(server.requests.length).toBe(0)
+    })
+
+    test('cannot be undone once the request has been sent', async () => {
+        const first = remove()
+        const second = remove({ undo: 10 })
+
+        await settle(first)
+        first.abort()
+
+        expect($('.flash-message:not(.flash-message-removing)').length).toBe(1)
+
+        $(dom.window).trigger('pagehide')
+        expect((await settle(second))[1]).toBe('success')
+    })
+})
@@ -0,0 +1,111 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('File uploads', function () {
+    let server, dom, wnRequest
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new('<button id="upload"></button>', { url: server.url })
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        wnRequest = dom.window.wnRequest
+        server.requests = []
+    })
+
+    afterEach(() => dom.close())
+
+    function createBody(content, name, type) {
+        const body = new dom.window.FormData()
+
+        body.append('title', 'Report')
+        body.append('file', new dom.window.File([content], name || 'report.txt', { type: type || 'text/plain', lastModified: 1700000000000 }))
+
+        return body
+    }
+
+    function upload(options) {
+        const messages = []
+
+        const promise = wnRequest('onUpload', Object.assign({
+            element: dom.document.getElementById('upload'),
+            handleValidationMessage: (message, fields) => messages.push([message, fields])
+        }, options))
+
+        return promise.then(() => ['resolved', messages], (error) => [error.textStatus, messages])
+    }
+
+    test('does not send files larger than the maximum size', async () => {
+        const [textStatus, messages] = await upload({ body: createBody('0123456789'), filesMaxSize: '8B' })
+
+        expect(textStatus).toBe('invalid')
+        expect(messages).toEqual([[
+            'The file report.txt may not be greater than 8 B.',
+            { file: ['The file report.txt may not be greater than 8 B.'] }
+        ]])
+        expect(server.requests.length).toBe(0)
+    })
+
+    test('does not send files of a type that is not accepted', async () => {
+        const [textStatus, messages] = await upload({ body: createBody('text'), filesAccept: 'image/*,.pdf' })
+
+        expect(textStatus).toBe('invalid')
+        expect(messages[0][0]).toBe('The file report.txt must be of type: image/*,.pdf.')
+    })
+
+    test('sends the accepted files and reports the upload progress', async () => {
+        const progress = []
+
+        server.handle('onUpload', { result: 'ok' })
+        dom.document.addEventListener('ajax:uploadProgress', (event) => progress.push(event.detail))
+
+        const [textStatus] = await upload({ body: createBody('0123456789', 'photo.png', 'image/png'), filesAccept: 'image/*' })
+
+        expect(textStatus).toBe('resolved')
+        expect(server.requests.length).toBe(1)
+        expect(progress.length).toBeGreaterThan(0)
+        expect(progress[progress.length - 1].files.map((file) => [file.name, file.total])).toEqual([['file', 10]])
+    })
+
+    test('uploads the files larger than the chunk size in parts', async () => {
+        const progress = []
+
+        server.handle('onUpload', { result: 'ok' })
+        dom.document.addEventListener('ajax:uploadProgress', (event) => progress.push(event.detail.loaded))
+
+        const [textStatus] = await upload({ body: createBody('0123456789'), filesChunkSize: 4 })
+        const chunks = server.requests.slice(0, 3).map((request) => request.headers)
+
+        expect(textStatus).toBe('resolved')
+        expect(server.requests.length).toBe(4)
+        expect(chunks.map((headers) => headers['x-winter-upload-offset'])).toEqual(['0', '4', '8'])
+        expect(chunks.map((headers) => headers['x-winter-upload-size'])).toEqual(['10', '10', '10'])
+        expect(new Set(chunks.map((headers) => headers['x-winter-upload-id'])).size).toBe(1)
+        expect(server.requests[3].headers['x-winter-upload-id']).toBeUndefined()
+        expect(progress[progress.length - 1]).toBe(10)
+    })
+
+    test('resumes a failed chunked upload from its last part', async () => {
+        let count = 0
+
+        server.handle('onUpload', (request, response) => {
+            response.writeHead(++count === 2 ? 500 : 200, { 'Content-Type': 'application/json' })
+            response.end('{}')
+        })
+
+        const [failed] = await upload({ body: createBody('0123456789'), filesChunkSize: 4, handleErrorMessage: () => {} })
+        const [resumed] = await upload({ body: createBody('0123456789'), filesChunkSize: 4 })
+        const offsets = server.requests.map((request) => request.headers['x-winter-upload-offset'])
+
+        expect(failed).toBe('error')
+        expect(resumed).toBe('resolved')
+        expect(offsets).toEqual(['0', '4', '4', '8', undefined])
+        expect(server.requests[2].headers['x-winter-upload-id']).toBe(server.requests[0].headers['x-winter-upload-id'])
+    })
+})
@@ -0,0 +1,109 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('Client-side validation', function () {
+    let dom
+
+    beforeEach(() => {
+        dom = FakeDom.new().withJQuery().withScript('assets/js/framework.js')
+    })
+
+    afterEach(() => dom.close())
+
+    function validate(html) {
+        dom.document.body.innerHTML = '<form id="form">' + html + '</form>'
+
+        return dom.window.wnRequest.validate(dom.document.getElementById('form'))
+    }
+
+    test('returns null when the fields are valid', () => {
+        expect(validate(
+            '<input name="email" value="admin@example.com" data-validate-rules="required|email">'
+            + '<input name="age" value="42" data-validate-rules="integer|between:18,99">'
+        )).toBeNull()
+    })
+
+    test('returns the messages keyed by field name', () => {
+        expect(validate(
+            '<input name="email" value="" data-validate-rules="required|email">'
+            + '<input name="user[first_name]" value="ab" data-validate-rules="min:3">'
+        )).toEqual({
+            email: ['The email field is required.'],
+            'user.first_name': ['The first name must be at least 3 characters.']
+        })
+    })
+
+    test('skips the rules other than the required rules for empty values', () => {
+        expect(validate('<input name="website" value="" data-validate-rules="url">')).toBeNull()
+    })
+
+    test('uses the size of the value matching its type', () => {
+        expect(validate(
+            '<input name="count" value="5" data-validate-rules="numeric|max:3">'
+            + '<input name="tags[]" type="checkbox" value="a" checked data-validate-rules="min:2">'
+            + '<input name="tags[]" type="checkbox" value="b">'
+        )).toEqual({
+            count: ['The count may not be greater than 3.'],
+            tags: ['The tags must have at least 2 items.']
+        })
+    })
+
+    test('compares fields with each other', () => {
+        expect(validate(
+            '<input name="password" value="secret" data-validate-rules="confirmed">'
+            + '<input name="password_confirmation" value="other">'
+            + '<input name="phone" value="" data-validate-rules="required_without:email">'
+            + '<input name="email" value="">'
+        )).toEqual({
+            password: ['The password confirmation does not match.'],
+            phone: ['The phone field is required when email is not present.']
+        })
+    })
+
+    test('matches letters of any alphabet', () => {
+        expect(validate(
+            '<input name="name" value="Zoë" data-validate-rules="alpha">'
+            + '<input name="slug" value="été_2024-fr" data-validate-rules="alpha_dash">'
+            + '<input name="code" value="a-1" data-validate-rules="alpha_num">'
+        )).toEqual({
+            code: ['The code may only contain letters and numbers.']
+        })
+    })
+
+    test('falls back to ASCII letters when unicode property escapes are not supported', () => {
+        dom.close()
+        dom = FakeDom.new()
+
+        const NativeRegExp = dom.window.RegExp
+
+        dom.window.RegExp = function (pattern, flags) {
+            if (flags && flags.indexOf('u') !== -1) {
+                throw new SyntaxError('Invalid regular expression: /' + pattern + '/: Invalid escape')
+            }
+
+            return new NativeRegExp(pattern, flags)
+        }
+
+        dom.withJQuery().withScript('assets/js/framework.js')
+        dom.window.RegExp = NativeRegExp
+
+        expect(validate(
+            '<input name="name" value="Zoe" data-validate-rules="alpha">'
+            + '<input name="slug" value="ete_2024-fr" data-validate-rules="alpha_dash">'
+            + '<input name="code" value="Zoë" data-validate-rules="alpha_num">'
+        )).toEqual({
+            code: ['The code may only contain letters and numbers.']
+        })
+    })
+
+    test('uses the label of the field and custom rules', () => {
+        dom.window.wnRequest.validationRules.even = (value) => value % 2 === 0
+        dom.window.wnRequest.validationMessages.even = 'The :attribute must be even.'
+
+        expect(validate('<input name="qty" value="3" data-validate-label="Quantity" data-validate-rules="even">'))
+            .toEqual({ qty: ['The Quantity must be even.'] })
+    })
+
+    test('ignores disabled fields', () => {
+        expect(validate('<input name="email" value="" disabled data-validate-rules="required">')).toBeNull()
+    })
+})
@@ -0,0 +1,100 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Filter widget batched updates', function () {
+    let server, dom, $, filter
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="filter" class="control-filter" data-control="filterwidget" data-update-handler="onFilterUpdate" data-batch-updates="true">'
+            + '<div class="filter-scope checkbox" data-scope-name="read"><input type="checkbox"></div>'
+            + '<div class="filter-scope checkbox" data-scope-name="archived"><input type="checkbox"></div>'
+            + '<a class="filter-scope" data-scope-name="city"><span class="filter-setting"></span></a>'
+            + '<a class="filter-scope" data-scope-name="street"><span class="filter-setting"></span></a>'
+            + '</div>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/ui/vendor/mustache/mustache.js')
+            .withScript('assets/ui/vendor/moment/moment.js')
+            .withScript('assets/ui/vendor/moment/moment-timezone-with-data.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.jquery.js')
+
+        $ = dom.window.jQuery
+        $.fn.render = function (callback) {
+            $(dom.document).on('render', callback)
+            return this
+        }
+        dom.window.Modernizr = { touchevents: false }
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js', 'popover.js', 'filter.js']
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+        filter = $('#filter').data('oc.filterwidget')
+        filter.batchUpdateInterval = 50
+
+        server.requests = []
+        server.handle('onFilterUpdate', {})
+    })
+
+    afterEach(() => dom.close())
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms))
+    }
+
+    function scopeNames() {
+        return server.requests.map((request) => request.body.get('scopeName'))
+    }
+
+    test('sends the scope changes made within the interval together', async () => {
+        filter.updateScopes({ read: { value: true } })
+        await wait(20)
+        filter.updateScopes({ archived: { value: true } })
+        await wait(20)
+
+        expect(server.requests.length).toBe(0)
+
+        await wait(150)
+
+        expect(scopeNames()).toEqual(['read', 'archived'])
+        expect(server.requests[1].body.get('value')).toBe('true')
+    })
+
+    test('sends the collected changes at once when they are flushed', async () => {
+        filter.updateScopes({ read: { value: true } })
+        const promise = filter.flushScopes()
+
+        await new Promise((resolve) => promise.always(() => resolve()))
+
+        expect(scopeNames()).toEqual(['read'])
+    })
+
+    test('requests the options of each dependant scope from the options handler', async () => {
+        $.fn.loadIndicator = function () { return this }
+        filter.options.optionsHandler = 'onFilterGetOptions'
+        server.handle('onFilterGetOptions', (request, response) => {
+            const scopeName = server.requests[server.requests.length - 1].body.get('scopeName')
+
+            response.writeHead(200, { 'Content-Type': 'application/json' })
+            response.end(JSON.stringify({ scopeName: scopeName, options: { active: [{ id: 1, name: scopeName }], available: [] } }))
+        })
+
+        filter.refreshDependants(['city', 'street'])
+        await wait(100)
+
+        expect(server.requests.map((request) => [request.handler, request.body.get('scopeName')]))
+            .toEqual([['onFilterGetOptions', 'city'], ['onFilterGetOptions', 'street']])
+        expect(filter.scopeValues.city).toEqual([{ id: 1, name: 'city' }])
+        expect(filter.scopeValues.street).toEqual([{ id: 1, name: 'street' }])
+    })
+})
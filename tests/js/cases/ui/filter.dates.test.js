@@ -0,0 +1,86 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('Filter relative date ranges', function () {
+    let dom, $, filter
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<meta name="backend-timezone" content="Europe/Berlin">'
+            + '<meta name="app-timezone" content="UTC">'
+            + '<div id="filter" class="control-filter" data-control="filterwidget" data-update-handler="onFilterUpdate">'
+            + '<a class="filter-scope-date range" data-scope-name="created" data-scope-data=\'{"dates":[]}\'><span class="filter-setting"></span></a>'
+            + '</div>'
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/ui/vendor/mustache/mustache.js')
+            .withScript('assets/ui/vendor/moment/moment.js')
+            .withScript('assets/ui/vendor/moment/moment-timezone-with-data.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.jquery.js')
+
+        $ = dom.window.jQuery
+        $.fn.render = function (callback) {
+            $(dom.document).on('render', callback)
+            return this
+        }
+        dom.window.Modernizr = { touchevents: false }
+
+        // Wednesday, 11:15 in the user's timezone
+        dom.window.moment.now = () => Date.UTC(2024, 0, 31, 10, 15)
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js', 'popover.js', 'filter.js', 'filter.dates.js']
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+        filter = $('#filter').data('oc.filterwidget')
+    })
+
+    afterEach(() => dom.close())
+
+    test.each([
+        ['today', ['2024-01-30 23:00:00', '2024-01-31 22:59:59']],
+        ['yesterday', ['2024-01-29 23:00:00', '2024-01-30 22:59:59']],
+        ['this month', ['2023-12-31 23:00:00', '2024-01-31 22:59:59']],
+        ['last month', ['2023-11-30 23:00:00', '2023-12-31 22:59:59']],
+        ['last 24 hours', ['2024-01-30 10:15:00', '2024-01-31 10:15:00']],
+        ['Last  7 Days', ['2024-01-24 10:15:00', '2024-01-31 10:15:00']],
+        ['since yesterday 09:00', ['2024-01-30 08:00:00', '2024-01-31 10:15:00']],
+        ['since 3 hours ago', ['2024-01-31 07:15:00', '2024-01-31 10:15:00']],
+        ['since 2024-01-15', ['2024-01-14 23:00:00', '2024-01-31 10:15:00']]
+    ])('resolves "%s" in the user timezone', (expression, dates) => {
+        expect(filter.resolveDateExpression(expression)).toEqual(dates)
+    })
+
+    test.each([
+        'next week',
+        'last few days',
+        'since tomorrow',
+        'since 2024-02-01 12:00',
+        'since 2024-13-01'
+    ])('does not resolve "%s"', (expression) => {
+        expect(filter.resolveDateExpression(expression)).toBeNull()
+    })
+
+    test('resolves the expression again when the scope is sent', () => {
+        const data = filter.resolveScopeData({
+            options: JSON.stringify({ dates: ['2024-01-01 00:00:00', '2024-01-01 23:59:59'], expression: 'today' })
+        })
+
+        expect(JSON.parse(data.options)).toEqual({
+            dates: ['2024-01-30 23:00:00', '2024-01-31 22:59:59'],
+            expression: 'today'
+        })
+    })
+
+    test('keeps fixed dates when the scope is sent', () => {
+        const data = { options: JSON.stringify({ dates: ['2024-01-01 00:00:00', null] }) }
+
+        expect(filter.resolveScopeData(data)).toBe(data)
+    })
+
+    test('labels the presets and shows custom expressions as typed', () => {
+        expect(filter.getDateExpressionLabel('last 7 days')).toBe('Last 7 days')
+        expect(filter.getDateExpressionLabel('since yesterday 09:00')).toBe('since yesterday 09:00')
+    })
+})
@@ -0,0 +1,149 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Filter group options', function () {
+    let server, dom, $, filter
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="filter" class="control-filter" data-control="filterwidget" data-options-handler="onFilterGetOptions">'
+            + '<a class="filter-scope" data-scope-name="status"><span class="filter-setting"></span></a>'
+            + '</div>'
+            + '<div id="controlFilterPopover">'
+            + '<input type="text" class="filter-search-input" data-search>'
+            + '<div class="filter-items"><ul></ul></div>'
+            + '<div class="filter-active-items"><ul></ul></div>'
+            + '<div class="filter-buttons"></div>'
+            + '</div>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/ui/vendor/mustache/mustache.js')
+            .withScript('assets/ui/vendor/moment/moment.js')
+            .withScript('assets/ui/vendor/moment/moment-timezone-with-data.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.jquery.js')
+
+        $ = dom.window.jQuery
+        $.fn.render = function (callback) {
+            $(dom.document).on('render', callback)
+            return this
+        }
+        dom.window.Modernizr = { touchevents: false }
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js', 'popover.js', 'filter.js']
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+        filter = $('#filter').data('oc.filterwidget')
+        server.requests = []
+    })
+
+    afterEach(() => dom.close())
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms))
+    }
+
+    function open(available, hasMore) {
+        filter.activeScopeName = 'status'
+        filter.$activeScope = $('[data-scope-name="status"]')
+        filter.scopeValues.status = []
+        filter.scopeAvailable.status = available
+        filter.scopeHasMore.status = !!hasMore
+        filter.scopePage.status = 1
+        filter.renderOptions()
+    }
+
+    function options(n) {
+        return Array.from({ length: n }, (value, index) => ({ id: index + 1, name: 'Option ' + (index + 1) }))
+    }
+
+    function keydown(key) {
+        filter.onOptionsKeydown({ key: key, preventDefault() {} })
+    }
+
+    function rows(pane) {
+        return $('#controlFilterPopover ' + (pane == 'active' ? '.filter-active-items' : '.filter-items') + ' > ul > li')
+    }
+
+    test('moves the highlight with the arrow keys', () => {
+        open(options(3))
+
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        expect(rows().filter('.is-highlighted').text()).toBe('Option 2')
+
+        keydown('ArrowUp')
+        keydown('ArrowUp')
+        expect(rows().filter('.is-highlighted').text()).toBe('Option 1')
+
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        expect(rows().filter('.is-highlighted').text()).toBe('Option 3')
+    })
+
+    test('toggles the highlighted option with Enter and switches the lists with Tab', () => {
+        open(options(3))
+
+        keydown('ArrowDown')
+        keydown('Enter')
+        expect(filter.scopeValues.status.map((item) => item.name)).toEqual(['Option 1'])
+        expect(rows().map((index, row) => $(row).text()).get()).toEqual(['Option 2', 'Option 3'])
+
+        keydown('Tab')
+        expect(rows('active').filter('.is-highlighted').text()).toBe('Option 1')
+
+        keydown('Enter')
+        expect(filter.scopeValues.status).toEqual([])
+        expect(rows().length).toBe(3)
+    })
+
+    test('marks the search query in the matching options', () => {
+        open(options(3))
+        filter.searchQueryText = 'tion 2'
+        filter.filterAvailable('status', [{ id: 2, name: 'Option 2' }])
+
+        expect(rows().length).toBe(1)
+        expect(rows().find('mark').text()).toBe('tion 2')
+        expect(rows().hasClass('is-highlighted')).toBe(true)
+    })
+
+    test('only renders the visible rows of long lists', () => {
+        open(options(500))
+
+        expect(filter.isVirtualList()).toBe(true)
+        expect(rows().length).toBeLessThan(50)
+        expect(rows().first().text()).toBe('Option 1')
+    })
+
+    test('loads the next page of options from the load more row', async () => {
+        server.handle('onFilterGetOptions', {
+            scopeName: 'status',
+            options: { available: [{ id: 3, name: 'Option 3' }], hasMore: false }
+        })
+        open(options(2), true)
+
+        expect(rows().last().hasClass('filter-items-more')).toBe(true)
+
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        keydown('ArrowDown')
+        keydown('Enter')
+        await wait(100)
+
+        expect(server.requests.length).toBe(1)
+        expect(server.requests[0].body.get('page')).toBe('2')
+        expect(server.requests[0].body.get('scopeName')).toBe('status')
+        expect(rows().map((index, row) => $(row).text()).get()).toEqual(['Option 1', 'Option 2', 'Option 3'])
+    })
+})
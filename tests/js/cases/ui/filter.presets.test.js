@@ -0,0 +1,122 @@
+const FakeDom = require('../../helpers/FakeDom')
+const TestServer = require('../../helpers/TestServer')
+
+describe('Filter presets', function () {
+    let server, dom, $
+
+    beforeAll(async () => {
+        server = await TestServer.start()
+    })
+
+    afterAll(() => server.stop())
+
+    beforeEach(() => {
+        server.requests = []
+    })
+
+    afterEach(() => dom.close())
+
+    function create(attributes, filter) {
+        dom = FakeDom.new(
+            (filter || '') + '<div id="presets" data-control="filter-presets" ' + attributes + '><ul class="dropdown-menu"></ul></div>',
+            { url: server.url }
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+
+        $ = dom.window.jQuery
+
+        if (filter) {
+            $.fn.render = function (callback) {
+                $(dom.document).on('render', callback)
+                return this
+            }
+            dom.window.Modernizr = { touchevents: false }
+
+            ;['assets/ui/vendor/mustache/mustache.js', 'assets/ui/vendor/moment/moment.js', 'assets/ui/vendor/moment/moment-timezone-with-data.js',
+                'assets/ui/vendor/pikaday/js/pikaday.js', 'assets/ui/vendor/pikaday/js/pikaday.jquery.js']
+                .forEach((script) => dom.withScript(script))
+        }
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js'].concat(filter ? ['popover.js', 'filter.js'] : [], ['filter.presets.js'])
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+    }
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms))
+    }
+
+    function names() {
+        return $('#presets [data-preset-apply]').map((index, element) => $(element).text()).get()
+    }
+
+    test('loads the list of presets from the handler', async () => {
+        server.handle('onFilterPresets', {
+            presets: [{ name: 'Errors', state: { level: 'error' } }, { name: 'Empty', state: [] }, { name: 5, state: {} }]
+        })
+        create('data-handler="onFilterPresets"')
+        await wait(100)
+
+        expect(names()).toEqual(['Empty', 'Errors'])
+        expect($('#presets').filterPresets('getPresets').Errors).toEqual({ level: 'error' })
+    })
+
+    test('ignores presets that are not a list', async () => {
+        server.handle('onFilterPresets', { presets: { Errors: { level: 'error' } } })
+        create('data-handler="onFilterPresets"')
+        await wait(100)
+
+        expect(names()).toEqual([])
+    })
+
+    test('sends the presets to the handler as a list', async () => {
+        server.handle('onFilterPresets', {
+            presets: [{ name: 'Errors', state: { level: 'error' } }, { name: 'Warnings', state: { level: 'warning' } }]
+        })
+        create('data-handler="onFilterPresets"')
+        await wait(100)
+
+        $('#presets').filterPresets('remove', 'Errors')
+        await wait(100)
+
+        expect(server.requests.length).toBe(2)
+        expect(JSON.parse(server.requests[1].body.get('presets'))).toEqual([{ name: 'Warnings', state: { level: 'warning' } }])
+        expect(names()).toEqual(['Warnings'])
+    })
+
+    test('fails with a clear message when the filter widget is missing', () => {
+        create('data-filter="#missing"')
+        $('#presets').filterPresets('setPresets', [{ name: 'Errors', state: {} }])
+
+        expect(() => $('#presets').filterPresets('apply', 'Errors')).toThrow('Filter presets: no filter widget matches "#missing".')
+        expect(() => $('#presets').filterPresets('save', 'Errors')).toThrow('Filter presets: no filter widget matches "#missing".')
+    })
+
+    test('applies a preset with one update request per scope', async () => {
+        server.handle('onFilterUpdate', {})
+        create('data-filter="#filter"', '<div id="filter" class="control-filter" data-control="filterwidget" data-update-handler="onFilterUpdate">'
+            + '<div class="filter-scope checkbox" data-scope-name="read"><input type="checkbox"></div>'
+            + '<div class="filter-scope checkbox" data-scope-name="archived"><input type="checkbox"></div>'
+            + '</div>')
+        $('#presets').filterPresets('setPresets', [{ name: 'Read', state: { read: { value: true } } }])
+
+        await new Promise((resolve) => $('#presets').filterPresets('apply', 'Read').always(() => resolve()))
+
+        expect(server.requests.map((request) => [request.handler, request.body.get('scopeName'), request.body.get('value')]))
+            .toEqual([['onFilterUpdate', 'read', 'true'], ['onFilterUpdate', 'archived', 'false']])
+        expect($('[data-scope-name="read"] input').prop('checked')).toBe(true)
+    })
+
+    test('keeps the presets in the browser without a handler', () => {
+        create('data-storage-key="logs"')
+        dom.window.localStorage.setItem('wn.filterPresets.logs', JSON.stringify([{ name: 'Errors', state: { level: 'error' } }]))
+        $('#presets').filterPresets('setPresets', JSON.parse(dom.window.localStorage.getItem('wn.filterPresets.logs')))
+
+        $('#presets').filterPresets('remove', 'Errors')
+
+        expect(JSON.parse(dom.window.localStorage.getItem('wn.filterPresets.logs'))).toEqual([])
+        expect(server.requests.length).toBe(0)
+    })
+})
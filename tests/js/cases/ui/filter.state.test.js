@@ -0,0 +1,87 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('Filter widget state', function () {
+    let dom, $, filter
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="filter" class="control-filter" data-control="filterwidget" data-update-handler="onFilterUpdate">'
+            + '<a class="filter-scope" data-scope-name="status"><span class="filter-setting"></span></a>'
+            + '<a class="filter-scope-date range" data-scope-name="created" data-scope-data=\'{"dates":[]}\'><span class="filter-setting"></span></a>'
+            + '<a class="filter-scope-number range" data-scope-name="size" data-scope-data=\'{"numbers":[]}\'><span class="filter-setting"></span></a>'
+            + '<a class="filter-scope-text" data-scope-name="message" data-scope-data=\'{"fields":["level"]}\'><span class="filter-setting"></span></a>'
+            + '<div class="filter-scope checkbox" data-scope-name="read"><input type="checkbox"></div>'
+            + '</div>'
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/ui/vendor/mustache/mustache.js')
+            .withScript('assets/ui/vendor/moment/moment.js')
+            .withScript('assets/ui/vendor/moment/moment-timezone-with-data.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.js')
+            .withScript('assets/ui/vendor/pikaday/js/pikaday.jquery.js')
+
+        $ = dom.window.jQuery
+        $.fn.render = function (callback) {
+            $(dom.document).on('render', callback)
+            return this
+        }
+        dom.window.Modernizr = { touchevents: false }
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js', 'popover.js', 'filter.js', 'filter.dates.js', 'filter.numbers.js', 'filter.text.js']
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+        filter = $('#filter').data('oc.filterwidget')
+    })
+
+    afterEach(() => dom.close())
+
+    test('returns an empty state when no scope is active', () => {
+        expect(JSON.parse(filter.getState())).toEqual({})
+    })
+
+    test('returns the compact values of the active scopes', () => {
+        filter.scopeValues.status = [{ id: 1, name: 'Active' }, { id: 3, name: 'Closed' }]
+        filter.scopeValues.created = { dates: [null, null], expression: 'last 7 days' }
+        filter.scopeValues.size = { numbers: [10, null] }
+        filter.scopeValues.message = filter.parseTextQuery('level:error -debug', ['level'])
+        $('[data-scope-name="read"] input').prop('checked', true)
+
+        expect(JSON.parse(filter.getState())).toEqual({
+            status: { 1: 'Active', 3: 'Closed' },
+            created: 'last 7 days',
+            size: [10, null],
+            message: 'level:error -debug',
+            read: true
+        })
+    })
+
+    test('expands the compact values to the scope data', () => {
+        expect(JSON.parse(filter.expandScopeData('status', { 1: 'Active' }).options)).toEqual([{ id: '1', name: 'Active' }])
+        expect(JSON.parse(filter.expandScopeData('size', [1, 5]).options)).toEqual({ numbers: [1, 5] })
+        expect(JSON.parse(filter.expandScopeData('created', ['2024-01-01', '2024-01-31']).options))
+            .toEqual({ dates: ['2024-01-01', '2024-01-31'] })
+        expect(JSON.parse(filter.expandScopeData('message', '"disk full"').options).terms)
+            .toEqual([{ operator: 'contains', value: 'disk full', field: null, negate: false }])
+        expect(filter.expandScopeData('read', true)).toEqual({ value: true })
+    })
+
+    test('expands relative date expressions with their resolved dates', () => {
+        const value = JSON.parse(filter.expandScopeData('created', 'today').options)
+
+        expect(value.expression).toBe('today')
+        expect(value.dates).toHaveLength(2)
+    })
+
+    test('clears the scopes missing from a compact value', () => {
+        expect(filter.expandScopeData('size', null)).toEqual({ options: JSON.stringify({ numbers: [] }) })
+        expect(filter.expandScopeData('unknown', 'value')).toBeNull()
+    })
+
+    test('ignores invalid states', () => {
+        expect(filter.parseState('{invalid')).toEqual({})
+        expect(filter.parseState('[1, 2]')).toEqual({})
+        expect(filter.parseState({ read: true })).toEqual({ read: true })
+    })
+})
@@ -0,0 +1,90 @@
+const FakeDom = require('../../helpers/FakeDom')
+
+describe('Filter text scope', function () {
+    let dom, $, filter
+
+    beforeEach(() => {
+        dom = FakeDom.new(
+            '<div id="filter" class="control-filter" data-control="filterwidget" data-update-handler="onFilterUpdate">'
+            + '<a class="filter-scope-text" data-scope-name="message" data-scope-data=\'{"fields":["level"]}\'><span class="filter-setting"></span></a>'
+            + '</div>'
+        )
+            .withJQuery()
+            .withScript('assets/js/framework.js')
+            .withScript('assets/ui/vendor/mustache/mustache.js')
+
+        $ = dom.window.jQuery
+        $.fn.render = function (callback) {
+            $(dom.document).on('render', callback)
+            return this
+        }
+        dom.window.Modernizr = { touchevents: false }
+
+        ;['foundation.baseclass.js', 'foundation.controlutils.js', 'popover.js', 'filter.js', 'filter.text.js']
+            .forEach((script) => dom.withScript('assets/ui/js/' + script))
+
+        $(dom.document).trigger('render')
+        filter = $('#filter').data('oc.filterwidget')
+    })
+
+    afterEach(() => dom.close())
+
+    function terms(query) {
+        return filter.parseTextQuery(query, ['level']).terms
+    }
+
+    test('splits the query into words', () => {
+        expect(terms('  disk   full ')).toEqual([
+            { operator: 'contains', value: 'disk', field: null, negate: false },
+            { operator: 'contains', value: 'full', field: null, negate: false }
+        ])
+        expect(filter.parseTextQuery('  disk full ').query).toBe('disk full')
+    })
+
+    test('parses phrases, prefixes and regular expressions', () => {
+        expect(terms('"disk full" disk* /disk \\d+/i')).toEqual([
+            { operator: 'contains', value: 'disk full', field: null, negate: false },
+            { operator: 'starts_with', value: 'disk', field: null, negate: false },
+            { operator: 'regex', value: 'disk \\d+', flags: 'i', field: null, negate: false }
+        ])
+    })
+
+    test('parses negated and field terms', () => {
+        expect(terms('level:error -debug -level:"not found"')).toEqual([
+            { operator: 'contains', value: 'error', field: 'level', negate: false },
+            { operator: 'contains', value: 'debug', field: null, negate: true },
+            { operator: 'contains', value: 'not found', field: 'level', negate: true }
+        ])
+    })
+
+    test('keeps unknown fields as part of the text', () => {
+        expect(terms('http://example.com')).toEqual([
+            { operator: 'contains', value: 'http://example.com', field: null, negate: false }
+        ])
+    })
+
+    test('ignores a dash being typed and empty phrases', () => {
+        expect(terms('disk - ""')).toEqual([
+            { operator: 'contains', value: 'disk', field: null, negate: false }
+        ])
+    })
+
+    test('reports invalid regular expressions', () => {
+        const term = terms('/disk(/')[0]
+
+        expect(term.operator).toBe('regex')
+        expect(term.error).toBe('Invalid regular expression')
+    })
+
+    test('shows the query in the scope label', () => {
+        const $scope = $('[data-scope-name="message"]')
+
+        filter.updateScopeTextSetting($scope, 'level:error')
+        expect($scope.find('.filter-setting').text()).toBe('level:error')
+        expect($scope.hasClass('active')).toBe(true)
+
+        filter.updateScopeTextSetting($scope, '')
+        expect($scope.find('.filter-setting').text()).toBe('all')
+        expect($scope.hasClass('active')).toBe(false)
+    })
+})
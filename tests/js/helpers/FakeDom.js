@@ -0,0 +1,79 @@
+const fs = require('fs')
+const path = require('path')
+const { JSDOM } = require('jsdom')
+
+/*
+ * Creates a browser window with jsdom and loads scripts into it.
+ *
+ * const dom = FakeDom.new('<form id="form"></form>', { url: server.url })
+ *     .withScript('assets/js/framework.js')
+ */
+class FakeDom {
+    constructor(content, options) {
+        options = options || {}
+
+        this.dom = new JSDOM('<!doctype html><html><body>' + (content || '') + '</body></html>', {
+            runScripts: 'outside-only',
+            url: options.url || 'http://localhost/'
+        })
+
+        this.window = this.dom.window
+        this.document = this.window.document
+        this.alerts = []
+
+        this.window.alert = (message) => {
+            this.alerts.push(message)
+        }
+
+        this.window.TextEncoder = TextEncoder
+        this.window.TextDecoder = TextDecoder
+        this.window.fetch = fetchFromWindow(this.window)
+    }
+
+    static new(content, options) {
+        return new FakeDom(content, options)
+    }
+
+    /*
+     * Evaluates a script in the window, paths are relative to the module root
+     */
+    withScript(script) {
+        const file = path.isAbsolute(script) ? script : path.resolve(__dirname, '../../..', script)
+
+        this.window.eval(fs.readFileSync(file, 'utf8'))
+
+        return this
+    }
+
+    withJQuery() {
+        return this.withScript(require.resolve('jquery/dist/jquery.js'))
+    }
+
+    close() {
+        this.window.close()
+    }
+}
+
+/*
+ * The fetch of Node does not accept the AbortSignal of the window,
+ * aborting is relayed through a controller of its own.
+ */
+function fetchFromWindow(window) {
+    return function (url, init) {
+        const options = Object.assign({}, init)
+        const controller = new AbortController()
+
+        if (options.signal && options.signal.aborted) {
+            controller.abort()
+        }
+        else if (options.signal) {
+            options.signal.addEventListener('abort', () => controller.abort())
+        }
+
+        options.signal = controller.signal
+
+        return fetch(new URL(url, window.location.href), options)
+    }
+}
+
+module.exports = FakeDom
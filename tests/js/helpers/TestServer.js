@@ -0,0 +1,97 @@
+const http = require('http')
+
+/*
+ * Local HTTP server standing in for the AJAX handlers of the back-end.
+ * Responses are registered per handler name, as sent in the X-WINTER-REQUEST-HANDLER header.
+ *
+ * const server = await TestServer.start()
+ * server.handle('onSave', { 'X_WINTER_FLASH_MESSAGES': { success: 'Saved' } })
+ * server.handle('onImport', TestServer.stream('application/x-ndjson', ['{"X_WINTER_PROGRESS": 50}\n']))
+ */
+class TestServer {
+    constructor() {
+        this.handlers = {}
+        this.requests = []
+        this.server = http.createServer((request, response) => this.receive(request, response))
+    }
+
+    static start() {
+        const server = new TestServer()
+
+        return new Promise((resolve) => {
+            server.server.listen(0, '127.0.0.1', () => {
+                server.url = 'http://127.0.0.1:' + server.server.address().port + '/'
+                resolve(server)
+            })
+        })
+    }
+
+    /*
+     * Registers the response of a handler, either a JSON value or a function
+     * called with the request and response of the server.
+     */
+    handle(name, response) {
+        this.handlers[name] = response
+
+        return this
+    }
+
+    receive(request, response) {
+        let body = ''
+
+        request.on('data', (chunk) => {
+            body += chunk
+        })
+
+        request.on('end', () => {
+            const name = request.headers['x-winter-request-handler']
+            const handler = this.handlers[name]
+
+            this.requests.push({ handler: name, headers: request.headers, body: new URLSearchParams(body) })
+
+            if (handler === undefined) {
+                response.writeHead(500, { 'Content-Type': 'text/plain' })
+                response.end('The handler "' + name + '" is not registered.')
+                return
+            }
+
+            if (typeof handler === 'function') {
+                handler(request, response)
+                return
+            }
+
+            response.writeHead(200, { 'Content-Type': 'application/json' })
+            response.end(JSON.stringify(handler))
+        })
+    }
+
+    /*
+     * Returns a handler that writes each chunk in turn, leaving the
+     * client time to read them separately.
+     */
+    static stream(contentType, chunks, interval) {
+        return function (request, response) {
+            const queue = chunks.slice()
+
+            response.writeHead(200, { 'Content-Type': contentType })
+
+            const write = () => {
+                if (!queue.length) {
+                    response.end()
+                    return
+                }
+
+                response.write(queue.shift())
+                setTimeout(write, interval || 10)
+            }
+
+            write()
+        }
+    }
+
+    stop() {
+        return new Promise((resolve) => this.server.close(resolve))
+    }
+}
+
+module.exports = TestServer
@@ -0,0 +1,79 @@
+<?php namespace System\Traits;
+
+use Lang;
+use ApplicationException;
+use Backend\Models\UserPreference;
+
+/**
+ * Filter Presets Trait
+ * Adds the storage of the filter presets of the user to a controller based class,
+ * the presets are managed by the filter-presets control.
+ *
+ * @package winter\wn-system-module
+ */
+trait FilterPresets
+{
+    /**
+     * @var int Maximum number of presets stored for a list.
+     */
+    protected $filterPresetsMaxCount = 50;
+
+    /**
+     * @var int Maximum size of the encoded presets, in bytes.
+     */
+    protected $filterPresetsMaxSize = 65536;
+
+    /**
+     * Stores the presets posted in the presets value under the preference key, when
+     * they are sent. Returns the stored presets for the AJAX response.
+     *
+     * @param string $key
+     * @return array
+     */
+    protected function makeFilterPresets($key)
+    {
+        $preferences = UserPreference::forUser();
+
+        if (($presets = post('presets')) !== null) {
+            $preferences->set($key, $this->validateFilterPresets($presets));
+        }
+
+        return ['presets' => $preferences->get($key, [])];
+    }
+
+    /**
+     * Decodes the presets, they must be a list of objects with a name string and a
+     * state object, within the count and size limits.
+     *
+     * @param mixed $presets
+     * @return array
+     * @throws ApplicationException
+     */
+    protected function validateFilterPresets($presets)
+    {
+        if (!is_string($presets) || strlen($presets) > $this->filterPresetsMaxSize) {
+            throw new ApplicationException(Lang::get('system::lang.filter_presets.invalid'));
+        }
+
+        $presets = json_decode($presets, true);
+
+        if (!is_array($presets) || $presets !== array_values($presets) || count($presets) > $this->filterPresetsMaxCount) {
+            throw new ApplicationException(Lang::get('system::lang.filter_presets.invalid'));
+        }
+
+        foreach ($presets as $preset) {
+            if (
+                !is_array($preset)
+                || array_diff(array_keys($preset), ['name', 'state'])
+                || !is_string($preset['name'] ?? null)
+                || !strlen(trim($preset['name']))
+                || mb_strlen($preset['name']) > 255
+                || !is_array($preset['state'] ?? null)
+            ) {
+                throw new ApplicationException(Lang::get('system::lang.filter_presets.invalid'));
+            }
+        }
+
+        return $presets;
+    }
+}